@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import {
     connectWallet,
     disconnectWallet,
@@ -8,42 +8,103 @@ import {
     createProposal,
     voteOnProposal,
     executeProposal,
-    getVaultInfo,
-    getUserDeposit,
-    getUserStats,
-    getPendingRewards,
-    getTokenBalance,
-    getTotalSupply,
-    getProposalCount,
-    getProposal,
     formatSTX,
     formatAddress,
     formatNumber,
+    getContracts,
 } from './stacks.js';
+import { useNetworkProfile } from './hooks/useNetworkProfile.js';
+import { NetworkBadge } from './components/NetworkBadge.jsx';
+import { InfiniteScrollSentinel } from './components/InfiniteScrollSentinel.jsx';
+import { RewardCountdown } from './components/RewardCountdown.jsx';
+import { RewardCalculator } from './components/RewardCalculator.jsx';
+import { ProposalListSkeleton } from './components/ProposalListSkeleton.jsx';
+import { useProposalIndex } from './hooks/useProposalIndex.js';
+import { useVaultData } from './hooks/useVaultData.js';
+import { trackTransaction, onTransactionSettled } from './txTracker.js';
+import { TrackedTransactionToasts } from './TransactionToast.jsx';
+import { WalletConnect } from './components/WalletConnect.jsx';
+import { PortfolioSummary } from './components/PortfolioSummary.jsx';
+import { useAccounts } from './hooks/useAccounts.js';
+import {
+    accountAddress,
+    addAccount,
+    getAccountsState,
+    isValidAddress,
+    removeAccount,
+    setWatchAddress,
+} from './accounts.js';
+import { VoteHistory } from './components/VoteHistory.jsx';
+import { TransactionHistoryPanel } from './components/TransactionHistoryPanel.jsx';
+import { ProposalDetail } from './components/ProposalDetail.jsx';
+import { ProposalActions } from './components/ProposalActions.jsx';
+import { ProposalComposer } from './components/ProposalComposer.jsx';
+import { GovernanceAnalytics } from './components/GovernanceAnalytics.jsx';
+import { ExecutionQueue } from './components/ExecutionQueue.jsx';
+import { useRoute } from './hooks/useRoute.js';
+import { closeProposal, openProposal, proposalUrl } from './route.js';
 
 // ==========================================
 // App Component
 // ==========================================
 
+const NAV_LABELS = {
+    vault: '🔐 Vault',
+    governance: '🗳️ Governance',
+    analytics: '📈 Analytics',
+    portfolio: '📊 Portfolio',
+};
+
 export default function App() {
-    const [activeTab, setActiveTab] = useState('vault');
-    const [wallet, setWallet] = useState(null);
+    const profile = useNetworkProfile();
+    const route = useRoute();
+    const [activeTab, setActiveTab] = useState(route.proposalId ? 'governance' : 'vault');
     const [txStatus, setTxStatus] = useState(null);
 
-    // Vault state
-    const [vaultInfo, setVaultInfo] = useState(null);
-    const [userDeposit, setUserDeposit] = useState(null);
-    const [userStats, setUserStats] = useState(null);
-    const [pendingRewards, setPendingRewards] = useState(0);
-    const [tokenBalance, setTokenBalance] = useState(0);
-    const [totalSupply, setTotalSupply] = useState(0);
+    // Connected accounts (see accounts.js); `wallet` is the active one on
+    // the current network
+    const { accounts, active: activeAccount, activeId, watchAddress } = useAccounts();
+    const userSessionRef = useRef(null);
+    const wallet = useMemo(() => {
+        const address = accountAddress(activeAccount, profile);
+        return address ? { address, account: activeAccount } : null;
+    }, [activeAccount, profile]);
+    // Whose data is shown: a watched address (read-only) wins over the wallet
+    const viewer = useMemo(
+        () => (watchAddress ? { address: watchAddress, readOnly: true } : wallet),
+        [watchAddress, wallet],
+    );
+    const readOnly = Boolean(viewer?.readOnly);
+    const [watchInput, setWatchInput] = useState('');
+    const portfolioAccounts = useMemo(() => accounts
+        .map((account) => ({ id: account.id, address: accountAddress(account, profile) }))
+        .filter((account) => account.address), [accounts, profile]);
+
+    // Vault state (shared store, see vaultStore.js)
+    const vaultData = useVaultData(viewer?.address ?? null);
+    const { refresh: refreshVaultData } = vaultData;
+    const vaultInfo = vaultData.vaultInfo.data;
+    const userDeposit = vaultData.deposit.data;
+    const userStats = vaultData.stats.data;
+    const pendingRewards = vaultData.pendingRewards.data ?? 0;
+    const tokenBalance = vaultData.tokenBalance.data ?? 0;
+    const totalSupply = vaultData.totalSupply.data ?? 0;
     const [depositAmount, setDepositAmount] = useState('');
 
     // Governance state
-    const [proposals, setProposals] = useState([]);
-    const [proposalForm, setProposalForm] = useState({
-        title: '', description: '', type: 'general', value: 0,
-    });
+    const proposalIndex = useProposalIndex(viewer?.address ?? null);
+    const { proposals, refresh: refreshProposals, refreshProposal } = proposalIndex;
+
+    // `?proposal=<id>` (see route.js) shows that proposal in the governance tab
+    useEffect(() => {
+        if (route.proposalId) setActiveTab('governance');
+    }, [route.proposalId]);
+
+    // Any tab click (including Governance itself) leaves the detail view
+    const selectTab = (tab) => {
+        closeProposal();
+        setActiveTab(tab);
+    };
 
     // ==========================================
     // Wallet Methods
@@ -52,7 +113,8 @@ export default function App() {
     const handleConnect = useCallback(() => {
         connectWallet(
             (data) => {
-                setWallet(data);
+                userSessionRef.current = data.userSession;
+                addAccount(data.userData);
                 setTxStatus({ type: 'success', message: `Connected: ${formatAddress(data.address)}` });
                 setTimeout(() => setTxStatus(null), 3000);
             },
@@ -63,82 +125,41 @@ export default function App() {
         );
     }, []);
 
-    const handleDisconnect = useCallback(() => {
-        if (wallet?.userSession) {
-            disconnectWallet(wallet.userSession);
+    const handleDisconnect = useCallback((accountId) => {
+        removeAccount(accountId);
+        // Signing out of the wallet session only once no account is left
+        if (getAccountsState().accounts.length === 0 && userSessionRef.current) {
+            disconnectWallet(userSessionRef.current);
         }
-        setWallet(null);
-        setUserDeposit(null);
-        setUserStats(null);
-        setPendingRewards(0);
-        setTokenBalance(0);
-    }, [wallet]);
+    }, []);
+
+    const handleWatch = (e) => {
+        e.preventDefault();
+        if (!isValidAddress(watchInput)) return showTx('error', 'Enter a valid STX address to watch');
+        setWatchAddress(watchInput);
+        setWatchInput('');
+    };
 
     // ==========================================
     // Data Fetching
     // ==========================================
 
-    const refreshData = useCallback(async () => {
-        try {
-            const addr = wallet?.address;
-
-            // Vault info (public, no wallet needed)
-            try {
-                const vault = await getVaultInfo(addr);
-                if (vault?.value) setVaultInfo(vault.value);
-            } catch (e) { console.log('Vault info fetch skipped (not deployed yet)'); }
-
-            // Token supply
-            try {
-                const supply = await getTotalSupply(addr);
-                if (supply?.value?.value) setTotalSupply(supply.value.value);
-            } catch (e) { /* skip */ }
-
-            if (addr) {
-                try {
-                    const deposit = await getUserDeposit(addr);
-                    setUserDeposit(deposit?.value || null);
-                } catch (e) { /* skip */ }
-
-                try {
-                    const stats = await getUserStats(addr);
-                    if (stats?.value) setUserStats(stats.value);
-                } catch (e) { /* skip */ }
-
-                try {
-                    const rewards = await getPendingRewards(addr);
-                    if (rewards?.value?.value) setPendingRewards(rewards.value.value);
-                } catch (e) { /* skip */ }
-
-                try {
-                    const balance = await getTokenBalance(addr);
-                    if (balance?.value?.value) setTokenBalance(balance.value.value);
-                } catch (e) { /* skip */ }
-            }
-
-            // Proposals
-            try {
-                const countResult = await getProposalCount(addr);
-                const count = parseInt(countResult?.value?.value || '0');
-                const propList = [];
-                for (let i = 1; i <= Math.min(count, 20); i++) {
-                    try {
-                        const p = await getProposal(i, addr);
-                        if (p?.value) propList.push({ id: i, ...p.value });
-                    } catch (e) { /* skip */ }
-                }
-                setProposals(propList);
-            } catch (e) { /* skip */ }
-        } catch (error) {
-            console.error('Error refreshing data:', error);
-        }
-    }, [wallet?.address]);
-
+    // Vault and account reads poll themselves (see vaultStore.js);
+    // proposals are refreshed here
     useEffect(() => {
-        refreshData();
-        const interval = setInterval(refreshData, 30000);
+        refreshProposals();
+        const interval = setInterval(refreshProposals, 30000);
         return () => clearInterval(interval);
-    }, [refreshData]);
+    }, [refreshProposals]);
+
+    // Once a tracked transaction settles, re-read only what it touched
+    useEffect(() => onTransactionSettled((tx) => {
+        if (tx.status !== 'confirmed') return;
+        if (tx.affects.includes('vault')) refreshVaultData('vault');
+        if (tx.affects.includes('account')) refreshVaultData('account');
+        if (tx.affects.includes('proposals')) refreshProposals();
+        if (tx.affects.includes('proposal') && tx.proposalId !== null) refreshProposal(tx.proposalId);
+    }), [refreshVaultData, refreshProposals, refreshProposal]);
 
     // ==========================================
     // Transaction Handlers
@@ -149,7 +170,14 @@ export default function App() {
         if (type !== 'pending') setTimeout(() => setTxStatus(null), 5000);
     };
 
+    // Wallet prompt is done; the tracker toast follows the tx from here
+    const submitted = (tx) => {
+        setTxStatus(null);
+        trackTransaction(tx);
+    };
+
     const handleDeposit = () => {
+        if (readOnly) return;
         if (!wallet) return handleConnect();
         const amount = parseFloat(depositAmount);
         if (!amount || amount <= 0) return showTx('error', 'Enter a valid amount');
@@ -159,82 +187,110 @@ export default function App() {
             amount,
             wallet.address,
             (data) => {
-                showTx('success', `Deposit submitted! TX: ${data.txId?.slice(0, 12)}...`);
+                submitted({ txId: data.txId, kind: 'deposit', label: `Deposit ${amount} STX` });
                 setDepositAmount('');
-                setTimeout(refreshData, 5000);
             },
             () => showTx('error', 'Deposit cancelled')
         );
     };
 
     const handleWithdraw = () => {
+        if (readOnly) return;
         if (!wallet) return;
-        showTx('pending', 'Confirm withdrawal in your wallet...');
+        showTx('pending', 'Checking your deposit...');
         withdrawSTX(
+            wallet.address,
             (data) => {
-                showTx('success', `Withdrawal submitted! TX: ${data.txId?.slice(0, 12)}...`);
-                setTimeout(refreshData, 5000);
+                submitted({ txId: data.txId, kind: 'withdraw', label: 'Withdraw deposit' });
             },
             () => showTx('error', 'Withdrawal cancelled')
-        );
+        )
+            .then(({ stxAmount, rewards }) => showTx(
+                'pending',
+                `Confirm withdrawal of ${formatSTX(stxAmount)} STX plus ${formatRewardRange(rewards)} POS-GOV in your wallet...`
+            ))
+            .catch((e) => showTx('error', e.message));
     };
 
     const handleClaimRewards = () => {
+        if (readOnly) return;
         if (!wallet) return;
-        showTx('pending', 'Confirm claim in your wallet...');
+        showTx('pending', 'Checking your rewards...');
         claimRewards(
+            wallet.address,
             (data) => {
-                showTx('success', `Rewards claimed! TX: ${data.txId?.slice(0, 12)}...`);
-                setTimeout(refreshData, 5000);
+                submitted({ txId: data.txId, kind: 'claim-rewards', label: 'Claim rewards' });
             },
             () => showTx('error', 'Claim cancelled')
-        );
+        )
+            .then(({ rewards }) => showTx(
+                'pending',
+                `Confirm claim of ${formatRewardRange(rewards)} POS-GOV in your wallet...`
+            ))
+            .catch((e) => showTx('error', e.message));
     };
 
-    const handleCreateProposal = () => {
+    // `draft` comes validated from ProposalComposer; value is on-chain units
+    const handleCreateProposal = ({ title, description, type, value }, onSubmitted) => {
+        if (readOnly) return;
         if (!wallet) return handleConnect();
-        if (!proposalForm.title.trim()) return showTx('error', 'Enter a proposal title');
 
-        showTx('pending', 'Confirm proposal creation...');
+        showTx('pending', 'Checking proposal requirements...');
         createProposal(
-            proposalForm.title,
-            proposalForm.description || 'No description provided',
-            proposalForm.type,
-            parseInt(proposalForm.value) || 0,
+            title,
+            description || 'No description provided',
+            type,
+            value,
+            wallet.address,
             (data) => {
-                showTx('success', `Proposal created! TX: ${data.txId?.slice(0, 12)}...`);
-                setProposalForm({ title: '', description: '', type: 'general', value: 0 });
-                setTimeout(refreshData, 5000);
+                submitted({ txId: data.txId, kind: 'create-proposal', label: `Create proposal "${title}"` });
+                onSubmitted();
             },
             () => showTx('error', 'Proposal creation cancelled')
-        );
+        )
+            .then(() => showTx('pending', 'Confirm proposal creation...'))
+            .catch((e) => showTx('error', e.message));
     };
 
     const handleVote = (proposalId, support) => {
+        if (readOnly) return;
         if (!wallet) return handleConnect();
-        showTx('pending', `Submitting ${support ? 'FOR' : 'AGAINST'} vote...`);
+        showTx('pending', 'Checking your vote...');
         voteOnProposal(
             proposalId,
             support,
+            wallet.address,
             (data) => {
-                showTx('success', `Vote cast! TX: ${data.txId?.slice(0, 12)}...`);
-                setTimeout(refreshData, 5000);
+                submitted({
+                    txId: data.txId,
+                    kind: 'vote',
+                    label: `Vote ${support ? 'for' : 'against'} #${proposalId}`,
+                    proposalId,
+                });
             },
             () => showTx('error', 'Vote cancelled')
-        );
+        )
+            .then(({ weight }) => showTx(
+                'pending',
+                `Confirm ${support ? 'FOR' : 'AGAINST'} vote with ${formatSTX(weight)} POS-GOV in your wallet...`
+            ))
+            .catch((e) => showTx('error', e.message));
     };
 
     const handleExecute = (proposalId) => {
+        if (readOnly) return;
         if (!wallet) return handleConnect();
-        showTx('pending', 'Executing proposal...');
+        showTx('pending', 'Checking the proposal can be executed...');
         executeProposal(
             proposalId,
+            wallet.address,
             (data) => {
-                showTx('success', `Proposal executed! TX: ${data.txId?.slice(0, 12)}...`);
-                setTimeout(refreshData, 5000);
+                submitted({ txId: data.txId, kind: 'execute-proposal', label: `Execute proposal #${proposalId}`, proposalId });
             },
             () => showTx('error', 'Execution cancelled')
-        );
+        )
+            .then(() => showTx('pending', 'Confirm execution in your wallet...'))
+            .catch((e) => showTx('error', e.message));
     };
 
     // ==========================================
@@ -252,32 +308,23 @@ export default function App() {
                     <div className="logo">
                         <div className="logo-icon">P</div>
                         <span className="logo-text">POSVault</span>
-                        <span className="logo-badge">Stacks L2</span>
+                        <NetworkBadge />
                     </div>
 
                     <nav className="nav-tabs">
-                        {['vault', 'governance', 'portfolio'].map((tab) => (
+                        {['vault', 'governance', 'analytics', 'portfolio'].map((tab) => (
                             <button
                                 key={tab}
                                 id={`nav-${tab}`}
                                 className={`nav-tab ${activeTab === tab ? 'active' : ''}`}
-                                onClick={() => setActiveTab(tab)}
+                                onClick={() => selectTab(tab)}
                             >
-                                {tab === 'vault' ? '🔐 Vault' : tab === 'governance' ? '🗳️ Governance' : '📊 Portfolio'}
+                                {NAV_LABELS[tab]}
                             </button>
                         ))}
                     </nav>
 
-                    {wallet ? (
-                        <button id="btn-wallet-connected" className="btn-wallet connected" onClick={handleDisconnect}>
-                            <span className="wallet-dot" />
-                            {formatAddress(wallet.address)}
-                        </button>
-                    ) : (
-                        <button id="btn-connect-wallet" className="btn-wallet" onClick={handleConnect}>
-                            ⚡ Connect Wallet
-                        </button>
-                    )}
+                    <WalletConnect onConnect={handleConnect} onDisconnect={handleDisconnect} />
                 </div>
             </header>
 
@@ -293,6 +340,19 @@ export default function App() {
                 </div>
             )}
 
+            {watchAddress && (
+                <div className="watch-banner" role="status">
+                    <span>
+                        👁 Watching <span className="mono" title={watchAddress}>{formatAddress(watchAddress)}</span> — read-only, transactions are disabled
+                    </span>
+                    <button className="btn btn-secondary btn-sm" onClick={() => setWatchAddress(null)}>
+                        Stop watching
+                    </button>
+                </div>
+            )}
+
+            <TrackedTransactionToasts />
+
             <main className="main-content">
                 {/* Hero */}
                 <section className="hero">
@@ -308,17 +368,17 @@ export default function App() {
                 <div className="stats-grid">
                     <div className="stat-card fade-in stagger-1">
                         <div className="stat-label">Total STX Locked</div>
-                        <div className="stat-value">{formatSTX(vaultInfo?.['total-stx-locked']?.value || 0)}</div>
+                        <div className="stat-value">{formatSTX(vaultInfo?.totalStxLocked ?? 0)}</div>
                         <div className="stat-sub">STX</div>
                     </div>
                     <div className="stat-card fade-in stagger-2">
                         <div className="stat-label">Depositors</div>
-                        <div className="stat-value">{formatNumber(vaultInfo?.['total-depositors']?.value || 0)}</div>
+                        <div className="stat-value">{formatNumber(vaultInfo?.totalDepositors ?? 0)}</div>
                         <div className="stat-sub">Active vaults</div>
                     </div>
                     <div className="stat-card fade-in stagger-3">
                         <div className="stat-label">Reward Rate</div>
-                        <div className="stat-value">{(parseInt(vaultInfo?.['reward-rate']?.value || 100) / 100).toFixed(2)}%</div>
+                        <div className="stat-value">{((vaultInfo?.rewardRate ?? 100) / 100).toFixed(2)}%</div>
                         <div className="stat-sub">per cycle</div>
                     </div>
                     <div className="stat-card fade-in stagger-4">
@@ -357,9 +417,9 @@ export default function App() {
                                 id="btn-deposit"
                                 className="btn btn-primary btn-full"
                                 onClick={handleDeposit}
-                                disabled={!depositAmount || parseFloat(depositAmount) <= 0}
+                                disabled={readOnly || !depositAmount || parseFloat(depositAmount) <= 0}
                             >
-                                {wallet ? '🔐 Deposit STX' : '⚡ Connect Wallet to Deposit'}
+                                {readOnly ? '👁 Read-only' : wallet ? '🔐 Deposit STX' : '⚡ Connect Wallet to Deposit'}
                             </button>
                         </div>
 
@@ -367,7 +427,7 @@ export default function App() {
                         <div className="card">
                             <div className="card-title">
                                 <div className="card-title-icon" style={{ background: 'rgba(46,204,113,0.15)' }}>💰</div>
-                                Your Vault
+                                {readOnly ? 'Watched Vault' : 'Your Vault'}
                             </div>
 
                             {userDeposit ? (
@@ -376,7 +436,7 @@ export default function App() {
                                         <div>
                                             <div className="stat-label">Deposited</div>
                                             <div style={{ fontSize: 24, fontWeight: 700, color: 'var(--accent-orange-light)' }}>
-                                                {formatSTX(userDeposit?.amount?.value)} STX
+                                                {formatSTX(userDeposit.amount)} STX
                                             </div>
                                         </div>
                                         <div>
@@ -388,13 +448,14 @@ export default function App() {
                                     </div>
                                     <div className="stat-label">Deposited at Block</div>
                                     <div className="mono" style={{ marginBottom: 20, color: 'var(--text-secondary)' }}>
-                                        #{userDeposit?.['deposit-block']?.value || '—'}
+                                        #{userDeposit.depositBlock || '—'}
                                     </div>
+                                    <RewardCountdown address={viewer.address} />
                                     <div style={{ display: 'flex', gap: 12 }}>
-                                        <button id="btn-claim" className="btn btn-success" style={{ flex: 1 }} onClick={handleClaimRewards}>
+                                        <button id="btn-claim" className="btn btn-success" style={{ flex: 1 }} onClick={handleClaimRewards} disabled={readOnly}>
                                             🎁 Claim Rewards
                                         </button>
-                                        <button id="btn-withdraw" className="btn btn-danger" style={{ flex: 1 }} onClick={handleWithdraw}>
+                                        <button id="btn-withdraw" className="btn btn-danger" style={{ flex: 1 }} onClick={handleWithdraw} disabled={readOnly}>
                                             📤 Withdraw All
                                         </button>
                                     </div>
@@ -404,16 +465,34 @@ export default function App() {
                                     <div style={{ fontSize: 48, marginBottom: 12 }}>🏦</div>
                                     <p>No active deposit</p>
                                     <p style={{ fontSize: 13, marginTop: 8 }}>
-                                        {wallet ? 'Deposit STX to start earning POS-GOV tokens' : 'Connect wallet to view your vault'}
+                                        {readOnly
+                                            ? 'This address has no POS-GOV position'
+                                            : wallet ? 'Deposit STX to start earning POS-GOV tokens' : 'Connect wallet to view your vault'}
                                     </p>
                                 </div>
                             )}
                         </div>
+
+                        <div style={{ gridColumn: '1 / -1' }}>
+                            <RewardCalculator proposals={proposals} />
+                        </div>
                     </div>
                 )}
 
                 {/* ==================== GOVERNANCE TAB ==================== */}
-                {activeTab === 'governance' && (
+                {activeTab === 'governance' && route.proposalId && (
+                    <div className="fade-in">
+                        <ProposalDetail
+                            proposalId={route.proposalId}
+                            viewer={viewer}
+                            onVote={handleVote}
+                            onExecute={handleExecute}
+                            onBack={closeProposal}
+                        />
+                    </div>
+                )}
+
+                {activeTab === 'governance' && !route.proposalId && (
                     <div className="fade-in">
                         <div className="section-grid">
                             {/* Create Proposal Card */}
@@ -422,66 +501,12 @@ export default function App() {
                                     <div className="card-title-icon" style={{ background: 'rgba(85,70,255,0.15)' }}>📝</div>
                                     Create Proposal
                                 </div>
-                                <div className="form-group">
-                                    <label className="form-label">Title</label>
-                                    <input
-                                        id="input-proposal-title"
-                                        type="text"
-                                        className="form-input"
-                                        placeholder="Proposal title..."
-                                        value={proposalForm.title}
-                                        onChange={(e) => setProposalForm(f => ({ ...f, title: e.target.value }))}
-                                        maxLength={100}
-                                    />
-                                </div>
-                                <div className="form-group">
-                                    <label className="form-label">Description</label>
-                                    <textarea
-                                        id="input-proposal-desc"
-                                        className="form-input form-textarea"
-                                        placeholder="Describe your proposal..."
-                                        value={proposalForm.description}
-                                        onChange={(e) => setProposalForm(f => ({ ...f, description: e.target.value }))}
-                                        maxLength={500}
-                                    />
-                                </div>
-                                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16 }}>
-                                    <div className="form-group">
-                                        <label className="form-label">Type</label>
-                                        <select
-                                            id="select-proposal-type"
-                                            className="form-input form-select"
-                                            value={proposalForm.type}
-                                            onChange={(e) => setProposalForm(f => ({ ...f, type: e.target.value }))}
-                                        >
-                                            <option value="general">General</option>
-                                            <option value="reward-rate">Reward Rate</option>
-                                            <option value="pause">Pause/Unpause</option>
-                                        </select>
-                                    </div>
-                                    <div className="form-group">
-                                        <label className="form-label">Value</label>
-                                        <input
-                                            id="input-proposal-value"
-                                            type="number"
-                                            className="form-input"
-                                            placeholder="0"
-                                            value={proposalForm.value}
-                                            onChange={(e) => setProposalForm(f => ({ ...f, value: e.target.value }))}
-                                        />
-                                    </div>
-                                </div>
-                                <button
-                                    id="btn-create-proposal"
-                                    className="btn btn-primary btn-full"
-                                    onClick={handleCreateProposal}
-                                    disabled={!proposalForm.title.trim()}
-                                >
-                                    {wallet ? '🗳️ Submit Proposal' : '⚡ Connect to Propose'}
-                                </button>
-                                <p style={{ fontSize: 12, color: 'var(--text-muted)', marginTop: 10, textAlign: 'center' }}>
-                                    Requires minimum 1 POS-GOV token to create a proposal
-                                </p>
+                                <ProposalComposer
+                                    wallet={viewer}
+                                    onConnect={handleConnect}
+                                    onSubmit={handleCreateProposal}
+                                    refreshKey={proposalIndex.total}
+                                />
                             </div>
 
                             {/* Token Info Card */}
@@ -513,26 +538,57 @@ export default function App() {
                             </div>
                         </div>
 
+                        <ExecutionQueue viewer={viewer} onExecute={handleExecute} onConnect={handleConnect} />
+
                         {/* Proposals List */}
                         <div className="card" style={{ marginTop: 24 }}>
                             <div className="card-title">
                                 <div className="card-title-icon" style={{ background: 'rgba(85,70,255,0.15)' }}>📋</div>
-                                Active Proposals
+                                Proposals
                                 <span style={{ marginLeft: 'auto', fontSize: 13, color: 'var(--text-muted)' }}>
-                                    {proposals.length} total
+                                    {proposalIndex.total ?? '—'} total
                                 </span>
                             </div>
 
+                            {proposalIndex.failures.length > 0 && (
+                                <div className="proposal-failures" role="alert">
+                                    <span>
+                                        Couldn't load {proposalIndex.failures.map((f) => `#${f.id}`).join(', ')}
+                                    </span>
+                                    <button className="btn btn-secondary btn-sm" onClick={refreshProposals}>
+                                        Retry
+                                    </button>
+                                </div>
+                            )}
+                            {proposalIndex.error && (
+                                <div className="proposal-failures" role="alert">
+                                    <span>Couldn't load proposals: {proposalIndex.error}</span>
+                                    <button className="btn btn-secondary btn-sm" onClick={refreshProposals}>
+                                        Retry
+                                    </button>
+                                </div>
+                            )}
+
                             {proposals.length > 0 ? (
-                                proposals.map((p) => (
-                                    <ProposalItem
-                                        key={p.id}
-                                        proposal={p}
-                                        onVote={handleVote}
-                                        onExecute={handleExecute}
-                                        wallet={wallet}
+                                <>
+                                    {proposals.map((p) => (
+                                        <ProposalItem
+                                            key={p.id}
+                                            proposal={p}
+                                            onVote={handleVote}
+                                            onExecute={handleExecute}
+                                            wallet={viewer}
+                                        />
+                                    ))}
+                                    <InfiniteScrollSentinel
+                                        onVisible={proposalIndex.loadMore}
+                                        disabled={!proposalIndex.hasMore}
+                                        loading={proposalIndex.loadingMore}
+                                        label="Load older proposals"
                                     />
-                                ))
+                                </>
+                            ) : proposalIndex.loading ? (
+                                <ProposalListSkeleton count={3} />
                             ) : (
                                 <div style={{ textAlign: 'center', padding: '40px 0', color: 'var(--text-muted)' }}>
                                     <div style={{ fontSize: 48, marginBottom: 12 }}>🗳️</div>
@@ -546,22 +602,39 @@ export default function App() {
                     </div>
                 )}
 
+                {/* ==================== ANALYTICS TAB ==================== */}
+                {activeTab === 'analytics' && (
+                    <div className="fade-in">
+                        <GovernanceAnalytics viewer={viewer} />
+                    </div>
+                )}
+
                 {/* ==================== PORTFOLIO TAB ==================== */}
                 {activeTab === 'portfolio' && (
                     <div className="fade-in">
                         <div className="section-grid">
+                            {!readOnly && portfolioAccounts.length > 1 && (
+                                <div className="card" style={{ gridColumn: '1 / -1' }}>
+                                    <div className="card-title">
+                                        <div className="card-title-icon" style={{ background: 'rgba(85,70,255,0.15)' }}>👥</div>
+                                        All Accounts ({portfolioAccounts.length})
+                                    </div>
+                                    <PortfolioSummary accounts={portfolioAccounts} activeId={activeId} />
+                                </div>
+                            )}
+
                             <div className="card">
                                 <div className="card-title">
                                     <div className="card-title-icon" style={{ background: 'rgba(46,204,113,0.15)' }}>📈</div>
-                                    Your Activity
+                                    {readOnly ? 'Watched Activity' : 'Your Activity'}
                                 </div>
-                                {wallet ? (
+                                {viewer ? (
                                     <div style={{ display: 'grid', gap: 16 }}>
-                                        <InfoRow label="Wallet Address" value={wallet.address} mono />
-                                        <InfoRow label="Total Deposited" value={`${formatSTX(userStats?.['total-deposited']?.value)} STX`} />
-                                        <InfoRow label="Total Withdrawn" value={`${formatSTX(userStats?.['total-withdrawn']?.value)} STX`} />
-                                        <InfoRow label="Total Rewards Earned" value={`${formatSTX(userStats?.['total-rewards']?.value)} POS-GOV`} />
-                                        <InfoRow label="Deposit Count" value={formatNumber(userStats?.['deposit-count']?.value)} />
+                                        <InfoRow label={readOnly ? 'Watched Address' : 'Wallet Address'} value={viewer.address} mono />
+                                        <InfoRow label="Total Deposited" value={`${formatSTX(userStats?.totalDeposited)} STX`} />
+                                        <InfoRow label="Total Withdrawn" value={`${formatSTX(userStats?.totalWithdrawn)} STX`} />
+                                        <InfoRow label="Total Rewards Earned" value={`${formatSTX(userStats?.totalRewards)} POS-GOV`} />
+                                        <InfoRow label="Deposit Count" value={formatNumber(userStats?.depositCount)} />
                                         <InfoRow label="POS-GOV Balance" value={formatSTX(tokenBalance)} highlight />
                                     </div>
                                 ) : (
@@ -573,6 +646,20 @@ export default function App() {
                                         </button>
                                     </div>
                                 )}
+                                {!readOnly && (
+                                    <form className="watch-form" onSubmit={handleWatch}>
+                                        <input
+                                            id="input-watch-address"
+                                            className="form-input mono"
+                                            placeholder="Watch any address: SP..."
+                                            value={watchInput}
+                                            onChange={(e) => setWatchInput(e.target.value)}
+                                        />
+                                        <button type="submit" className="btn btn-secondary btn-sm" disabled={!watchInput.trim()}>
+                                            👁 Watch
+                                        </button>
+                                    </form>
+                                )}
                             </div>
 
                             <div className="card">
@@ -581,16 +668,32 @@ export default function App() {
                                     Protocol Info
                                 </div>
                                 <div style={{ display: 'grid', gap: 16 }}>
-                                    <InfoRow label="Network" value="Stacks Mainnet" />
-                                    <InfoRow label="Vault Contract" value="vault-core-v2" mono />
-                                    <InfoRow label="Token Contract" value="governance-token" mono />
-                                    <InfoRow label="Voting Contract" value="proposal-voting" mono />
+                                    <InfoRow label="Network" value={`Stacks ${profile.label}`} />
+                                    <InfoRow label="Deployer" value={profile.deployer} mono />
+                                    <InfoRow label="Vault Contract" value={getContracts(profile).VAULT_CORE} mono />
+                                    <InfoRow label="Token Contract" value={getContracts(profile).GOVERNANCE_TOKEN} mono />
+                                    <InfoRow label="Voting Contract" value={getContracts(profile).PROPOSAL_VOTING} mono />
                                     <InfoRow label="Reward Cycle" value="~144 blocks (~1 day)" />
                                     <InfoRow label="Quorum Required" value="10% of total supply" />
                                     <InfoRow label="Voting Period" value="~1,008 blocks (~7 days)" />
                                 </div>
                             </div>
                         </div>
+
+                        {viewer && (
+                            <div className="section-grid">
+                                <div className="card">
+                                    <div className="card-title">
+                                        <div className="card-title-icon" style={{ background: 'rgba(85,70,255,0.15)' }}>🗳️</div>
+                                        Votes Cast
+                                    </div>
+                                    <VoteHistory address={viewer.address} proposals={proposals} />
+                                </div>
+                                <div className="card" style={{ gridColumn: '1 / -1' }}>
+                                    <TransactionHistoryPanel userAddress={viewer.address} readOnly={readOnly} />
+                                </div>
+                            </div>
+                        )}
                     </div>
                 )}
             </main>
@@ -629,9 +732,16 @@ function ProposalItem({ proposal, onVote, onExecute, wallet }) {
         <div className="proposal-item">
             <div className="proposal-header">
                 <div>
-                    <div className="proposal-title">
+                    <a
+                        className="proposal-title proposal-title--link"
+                        href={proposalUrl(proposal.id)}
+                        onClick={(e) => {
+                            e.preventDefault();
+                            openProposal(proposal.id);
+                        }}
+                    >
                         #{proposal.id} — {proposal?.title?.value || 'Untitled'}
-                    </div>
+                    </a>
                 </div>
                 <span className={`proposal-badge badge-${status}`}>
                     {status}
@@ -656,20 +766,7 @@ function ProposalItem({ proposal, onVote, onExecute, wallet }) {
                 <span>End: #{proposal?.['end-block']?.value || '—'}</span>
             </div>
 
-            {/* Actions */}
-            {!isExecuted && wallet && (
-                <div className="vote-actions">
-                    <button className="btn btn-success btn-sm" onClick={() => onVote(proposal.id, true)}>
-                        👍 Vote For
-                    </button>
-                    <button className="btn btn-danger btn-sm" onClick={() => onVote(proposal.id, false)}>
-                        👎 Vote Against
-                    </button>
-                    <button className="btn btn-secondary btn-sm" onClick={() => onExecute(proposal.id)} style={{ marginLeft: 'auto' }}>
-                        ⚙️ Execute
-                    </button>
-                </div>
-            )}
+            <ProposalActions proposal={proposal} wallet={wallet} onVote={onVote} onExecute={onExecute} />
         </div>
     );
 }
@@ -699,3 +796,8 @@ function InfoRow({ label, value, mono, highlight }) {
         </div>
     );
 }
+
+// Rewards can grow by a cycle while the tx waits for a block
+function formatRewardRange({ min, max }) {
+    return min === max ? formatSTX(min) : `${formatSTX(min)}–${formatSTX(max)}`;
+}
@@ -1,11 +1,20 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { explorerTxUrl } from './networks.js';
+import { dismissTransaction } from './txTracker.js';
+import { useTrackedTransactions } from './hooks/useTrackedTransactions.js';
+import { useNetworkProfile } from './hooks/useNetworkProfile.js';
+import { PendingTxActions } from './components/PendingTxActions.jsx';
+import { formatWait, mempoolAge, pendingState } from './utils/mempool.js';
+import { formatMicroStx } from './utils/txFormatters.js';
 
-export default function TransactionToast({ txStatus, onDismiss }) {
+export default function TransactionToast({ txStatus, onDismiss, children }) {
   const [visible, setVisible] = useState(false);
 
   useEffect(() => {
     if (txStatus) {
       setVisible(true);
+      // Pending toasts stay up until their transaction settles
+      if (txStatus.type === 'pending') return undefined;
       const timer = setTimeout(() => {
         setVisible(false);
         onDismiss?.();
@@ -27,9 +36,10 @@ export default function TransactionToast({ txStatus, onDismiss }) {
       <div className="tx-toast__content">
         <strong>{txStatus.title || (isSuccess ? 'Transaction Sent' : 'Transaction Failed')}</strong>
         <p>{txStatus.message}</p>
+        {children}
         {txStatus.txid && (
           <a
-            href={`https://explorer.hiro.so/txid/${txStatus.txid}?chain=mainnet`}
+            href={explorerTxUrl(txStatus.txid, txStatus.profile)}
             target="_blank"
             rel="noopener noreferrer"
             className="tx-toast__link"
@@ -42,3 +52,82 @@ export default function TransactionToast({ txStatus, onDismiss }) {
     </div>
   );
 }
+
+/**
+ * Stack of toasts, one per transaction followed by txTracker.js,
+ * showing each transaction's live state.
+ */
+export function TrackedTransactionToasts() {
+  const transactions = useTrackedTransactions();
+  if (transactions.length === 0) return null;
+
+  return (
+    <div className="tx-toast-stack">
+      {transactions.map((tx) => (
+        <TrackedToast key={tx.txId} tx={tx} />
+      ))}
+    </div>
+  );
+}
+
+function TrackedToast({ tx }) {
+  const profile = useNetworkProfile();
+  // Polls that change nothing visible must not restart the dismiss timer
+  const { status, apiStatus, blockHeight, error } = tx;
+  const txStatus = useMemo(() => toTxStatus(tx), [status, apiStatus, blockHeight, error]);
+  const onDismiss = useCallback(() => dismissTransaction(tx.txId), [tx.txId]);
+  const inMempool = status === 'pending' && apiStatus === 'pending';
+
+  return (
+    <TransactionToast txStatus={txStatus} onDismiss={onDismiss}>
+      {inMempool && (
+        <MempoolDetails tx={tx} replaceable={tx.network === profile.baseId} />
+      )}
+    </TransactionToast>
+  );
+}
+
+// Re-rendered on every poll, so the time in mempool stays current
+function MempoolDetails({ tx, replaceable }) {
+  const mempoolTx = { nonce: tx.nonce, receipt_time: tx.receiptTime };
+  const { stuck, reason } = pendingState(mempoolTx);
+
+  return (
+    <div className="tx-toast__mempool">
+      <span>
+        {formatWait(mempoolAge(mempoolTx))} · nonce {tx.nonce}
+        {tx.fee ? ` · fee ${formatMicroStx(tx.fee)}` : ''}
+      </span>
+      {stuck && <span className="tx-toast__stuck">{reason}</span>}
+      {replaceable && <PendingTxActions txId={tx.txId} />}
+    </div>
+  );
+}
+
+const STATUS_TYPES = {
+  pending: 'pending',
+  confirmed: 'success',
+  aborted: 'error',
+  dropped: 'error',
+};
+
+function toTxStatus(tx) {
+  const type = STATUS_TYPES[tx.status] ?? 'pending';
+  let message;
+  if (tx.status === 'pending') {
+    message = tx.apiStatus === 'pending' ? 'In mempool, waiting for a block…' : 'Broadcasting…';
+  } else if (tx.status === 'confirmed') {
+    message = tx.blockHeight ? `Confirmed in block #${tx.blockHeight}` : 'Confirmed';
+  } else {
+    message = tx.error?.code ? `${tx.error.message} (u${tx.error.code})` : tx.error?.message;
+  }
+
+  return {
+    type,
+    title: tx.label,
+    message,
+    txid: tx.txId,
+    // Explorer link should point at the network the tx was sent to
+    profile: { chain: tx.network, apiUrl: tx.apiUrl },
+  };
+}
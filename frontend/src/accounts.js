@@ -0,0 +1,186 @@
+/**
+ * POSVault — Connected accounts
+ *
+ * Operators can connect several wallet accounts (switch accounts in the
+ * wallet, then "Add account") and pick which one the dApp acts as. Each
+ * account keeps its mainnet and testnet addresses so switching networks
+ * follows along. Accounts are persisted to localStorage; cached vault reads
+ * are per address (see vaultStore.js), so switching back is instant.
+ *
+ * A watched address (`?watch=SP...`) shows any depositor's position
+ * read-only, without a wallet. It lives in the URL so it can be bookmarked,
+ * and takes precedence over the connected accounts while set.
+ */
+
+import { validateStacksAddress } from '@stacks/transactions';
+import { getActiveProfile } from './networks.js';
+
+// ==========================================
+// Configuration
+// ==========================================
+
+const STORAGE_KEY = 'posvault.accounts';
+
+// ==========================================
+// Store
+// ==========================================
+
+let state = { ...loadState(), watchAddress: readWatchParam() };
+const listeners = new Set();
+
+function loadState() {
+    const empty = { accounts: [], activeId: null };
+    if (typeof localStorage === 'undefined') return empty;
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? 'null');
+        if (!stored || !Array.isArray(stored.accounts)) return empty;
+        const activeId = stored.accounts.some((a) => a.id === stored.activeId)
+            ? stored.activeId
+            : stored.accounts[0]?.id ?? null;
+        return { accounts: stored.accounts, activeId };
+    } catch {
+        return empty;
+    }
+}
+
+function commit(next) {
+    state = { ...state, ...next };
+    if (typeof localStorage !== 'undefined') {
+        try {
+            const { accounts, activeId } = state;
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ accounts, activeId }));
+        } catch {
+            // Storage full or disabled: accounts last for this session only
+        }
+    }
+    listeners.forEach((listener) => listener(state));
+}
+
+/**
+ * Snapshot: `{ accounts, activeId, watchAddress }`. Replaced on every change.
+ */
+export function getAccountsState() {
+    return state;
+}
+
+/**
+ * Subscribe to accounts being added, removed or switched.
+ * @param {Function} listener - Called with the new state
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToAccounts(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+// ==========================================
+// Accounts
+// ==========================================
+
+/**
+ * Remember the account a wallet just authenticated and make it active.
+ * Re-connecting a known account only re-activates it.
+ *
+ * @param {object} userData - Result of userSession.loadUserData()
+ * @returns {object|null} The account, or null when the wallet sent no address
+ */
+export function addAccount(userData) {
+    const addresses = {
+        mainnet: userData?.profile?.stxAddress?.mainnet ?? null,
+        testnet: userData?.profile?.stxAddress?.testnet ?? null,
+    };
+    const id = addresses.mainnet ?? addresses.testnet;
+    if (!id) return null;
+
+    const existing = state.accounts.find((a) => a.id === id);
+    const account = existing ?? { id, addresses, connectedAt: Date.now() };
+    commit({
+        accounts: existing ? state.accounts : [...state.accounts, account],
+        activeId: id,
+    });
+    return account;
+}
+
+/**
+ * Forget an account. The next remaining account becomes active.
+ * @param {string} id
+ */
+export function removeAccount(id) {
+    const accounts = state.accounts.filter((a) => a.id !== id);
+    const activeId = state.activeId === id ? accounts[0]?.id ?? null : state.activeId;
+    commit({ accounts, activeId });
+}
+
+/** Forget every account */
+export function clearAccounts() {
+    commit({ accounts: [], activeId: null });
+}
+
+/**
+ * Make a connected account the one the dApp reads and signs as.
+ * @param {string} id
+ */
+export function setActiveAccount(id) {
+    if (state.activeId === id || !state.accounts.some((a) => a.id === id)) return;
+    commit({ activeId: id });
+}
+
+/** The active account, or null when nothing is connected */
+export function getActiveAccount() {
+    return state.accounts.find((a) => a.id === state.activeId) ?? null;
+}
+
+/**
+ * An account's address on a profile's chain
+ * @param {object} account
+ * @param {object} [profile] - Network profile (defaults to the active one)
+ */
+export function accountAddress(account, profile = getActiveProfile()) {
+    return account?.addresses?.[profile.addressChain] ?? null;
+}
+
+// ==========================================
+// Watch Address
+// ==========================================
+
+/**
+ * Whether a string is a well-formed Stacks address (SP/SM/ST/SN...)
+ * @param {string} address
+ */
+export function isValidAddress(address) {
+    try {
+        return typeof address === 'string' && validateStacksAddress(address.trim());
+    } catch {
+        return false;
+    }
+}
+
+function readWatchParam() {
+    if (typeof window === 'undefined') return null;
+    const watch = new URLSearchParams(window.location.search).get('watch');
+    return watch && isValidAddress(watch) ? watch.trim() : null;
+}
+
+/** The address being watched read-only, or null */
+export function getWatchAddress() {
+    return state.watchAddress;
+}
+
+/**
+ * Watch an address read-only, or stop watching with null.
+ * The address is mirrored into the URL (`?watch=`) for bookmarking.
+ * @param {string|null} address
+ */
+export function setWatchAddress(address) {
+    const next = address ? address.trim() : null;
+    if (next && !isValidAddress(next)) throw new Error(`Not a valid Stacks address: ${address}`);
+
+    if (typeof window !== 'undefined') {
+        const url = new URL(window.location.href);
+        if (next) url.searchParams.set('watch', next);
+        else url.searchParams.delete('watch');
+        window.history.replaceState(null, '', url);
+    }
+
+    commit({ watchAddress: next });
+}
@@ -1,9 +1,11 @@
 import { useState } from 'react';
+import { useVaultField } from '../hooks/useVaultData.js';
 
-export function ClaimRewards({ onClaim, pendingRewards, isConnected }) {
+export function ClaimRewards({ onClaim, address }) {
   const [submitting, setSubmitting] = useState(false);
+  const { data: pendingRewards, loading } = useVaultField('pendingRewards', address);
 
-  const hasPending = pendingRewards && Number(pendingRewards) > 0;
+  const hasPending = Number(pendingRewards) > 0;
   const formattedRewards = hasPending
     ? `${(Number(pendingRewards) / 1e6).toFixed(6)} POS-GOV`
     : '0 POS-GOV';
@@ -21,12 +23,12 @@ export function ClaimRewards({ onClaim, pendingRewards, isConnected }) {
     <div className="claim-rewards">
       <h3>Claim Rewards</h3>
       <div className="rewards-info">
-        <span>Pending: {formattedRewards}</span>
+        <span>Pending: {pendingRewards === null && loading ? 'Loading…' : formattedRewards}</span>
       </div>
       <button
         className="btn-claim"
         onClick={handleClaim}
-        disabled={!isConnected || !hasPending || submitting}
+        disabled={!address || !hasPending || submitting}
       >
         {submitting ? 'Claiming...' : 'Claim Rewards'}
       </button>
@@ -0,0 +1,142 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { formatSTX, loadExecutionQueue } from '../stacks.js';
+import { openProposal, proposalUrl } from '../route.js';
+import { onTransactionSettled } from '../txTracker.js';
+import { useNetworkProfile } from '../hooks/useNetworkProfile.js';
+import { useTrackedTransactions } from '../hooks/useTrackedTransactions.js';
+import { useVaultField } from '../hooks/useVaultData.js';
+import { formatBlockDuration } from '../utils/rewardSchedule.js';
+
+const EMPTY_STATE = { proposals: null, loading: true, error: null };
+
+function describeAction(p) {
+  if (p.proposalType === 'reward-rate') return `Reward rate → ${(Number(p.value) / 100).toFixed(2)}%`;
+  if (p.proposalType === 'pause') return 'Toggle pause';
+  return 'Signal only';
+}
+
+/**
+ * Proposals whose voting has closed but which nobody has executed, with
+ * the quorum and pass/fail result execution would record. Any connected
+ * wallet can execute; proposals short of quorum are shown but cannot be.
+ * Re-reads on each new block and after executions settle.
+ *
+ * @param {object|null} viewer - `{ address, readOnly? }`
+ * @param {Function} onExecute - (proposalId)
+ * @param {Function} onConnect
+ */
+export function ExecutionQueue({ viewer, onExecute, onConnect }) {
+  const profile = useNetworkProfile();
+  const sender = viewer?.address ?? null;
+  const readOnly = Boolean(viewer?.readOnly);
+  const { data: vaultInfo } = useVaultField('vaultInfo', sender);
+  const { data: secondsPerBlock } = useVaultField('blockTime', sender);
+  const currentBlock = vaultInfo?.currentBlock ?? null;
+  const tracked = useTrackedTransactions();
+  const [state, setState] = useState(EMPTY_STATE);
+
+  // Results for a network we already left are dropped
+  const loadKey = `${profile.apiUrl}|${profile.deployer}`;
+  const keyRef = useRef(loadKey);
+  keyRef.current = loadKey;
+
+  useEffect(() => {
+    setState(EMPTY_STATE);
+  }, [loadKey]);
+
+  const load = useCallback(() => {
+    const isStale = () => keyRef.current !== loadKey;
+    loadExecutionQueue(sender ?? undefined)
+      .then(({ proposals }) => !isStale() && setState({ proposals, loading: false, error: null }))
+      .catch((error) => !isStale() && setState((s) => ({ ...s, loading: false, error: error.message })));
+  }, [loadKey, sender]);
+
+  useEffect(() => {
+    load();
+  }, [load, currentBlock]);
+
+  useEffect(() => onTransactionSettled((tx) => {
+    if (tx.status === 'confirmed' && (tx.kind === 'execute-proposal' || tx.kind === 'vote')) load();
+  }), [load]);
+
+  const executing = new Set(
+    tracked
+      .filter((tx) => tx.kind === 'execute-proposal' && tx.status === 'pending')
+      .map((tx) => tx.proposalId),
+  );
+
+  const { proposals, error } = state;
+  const ready = proposals?.filter((p) => p.executable).length ?? 0;
+
+  return (
+    <div className="card execution-queue">
+      <div className="card-title">
+        <div className="card-title-icon" style={{ background: 'rgba(46,204,113,0.15)' }}>⚙️</div>
+        Ready to Execute
+        <span style={{ marginLeft: 'auto', fontSize: 13, color: 'var(--text-muted)' }}>
+          {proposals ? `${ready} executable` : ''}
+        </span>
+      </div>
+
+      {!proposals && (
+        <p className="proposal-detail__empty">
+          {error ? `Couldn't load the execution queue: ${error}` : 'Checking for ended proposals…'}
+        </p>
+      )}
+      {proposals?.length === 0 && (
+        <p className="proposal-detail__empty">No ended proposals are waiting to be executed</p>
+      )}
+      {proposals?.length > 0 && (
+        <ul className="execution-queue__list">
+          {proposals.map((p) => {
+            const pending = executing.has(p.id);
+            const waited = Number(p.blocksSinceEnd);
+            return (
+              <li key={p.id} className="execution-queue__item">
+                <div className="execution-queue__main">
+                  <a
+                    className="proposal-title--link"
+                    href={proposalUrl(p.id)}
+                    onClick={(e) => {
+                      e.preventDefault();
+                      openProposal(p.id);
+                    }}
+                  >
+                    #{p.id} — {p.title || 'Untitled'}
+                  </a>
+                  <div className="execution-queue__meta">
+                    {describeAction(p)} · closed {waited.toLocaleString()} blocks ago{' '}
+                    {formatBlockDuration(waited, secondsPerBlock)}
+                  </div>
+                  <div className="execution-queue__meta mono">
+                    {formatSTX(p.votesFor)} for / {formatSTX(p.votesAgainst)} against · quorum {formatSTX(p.quorumNeeded)}
+                  </div>
+                </div>
+                <div className="execution-queue__verdict">
+                  {p.quorumMet ? (
+                    <span className={`proposal-badge badge-${p.passes ? 'passed' : 'failed'}`}>
+                      {p.passes ? 'Will pass' : 'Will be rejected'}
+                    </span>
+                  ) : (
+                    <span className="proposal-badge badge-failed">Quorum not met</span>
+                  )}
+                  {p.executable && (
+                    <button
+                      className="btn btn-secondary btn-sm"
+                      disabled={readOnly || pending}
+                      title={readOnly ? 'Read-only: connect a wallet to execute' : undefined}
+                      onClick={() => (viewer ? onExecute(p.id) : onConnect())}
+                    >
+                      {pending ? 'Executing…' : viewer ? '⚙️ Execute' : '⚡ Connect to Execute'}
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      {proposals && error && <p className="portfolio-summary__warning">Refresh failed: {error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,292 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { governanceAnalyticsToCsv, governanceAnalyticsToJson } from '@posvault/sdk/governance-analytics';
+import { formatAddress, formatSTX, loadGovernanceAnalytics } from '../stacks.js';
+import { explorerAddressUrl, explorerTxUrl } from '../networks.js';
+import { openProposal, proposalUrl } from '../route.js';
+import { useNetworkProfile } from '../hooks/useNetworkProfile.js';
+import { downloadText } from '../utils/download.js';
+
+const EMPTY_STATE = { data: null, loading: true, error: null };
+
+const STATUS_LABELS = {
+  active: 'Voting',
+  'awaiting-execution': 'Ready to execute',
+  passed: 'Passed',
+  rejected: 'Rejected',
+  'failed-quorum': 'Quorum not met',
+};
+
+// Reuses the proposal list's badge colours
+const STATUS_BADGES = {
+  active: 'active',
+  'awaiting-execution': 'pending',
+  passed: 'passed',
+  rejected: 'failed',
+  'failed-quorum': 'failed',
+};
+
+const pct = (value) => `${value.toFixed(2)}%`;
+
+function ProposalLink({ proposal }) {
+  return (
+    <a
+      className="proposal-title--link"
+      href={proposalUrl(proposal.id)}
+      onClick={(e) => {
+        e.preventDefault();
+        openProposal(proposal.id);
+      }}
+    >
+      #{proposal.id} — {proposal.title || 'Untitled'}
+    </a>
+  );
+}
+
+/**
+ * Turnout per proposal as columns against the quorum line, coloured by
+ * outcome, with the running average turnout as a dot on each column.
+ */
+function ParticipationChart({ analytics }) {
+  const { participation, proposals, quorumPercentage } = analytics;
+  // Leave headroom above the quorum line even when turnout is low
+  const scale = Math.max(quorumPercentage * 2, ...participation.map((p) => p.turnoutPct));
+
+  return (
+    <div className="analytics-chart" role="img" aria-label="Turnout per proposal">
+      <div className="analytics-chart__quorum" style={{ bottom: `${(quorumPercentage / scale) * 100}%` }}>
+        <span>quorum {quorumPercentage}%</span>
+      </div>
+      {participation.map((point, i) => (
+        <div
+          key={point.id}
+          className="analytics-chart__column"
+          title={`#${point.id}: ${pct(point.turnoutPct)} turnout, average so far ${pct(point.averageTurnoutPct)}`}
+        >
+          <div
+            className={`analytics-chart__bar analytics-chart__bar--${proposals[i].status}`}
+            style={{ height: `${(point.turnoutPct / scale) * 100}%` }}
+          />
+          <div className="analytics-chart__average" style={{ bottom: `${(point.averageTurnoutPct / scale) * 100}%` }} />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * DAO health report: per-proposal turnout against POS-GOV supply,
+ * outcomes over time, proposals that never reached quorum, the largest
+ * voters and how concentrated voting power is. Exportable as CSV or JSON.
+ *
+ * @param {object|null} viewer - `{ address }`, used as the read-only sender
+ */
+export function GovernanceAnalytics({ viewer }) {
+  const profile = useNetworkProfile();
+  const sender = viewer?.address ?? null;
+  const [state, setState] = useState(EMPTY_STATE);
+
+  // Results for a network we already left are dropped
+  const loadKey = `${profile.apiUrl}|${profile.deployer}`;
+  const keyRef = useRef(loadKey);
+  keyRef.current = loadKey;
+
+  const load = useCallback(() => {
+    const isStale = () => keyRef.current !== loadKey;
+    setState((s) => ({ ...s, loading: true, error: null }));
+    loadGovernanceAnalytics(sender ?? undefined)
+      .then((data) => !isStale() && setState({ data, loading: false, error: null }))
+      .catch((error) => !isStale() && setState((s) => ({ ...s, loading: false, error: error.message })));
+  }, [loadKey, sender]);
+
+  useEffect(() => {
+    setState(EMPTY_STATE);
+  }, [loadKey]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const { data, loading, error } = state;
+  const stamp = `${profile.network}-${new Date().toISOString().slice(0, 10)}`;
+
+  const toolbar = (
+    <div className="analytics-toolbar">
+      <span className="analytics-toolbar__note">
+        {data ? `As of block ${data.currentBlock.toLocaleString()}` : loading ? 'Indexing proposals and votes…' : ''}
+      </span>
+      <button className="btn btn-secondary btn-sm" onClick={load} disabled={loading}>
+        {loading ? 'Loading…' : '↻ Refresh'}
+      </button>
+      <button
+        className="btn btn-secondary btn-sm"
+        disabled={!data}
+        onClick={() => downloadText(`posvault-governance-${stamp}.csv`, governanceAnalyticsToCsv(data), 'text/csv')}
+      >
+        ⬇ CSV
+      </button>
+      <button
+        className="btn btn-secondary btn-sm"
+        disabled={!data}
+        onClick={() => downloadText(`posvault-governance-${stamp}.json`, governanceAnalyticsToJson(data), 'application/json')}
+      >
+        ⬇ JSON
+      </button>
+    </div>
+  );
+
+  if (!data) {
+    return (
+      <div className="card governance-analytics">
+        {toolbar}
+        <p className="proposal-detail__empty">
+          {error ? `Couldn't load governance analytics: ${error}` : 'Loading governance analytics…'}
+        </p>
+      </div>
+    );
+  }
+
+  const { summary, concentration, topVoters, proposals } = data;
+  const failedQuorum = proposals.filter((p) => p.status === 'failed-quorum');
+
+  return (
+    <div className="governance-analytics">
+      <div className="card">
+        {toolbar}
+        {error && <p className="portfolio-summary__warning">Refresh failed: {error}</p>}
+        <div className="portfolio-summary__totals">
+          <div>
+            <div className="stat-label">Proposals</div>
+            <div className="portfolio-summary__value">{summary.proposals}</div>
+            <div className="stat-sub">
+              {summary.passed} passed · {summary.rejected} rejected · {summary.failedQuorum} no quorum
+            </div>
+          </div>
+          <div>
+            <div className="stat-label">Pass Rate</div>
+            <div className="portfolio-summary__value">{pct(summary.passRatePct)}</div>
+            <div className="stat-sub">of executed proposals</div>
+          </div>
+          <div>
+            <div className="stat-label">Average Turnout</div>
+            <div className="portfolio-summary__value">{pct(summary.averageTurnoutPct)}</div>
+            <div className="stat-sub">of {formatSTX(data.totalSupply)} POS-GOV supply</div>
+          </div>
+          <div>
+            <div className="stat-label">Voters</div>
+            <div className="portfolio-summary__value">{summary.uniqueVoters}</div>
+            <div className="stat-sub">{summary.votesCast} votes cast</div>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-title">Participation over time</div>
+        {proposals.length === 0 ? (
+          <p className="proposal-detail__empty">No proposals yet</p>
+        ) : (
+          <>
+            <ParticipationChart analytics={data} />
+            <p className="analytics-note">
+              Columns are turnout per proposal, dots the running average. Turnout is measured
+              against today's supply, the same figure execute-proposal checks quorum against.
+            </p>
+          </>
+        )}
+      </div>
+
+      <div className="section-grid">
+        <div className="card">
+          <div className="card-title">Voting Power Concentration</div>
+          <div className="portfolio-summary__totals">
+            <div>
+              <div className="stat-label">Gini Coefficient</div>
+              <div className="portfolio-summary__value">{concentration.gini.toFixed(3)}</div>
+              <div className="stat-sub">0 = even, 1 = one holder</div>
+            </div>
+            <div>
+              <div className="stat-label">Nakamoto Coefficient</div>
+              <div className="portfolio-summary__value">{concentration.nakamoto}</div>
+              <div className="stat-sub">voters holding a majority</div>
+            </div>
+          </div>
+          <table className="voter-table">
+            <thead>
+              <tr>
+                <th>Voter</th>
+                <th>Votes</th>
+                <th>Weight</th>
+                <th>Share</th>
+              </tr>
+            </thead>
+            <tbody>
+              {topVoters.map((v) => (
+                <tr key={v.voter}>
+                  <td>
+                    <a className="mono" href={explorerAddressUrl(v.voter, profile)} target="_blank" rel="noreferrer" title={v.voter}>
+                      {formatAddress(v.voter)}
+                    </a>
+                  </td>
+                  <td>{v.votesFor} for · {v.votesAgainst} against</td>
+                  <td className="mono">{formatSTX(v.weight)}</td>
+                  <td className="mono">{pct(v.sharePct)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="analytics-note">Weight is each voter's POS-GOV balance at their latest vote.</p>
+        </div>
+
+        <div className="card">
+          <div className="card-title">Failed Quorum ({failedQuorum.length})</div>
+          {failedQuorum.length === 0 ? (
+            <p className="proposal-detail__empty">Every closed proposal reached quorum</p>
+          ) : (
+            <ul className="analytics-list">
+              {failedQuorum.map((p) => (
+                <li key={p.id}>
+                  <ProposalLink proposal={p} />
+                  <span className="mono">
+                    {formatSTX(p.totalVotes)} / {formatSTX(p.quorumNeeded)} ({pct(p.turnoutPct)})
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-title">Proposal History</div>
+        <table className="voter-table">
+          <thead>
+            <tr>
+              <th>Proposal</th>
+              <th>Status</th>
+              <th>Voters</th>
+              <th>For / Against</th>
+              <th>Turnout</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...proposals].reverse().map((p) => (
+              <tr key={p.id}>
+                <td><ProposalLink proposal={p} /></td>
+                <td>
+                  <span className={`proposal-badge badge-${STATUS_BADGES[p.status]}`}>{STATUS_LABELS[p.status]}</span>
+                  {p.executionTxId && (
+                    <a className="analytics-tx" href={explorerTxUrl(p.executionTxId, profile)} target="_blank" rel="noreferrer">
+                      tx ↗
+                    </a>
+                  )}
+                </td>
+                <td>{p.voters}</td>
+                <td className="mono">{formatSTX(p.votesFor)} / {formatSTX(p.votesAgainst)}</td>
+                <td className="mono">{pct(p.turnoutPct)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Marker placed after a list; calls `onVisible` whenever it scrolls into
+ * view and is not already loading. The observer is re-armed after each
+ * load, so a short list keeps filling until the marker leaves the
+ * viewport. Renders a fallback button for browsers without
+ * IntersectionObserver and for keyboard users.
+ *
+ * @param {{ onVisible: Function, disabled?: boolean, loading?: boolean, label?: string }} props
+ */
+export function InfiniteScrollSentinel({ onVisible, disabled = false, loading = false, label = 'Load more' }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const node = ref.current;
+    if (!node || disabled || loading || typeof IntersectionObserver === 'undefined') return undefined;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) onVisible();
+      },
+      { rootMargin: '200px' },
+    );
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [onVisible, disabled, loading]);
+
+  if (disabled) return null;
+
+  return (
+    <div ref={ref} className="infinite-scroll-sentinel">
+      <button type="button" className="btn btn-secondary btn-sm" onClick={onVisible} disabled={loading}>
+        {loading ? 'Loading…' : label}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import { useState } from 'react';
+import { NETWORK_PROFILES, setActiveProfile } from '../networks.js';
+import { useNetworkProfile } from '../hooks/useNetworkProfile.js';
+
+/**
+ * Header badge showing the active network profile. Clicking it opens a
+ * small panel to switch between the built-in profiles or point the dApp
+ * at a custom API URL / deployer.
+ */
+export function NetworkBadge() {
+  const profile = useNetworkProfile();
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(() => toForm(profile));
+
+  const toggle = () => {
+    if (!open) setForm(toForm(profile));
+    setOpen((v) => !v);
+  };
+
+  const apply = (e) => {
+    e.preventDefault();
+    setActiveProfile({
+      network: form.network,
+      apiUrl: form.apiUrl.trim() || undefined,
+      deployer: form.deployer.trim() || undefined,
+    });
+    setOpen(false);
+  };
+
+  const selectBase = (network) => {
+    const base = NETWORK_PROFILES[network];
+    setForm({ network, apiUrl: base.apiUrl, deployer: base.deployer ?? '' });
+  };
+
+  return (
+    <div className="network-badge">
+      <button
+        id="btn-network"
+        type="button"
+        className={`logo-badge network-badge__toggle network-badge__toggle--${profile.baseId}`}
+        onClick={toggle}
+        title={`${profile.apiUrl}\n${profile.deployer ?? 'No deployer configured'}`}
+      >
+        {profile.label}
+      </button>
+
+      {open && (
+        <form className="network-badge__panel card" onSubmit={apply}>
+          <div className="form-group">
+            <label className="form-label">Network</label>
+            <select
+              className="form-input form-select"
+              value={form.network}
+              onChange={(e) => selectBase(e.target.value)}
+            >
+              {Object.values(NETWORK_PROFILES).map((p) => (
+                <option key={p.id} value={p.id}>{p.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label">API URL</label>
+            <input
+              className="form-input"
+              value={form.apiUrl}
+              onChange={(e) => setForm((f) => ({ ...f, apiUrl: e.target.value }))}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Deployer</label>
+            <input
+              className="form-input mono"
+              value={form.deployer}
+              placeholder="SP... / ST..."
+              onChange={(e) => setForm((f) => ({ ...f, deployer: e.target.value }))}
+            />
+          </div>
+          <button type="submit" className="btn btn-primary btn-full">Switch Network</button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+function toForm(profile) {
+  return {
+    network: profile.baseId,
+    apiUrl: profile.apiUrl,
+    deployer: profile.deployer ?? '',
+  };
+}
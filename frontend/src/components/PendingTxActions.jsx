@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import {
+  cancelTransaction,
+  estimateReplacementFees,
+  getTransaction,
+  speedUpTransaction,
+} from '../stacks.js';
+import { trackTransaction } from '../txTracker.js';
+import { decodePOSVaultTx } from '../utils/txDecoder.js';
+import { formatMicroStx, formatTxType } from '../utils/txFormatters.js';
+import '../styles/transaction-history.css';
+
+/**
+ * "Speed up" and "Cancel" for a transaction still in the mempool. Each
+ * opens the node's fee tiers for the replacement; picking one asks the
+ * wallet to sign a same-nonce transaction at that fee, which is then
+ * followed like any other submitted transaction.
+ *
+ * @param {{ tx?: object, txId?: string }} props  The mempool transaction
+ *   as the API returns it, or its id to fetch it on demand
+ */
+export function PendingTxActions({ tx, txId }) {
+  const [action, setAction] = useState(null);
+  const [source, setSource] = useState(tx ?? null);
+  const [fees, setFees] = useState(null);
+  const [error, setError] = useState(null);
+
+  const open = async (next) => {
+    setAction(next);
+    setFees(null);
+    setError(null);
+    try {
+      const pending = source ?? (await getTransaction(txId));
+      if (pending.tx_status !== 'pending') throw new Error('Already left the mempool');
+      setSource(pending);
+      setFees(await estimateReplacementFees(pending, next));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const replace = (fee) => {
+    const decoded = decodePOSVaultTx(source);
+    const label = action === 'cancel'
+      ? `Cancel nonce ${source.nonce}`
+      : `${decoded?.summary ?? formatTxType(source.tx_type)} (sped up)`;
+    const onFinish = (data) => {
+      setAction(null);
+      // A sped-up call changes what the original would have
+      trackTransaction({
+        txId: data.txId,
+        kind: action === 'cancel' ? 'cancel' : source.contract_call?.function_name ?? 'speed-up',
+        label,
+        proposalId: decoded?.proposalId ?? undefined,
+      });
+    };
+    const onCancel = () => setAction(null);
+    try {
+      if (action === 'cancel') cancelTransaction(source, fee, onFinish, onCancel);
+      else speedUpTransaction(source, fee, onFinish, onCancel);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const canSpeedUp = !source || ['contract_call', 'token_transfer'].includes(source.tx_type);
+
+  return (
+    <div className="tx-pending-actions" onClick={(e) => e.stopPropagation()}>
+      {canSpeedUp && (
+        <button className="tx-pending-actions__btn" onClick={() => open('speed-up')} disabled={action === 'speed-up'}>
+          Speed up
+        </button>
+      )}
+      <button className="tx-pending-actions__btn" onClick={() => open('cancel')} disabled={action === 'cancel'}>
+        Cancel
+      </button>
+
+      {action && (
+        <div className="tx-pending-actions__fees">
+          <span className="tx-pending-actions__hint">
+            {action === 'cancel' ? 'Cancel fee:' : 'New fee:'}
+          </span>
+          {!fees && !error && <span className="tx-pending-actions__hint">Estimating…</span>}
+          {fees?.map(({ label, fee }) => (
+            <button key={label} className="tx-pending-actions__fee" onClick={() => replace(fee)}>
+              {label} · {formatMicroStx(fee)}
+            </button>
+          ))}
+          {error && <span className="tx-pending-actions__error">{error}</span>}
+          <button className="tx-pending-actions__close" onClick={() => setAction(null)} aria-label="Close">×</button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import { useVaultField, useVaultFieldForAll } from '../hooks/useVaultData.js';
+import { setActiveAccount } from '../accounts.js';
+
+const formatMicro = (micro) => (Number(micro) / 1e6).toFixed(6);
+
+function sum(states, pick = (data) => data) {
+  return states.reduce((total, s) => total + (s.data ? Number(pick(s.data)) : 0), 0);
+}
+
+/**
+ * Deposits, pending rewards and voting power (POS-GOV balance) summed
+ * across every connected account, with a row per account.
+ *
+ * @param {Array<{ id: string, address: string }>} accounts - Accounts with their address on the active network
+ * @param {string|null} activeId
+ */
+export function PortfolioSummary({ accounts, activeId }) {
+  const addresses = accounts.map((a) => a.address);
+  const deposits = useVaultFieldForAll('deposit', addresses);
+  const rewards = useVaultFieldForAll('pendingRewards', addresses);
+  const balances = useVaultFieldForAll('tokenBalance', addresses);
+  const { data: totalSupply } = useVaultField('totalSupply');
+
+  const totalVotingPower = sum(balances);
+  const share = totalSupply ? (totalVotingPower / totalSupply) * 100 : 0;
+  const failed = [...deposits, ...rewards, ...balances].some((s) => s.error && !s.updatedAt);
+
+  return (
+    <div className="portfolio-summary">
+      <div className="portfolio-summary__totals">
+        <div>
+          <div className="stat-label">Total Deposited</div>
+          <div className="portfolio-summary__value">{formatMicro(sum(deposits, (d) => d.amount))} STX</div>
+        </div>
+        <div>
+          <div className="stat-label">Pending Rewards</div>
+          <div className="portfolio-summary__value">{formatMicro(sum(rewards))} POS-GOV</div>
+        </div>
+        <div>
+          <div className="stat-label">Voting Power</div>
+          <div className="portfolio-summary__value">{formatMicro(totalVotingPower)} POS-GOV</div>
+          <div className="stat-sub">{share.toFixed(2)}% of supply</div>
+        </div>
+      </div>
+
+      {failed && <p className="portfolio-summary__warning">Some accounts could not be read; totals are partial.</p>}
+
+      <table className="portfolio-summary__table">
+        <thead>
+          <tr>
+            <th>Account</th>
+            <th>Deposit (STX)</th>
+            <th>Pending</th>
+            <th>Voting power</th>
+          </tr>
+        </thead>
+        <tbody>
+          {accounts.map((account, i) => (
+            <tr key={account.id} className={account.id === activeId ? 'active' : ''}>
+              <td>
+                <button className="portfolio-summary__account mono" onClick={() => setActiveAccount(account.id)} title={account.address}>
+                  {account.address.slice(0, 6)}...{account.address.slice(-4)}
+                </button>
+              </td>
+              <td className="mono">{cell(deposits[i], (d) => formatMicro(d.amount), '—')}</td>
+              <td className="mono">{cell(rewards[i], formatMicro, '0.000000')}</td>
+              <td className="mono">{cell(balances[i], formatMicro, '0.000000')}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function cell(state, format, empty) {
+  if (!state?.updatedAt) return state?.error ? '!' : '…';
+  return state.data ? format(state.data) : empty;
+}
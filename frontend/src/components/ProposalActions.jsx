@@ -0,0 +1,100 @@
+import { checkExecuteProposal, checkVote, formatSTX } from '../stacks.js';
+import { isExecuted } from '../proposalIndex.js';
+import { usePreflight } from '../hooks/usePreflight.js';
+
+const ALREADY_VOTED = 302;
+
+function tallyKey(proposal) {
+  return ['votes-for', 'votes-against', 'total-voters', 'executed']
+    .map((field) => proposal?.[field]?.value)
+    .join('|');
+}
+
+/**
+ * Vote / Execute buttons for one proposal. Each action is pre-flighted
+ * against the chain first: vote buttons show the weight the vote would
+ * record, and any action the contract would reject is disabled with the
+ * contract's reason.
+ *
+ * @param {object} proposal - From the proposal index
+ * @param {object|null} wallet - `{ address, readOnly? }`
+ * @param {Function} onVote - (proposalId, support)
+ * @param {Function} onExecute - (proposalId)
+ */
+export function ProposalActions({ proposal, wallet, onVote, onExecute }) {
+  const readOnly = Boolean(wallet?.readOnly);
+  const active = Boolean(wallet) && !readOnly && !isExecuted(proposal);
+  // Re-check whenever the tally moves (someone voted, or it was executed)
+  const key = `${wallet?.address}|${proposal.id}|${tallyKey(proposal)}`;
+
+  const vote = usePreflight(active ? () => checkVote(proposal.id, wallet.address) : null, key);
+  // From is-voting-active, not the vote's error code: a wallet without
+  // POS-GOV fails on its balance first but can still execute
+  const votingEnded = vote.check?.votingActive === false;
+  const execute = usePreflight(
+    active && votingEnded ? () => checkExecuteProposal(proposal.id, wallet.address) : null,
+    key,
+  );
+
+  if (!wallet || isExecuted(proposal)) return null;
+
+  const voteCheck = vote.check;
+  const canVote = Boolean(voteCheck?.ok) && !readOnly;
+  const weight = voteCheck ? ` · ${formatSTX(voteCheck.weight)}` : '';
+
+  let reason = null;
+  if (readOnly) reason = 'Read-only: connect a wallet to vote';
+  else if (vote.error) reason = `Couldn't check your vote: ${vote.error}`;
+  else if (voteCheck?.code === ALREADY_VOTED && voteCheck.existingVote) {
+    const { support, amount } = voteCheck.existingVote;
+    reason = `You voted ${support ? 'For' : 'Against'} with ${formatSTX(amount)} POS-GOV`;
+  } else if (votingEnded) {
+    if (execute.error) reason = `Couldn't check execution: ${execute.error}`;
+    else if (execute.check) {
+      reason = execute.check.ok
+        ? `Quorum met — executing will ${execute.check.passed ? 'pass' : 'reject'} it`
+        : execute.check.reason;
+    }
+  } else if (voteCheck && !voteCheck.ok) reason = voteCheck.reason;
+
+  return (
+    <div className="proposal-actions">
+      <div className="vote-actions">
+        {!votingEnded && (
+          <>
+            <button
+              className="btn btn-success btn-sm"
+              onClick={() => onVote(proposal.id, true)}
+              disabled={!canVote}
+              title={reason ?? undefined}
+            >
+              👍 Vote For{weight}
+            </button>
+            <button
+              className="btn btn-danger btn-sm"
+              onClick={() => onVote(proposal.id, false)}
+              disabled={!canVote}
+              title={reason ?? undefined}
+            >
+              👎 Vote Against{weight}
+            </button>
+          </>
+        )}
+        {votingEnded && (
+          <button
+            className="btn btn-secondary btn-sm"
+            onClick={() => onExecute(proposal.id)}
+            disabled={!execute.check?.ok}
+            title={reason ?? undefined}
+          >
+            ⚙️ Execute
+          </button>
+        )}
+      </div>
+      {(vote.loading || execute.loading) && !reason && (
+        <p className="proposal-actions__reason">Checking…</p>
+      )}
+      {reason && <p className="proposal-actions__reason">{reason}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,216 @@
+import { useMemo, useState } from 'react';
+import { checkCreateProposal } from '../stacks.js';
+import { usePreflight } from '../hooks/usePreflight.js';
+import { useVaultField } from '../hooks/useVaultData.js';
+import {
+  DESCRIPTION_MAX_LENGTH,
+  PROPOSAL_TYPES,
+  TITLE_MAX_LENGTH,
+  clarityUtf8Length,
+  previewRewardRate,
+  validateDraft,
+} from '../utils/proposalDraft.js';
+
+const EMPTY_DRAFT = { title: '', description: '', type: 'general', percent: '' };
+
+// proposal-voting's execute-proposal calls this vault, not the profile's
+const GOVERNED_VAULT = 'vault-core-v2';
+
+const formatPosGov = (micro) => (micro / 1e6).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+function formatApy(apy) {
+  if (!Number.isFinite(apy) || apy > 1e6) return '>1,000,000%';
+  return `${apy.toLocaleString(undefined, { maximumFractionDigits: 2 })}%`;
+}
+
+/**
+ * Create-proposal form. Offers only the types the contract accepts,
+ * validates title/description length and type/value the way the contract
+ * does, takes reward rates in percent, and previews a rate change's effect
+ * on APY and emissions before anything is signed.
+ *
+ * @param {object|null} wallet - `{ address, readOnly? }`
+ * @param {Function} onConnect
+ * @param {Function} onSubmit - ({ title, description, type, value }, onSubmitted)
+ * @param {*} [refreshKey] - Changes when proposals change (re-runs the pre-flight)
+ */
+export function ProposalComposer({ wallet, onConnect, onSubmit, refreshKey }) {
+  const readOnly = Boolean(wallet?.readOnly);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const { data: vaultInfo } = useVaultField('vaultInfo', wallet?.address ?? null);
+  const { data: secondsPerBlock } = useVaultField('blockTime', wallet?.address ?? null);
+
+  const validation = useMemo(() => validateDraft(draft), [draft]);
+  const typeInfo = PROPOSAL_TYPES.find((t) => t.id === draft.type);
+  const preview = useMemo(
+    () => (draft.type === 'reward-rate' && vaultInfo && !validation.errors.value
+      ? previewRewardRate(vaultInfo, validation.value, secondsPerBlock)
+      : null),
+    [draft.type, vaultInfo, validation, secondsPerBlock],
+  );
+
+  // Balance and open-proposal checks; type/value is already checked locally
+  const preflight = usePreflight(
+    wallet && !readOnly && validation.ok
+      ? () => checkCreateProposal(wallet.address, draft.type, validation.value)
+      : null,
+    `${wallet?.address}|${draft.type}|${validation.value}|${refreshKey}`,
+    400,
+  );
+  const blocked = preflight.check && !preflight.check.ok ? preflight.check.reason : null;
+
+  const update = (field) => (e) => setDraft((d) => ({ ...d, [field]: e.target.value }));
+
+  const submit = () => {
+    if (!wallet) return onConnect();
+    if (!validation.ok || blocked) return;
+    onSubmit(
+      {
+        title: draft.title.trim(),
+        description: draft.description.trim(),
+        type: draft.type,
+        value: validation.value,
+      },
+      () => setDraft(EMPTY_DRAFT),
+    );
+  };
+
+  const titleLength = clarityUtf8Length(draft.title.trim());
+  const descriptionLength = clarityUtf8Length(draft.description);
+
+  return (
+    <div className="proposal-composer">
+      <div className="form-group">
+        <label className="form-label" htmlFor="input-proposal-title">
+          Title
+          <span className={`composer-count ${titleLength > TITLE_MAX_LENGTH ? 'composer-count--over' : ''}`}>
+            {titleLength}/{TITLE_MAX_LENGTH}
+          </span>
+        </label>
+        <input
+          id="input-proposal-title"
+          type="text"
+          className="form-input"
+          placeholder="Proposal title..."
+          value={draft.title}
+          onChange={update('title')}
+        />
+        {draft.title && validation.errors.title && <p className="composer-error">{validation.errors.title}</p>}
+      </div>
+
+      <div className="form-group">
+        <label className="form-label" htmlFor="input-proposal-desc">
+          Description
+          <span className={`composer-count ${descriptionLength > DESCRIPTION_MAX_LENGTH ? 'composer-count--over' : ''}`}>
+            {descriptionLength}/{DESCRIPTION_MAX_LENGTH}
+          </span>
+        </label>
+        <textarea
+          id="input-proposal-desc"
+          className="form-input form-textarea"
+          placeholder="Describe your proposal..."
+          value={draft.description}
+          onChange={update('description')}
+        />
+        {validation.errors.description && <p className="composer-error">{validation.errors.description}</p>}
+      </div>
+
+      <div className="form-group">
+        <span className="form-label">Type</span>
+        <div className="composer-types" role="radiogroup">
+          {PROPOSAL_TYPES.map((type) => (
+            <button
+              key={type.id}
+              type="button"
+              role="radio"
+              aria-checked={draft.type === type.id}
+              className={`composer-type ${draft.type === type.id ? 'active' : ''}`}
+              onClick={() => setDraft((d) => ({ ...d, type: type.id }))}
+            >
+              {type.label}
+            </button>
+          ))}
+        </div>
+        <p className="composer-hint">{typeInfo?.hint}</p>
+      </div>
+
+      {draft.type === 'reward-rate' && (
+        <div className="form-group">
+          <label className="form-label" htmlFor="input-proposal-rate">New reward rate (% per cycle)</label>
+          <input
+            id="input-proposal-rate"
+            type="text"
+            inputMode="decimal"
+            className="form-input"
+            placeholder={vaultInfo ? String(vaultInfo.rewardRate / 100) : '5'}
+            value={draft.percent}
+            onChange={update('percent')}
+          />
+          {draft.percent && (validation.errors.value
+            ? <p className="composer-error">{validation.errors.value}</p>
+            : <p className="composer-hint">= {String(validation.value)} basis points on-chain</p>)}
+        </div>
+      )}
+
+      {preview && (
+        <div className="composer-preview">
+          <div className="composer-preview__row composer-preview__head">
+            <span />
+            <span>Now</span>
+            <span>If executed</span>
+          </div>
+          <div className="composer-preview__row">
+            <span>Rate per cycle</span>
+            <span className="mono">{(preview.current.rate / 100).toFixed(2)}%</span>
+            <span className="mono">{(preview.next.rate / 100).toFixed(2)}%</span>
+          </div>
+          <div className="composer-preview__row">
+            <span>APY (compounded)</span>
+            <span className="mono">{formatApy(preview.current.apy)}</span>
+            <span className="mono">{formatApy(preview.next.apy)}</span>
+          </div>
+          <div className="composer-preview__row">
+            <span>POS-GOV per cycle</span>
+            <span className="mono">{formatPosGov(preview.current.perCycle)}</span>
+            <span className="mono">{formatPosGov(preview.next.perCycle)}</span>
+          </div>
+          {preview.next.perDay !== null && (
+            <div className="composer-preview__row">
+              <span>POS-GOV per day</span>
+              <span className="mono">{formatPosGov(preview.current.perDay)}</span>
+              <span className="mono">{formatPosGov(preview.next.perDay)}</span>
+            </div>
+          )}
+          <p className="composer-hint">
+            Emissions at the current {formatPosGov(vaultInfo.totalStxLocked)} STX locked.
+          </p>
+        </div>
+      )}
+
+      {draft.type === 'pause' && vaultInfo && (
+        <p className="composer-preview">
+          The vault is currently <strong>{vaultInfo.isPaused ? 'paused' : 'active'}</strong>. Executing
+          toggles whatever the state is at that time.
+        </p>
+      )}
+
+      {draft.type !== 'general' && (
+        <p className="composer-hint">
+          Executed against <span className="mono">{GOVERNED_VAULT}</span>, the vault proposal-voting is wired to.
+        </p>
+      )}
+
+      <button
+        id="btn-create-proposal"
+        className="btn btn-primary btn-full"
+        onClick={submit}
+        disabled={readOnly || (Boolean(wallet) && (!validation.ok || Boolean(blocked)))}
+      >
+        {readOnly ? '👁 Read-only' : wallet ? '🗳️ Submit Proposal' : '⚡ Connect to Propose'}
+      </button>
+      <p className={`composer-footnote ${blocked ? 'composer-error' : 'composer-hint'}`}>
+        {blocked ?? 'Requires minimum 1 POS-GOV token to create a proposal'}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,273 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { QUORUM_PERCENTAGE } from '@posvault/sdk/constants';
+import { formatAddress, formatSTX, getProposalResult } from '../stacks.js';
+import { explorerAddressUrl, explorerTxUrl } from '../networks.js';
+import { isExecuted, loadProposals } from '../proposalIndex.js';
+import { loadProposalVoters } from '../proposalVotes.js';
+import { ProposalActions } from './ProposalActions.jsx';
+import { proposalUrl } from '../route.js';
+import { onTransactionSettled } from '../txTracker.js';
+import { useNetworkProfile } from '../hooks/useNetworkProfile.js';
+import { useVaultField } from '../hooks/useVaultData.js';
+import { formatBlockDuration } from '../utils/rewardSchedule.js';
+
+const uint = (field) => Number(field?.value ?? 0);
+
+const EMPTY_STATE = { proposal: null, result: null, loading: true, error: null };
+const EMPTY_VOTERS = { list: [], loading: true, error: null };
+
+// get-proposal-result returns (ok (tuple ...))
+function parseResult(json) {
+  const v = json?.value?.value;
+  if (!v) return null;
+  return {
+    passed: v.passed?.value === true,
+    executed: v.executed?.value === true,
+    votingEnded: v['voting-ended']?.value === true,
+  };
+}
+
+function describeAction(type, value) {
+  if (type === 'reward-rate') return `Set the reward rate to ${value} bps per cycle (${(value / 100).toFixed(2)}%)`;
+  if (type === 'pause') return 'Toggle the vault pause switch';
+  return value ? `Signal only (value ${value})` : 'Signal only';
+}
+
+/**
+ * Full view of one proposal: description and action, voting window,
+ * quorum progress against live token supply, outcome and every voter.
+ * Re-reads on each new block until the proposal is executed.
+ *
+ * @param {number} proposalId
+ * @param {object|null} viewer - `{ address, readOnly? }`
+ * @param {Function} onVote - (proposalId, support)
+ * @param {Function} onExecute - (proposalId)
+ * @param {Function} onBack
+ */
+export function ProposalDetail({ proposalId, viewer, onVote, onExecute, onBack }) {
+  const profile = useNetworkProfile();
+  const sender = viewer?.address ?? null;
+  const { data: vaultInfo } = useVaultField('vaultInfo', sender);
+  const { data: totalSupply } = useVaultField('totalSupply', sender);
+  const { data: secondsPerBlock } = useVaultField('blockTime', sender);
+  const currentBlock = vaultInfo?.currentBlock ?? null;
+
+  const [state, setState] = useState(EMPTY_STATE);
+  const [voters, setVoters] = useState(EMPTY_VOTERS);
+  const [copied, setCopied] = useState(false);
+
+  // Results for a proposal or network we already left are dropped
+  const loadKey = `${profile.apiUrl}|${profile.deployer}|${proposalId}`;
+  const keyRef = useRef(loadKey);
+  keyRef.current = loadKey;
+
+  useEffect(() => {
+    setState(EMPTY_STATE);
+    setVoters(EMPTY_VOTERS);
+  }, [loadKey]);
+
+  const load = useCallback(() => {
+    const isStale = () => keyRef.current !== loadKey;
+
+    Promise.all([
+      loadProposals([proposalId], sender, profile),
+      getProposalResult(proposalId, sender ?? undefined),
+    ])
+      .then(([{ proposals, failures }, result]) => {
+        if (isStale()) return;
+        if (!proposals[0]) {
+          const reason = failures[0]?.error ?? `Proposal #${proposalId} does not exist`;
+          setState((s) => ({ ...s, loading: false, error: reason }));
+          return;
+        }
+        setState({ proposal: proposals[0], result: parseResult(result), loading: false, error: null });
+      })
+      .catch((error) => !isStale() && setState((s) => ({ ...s, loading: false, error: error.message })));
+
+    loadProposalVoters(proposalId, profile)
+      .then((list) => !isStale() && setVoters({ list, loading: false, error: null }))
+      .catch((error) => !isStale() && setVoters((v) => ({ ...v, loading: false, error: error.message })));
+  }, [loadKey, proposalId, sender, profile]);
+
+  const executed = isExecuted(state.proposal);
+
+  // Initial read, then once per new block until the proposal is executed
+  useEffect(() => {
+    if (!executed) load();
+  }, [load, currentBlock, executed]);
+
+  useEffect(() => onTransactionSettled((tx) => {
+    if (tx.status === 'confirmed' && tx.proposalId === proposalId) load();
+  }), [load, proposalId]);
+
+  const copyLink = () => {
+    navigator.clipboard?.writeText(proposalUrl(proposalId)).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    });
+  };
+
+  const header = (
+    <div className="proposal-detail__nav">
+      <button className="btn btn-secondary btn-sm" onClick={onBack}>← All proposals</button>
+      <button className="btn btn-secondary btn-sm" onClick={copyLink}>
+        {copied ? '✓ Link copied' : '🔗 Copy link'}
+      </button>
+    </div>
+  );
+
+  if (!state.proposal) {
+    return (
+      <div className="card proposal-detail">
+        {header}
+        <p className="proposal-detail__empty">
+          {state.error ? `Couldn't load proposal #${proposalId}: ${state.error}` : 'Loading proposal…'}
+        </p>
+      </div>
+    );
+  }
+
+  const p = state.proposal;
+  const type = p['proposal-type']?.value || 'general';
+  const value = uint(p.value);
+  const startBlock = uint(p['start-block']);
+  const endBlock = uint(p['end-block']);
+  const votesFor = uint(p['votes-for']);
+  const votesAgainst = uint(p['votes-against']);
+  const totalVoters = uint(p['total-voters']);
+  const totalVotes = votesFor + votesAgainst;
+  const forPercent = totalVotes > 0 ? (votesFor / totalVotes) * 100 : 50;
+
+  const quorumNeeded = totalSupply === null ? null : Math.floor((totalSupply * QUORUM_PERCENTAGE) / 100);
+  const quorumMet = quorumNeeded !== null && totalVotes >= quorumNeeded;
+  const quorumPercent = quorumNeeded ? Math.min(100, (totalVotes / quorumNeeded) * 100) : 100;
+
+  // Votes are accepted up to and including end-block; execution after it
+  const votingEnded = state.result?.votingEnded ?? (currentBlock !== null && currentBlock > endBlock);
+  const blocksLeft = currentBlock === null ? null : Math.max(0, endBlock - currentBlock);
+  const elapsed = currentBlock === null ? 0 : Math.min(1, Math.max(0, (currentBlock - startBlock) / (endBlock - startBlock || 1)));
+  const passed = executed ? p.passed?.value === true : state.result?.passed ?? votesFor > votesAgainst;
+
+  let status;
+  if (executed) status = passed ? { badge: 'passed', text: 'Executed — passed' } : { badge: 'failed', text: 'Executed — rejected' };
+  else if (!votingEnded) status = { badge: 'active', text: 'Voting open' };
+  else if (quorumMet) status = { badge: 'active', text: `Ready to execute — will ${passed ? 'pass' : 'be rejected'}` };
+  else status = { badge: 'failed', text: 'Quorum not met — cannot be executed' };
+
+  const indexedVotes = voters.list.length;
+
+  return (
+    <div className="card proposal-detail">
+      {header}
+
+      <div className="proposal-header">
+        <div className="proposal-title">#{p.id} — {p.title?.value || 'Untitled'}</div>
+        <span className={`proposal-badge badge-${status.badge}`}>{status.text}</span>
+      </div>
+      <p className="proposal-detail__description">{p.description?.value || 'No description'}</p>
+
+      <dl className="proposal-detail__facts">
+        <div><dt>Type</dt><dd>{type}</dd></div>
+        <div><dt>Value</dt><dd className="mono">{value}</dd></div>
+        <div><dt>Action</dt><dd>{describeAction(type, value)}</dd></div>
+        <div>
+          <dt>Proposer</dt>
+          <dd className="mono">
+            <a href={explorerAddressUrl(p.proposer?.value, profile)} target="_blank" rel="noopener noreferrer">
+              {formatAddress(p.proposer?.value)}
+            </a>
+          </dd>
+        </div>
+      </dl>
+
+      <section className="proposal-detail__section">
+        <div className="proposal-detail__row">
+          <span className="stat-label">Voting window</span>
+          <span className="mono">#{startBlock.toLocaleString()} → #{endBlock.toLocaleString()}</span>
+        </div>
+        <div className="reward-countdown__bar" role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(elapsed * 100)}>
+          <div style={{ width: `${elapsed * 100}%` }} />
+        </div>
+        <p className="proposal-detail__hint">
+          {blocksLeft === null
+            ? 'Waiting for the current block…'
+            : votingEnded
+              ? `Voting ended at #${endBlock.toLocaleString()}`
+              : `${blocksLeft} blocks left ${formatBlockDuration(blocksLeft, secondsPerBlock)} · now #${currentBlock.toLocaleString()}`}
+        </p>
+      </section>
+
+      <section className="proposal-detail__section">
+        <div className="proposal-detail__row">
+          <span className="text-green">For: {formatSTX(votesFor)}</span>
+          <span className="text-red">Against: {formatSTX(votesAgainst)}</span>
+        </div>
+        <div className="vote-bar">
+          <div className="vote-bar-fill" style={{ width: `${forPercent}%` }} />
+        </div>
+      </section>
+
+      <section className="proposal-detail__section">
+        <div className="proposal-detail__row">
+          <span className="stat-label">Quorum ({QUORUM_PERCENTAGE}% of supply)</span>
+          <span className="mono">
+            {formatSTX(totalVotes)} / {quorumNeeded === null ? '—' : formatSTX(quorumNeeded)} POS-GOV
+          </span>
+        </div>
+        <div
+          className={`quorum-bar ${quorumMet ? 'quorum-bar--met' : ''}`}
+          role="progressbar"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={Math.round(quorumPercent)}
+        >
+          <div style={{ width: `${quorumPercent}%` }} />
+        </div>
+        <p className="proposal-detail__hint">
+          {quorumNeeded === null
+            ? 'Loading token supply…'
+            : quorumMet
+              ? 'Quorum reached'
+              : `${formatSTX(quorumNeeded - totalVotes)} POS-GOV more needed against the current supply`}
+        </p>
+      </section>
+
+      <ProposalActions proposal={p} wallet={viewer} onVote={onVote} onExecute={onExecute} />
+
+      <section className="proposal-detail__section">
+        <div className="proposal-detail__row">
+          <span className="stat-label">Voters</span>
+          <span>
+            {indexedVotes === totalVoters ? totalVoters : `${indexedVotes} of ${totalVoters} indexed`}
+          </span>
+        </div>
+        {voters.error && <p className="proposal-detail__hint">Couldn't load vote events: {voters.error}</p>}
+        {voters.loading && indexedVotes === 0 ? (
+          <p className="proposal-detail__hint">Loading votes…</p>
+        ) : indexedVotes === 0 ? (
+          <p className="proposal-detail__hint">No votes yet.</p>
+        ) : (
+          <table className="voter-table">
+            <thead>
+              <tr><th>Voter</th><th>Side</th><th>Weight</th><th>Share</th></tr>
+            </thead>
+            <tbody>
+              {voters.list.map((vote) => (
+                <tr key={vote.txId}>
+                  <td className="mono">
+                    <a href={explorerTxUrl(vote.txId, profile)} target="_blank" rel="noopener noreferrer" title={vote.voter}>
+                      {formatAddress(vote.voter)}
+                    </a>
+                  </td>
+                  <td className={vote.support ? 'text-green' : 'text-red'}>{vote.support ? 'For' : 'Against'}</td>
+                  <td className="mono">{formatSTX(vote.weight)}</td>
+                  <td className="mono">{totalVotes > 0 ? ((vote.weight / totalVotes) * 100).toFixed(2) : '0.00'}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -1,48 +1,188 @@
-import { useState, useMemo } from 'react';
-
-export function RewardCalculator({ rewardRate }) {
-  const [stxAmount, setStxAmount] = useState('1');
-  const [days, setDays] = useState('30');
-
-  const estimate = useMemo(() => {
-    const stx = parseFloat(stxAmount) || 0;
-    const numDays = parseInt(days) || 0;
-    const rate = Number(rewardRate) || 100;
-    const cycles = numDays; // ~1 cycle per day (144 blocks)
-    const rewardsPerCycle = (stx * 1_000_000 * rate) / 10000;
-    const totalRewards = rewardsPerCycle * cycles;
-    return (totalRewards / 1_000_000).toFixed(6);
-  }, [stxAmount, days, rewardRate]);
+import { useMemo, useState } from 'react';
+import { REWARD_CYCLE_LENGTH } from '@posvault/sdk/constants';
+import { simulateRewards } from '@posvault/sdk/calculations';
+import { useVaultField } from '../hooks/useVaultData.js';
+import {
+  blocksUntilDate,
+  formatBlockDuration,
+  parseStxToMicro,
+  pendingRateChanges,
+} from '../utils/rewardSchedule.js';
+
+const CADENCES = [
+  { value: 0, label: 'Hold (claim at the end)' },
+  { value: 1, label: 'Claim every cycle' },
+  { value: 7, label: 'Claim every 7 cycles' },
+  { value: 30, label: 'Claim every 30 cycles' },
+];
+
+const SCENARIO_COLORS = ['var(--accent-orange)', 'var(--accent-blue-light)', 'var(--accent-green)', 'var(--accent-purple)'];
+
+const formatReward = (micro) => (Number(micro) / 1e6).toFixed(6);
+
+/**
+ * POS-GOV projection using the contract's cycle math (SDK `simulateRewards`).
+ * Reward-rate proposals that have not been executed are shown as what-if
+ * scenarios starting at the first block they could be executed.
+ *
+ * @param {object[]} [proposals] - From the proposal index, for what-if scenarios
+ */
+export function RewardCalculator({ proposals }) {
+  const { data: vaultInfo } = useVaultField('vaultInfo');
+  const { data: secondsPerBlock } = useVaultField('blockTime');
+
+  const [stxAmount, setStxAmount] = useState('1000');
+  const [horizonMode, setHorizonMode] = useState('blocks');
+  const [horizonBlocks, setHorizonBlocks] = useState(String(REWARD_CYCLE_LENGTH * 30));
+  const [horizonDate, setHorizonDate] = useState('');
+  const [cadence, setCadence] = useState(0);
+  const [claimDelay, setClaimDelay] = useState('6');
+
+  const blocks = horizonMode === 'date'
+    ? (horizonDate ? blocksUntilDate(new Date(horizonDate), secondsPerBlock) : null)
+    : Math.max(0, parseInt(horizonBlocks) || 0);
+
+  const scenarios = useMemo(() => {
+    if (!vaultInfo || blocks === null) return [];
+    const input = {
+      depositAmount: parseStxToMicro(stxAmount),
+      rewardRate: BigInt(vaultInfo.rewardRate),
+      startBlock: BigInt(vaultInfo.currentBlock),
+      endBlock: BigInt(vaultInfo.currentBlock + blocks),
+      claimEveryCycles: cadence,
+      claimDelayBlocks: BigInt(Math.max(0, parseInt(claimDelay) || 0)),
+      samples: 60,
+    };
+    const current = { key: 'current', label: `Current rate (${vaultInfo.rewardRate} bp)`, ...simulateRewards(input) };
+    const whatIfs = pendingRateChanges(proposals).map((change) => ({
+      key: `proposal-${change.id}`,
+      label: `#${change.id} → ${change.rate} bp from #${change.block}`,
+      title: change.title,
+      ...simulateRewards({ ...input, rateChanges: [{ block: change.block, rate: change.rate }] }),
+    }));
+    return [current, ...whatIfs];
+  }, [vaultInfo, blocks, stxAmount, cadence, claimDelay, proposals]);
 
   return (
-    <div className="reward-calculator">
-      <h3>Reward Estimator</h3>
+    <div className="card reward-calculator">
+      <div className="card-title">
+        <div className="card-title-icon" style={{ background: 'rgba(247,147,26,0.15)' }}>🧮</div>
+        Reward Calculator
+      </div>
+
       <div className="calc-inputs">
-        <div className="calc-field">
-          <label>Deposit (STX)</label>
+        <div className="form-group">
+          <label className="form-label">Deposit (STX)</label>
           <input
             type="number"
+            className="form-input"
             value={stxAmount}
             onChange={(e) => setStxAmount(e.target.value)}
             min="0"
-            step="0.1"
+            step="0.000001"
           />
         </div>
-        <div className="calc-field">
-          <label>Duration (days)</label>
+
+        <div className="form-group">
+          <label className="form-label">
+            Horizon{' '}
+            <select className="calc-inline-select" value={horizonMode} onChange={(e) => setHorizonMode(e.target.value)}>
+              <option value="blocks">in blocks</option>
+              <option value="date" disabled={!secondsPerBlock}>until date</option>
+            </select>
+          </label>
+          {horizonMode === 'blocks' ? (
+            <input
+              type="number"
+              className="form-input"
+              value={horizonBlocks}
+              onChange={(e) => setHorizonBlocks(e.target.value)}
+              min="0"
+              step={REWARD_CYCLE_LENGTH}
+            />
+          ) : (
+            <input
+              type="date"
+              className="form-input"
+              value={horizonDate}
+              onChange={(e) => setHorizonDate(e.target.value)}
+            />
+          )}
+          <p className="calc-hint">
+            {blocks === null
+              ? 'Pick a date'
+              : `${blocks.toLocaleString()} blocks · ${Math.floor(blocks / REWARD_CYCLE_LENGTH)} cycles ${formatBlockDuration(blocks, secondsPerBlock)}`}
+          </p>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Claim cadence</label>
+          <select className="form-input" value={cadence} onChange={(e) => setCadence(Number(e.target.value))}>
+            {CADENCES.map((c) => <option key={c.value} value={c.value}>{c.label}</option>)}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Claim delay (blocks)</label>
           <input
             type="number"
-            value={days}
-            onChange={(e) => setDays(e.target.value)}
-            min="1"
-            max="365"
+            className="form-input"
+            value={claimDelay}
+            onChange={(e) => setClaimDelay(e.target.value)}
+            min="0"
+            disabled={cadence === 0}
           />
+          <p className="calc-hint">Blocks between a cycle ending and your claim confirming</p>
         </div>
       </div>
-      <div className="calc-result">
-        <span>Estimated POS-GOV rewards:</span>
-        <strong>{estimate} POS-GOV</strong>
-      </div>
+
+      {!vaultInfo ? (
+        <p className="calc-hint">Loading vault reward rate…</p>
+      ) : (
+        <>
+          <ul className="calc-scenarios">
+            {scenarios.map((s, i) => (
+              <li key={s.key} title={s.title}>
+                <span className="calc-swatch" style={{ background: SCENARIO_COLORS[i % SCENARIO_COLORS.length] }} />
+                <span className="calc-scenario-label">{s.label}</span>
+                <strong className="mono">{formatReward(s.total)} POS-GOV</strong>
+                {s.claims.length > 0 && <span className="calc-hint">{s.claims.length} claims</span>}
+              </li>
+            ))}
+          </ul>
+          <RewardChart scenarios={scenarios} />
+        </>
+      )}
     </div>
   );
 }
+
+/** Cumulative POS-GOV (claimed + pending) per scenario over the horizon */
+function RewardChart({ scenarios }) {
+  const width = 600;
+  const height = 180;
+  const series = scenarios.map((s) => s.series);
+  const points = series.flat();
+  if (points.length < 2) return null;
+
+  const minBlock = Number(points[0].block);
+  const maxBlock = Math.max(...points.map((p) => Number(p.block)));
+  const maxValue = Math.max(1, ...points.map((p) => Number(p.cumulative)));
+  const x = (block) => ((Number(block) - minBlock) / Math.max(1, maxBlock - minBlock)) * width;
+  const y = (value) => height - (Number(value) / maxValue) * height;
+
+  return (
+    <svg className="calc-chart" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" role="img" aria-label="Cumulative POS-GOV over time">
+      {series.map((line, i) => (
+        <polyline
+          key={scenarios[i].key}
+          fill="none"
+          stroke={SCENARIO_COLORS[i % SCENARIO_COLORS.length]}
+          strokeWidth="2"
+          vectorEffect="non-scaling-stroke"
+          points={line.map((p) => `${x(p.block)},${y(p.cumulative)}`).join(' ')}
+        />
+      ))}
+    </svg>
+  );
+}
@@ -0,0 +1,64 @@
+import { useMemo } from 'react';
+import { REWARD_CYCLE_LENGTH } from '@posvault/sdk/constants';
+import { useVaultField } from '../hooks/useVaultData.js';
+import { buildRewardSchedule, formatBlockDuration } from '../utils/rewardSchedule.js';
+
+const formatReward = (micro) => (Number(micro) / 1e6).toFixed(6);
+
+/**
+ * Live countdown to the next reward cycle and projected rewards for the
+ * connected deposit. Re-computes whenever the vault store sees a new block.
+ */
+export function RewardCountdown({ address }) {
+  const { data: deposit } = useVaultField('deposit', address);
+  const { data: vaultInfo } = useVaultField('vaultInfo', address);
+  const { data: secondsPerBlock } = useVaultField('blockTime', address);
+
+  const schedule = useMemo(
+    () => (deposit && vaultInfo ? buildRewardSchedule(deposit, vaultInfo) : null),
+    [deposit, vaultInfo],
+  );
+
+  if (!schedule) return null;
+
+  const elapsed = REWARD_CYCLE_LENGTH - schedule.blocksUntilNextCycle;
+  const claimable = schedule.firstClaimableBlock;
+  const blocksToClaim = claimable === null ? null : claimable - schedule.currentBlock;
+
+  return (
+    <div className="reward-countdown">
+      <div className="reward-countdown__header">
+        <span className="stat-label">Next reward cycle</span>
+        <span className="mono">block #{schedule.currentBlock.toLocaleString()}</span>
+      </div>
+      <div
+        className="reward-countdown__bar"
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={REWARD_CYCLE_LENGTH}
+        aria-valuenow={elapsed}
+      >
+        <div style={{ width: `${(elapsed / REWARD_CYCLE_LENGTH) * 100}%` }} />
+      </div>
+      <p className="reward-countdown__eta">
+        {schedule.blocksUntilNextCycle} blocks {formatBlockDuration(schedule.blocksUntilNextCycle, secondsPerBlock)}
+        {' '}· at #{schedule.nextCycleBlock.toLocaleString()}
+      </p>
+      <p className="reward-countdown__claim">
+        {claimable === null
+          ? 'Rewards are disabled (reward rate is 0)'
+          : blocksToClaim <= 0
+            ? 'Rewards are claimable now'
+            : `First non-zero claim at #${claimable.toLocaleString()} (${blocksToClaim} blocks ${formatBlockDuration(blocksToClaim, secondsPerBlock)})`}
+      </p>
+      <ul className="reward-countdown__projections">
+        {schedule.projections.map((p) => (
+          <li key={p.cycles}>
+            <span>+{p.cycles} cycle{p.cycles === 1 ? '' : 's'} <span className="mono">#{p.block.toLocaleString()}</span></span>
+            <span className="mono">{formatReward(p.rewards)} POS-GOV</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -1,12 +1,15 @@
 /**
  * Filter bar for the transaction history view.
- * Allows filtering by tx type and status.
+ * Allows filtering by tx type and status, and limiting the list to
+ * POSVault contract calls.
  */
 export function TransactionFilters({
   typeFilter,
   statusFilter,
+  scope = 'all',
   onTypeChange,
   onStatusChange,
+  onScopeChange,
 }) {
   return (
     <div className="tx-filters">
@@ -37,6 +40,20 @@ export function TransactionFilters({
           <option value="failed">Failed</option>
         </select>
       </label>
+
+      {onScopeChange && (
+        <label className="tx-filters__label">
+          Contracts
+          <select
+            className="tx-filters__select"
+            value={scope}
+            onChange={(e) => onScopeChange(e.target.value)}
+          >
+            <option value="all">All Activity</option>
+            <option value="posvault">POSVault Only</option>
+          </select>
+        </label>
+      )}
     </div>
   );
 }
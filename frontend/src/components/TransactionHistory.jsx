@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { explorerTxUrl } from '../networks.js';
 
 export function TransactionHistory({ userAddress, stacksApi }) {
   const [transactions, setTransactions] = useState([]);
@@ -28,7 +29,7 @@ export function TransactionHistory({ userAddress, stacksApi }) {
             <li key={tx.tx_id} className="tx-item">
               <span className={`tx-status tx-${tx.tx_status}`}>{tx.tx_status}</span>
               <a
-                href={`https://explorer.hiro.so/txid/${tx.tx_id}?chain=mainnet`}
+                href={explorerTxUrl(tx.tx_id)}
                 target="_blank"
                 rel="noopener noreferrer"
                 className="tx-link"
@@ -1,33 +1,114 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { useTransactionHistory } from '../hooks/useTransactionHistory.js';
+import { useMempool } from '../hooks/useMempool.js';
 import { TransactionRow } from './TransactionRow.jsx';
 import { TransactionFilters } from './TransactionFilters.jsx';
-import { computeTxStats } from '../utils/txStats.js';
-import { formatMicroStx } from '../utils/txFormatters.js';
+import { TransactionStats } from './TransactionStats.jsx';
+import {
+  buildTxExport,
+  computeTxStats,
+  txExportToCoinTrackerCsv,
+  txExportToCsv,
+  txExportToJson,
+  txExportToKoinlyCsv,
+} from '../utils/txStats.js';
+import { fetchFullTxHistory } from '../utils/txHistoryQuery.js';
+import { downloadText } from '../utils/download.js';
+import { useNetworkProfile } from '../hooks/useNetworkProfile.js';
+import '../styles/transaction-history.css';
+
+const EXPORT_FORMATS = {
+  csv: { label: 'CSV', ext: 'csv', type: 'text/csv' },
+  json: { label: 'JSON', ext: 'json', type: 'application/json' },
+  koinly: { label: 'Koinly CSV', ext: 'koinly.csv', type: 'text/csv' },
+  cointracker: { label: 'CoinTracker CSV', ext: 'cointracker.csv', type: 'text/csv' },
+};
 
 /**
- * Full transaction history panel with filtering, pagination,
- * and error handling.
+ * Full transaction history panel with server-side filtering, pagination,
+ * and error handling. The POSVault scope limits it to calls to the
+ * profile's vault-core, governance-token and proposal-voting contracts.
+ * Export walks the whole history, ignoring the filters, and saves it as
+ * CSV, JSON or a Koinly / CoinTracker import file.
+ *
+ * Transactions still in the mempool are listed above the history (which
+ * holds confirmed ones only), with speed-up / cancel unless the panel is
+ * showing a watched address.
+ *
+ * Defaults to the API and explorer of the active network profile.
  *
- * @param {{ userAddress: string|null, apiBaseUrl?: string, network?: string }} props
+ * @param {{ userAddress: string|null, apiBaseUrl?: string, network?: object|string, readOnly?: boolean }} props
  */
 export function TransactionHistoryPanel({
   userAddress,
-  apiBaseUrl = 'https://api.hiro.so',
-  network = 'mainnet',
+  apiBaseUrl,
+  network,
+  readOnly = false,
 }) {
+  const profile = useNetworkProfile();
+  const apiUrl = apiBaseUrl ?? profile.apiUrl;
+  const explorerNetwork = network ?? profile;
+  const posvaultContracts = useMemo(
+    () => Object.values(profile.contracts).map((c) => `${profile.deployer}.${c.name}`),
+    [profile],
+  );
   const {
     transactions,
-    allTransactions,
     loading,
     error,
     hasMore,
     typeFilter,
     statusFilter,
+    scope,
     setTypeFilter,
     setStatusFilter,
+    setScope,
     loadMore,
     refresh,
-  } = useTransactionHistory(userAddress, apiBaseUrl);
+  } = useTransactionHistory(userAddress, apiUrl, { posvaultContracts });
+  const mempool = useMempool(userAddress, apiUrl);
+  // The pending filter already lists the mempool
+  const showMempool = statusFilter !== 'pending' && mempool.transactions.length > 0;
+  const filtered = typeFilter !== 'all' || statusFilter !== 'all' || scope !== 'all';
+  const stats = useMemo(
+    () => (transactions.length > 0 ? computeTxStats(transactions, { network: explorerNetwork }) : null),
+    [transactions, explorerNetwork],
+  );
+
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exporting, setExporting] = useState(null);
+  const [exportError, setExportError] = useState(null);
+  const exportRef = useRef(null);
+
+  // An export in flight is for the address and network it started with
+  useEffect(() => () => exportRef.current?.abort(), [userAddress, apiUrl]);
+
+  const runExport = async () => {
+    const controller = new AbortController();
+    exportRef.current = controller;
+    setExporting(0);
+    setExportError(null);
+    try {
+      const txs = await fetchFullTxHistory(userAddress, apiUrl, {
+        signal: controller.signal,
+        onProgress: (count) => !controller.signal.aborted && setExporting(count),
+      });
+      const records = buildTxExport(txs, userAddress, explorerNetwork);
+      const format = EXPORT_FORMATS[exportFormat];
+      const content = exportFormat === 'json'
+        ? txExportToJson(records, { address: userAddress, network: profile.baseId })
+        : exportFormat === 'koinly'
+          ? txExportToKoinlyCsv(records)
+          : exportFormat === 'cointracker'
+            ? txExportToCoinTrackerCsv(records)
+            : txExportToCsv(records);
+      downloadText(`posvault-history-${userAddress}.${format.ext}`, content, format.type);
+    } catch (err) {
+      if (err.name !== 'AbortError') setExportError(err.message);
+    } finally {
+      if (exportRef.current === controller) setExporting(null);
+    }
+  };
 
   if (!userAddress) {
     return (
@@ -41,21 +122,50 @@ export function TransactionHistoryPanel({
     <div className="tx-panel">
       <div className="tx-panel__header">
         <h3>Transaction History</h3>
-        <button
-          className="tx-panel__refresh"
-          onClick={refresh}
-          disabled={loading}
-          title="Refresh transactions"
-        >
-          ↻
-        </button>
+        <div className="tx-panel__actions">
+          <select
+            className="tx-filters__select"
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            disabled={exporting !== null}
+            aria-label="Export format"
+          >
+            {Object.entries(EXPORT_FORMATS).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button
+            className="tx-panel__export"
+            onClick={runExport}
+            disabled={exporting !== null}
+            title="Download the full history, ignoring filters"
+          >
+            {exporting !== null ? `Exporting… ${exporting}` : 'Export'}
+          </button>
+          <button
+            className="tx-panel__refresh"
+            onClick={() => { refresh(); mempool.refresh(); }}
+            disabled={loading}
+            title="Refresh transactions"
+          >
+            ↻
+          </button>
+        </div>
       </div>
 
+      {exportError && (
+        <div className="tx-panel__error" role="alert">
+          Export failed: {exportError}
+        </div>
+      )}
+
       <TransactionFilters
         typeFilter={typeFilter}
         statusFilter={statusFilter}
+        scope={scope}
         onTypeChange={setTypeFilter}
         onStatusChange={setStatusFilter}
+        onScopeChange={setScope}
       />
 
       {error && (
@@ -64,25 +174,32 @@ export function TransactionHistoryPanel({
         </div>
       )}
 
-      {allTransactions.length > 0 && (() => {
-        const stats = computeTxStats(allTransactions);
-        return (
-          <div className="tx-panel__stats">
-            <span>{stats.confirmed} confirmed</span>
-            <span>{stats.pending} pending</span>
-            <span>{stats.failed} failed</span>
-            <span>Fees: {formatMicroStx(stats.totalFees)}</span>
-          </div>
-        );
-      })()}
+      {stats && <TransactionStats stats={stats} />}
+
+      {showMempool && (
+        <div className="tx-panel__mempool">
+          <h4>In mempool ({mempool.transactions.length})</h4>
+          <ul className="tx-panel__list">
+            {mempool.transactions.map((tx) => (
+              <TransactionRow
+                key={tx.tx_id}
+                tx={tx}
+                network={explorerNetwork}
+                nonces={mempool.nonces}
+                replaceable={!readOnly}
+              />
+            ))}
+          </ul>
+        </div>
+      )}
 
       <div className="tx-panel__count">
-        Showing {transactions.length} of {allTransactions.length} transactions
+        Showing {transactions.length}{hasMore ? '+' : ''} {filtered ? 'matching ' : ''}transactions
       </div>
 
-      {transactions.length === 0 && !loading && (
+      {transactions.length === 0 && !loading && !hasMore && (
         <p className="tx-panel__empty-msg">
-          {allTransactions.length > 0
+          {filtered
             ? 'No transactions match the current filters.'
             : 'No transactions found for this address.'}
         </p>
@@ -90,7 +207,13 @@ export function TransactionHistoryPanel({
 
       <ul className="tx-panel__list">
         {transactions.map((tx) => (
-          <TransactionRow key={tx.tx_id} tx={tx} network={network} />
+          <TransactionRow
+            key={tx.tx_id}
+            tx={tx}
+            network={explorerNetwork}
+            nonces={mempool.nonces}
+            replaceable={!readOnly}
+          />
         ))}
       </ul>
 
@@ -8,16 +8,28 @@ import {
   formatMicroStx,
   explorerUrl,
 } from '../utils/txFormatters.js';
+import { decodePOSVaultTx } from '../utils/txDecoder.js';
+import { formatWait, mempoolAge, pendingState } from '../utils/mempool.js';
 import { timeAgo, formatDateTime } from '../utils/timeAgo.js';
+import { PendingTxActions } from './PendingTxActions.jsx';
 
 /**
- * Renders a single transaction row with expandable details.
- * @param {{ tx: object, network?: string }} props
+ * Renders a single transaction row with expandable details. Calls to the
+ * POSVault contracts show the decoded action (and why it failed) in place
+ * of the bare function name. Pending rows show their nonce, fee and time
+ * in the mempool, flag stuck transactions and, for the wallet's own
+ * transactions, offer to speed them up or cancel them.
+ * @param {{ tx: object, network?: object|string, nonces?: object|null, replaceable?: boolean }} props
+ *   `network` is a profile or profile id for explorer links (defaults to the
+ *   active profile); `nonces` is the sender's nonce state
  */
-export function TransactionRow({ tx, network = 'mainnet' }) {
+export function TransactionRow({ tx, network, nonces = null, replaceable = false }) {
   const [expanded, setExpanded] = useState(false);
+  const pending = tx.tx_status === 'pending';
+  const waiting = pending ? pendingState(tx, nonces) : null;
 
   const fnName = extractFunctionName(tx);
+  const action = decodePOSVaultTx(tx, network);
   const fee = tx.fee_rate ? formatMicroStx(tx.fee_rate) : null;
   const timestamp = tx.burn_block_time
     ? formatDateTime(tx.burn_block_time)
@@ -38,10 +50,16 @@ export function TransactionRow({ tx, network = 'mainnet' }) {
         <span className={`tx-badge tx-badge--${statusClass(tx.tx_status)}`}>
           {formatTxStatus(tx.tx_status)}
         </span>
-        <span className="tx-row__type">{formatTxType(tx.tx_type)}</span>
-        {fnName && <span className="tx-row__fn">{fnName}</span>}
+        {action ? (
+          <span className="tx-row__action">{action.summary}</span>
+        ) : (
+          <>
+            <span className="tx-row__type">{formatTxType(tx.tx_type)}</span>
+            {fnName && <span className="tx-row__fn">{fnName}</span>}
+          </>
+        )}
         {relativeTime && <span className="tx-row__time">{relativeTime}</span>}
-        <aa
+        <a
           href={explorerUrl(tx.tx_id, network)}
           target="_blank"
           rel="noopener noreferrer"
@@ -53,6 +71,18 @@ export function TransactionRow({ tx, network = 'mainnet' }) {
         <span className="tx-row__expand">{expanded ? '▾' : '▸'}</span>
       </div>
 
+      {action?.error && <div className="tx-row__error">{action.error}</div>}
+
+      {pending && (
+        <div className="tx-row__pending">
+          <span>
+            Nonce {tx.nonce}{fee ? ` · fee ${fee}` : ''} · {formatWait(mempoolAge(tx))} in mempool
+          </span>
+          {waiting.stuck && <span className="tx-row__stuck">Stuck: {waiting.reason}</span>}
+          {replaceable && <PendingTxActions tx={tx} />}
+        </div>
+      )}
+
       {expanded && (
         <div className="tx-row__details">
           <dl>
@@ -81,6 +111,10 @@ export function TransactionRow({ tx, network = 'mainnet' }) {
                 <dd>
                   <code>{tx.contract_call.contract_id}</code>
                 </dd>
+                <dt>Function</dt>
+                <dd>
+                  <code>{fnName}</code>
+                </dd>
               </>
             )}
 
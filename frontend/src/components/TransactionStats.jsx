@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import { formatMicroStx } from '../utils/txFormatters.js';
+import { formatMicroAmount } from '@posvault/sdk/tx-decoder';
+
+const SPARK_WIDTH = 120;
+const SPARK_HEIGHT = 28;
+
+function pct(value) {
+  return `${(value * 100).toFixed(0)}%`;
+}
+
+function bucketLabel(start, weekly) {
+  const date = new Date(start * 1000).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  return weekly ? `week of ${date}` : date;
+}
+
+/**
+ * Inline SVG line of a series, scaled to its own maximum.
+ * @param {{ values: number[], label: string }} props
+ */
+function Sparkline({ values, label }) {
+  if (values.length < 2) return <span className="tx-stats__spark-empty">—</span>;
+  const max = Math.max(...values, 1);
+  const step = SPARK_WIDTH / (values.length - 1);
+  const points = values
+    .map((v, i) => `${(i * step).toFixed(1)},${(SPARK_HEIGHT - 2 - (v / max) * (SPARK_HEIGHT - 4)).toFixed(1)}`)
+    .join(' ');
+
+  return (
+    <svg
+      className="tx-stats__spark"
+      width={SPARK_WIDTH}
+      height={SPARK_HEIGHT}
+      viewBox={`0 0 ${SPARK_WIDTH} ${SPARK_HEIGHT}`}
+      role="img"
+      aria-label={label}
+    >
+      <polyline points={points} fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round" />
+    </svg>
+  );
+}
+
+function ActivityRow({ title, buckets, weekly }) {
+  const latest = buckets[buckets.length - 1];
+  const range = buckets.length
+    ? `${bucketLabel(buckets[0].start, weekly)} – ${bucketLabel(latest.start, weekly)}`
+    : '';
+  return (
+    <div className="tx-stats__activity" title={range}>
+      <span className="tx-stats__label">{title}</span>
+      <Sparkline values={buckets.map((b) => b.count)} label={`${title} transactions, ${range}`} />
+      <span className="tx-stats__muted">
+        {latest ? `${latest.count} ${weekly ? 'this week' : 'latest day'}` : 'no activity'}
+      </span>
+    </div>
+  );
+}
+
+/**
+ * Summary line for the loaded transactions, expandable into POSVault
+ * totals, fee analytics, per-function failure rates and activity
+ * sparklines.
+ *
+ * @param {{ stats: import('../utils/txStats.js').TxStats }} props
+ */
+export function TransactionStats({ stats }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="tx-stats">
+      <div className="tx-panel__stats">
+        <span>{stats.confirmed} confirmed</span>
+        <span>{stats.pending} pending</span>
+        <span>{stats.failed} failed</span>
+        <span>Fees: {formatMicroStx(stats.totalFees)}</span>
+        <button className="tx-stats__toggle" onClick={() => setOpen((v) => !v)} aria-expanded={open}>
+          {open ? 'Hide stats ▾' : 'More stats ▸'}
+        </button>
+      </div>
+
+      {open && (
+        <div className="tx-stats__body">
+          <div className="tx-stats__tiles">
+            <div className="tx-stats__tile">
+              <span className="tx-stats__label">Deposited</span>
+              <strong>{formatMicroAmount(stats.stxDeposited)} STX</strong>
+            </div>
+            <div className="tx-stats__tile">
+              <span className="tx-stats__label">Withdrawn</span>
+              <strong>{formatMicroAmount(stats.stxWithdrawn)} STX</strong>
+            </div>
+            <div className="tx-stats__tile">
+              <span className="tx-stats__label">Rewards claimed</span>
+              <strong>{formatMicroAmount(stats.posGovClaimed)} POS-GOV</strong>
+            </div>
+            <div className="tx-stats__tile">
+              <span className="tx-stats__label">Fee avg / median / max</span>
+              <strong>
+                {formatMicroStx(Math.round(stats.fees.average))} / {formatMicroStx(stats.fees.median)} / {formatMicroStx(stats.fees.max)}
+              </strong>
+            </div>
+          </div>
+
+          <ActivityRow title="Daily" buckets={stats.activity.daily} />
+          <ActivityRow title="Weekly" buckets={stats.activity.weekly} weekly />
+          <div className="tx-stats__activity">
+            <span className="tx-stats__label">Weekly fees</span>
+            <Sparkline values={stats.activity.weekly.map((b) => b.fees)} label="Fees paid per week" />
+          </div>
+
+          {stats.functions.length > 0 && (
+            <table className="tx-stats__functions">
+              <thead>
+                <tr>
+                  <th>POSVault function</th>
+                  <th>Calls</th>
+                  <th>Failed</th>
+                  <th>Failure rate</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.functions.map((fn) => (
+                  <tr key={fn.name}>
+                    <td><code>{fn.name}</code></td>
+                    <td>{fn.count}</td>
+                    <td>{fn.failed}</td>
+                    <td className={fn.failureRate > 0 ? 'tx-stats__bad' : undefined}>{pct(fn.failureRate)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <p className="tx-stats__muted">Based on the {stats.total} loaded transactions.</p>
+        </div>
+      )}
+    </div>
+  );
+}
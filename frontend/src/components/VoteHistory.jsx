@@ -0,0 +1,45 @@
+import { useEffect, useState } from 'react';
+import { loadVoteRecords } from '../proposalIndex.js';
+import { useNetworkProfile } from '../hooks/useNetworkProfile.js';
+
+const formatMicro = (micro) => (Number(micro) / 1e6).toFixed(6);
+
+/**
+ * Votes an address cast on the proposals loaded in the proposal index.
+ *
+ * @param {string} address
+ * @param {object[]} proposals - From the proposal index
+ */
+export function VoteHistory({ address, proposals }) {
+  const profile = useNetworkProfile();
+  const [state, setState] = useState({ votes: [], loading: true, error: null });
+  const idsKey = proposals.map((p) => p.id).join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+    const ids = idsKey ? idsKey.split(',').map(Number) : [];
+    setState((s) => ({ ...s, loading: true }));
+    loadVoteRecords(ids, address, profile)
+      .then((votes) => !cancelled && setState({ votes, loading: false, error: null }))
+      .catch((error) => !cancelled && setState((s) => ({ ...s, loading: false, error: error.message })));
+    return () => { cancelled = true; };
+  }, [address, idsKey, profile]);
+
+  const titles = new Map(proposals.map((p) => [p.id, p.title?.value]));
+
+  if (state.error) return <p className="vote-history__empty">Failed to load votes: {state.error}</p>;
+  if (state.loading && state.votes.length === 0) return <p className="vote-history__empty">Loading votes…</p>;
+  if (state.votes.length === 0) return <p className="vote-history__empty">No votes on the loaded proposals.</p>;
+
+  return (
+    <ul className="vote-history">
+      {state.votes.map((vote) => (
+        <li key={vote.id}>
+          <span className="vote-history__title">#{vote.id} — {titles.get(vote.id) || 'Untitled'}</span>
+          <span className={vote.support ? 'text-green' : 'text-red'}>{vote.support ? 'For' : 'Against'}</span>
+          <span className="mono">{formatMicro(vote.weight)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
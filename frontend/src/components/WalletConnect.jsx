@@ -1,9 +1,35 @@
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
+import { useAccounts } from '../hooks/useAccounts.js';
+import { useNetworkProfile } from '../hooks/useNetworkProfile.js';
+import { accountAddress, setActiveAccount } from '../accounts.js';
 
-export function WalletConnect({ onConnect, onDisconnect, userSession, userAddress }) {
+const shorten = (address) => (address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '—');
+
+/**
+ * Header wallet control. Shows the active account and, once connected,
+ * a menu to switch between, add and disconnect accounts.
+ *
+ * @param {Function} onConnect - Opens the wallet to add an account
+ * @param {Function} onDisconnect - Called with the account id to forget
+ */
+export function WalletConnect({ onConnect, onDisconnect }) {
+  const profile = useNetworkProfile();
+  const { accounts, active } = useAccounts();
+  const [open, setOpen] = useState(false);
   const [connecting, setConnecting] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const close = (e) => {
+      if (!menuRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', close);
+    return () => document.removeEventListener('mousedown', close);
+  }, [open]);
 
   const handleConnect = async () => {
+    setOpen(false);
     setConnecting(true);
     try {
       await onConnect();
@@ -12,19 +38,62 @@ export function WalletConnect({ onConnect, onDisconnect, userSession, userAddres
     }
   };
 
-  if (userAddress) {
-    const shortAddr = `${userAddress.slice(0, 6)}...${userAddress.slice(-4)}`;
+  if (!active) {
     return (
-      <div className="wallet-connected">
-        <span className="wallet-address" title={userAddress}>{shortAddr}</span>
-        <button className="btn-disconnect" onClick={onDisconnect}>Disconnect</button>
-      </div>
+      <button id="btn-connect-wallet" className="btn-wallet" onClick={handleConnect} disabled={connecting}>
+        {connecting ? 'Connecting...' : '⚡ Connect Wallet'}
+      </button>
     );
   }
 
+  const activeAddress = accountAddress(active, profile);
+
   return (
-    <button className="btn-connect" onClick={handleConnect} disabled={connecting}>
-      {connecting ? 'Connecting...' : 'Connect Wallet'}
-    </button>
+    <div className="account-switcher" ref={menuRef}>
+      <button
+        id="btn-wallet-connected"
+        className="btn-wallet connected"
+        onClick={() => setOpen((o) => !o)}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        title={activeAddress ?? undefined}
+      >
+        <span className="wallet-dot" />
+        {shorten(activeAddress)}
+        {accounts.length > 1 && <span className="account-switcher__count">{accounts.length}</span>}
+      </button>
+
+      {open && (
+        <div className="account-switcher__menu" role="menu">
+          {accounts.map((account) => {
+            const address = accountAddress(account, profile);
+            const isActive = account.id === active.id;
+            return (
+              <div key={account.id} className={`account-switcher__item ${isActive ? 'active' : ''}`}>
+                <button
+                  role="menuitemradio"
+                  aria-checked={isActive}
+                  className="account-switcher__select mono"
+                  onClick={() => { setActiveAccount(account.id); setOpen(false); }}
+                  title={address ?? undefined}
+                >
+                  {isActive ? '●' : '○'} {shorten(address)}
+                </button>
+                <button
+                  className="account-switcher__remove"
+                  onClick={() => onDisconnect(account.id)}
+                  aria-label={`Disconnect ${address}`}
+                >
+                  ×
+                </button>
+              </div>
+            );
+          })}
+          <button className="account-switcher__add" role="menuitem" onClick={handleConnect}>
+            + Add account
+          </button>
+        </div>
+      )}
+    </div>
   );
 }
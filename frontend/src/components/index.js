@@ -6,3 +6,13 @@ export { ClaimRewards } from './ClaimRewards.jsx';
 export { TransactionHistory } from './TransactionHistory.jsx';
 export { WalletConnect } from './WalletConnect.jsx';
 export { RewardCalculator } from './RewardCalculator.jsx';
+export { RewardCountdown } from './RewardCountdown.jsx';
+export { PortfolioSummary } from './PortfolioSummary.jsx';
+export { VoteHistory } from './VoteHistory.jsx';
+export { ProposalDetail } from './ProposalDetail.jsx';
+export { ProposalActions } from './ProposalActions.jsx';
+export { ProposalComposer } from './ProposalComposer.jsx';
+export { GovernanceAnalytics } from './GovernanceAnalytics.jsx';
+export { ExecutionQueue } from './ExecutionQueue.jsx';
+export { NetworkBadge } from './NetworkBadge.jsx';
+export { InfiniteScrollSentinel } from './InfiniteScrollSentinel.jsx';
@@ -1,13 +1,21 @@
 /**
  * Frontend constants for POSVault dApp.
+ *
+ * Deployer and contract names are the mainnet entries of the shared
+ * deployment manifest; runtime code should prefer the active network
+ * profile (networks.js / stacks.js `getContracts`).
  */
 
-export const DEPLOYER = 'SP2KYZRNME33Y39GP3RKC90DQJ45EF1N0NZNVRE09';
+import DEPLOYMENTS from '../../sdk/src/deployments.json';
+
+const MAINNET = DEPLOYMENTS.mainnet;
+
+export const DEPLOYER = MAINNET.deployer;
 
 export const CONTRACTS = {
-  VAULT_CORE: 'vault-core-v4',
-  GOVERNANCE_TOKEN: 'governance-token',
-  PROPOSAL_VOTING: 'proposal-voting',
+  VAULT_CORE: MAINNET.contracts.vaultCore.name,
+  GOVERNANCE_TOKEN: MAINNET.contracts.governanceToken.name,
+  PROPOSAL_VOTING: MAINNET.contracts.proposalVoting.name,
 };
 
 export const TOKEN_INFO = {
@@ -31,5 +39,5 @@ export const PROPOSAL_TYPES = {
 };
 
 export const EXPLORER_BASE = 'https://explorer.hiro.so';
-export const API_BASE = 'https://api.hiro.so';
+export const API_BASE = MAINNET.apiUrl;
 export const REFRESH_INTERVAL = 30_000;
@@ -2,6 +2,8 @@
  * Formatting utilities for the POSVault frontend.
  */
 
+import { explorerTxUrl as profileTxUrl, explorerAddressUrl as profileAddressUrl } from './networks.js';
+
 export function formatSTXAmount(microStx) {
   const stx = Number(microStx) / 1_000_000;
   if (stx >= 1_000_000) return `${(stx / 1_000_000).toFixed(2)}M`;
@@ -34,9 +36,9 @@ export function timeAgo(blockHeight, currentBlock, avgBlockTime = 600) {
 }
 
 export function explorerTxUrl(txid) {
-  return `https://explorer.hiro.so/txid/${txid}?chain=mainnet`;
+  return profileTxUrl(txid);
 }
 
 export function explorerAddressUrl(address) {
-  return `https://explorer.hiro.so/address/${address}?chain=mainnet`;
+  return profileAddressUrl(address);
 }
@@ -0,0 +1,16 @@
+import { useSyncExternalStore } from 'react';
+import { getAccountsState, subscribeToAccounts } from '../accounts.js';
+
+/**
+ * Subscribe a component to the connected accounts.
+ *
+ * @returns {{ accounts: object[], activeId: string|null, active: object|null, watchAddress: string|null }}
+ *   Accounts as stored by accounts.js, the active one and any watched address
+ */
+export function useAccounts() {
+  const state = useSyncExternalStore(subscribeToAccounts, getAccountsState, getAccountsState);
+  return {
+    ...state,
+    active: state.accounts.find((a) => a.id === state.activeId) ?? null,
+  };
+}
@@ -0,0 +1,42 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getMempoolState } from '../stacks.js';
+
+const POLL_MS = 15_000;
+
+const EMPTY = { transactions: [], nonces: null };
+
+/**
+ * An address's transactions still in the mempool, with its nonce state
+ * (for spotting transactions stuck behind a missing nonce). Polls while
+ * mounted; failed polls keep the last known state.
+ *
+ * @param {string|null} address
+ * @param {string} apiBaseUrl  Hiro API base URL
+ * @returns {{ transactions: object[], nonces: object|null, refresh: Function }}
+ */
+export function useMempool(address, apiBaseUrl) {
+  const [state, setState] = useState(EMPTY);
+  // Results for a previous address or network are discarded
+  const keyRef = useRef(null);
+  const key = `${address}@${apiBaseUrl}`;
+  keyRef.current = key;
+
+  const refresh = useCallback(async () => {
+    if (!address || !apiBaseUrl) return;
+    try {
+      const next = await getMempoolState(address, { apiUrl: apiBaseUrl });
+      if (keyRef.current === key) setState(next);
+    } catch {
+      // Try again on the next poll
+    }
+  }, [address, apiBaseUrl, key]);
+
+  useEffect(() => {
+    setState(EMPTY);
+    refresh();
+    const timer = setInterval(refresh, POLL_MS);
+    return () => clearInterval(timer);
+  }, [refresh]);
+
+  return { ...state, refresh };
+}
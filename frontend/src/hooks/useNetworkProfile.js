@@ -0,0 +1,12 @@
+import { useSyncExternalStore } from 'react';
+import { getActiveProfile, subscribeToProfile } from '../networks.js';
+
+/**
+ * Subscribe a component to the active network profile.
+ * Re-renders whenever `setActiveProfile` switches networks.
+ *
+ * @returns {object} The active profile (see networks.js `buildProfile`)
+ */
+export function useNetworkProfile() {
+  return useSyncExternalStore(subscribeToProfile, getActiveProfile, getActiveProfile);
+}
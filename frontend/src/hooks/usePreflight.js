@@ -0,0 +1,39 @@
+import { useEffect, useRef, useState } from 'react';
+
+const IDLE = { check: null, loading: false, error: null };
+
+/**
+ * Run a governance pre-flight check (see stacks.js `checkVote` and
+ * friends) and re-run it whenever `key` changes.
+ *
+ * @param {Function|null} run - Returns the check's promise; null skips it
+ * @param {string} key - Anything the check depends on
+ * @param {number} [delayMs] - Wait this long after `key` settles (for typing)
+ * @returns {{ check: object|null, loading: boolean, error: string|null }}
+ */
+export function usePreflight(run, key, delayMs = 0) {
+  const [state, setState] = useState(IDLE);
+  const runRef = useRef(run);
+  runRef.current = run;
+  const enabled = Boolean(run);
+
+  useEffect(() => {
+    if (!enabled) {
+      setState(IDLE);
+      return undefined;
+    }
+    let cancelled = false;
+    setState((s) => ({ ...s, loading: true }));
+    const timer = setTimeout(() => {
+      runRef.current()
+        .then((check) => !cancelled && setState({ check, loading: false, error: null }))
+        .catch((error) => !cancelled && setState({ check: null, loading: false, error: error.message }));
+    }, delayMs);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [enabled, key, delayMs]);
+
+  return state;
+}
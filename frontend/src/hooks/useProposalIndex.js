@@ -0,0 +1,113 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getActiveProfile } from '../networks.js';
+import { useNetworkProfile } from './useNetworkProfile.js';
+import {
+  PROPOSAL_PAGE_SIZE,
+  fetchProposalCount,
+  loadProposals,
+  pageIds,
+} from '../proposalIndex.js';
+
+const EMPTY_STATE = {
+  proposals: [],
+  total: null,
+  floor: null,
+  failures: [],
+  loading: true,
+  loadingMore: false,
+  error: null,
+};
+
+/**
+ * Newest-first, paginated view over every governance proposal.
+ *
+ * `refresh` loads the first page, then re-reads the proposal count and
+ * every loaded page (executed proposals come from cache); `loadMore`
+ * appends the next older page; `refreshProposal` re-reads one proposal.
+ * Callers drive `refresh` from their own polling loop.
+ * Reads that fail are listed in `failures` and retried on the next refresh.
+ *
+ * @param {string|null} walletAddress - Read-only sender (deployer when null)
+ */
+export function useProposalIndex(walletAddress) {
+  const profile = useNetworkProfile();
+  const [state, setState] = useState(EMPTY_STATE);
+  // Lowest proposal id currently loaded; null until the first page arrives
+  const floorRef = useRef(null);
+  // Refreshes and page loads run one at a time so pages never interleave
+  const queueRef = useRef(Promise.resolve());
+
+  const enqueue = useCallback((task) => {
+    const run = queueRef.current.then(task, task);
+    queueRef.current = run.catch(() => {});
+    return run;
+  }, []);
+
+  useEffect(() => {
+    floorRef.current = null;
+    setState(EMPTY_STATE);
+  }, [profile]);
+
+  const refresh = useCallback(() => enqueue(async () => {
+    const isStale = () => getActiveProfile() !== profile;
+    try {
+      const total = await fetchProposalCount(walletAddress);
+      const floor = Math.max(1, floorRef.current ?? total - PROPOSAL_PAGE_SIZE + 1);
+      const ids = total > 0 ? pageIds(total, total - floor + 1) : [];
+      const { proposals, failures } = await loadProposals(ids, walletAddress, profile);
+      if (isStale()) return;
+
+      floorRef.current = floor;
+      setState((s) => ({ ...s, proposals, failures, total, floor, loading: false, error: null }));
+    } catch (error) {
+      if (isStale()) return;
+      setState((s) => ({ ...s, loading: false, error: error.message }));
+    }
+  }), [walletAddress, profile, enqueue]);
+
+  const loadMore = useCallback(() => enqueue(async () => {
+    const floor = floorRef.current;
+    if (floor === null || floor <= 1) return;
+
+    const isStale = () => getActiveProfile() !== profile;
+    setState((s) => ({ ...s, loadingMore: true }));
+    try {
+      const ids = pageIds(floor - 1);
+      const { proposals, failures } = await loadProposals(ids, walletAddress, profile);
+      if (isStale()) return;
+
+      const nextFloor = ids[ids.length - 1];
+      floorRef.current = nextFloor;
+      setState((s) => ({
+        ...s,
+        floor: nextFloor,
+        proposals: [...s.proposals, ...proposals],
+        failures: [...s.failures, ...failures],
+        loadingMore: false,
+      }));
+    } catch (error) {
+      if (isStale()) return;
+      setState((s) => ({ ...s, loadingMore: false, error: error.message }));
+    }
+  }), [walletAddress, profile, enqueue]);
+
+  /** Re-read a single proposal, e.g. after a vote on it confirms */
+  const refreshProposal = useCallback((id) => enqueue(async () => {
+    const isStale = () => getActiveProfile() !== profile;
+    try {
+      const { proposals, failures } = await loadProposals([id], walletAddress, profile);
+      if (isStale()) return;
+
+      setState((s) => ({
+        ...s,
+        proposals: s.proposals.map((p) => (p.id === id ? proposals[0] ?? p : p)),
+        failures: [...s.failures.filter((f) => f.id !== id), ...failures],
+      }));
+    } catch (error) {
+      if (isStale()) return;
+      setState((s) => ({ ...s, error: error.message }));
+    }
+  }), [walletAddress, profile, enqueue]);
+
+  return { ...state, hasMore: state.floor !== null && state.floor > 1, refresh, refreshProposal, loadMore };
+}
@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from 'react';
+import { getRoute, subscribeToRoute } from '../route.js';
+
+/**
+ * Subscribe a component to the current route (see route.js).
+ *
+ * @returns {{ proposalId: number|null }}
+ */
+export function useRoute() {
+  return useSyncExternalStore(subscribeToRoute, getRoute, getRoute);
+}
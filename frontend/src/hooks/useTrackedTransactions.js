@@ -0,0 +1,12 @@
+import { useSyncExternalStore } from 'react';
+import { getTrackedTransactions, subscribeToTransactions } from '../txTracker.js';
+
+/**
+ * Subscribe a component to the transaction tracker.
+ * Re-renders whenever a tracked transaction is added, changes state or is dismissed.
+ *
+ * @returns {object[]} Tracked transactions, newest first (see txTracker.js)
+ */
+export function useTrackedTransactions() {
+  return useSyncExternalStore(subscribeToTransactions, getTrackedTransactions, getTrackedTransactions);
+}
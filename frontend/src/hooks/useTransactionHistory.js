@@ -1,20 +1,26 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
-
-const PAGE_SIZE = 20;
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { buildTxSources, createTxPager, nextTxPage } from '../utils/txHistoryQuery.js';
 
 /**
  * @typedef {'all' | 'contract_call' | 'token_transfer' | 'smart_contract'} TxTypeFilter
  * @typedef {'all' | 'success' | 'pending' | 'failed'} TxStatusFilter
+ * @typedef {'all' | 'posvault'} TxScope
  */
 
 /**
  * Hook to fetch, filter, and paginate on-chain transaction history
  * for a given Stacks address.
  *
+ * Filters are answered by the API (see utils/txHistoryQuery.js), so a
+ * filtered list covers the whole history rather than the pages already
+ * loaded. Changing a filter starts paging again from the newest match.
+ *
  * @param {string|null} userAddress
  * @param {string} apiBaseUrl  Hiro API base URL
+ * @param {{ posvaultContracts?: string[] }} [options]  Contract ids the
+ *   `posvault` scope is limited to
  */
-export function useTransactionHistory(userAddress, apiBaseUrl) {
+export function useTransactionHistory(userAddress, apiBaseUrl, { posvaultContracts = [] } = {}) {
   const [transactions, setTransactions] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -22,10 +28,26 @@ export function useTransactionHistory(userAddress, apiBaseUrl) {
   const [hasMore, setHasMore] = useState(false);
   const [typeFilter, setTypeFilter] = useState('all');
   const [statusFilter, setStatusFilter] = useState('all');
+  const [scope, setScope] = useState('all');
   const abortRef = useRef(null);
+  const pagerRef = useRef(null);
+
+  const contractsKey = posvaultContracts.join(',');
+  const sources = useMemo(
+    () => (userAddress
+      ? buildTxSources({
+        address: userAddress,
+        type: typeFilter,
+        status: statusFilter,
+        scope,
+        contracts: contractsKey ? contractsKey.split(',') : [],
+      })
+      : []),
+    [userAddress, typeFilter, statusFilter, scope, contractsKey],
+  );
 
   const fetchPage = useCallback(
-    async (pageNum, append = false) => {
+    async (reset) => {
       if (!userAddress || !apiBaseUrl) return;
 
       // Abort any in-flight request
@@ -33,84 +55,47 @@ export function useTransactionHistory(userAddress, apiBaseUrl) {
       const controller = new AbortController();
       abortRef.current = controller;
 
+      if (reset || !pagerRef.current) pagerRef.current = createTxPager(sources);
+      const pager = pagerRef.current;
+
       setLoading(true);
       setError(null);
 
       try {
-        const offset = pageNum * PAGE_SIZE;
-        const url = new URL(
-          `/extended/v1/address/${userAddress}/transactions`,
-          apiBaseUrl,
-        );
-        url.searchParams.set('limit', String(PAGE_SIZE));
-        url.searchParams.set('offset', String(offset));
-
-        const res = await fetch(url.toString(), {
-          signal: controller.signal,
-        });
-
-        if (!res.ok) {
-          throw new Error(`HTTP ${res.status}: ${res.statusText}`);
-        }
+        const { items, hasMore: more } = await nextTxPage(pager, apiBaseUrl, controller.signal);
+        if (controller.signal.aborted) return;
 
-        const data = await res.json();
-        const results = data.results ?? [];
-
-        setHasMore(offset + results.length < (data.total ?? 0));
-
-        if (append) {
-          setTransactions((prev) => [...prev, ...results]);
-        } else {
-          setTransactions(results);
-        }
+        setHasMore(more);
+        setPage((p) => (reset ? 1 : p + 1));
+        setTransactions((prev) => (reset ? items : [...prev, ...items]));
       } catch (err) {
         if (err.name !== 'AbortError') {
           setError(err.message);
         }
       } finally {
-        setLoading(false);
+        if (abortRef.current === controller) setLoading(false);
       }
     },
-    [userAddress, apiBaseUrl],
+    [userAddress, apiBaseUrl, sources],
   );
 
-  // Reset and fetch when address changes
+  // Reset and fetch when the address or a filter changes
   useEffect(() => {
-    setPage(0);
     setTransactions([]);
-    fetchPage(0);
+    setHasMore(false);
+    fetchPage(true);
     return () => {
       if (abortRef.current) abortRef.current.abort();
     };
-  }, [userAddress, apiBaseUrl, fetchPage]);
-
-  const loadMore = useCallback(() => {
-    const nextPage = page + 1;
-    setPage(nextPage);
-    fetchPage(nextPage, true);
-  }, [page, fetchPage]);
-
-  const refresh = useCallback(() => {
-    setPage(0);
-    fetchPage(0);
   }, [fetchPage]);
 
-  // Client-side filtering
-  const filtered = transactions.filter((tx) => {
-    if (typeFilter !== 'all' && tx.tx_type !== typeFilter) return false;
-    if (statusFilter === 'success' && tx.tx_status !== 'success') return false;
-    if (statusFilter === 'pending' && tx.tx_status !== 'pending') return false;
-    if (
-      statusFilter === 'failed' &&
-      tx.tx_status !== 'abort_by_response' &&
-      tx.tx_status !== 'abort_by_post_condition'
-    )
-      return false;
-    return true;
-  });
+  const loadMore = useCallback(() => fetchPage(false), [fetchPage]);
+
+  const refresh = useCallback(() => fetchPage(true), [fetchPage]);
 
   return {
-    transactions: filtered,
+    transactions,
+    // Every loaded row matches the filters; kept for existing callers
     allTransactions: transactions,
     loading,
     error,
@@ -118,8 +103,10 @@ export function useTransactionHistory(userAddress, apiBaseUrl) {
     page,
     typeFilter,
     statusFilter,
+    scope,
     setTypeFilter,
     setStatusFilter,
+    setScope,
     loadMore,
     refresh,
   };
@@ -0,0 +1,91 @@
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react';
+import { useNetworkProfile } from './useNetworkProfile.js';
+import {
+  ACCOUNT_FIELDS,
+  VAULT_FIELDS,
+  fieldKey,
+  getFieldState,
+  invalidateVaultData,
+  subscribeToVaultData,
+  watchField,
+} from '../vaultStore.js';
+
+/**
+ * Subscribe a component to one field of the vault data store.
+ * The field is polled while at least one component watches it.
+ *
+ * @param {string} field - vaultInfo | totalSupply | proposalCount | blockTime | deposit | stats | pendingRewards | tokenBalance
+ * @param {string|null} [address] - Wallet address (required for account fields)
+ * @returns {{ data: *, loading: boolean, error: string|null, updatedAt: number }}
+ */
+export function useVaultField(field, address = null) {
+  const profile = useNetworkProfile();
+  const key = fieldKey(field, address, profile);
+
+  useEffect(() => {
+    if (!address && ACCOUNT_FIELDS.includes(field)) return undefined;
+    return watchField(field, address);
+  }, [field, address, profile]);
+
+  const getSnapshot = useCallback(() => getFieldState(key), [key]);
+  return useSyncExternalStore(subscribeToVaultData, getSnapshot, getSnapshot);
+}
+
+/**
+ * Vault, token and account data for one address, each field with its own
+ * loading/error state. `loading` is true only until every watched field
+ * has produced a first value.
+ *
+ * @param {string|null} walletAddress - Account fields stay empty when null
+ */
+export function useVaultData(walletAddress) {
+  const vaultInfo = useVaultField('vaultInfo', walletAddress);
+  const totalSupply = useVaultField('totalSupply', walletAddress);
+  const proposalCount = useVaultField('proposalCount', walletAddress);
+  const blockTime = useVaultField('blockTime', walletAddress);
+  const deposit = useVaultField('deposit', walletAddress);
+  const stats = useVaultField('stats', walletAddress);
+  const pendingRewards = useVaultField('pendingRewards', walletAddress);
+  const tokenBalance = useVaultField('tokenBalance', walletAddress);
+
+  const fields = { vaultInfo, totalSupply, proposalCount, blockTime, deposit, stats, pendingRewards, tokenBalance };
+  const watched = walletAddress ? [...VAULT_FIELDS, ...ACCOUNT_FIELDS] : VAULT_FIELDS;
+
+  const refresh = useCallback((scope) => invalidateVaultData(scope, walletAddress ?? undefined), [walletAddress]);
+
+  return {
+    ...fields,
+    loading: watched.some((f) => !fields[f].updatedAt && !fields[f].error),
+    refresh,
+  };
+}
+
+/**
+ * One field for several addresses at once, e.g. to total positions across
+ * connected accounts. States come back in the order of `addresses`.
+ *
+ * @param {string} field - An account field (deposit, pendingRewards, ...)
+ * @param {string[]} addresses
+ * @returns {Array<{ data: *, loading: boolean, error: string|null, updatedAt: number }>}
+ */
+export function useVaultFieldForAll(field, addresses) {
+  const profile = useNetworkProfile();
+  const keysId = addresses.join(',');
+  const lastRef = useRef([]);
+
+  useEffect(() => {
+    const unwatch = addresses.map((address) => watchField(field, address));
+    return () => unwatch.forEach((fn) => fn());
+  }, [field, keysId, profile]); // keysId stands in for the addresses array
+
+  // Return the previous array while no entry changed, as React requires
+  const getSnapshot = useCallback(() => {
+    const next = addresses.map((address) => getFieldState(fieldKey(field, address, profile)));
+    const last = lastRef.current;
+    if (next.length === last.length && next.every((entry, i) => entry === last[i])) return last;
+    lastRef.current = next;
+    return next;
+  }, [field, keysId, profile]);
+
+  return useSyncExternalStore(subscribeToVaultData, getSnapshot, getSnapshot);
+}
@@ -0,0 +1,207 @@
+/**
+ * POSVault — Network profiles
+ *
+ * A profile bundles everything the dApp needs to talk to one deployment:
+ * the Stacks network object, the Hiro-compatible API URL, the explorer
+ * chain, the contract deployer and the deployed contract versions.
+ *
+ * Default API URLs, deployers and contract names come from the shared
+ * deployment manifest (sdk/src/deployments.json).
+ *
+ * The initial profile is resolved from (highest priority first):
+ *   1. URL query parameters: ?network=mainnet|testnet|devnet, ?api=<url>, ?deployer=<principal>
+ *   2. Vite env vars: VITE_STACKS_NETWORK, VITE_API_BASE_URL, VITE_DEPLOYER_ADDRESS
+ *   3. The mainnet profile
+ *
+ * A network the manifest has no deployer for (testnet) resolves only when
+ * a deployer is supplied; otherwise the mainnet profile is used.
+ *
+ * Supplying an API URL or deployer that differs from the base profile
+ * produces a "custom" profile layered on top of that base network.
+ */
+
+import { createNetwork } from '@stacks/network';
+import DEPLOYMENTS from '../../sdk/src/deployments.json';
+
+// ==========================================
+// Built-in Profiles
+// ==========================================
+
+const PROFILE_META = {
+    mainnet: { label: 'Mainnet', chain: 'mainnet' },
+    testnet: { label: 'Testnet', chain: 'testnet' },
+    devnet: { label: 'Devnet', chain: 'devnet' },
+};
+
+// Every network in the manifest. A network without a recorded deployer
+// (testnet, for now) can only be used with an explicit ?deployer=.
+const BASE_NETWORKS = Object.fromEntries(
+    Object.entries(PROFILE_META).map(([id, meta]) => {
+        const { apiUrl, deployer, contracts } = DEPLOYMENTS[id];
+        return [id, { id, ...meta, apiUrl, deployer, contracts }];
+    }),
+);
+
+// The built-in profiles: networks the manifest records a deployment for
+export const NETWORK_PROFILES = Object.fromEntries(
+    Object.entries(BASE_NETWORKS).filter(([, base]) => base.deployer),
+);
+
+const EXPLORER_BASE = 'https://explorer.hiro.so';
+
+// Recipient of the 1 µSTX transfer that cancels a pending transaction.
+// Nodes reject transfers to the sender itself, so the default is the
+// chain's burn address; VITE_CANCEL_RECIPIENT overrides it.
+const BURN_ADDRESSES = {
+    mainnet: 'SP000000000000000000002Q6VF78',
+    testnet: 'ST000000000000000000002AMW42H',
+};
+
+// ==========================================
+// Profile Construction
+// ==========================================
+
+/**
+ * Build a full profile from a base network id and optional overrides.
+ * @param {{ network?: string, apiUrl?: string, deployer?: string }} selection
+ */
+export function buildProfile(selection = {}) {
+    const requested = BASE_NETWORKS[selection.network];
+    const base = requested && (selection.deployer || requested.deployer) ? requested : NETWORK_PROFILES.mainnet;
+    const apiUrl = stripTrailingSlash(selection.apiUrl || base.apiUrl);
+    const deployer = selection.deployer || base.deployer;
+    const isCustom = apiUrl !== base.apiUrl || deployer !== base.deployer;
+
+    return Object.freeze({
+        id: isCustom ? 'custom' : base.id,
+        baseId: base.id,
+        label: isCustom ? `Custom (${base.label})` : base.label,
+        chain: base.chain,
+        // Wallets only know about mainnet/testnet addresses; devnet uses testnet ones
+        addressChain: base.chain === 'mainnet' ? 'mainnet' : 'testnet',
+        isMainnet: base.chain === 'mainnet',
+        cancelRecipient: import.meta.env?.VITE_CANCEL_RECIPIENT
+            || BURN_ADDRESSES[base.chain === 'mainnet' ? 'mainnet' : 'testnet'],
+        apiUrl,
+        deployer,
+        // { vaultCore, governanceToken, proposalVoting } → { name, version, deployHeight }
+        contracts: base.contracts,
+        network: createNetwork({ network: base.chain, client: { baseUrl: apiUrl } }),
+    });
+}
+
+/**
+ * Resolve the profile requested by the URL query and Vite env.
+ * @param {string} [search] - location.search override (for tests)
+ */
+export function resolveInitialProfile(search) {
+    const env = import.meta.env ?? {};
+    const params = new URLSearchParams(
+        search ?? (typeof window !== 'undefined' ? window.location.search : ''),
+    );
+
+    return buildProfile({
+        network: params.get('network') || env.VITE_STACKS_NETWORK,
+        apiUrl: params.get('api') || env.VITE_API_BASE_URL,
+        deployer: params.get('deployer') || env.VITE_DEPLOYER_ADDRESS,
+    });
+}
+
+function stripTrailingSlash(url) {
+    return url.endsWith('/') ? url.slice(0, -1) : url;
+}
+
+// ==========================================
+// Active Profile Store
+// ==========================================
+
+let activeProfile = resolveInitialProfile();
+const listeners = new Set();
+
+/**
+ * The profile every read/write call in stacks.js currently targets.
+ */
+export function getActiveProfile() {
+    return activeProfile;
+}
+
+/**
+ * Switch the active profile. The selection is mirrored into the URL
+ * query so the current network can be bookmarked or shared.
+ * @param {{ network?: string, apiUrl?: string, deployer?: string }} selection
+ */
+export function setActiveProfile(selection) {
+    const next = buildProfile(selection);
+    activeProfile = next;
+
+    if (typeof window !== 'undefined') {
+        const url = new URL(window.location.href);
+        url.searchParams.set('network', next.baseId);
+        const base = BASE_NETWORKS[next.baseId];
+        setOrDelete(url.searchParams, 'api', next.apiUrl !== base.apiUrl ? next.apiUrl : null);
+        setOrDelete(url.searchParams, 'deployer', next.deployer !== base.deployer ? next.deployer : null);
+        window.history.replaceState(null, '', url);
+    }
+
+    listeners.forEach((listener) => listener(next));
+    return next;
+}
+
+/**
+ * Subscribe to profile switches.
+ * @param {Function} listener - Called with the new profile
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToProfile(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+function setOrDelete(params, key, value) {
+    if (value) params.set(key, value);
+    else params.delete(key);
+}
+
+// ==========================================
+// SDK Helpers
+// ==========================================
+
+/**
+ * SDK config options targeting a profile's deployment
+ * @param {object} [profile] - Network profile (defaults to the active one)
+ */
+export function sdkOptions(profile = activeProfile) {
+    const { vaultCore, governanceToken, proposalVoting } = profile.contracts;
+    return {
+        network: profile.baseId,
+        apiUrl: profile.apiUrl,
+        deployer: profile.deployer ?? undefined,
+        contractNames: {
+            vaultCore: vaultCore.name,
+            governanceToken: governanceToken.name,
+            proposalVoting: proposalVoting.name,
+        },
+    };
+}
+
+// ==========================================
+// Explorer Helpers
+// ==========================================
+
+/**
+ * Query string that points the Hiro explorer at a profile's chain/API.
+ */
+export function explorerQuery(profile = activeProfile) {
+    const chain = profile.chain === 'mainnet' ? 'mainnet' : 'testnet';
+    const defaultApi = BASE_NETWORKS[chain].apiUrl;
+    const api = profile.apiUrl !== defaultApi ? `&api=${encodeURIComponent(profile.apiUrl)}` : '';
+    return `?chain=${chain}${api}`;
+}
+
+export function explorerTxUrl(txId, profile = activeProfile) {
+    return `${EXPLORER_BASE}/txid/${txId}${explorerQuery(profile)}`;
+}
+
+export function explorerAddressUrl(address, profile = activeProfile) {
+    return `${EXPLORER_BASE}/address/${address}${explorerQuery(profile)}`;
+}
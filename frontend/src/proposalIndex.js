@@ -0,0 +1,137 @@
+/**
+ * POSVault — Proposal index
+ *
+ * Loads governance proposals in parallel batches through the SDK
+ * multicall helpers, newest first. Executed proposals can never change
+ * again, so they are cached per deployment and only active proposals are
+ * re-read on refresh.
+ */
+
+import { principalCV, uintCV } from '@stacks/transactions';
+import { fetchProposalsById, multicall } from '@posvault/sdk/multicall';
+import { getActiveProfile, sdkOptions } from './networks.js';
+import { getProposalCount } from './stacks.js';
+
+// ==========================================
+// Configuration
+// ==========================================
+
+export const PROPOSAL_PAGE_SIZE = 10;
+
+// Parallel get-proposal reads per batch
+const BATCH_CONCURRENCY = 5;
+
+// Executed proposals, keyed by `${deploymentKey}#${id}`
+const executedCache = new Map();
+
+function deploymentKey(profile) {
+    return `${profile.apiUrl}|${profile.deployer}|${profile.contracts.proposalVoting.name}`;
+}
+
+// ==========================================
+// Queries
+// ==========================================
+
+/**
+ * Total number of proposals ever created (ids run 1..count)
+ * @param {string} [senderAddress]
+ */
+export async function fetchProposalCount(senderAddress) {
+    const result = await getProposalCount(senderAddress);
+    return parseInt(result?.value?.value || '0');
+}
+
+/**
+ * Descending id range for one page, starting at `fromId`
+ * @param {number} fromId - Highest id on the page
+ * @param {number} [size]
+ */
+export function pageIds(fromId, size = PROPOSAL_PAGE_SIZE) {
+    const ids = [];
+    for (let id = fromId; id >= 1 && ids.length < size; id--) ids.push(id);
+    return ids;
+}
+
+/**
+ * Load proposals by id, serving executed ones from the cache.
+ * Failed reads are reported rather than dropped.
+ *
+ * @param {number[]} ids - Proposal ids, in the order they should be returned
+ * @param {string} [senderAddress] - Defaults to the deployer
+ * @param {object} [profile] - Network profile (defaults to the active one)
+ * @returns {Promise<{ proposals: object[], failures: { id: number, error: string }[] }>}
+ */
+export async function loadProposals(ids, senderAddress, profile = getActiveProfile()) {
+    const key = deploymentKey(profile);
+    const byId = new Map();
+    const toFetch = [];
+
+    for (const id of ids) {
+        const cached = executedCache.get(`${key}#${id}`);
+        if (cached) byId.set(id, cached);
+        else toFetch.push(id);
+    }
+
+    let failures = [];
+    if (toFetch.length > 0) {
+        const batch = await fetchProposalsById(
+            senderAddress || profile.deployer,
+            toFetch,
+            { ...sdkOptions(profile), concurrency: BATCH_CONCURRENCY },
+        );
+        for (const proposal of batch.proposals) {
+            if (isExecuted(proposal)) executedCache.set(`${key}#${proposal.id}`, proposal);
+            byId.set(proposal.id, proposal);
+        }
+        failures = batch.failures;
+    }
+
+    return {
+        proposals: ids.map((id) => byId.get(id)).filter(Boolean),
+        failures,
+    };
+}
+
+/**
+ * How one address voted on each of the given proposals.
+ * Proposals it did not vote on are left out.
+ *
+ * @param {number[]} ids - Proposal ids
+ * @param {string} voter
+ * @param {object} [profile] - Network profile (defaults to the active one)
+ * @returns {Promise<Array<{ id: number, support: boolean, weight: number }>>}
+ */
+export async function loadVoteRecords(ids, voter, profile = getActiveProfile()) {
+    const results = await multicall(
+        ids.map((id) => ({
+            contract: 'proposalVoting',
+            functionName: 'get-vote-record',
+            args: [uintCV(id), principalCV(voter)],
+            sender: voter,
+            label: String(id),
+        })),
+        { ...sdkOptions(profile), concurrency: BATCH_CONCURRENCY },
+    );
+
+    const failed = results.find((r) => r.error);
+    if (failed) throw new Error(`Could not read vote records: ${failed.error}`);
+
+    return results.flatMap((r) => {
+        const record = r.result?.value?.value;
+        if (!record) return [];
+        return [{
+            id: Number(r.request.label),
+            support: record.support?.value === true,
+            weight: Number(record.amount?.value ?? 0),
+        }];
+    });
+}
+
+/**
+ * Whether a proposal (cvToJSON tuple fields) has been executed
+ * @param {object} proposal
+ */
+export function isExecuted(proposal) {
+    const value = proposal?.executed?.value;
+    return value === true || value === 'true';
+}
@@ -0,0 +1,113 @@
+/**
+ * POSVault — Proposal voter log
+ *
+ * The voting contract only stores per-voter records keyed by address, so
+ * the list of who voted is rebuilt from the `vote-cast` print events the
+ * contract emits, read through the Hiro contract-events API.
+ *
+ * Events are fetched newest first and cached per deployment; later syncs
+ * stop paging as soon as they reach an event already seen.
+ */
+
+import { decodePrintEvent, toVoteCast } from '@posvault/sdk/contract-events';
+import { getActiveProfile } from './networks.js';
+import { getContractDeployer, getContractEvents, getContracts } from './stacks.js';
+
+// ==========================================
+// Configuration
+// ==========================================
+
+const EVENTS_PAGE_SIZE = 50;
+
+// Per deployment: { votes: Map<eventKey, vote>, newestKey, complete }
+const logs = new Map();
+const syncing = new Map();
+
+function votingContractId(profile) {
+    return `${getContractDeployer(profile)}.${getContracts(profile).PROPOSAL_VOTING}`;
+}
+
+function eventKey(event) {
+    return `${event.tx_id}:${event.event_index}`;
+}
+
+// ==========================================
+// Decoding
+// ==========================================
+
+/**
+ * Decode a `vote-cast` print event, or null for any other event
+ * @param {object} event - Hiro contract event
+ * @returns {{ proposalId: number, voter: string, support: boolean, weight: number, txId: string }|null}
+ */
+export function decodeVoteEvent(event) {
+    const vote = toVoteCast(decodePrintEvent(event));
+    return vote && { ...vote, weight: Number(vote.weight) };
+}
+
+// ==========================================
+// Sync
+// ==========================================
+
+async function sync(profile) {
+    const contractId = votingContractId(profile);
+    const key = `${profile.apiUrl}|${contractId}`;
+    const log = logs.get(key) ?? { votes: new Map(), newestKey: null, complete: false };
+
+    let newestKey = null;
+    for (let offset = 0; ; offset += EVENTS_PAGE_SIZE) {
+        const events = await getContractEvents(contractId, { limit: EVENTS_PAGE_SIZE, offset, profile });
+        if (offset === 0 && events.length > 0) newestKey = eventKey(events[0]);
+
+        let caughtUp = false;
+        for (const event of events) {
+            const id = eventKey(event);
+            if (log.complete && id === log.newestKey) {
+                caughtUp = true;
+                break;
+            }
+            const vote = decodeVoteEvent(event);
+            if (vote) log.votes.set(id, vote);
+        }
+
+        if (caughtUp) break;
+        if (events.length < EVENTS_PAGE_SIZE) {
+            log.complete = true;
+            break;
+        }
+    }
+
+    // Only record progress once the whole gap is filled, so a failed
+    // page is re-read next time
+    if (newestKey) log.newestKey = newestKey;
+    logs.set(key, log);
+    return log;
+}
+
+function syncVotes(profile) {
+    const key = `${profile.apiUrl}|${profile.deployer}`;
+    const pending = syncing.get(key);
+    if (pending) return pending;
+
+    const request = sync(profile).finally(() => syncing.delete(key));
+    syncing.set(key, request);
+    return request;
+}
+
+// ==========================================
+// Queries
+// ==========================================
+
+/**
+ * Every vote cast on a proposal, heaviest first
+ *
+ * @param {number} proposalId
+ * @param {object} [profile] - Network profile (defaults to the active one)
+ * @returns {Promise<Array<{ voter: string, support: boolean, weight: number, txId: string }>>}
+ */
+export async function loadProposalVoters(proposalId, profile = getActiveProfile()) {
+    const log = await syncVotes(profile);
+    return [...log.votes.values()]
+        .filter((vote) => vote.proposalId === proposalId)
+        .sort((a, b) => b.weight - a.weight);
+}
@@ -0,0 +1,81 @@
+/**
+ * POSVault — Routes
+ *
+ * The app is a single page; the one deep link is a proposal's detail view,
+ * addressed as `?proposal=<id>`. It sits beside the `?network=` and
+ * `?watch=` params so a shared link opens on the network it came from.
+ * Opening a proposal pushes a history entry, so Back returns to the list.
+ */
+
+// ==========================================
+// Store
+// ==========================================
+
+let route = readRoute();
+const listeners = new Set();
+
+function readRoute() {
+    if (typeof window === 'undefined') return { proposalId: null };
+    const raw = new URLSearchParams(window.location.search).get('proposal');
+    const id = Number(raw);
+    return { proposalId: raw && Number.isInteger(id) && id > 0 ? id : null };
+}
+
+function update(next) {
+    route = next;
+    listeners.forEach((listener) => listener(route));
+}
+
+/**
+ * Snapshot: `{ proposalId }`. Replaced on every navigation.
+ */
+export function getRoute() {
+    return route;
+}
+
+/**
+ * Subscribe to navigation, including Back/Forward.
+ * @param {Function} listener - Called with the new route
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToRoute(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('popstate', () => update(readRoute()));
+}
+
+// ==========================================
+// Navigation
+// ==========================================
+
+/**
+ * Shareable URL for a proposal, keeping the current network params
+ * @param {number|null} proposalId - null for the proposal list
+ * @returns {string}
+ */
+export function proposalUrl(proposalId) {
+    const url = new URL(window.location.href);
+    if (proposalId) url.searchParams.set('proposal', String(proposalId));
+    else url.searchParams.delete('proposal');
+    return url.toString();
+}
+
+/**
+ * Show a proposal's detail view
+ * @param {number} proposalId
+ */
+export function openProposal(proposalId) {
+    if (route.proposalId === proposalId) return;
+    window.history.pushState(null, '', proposalUrl(proposalId));
+    update({ proposalId });
+}
+
+/** Leave the detail view */
+export function closeProposal() {
+    if (route.proposalId === null) return;
+    window.history.pushState(null, '', proposalUrl(null));
+    update({ proposalId: null });
+}
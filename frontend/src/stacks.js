@@ -4,7 +4,7 @@
  * Uses @stacks/transactions for contract calls
  */
 
-import { authenticate, openContractCall } from '@stacks/connect';
+import { authenticate, openContractCall, openSTXTransfer } from '@stacks/connect';
 import {
     uintCV,
     principalCV,
@@ -12,29 +12,53 @@ import {
     stringAsciiCV,
     boolCV,
     cvToJSON,
+    hexToCV,
     fetchCallReadOnlyFunction,
+    createContractCallPayload,
+    createTokenTransferPayload,
+    serializePayload,
     PostConditionMode,
     Pc,
 } from '@stacks/transactions';
-import { STACKS_TESTNET, STACKS_MAINNET } from '@stacks/network';
+import { planWithdraw, planClaimRewards } from '@posvault/sdk/post-conditions';
+import { preflightVote, preflightCreateProposal, preflightExecute } from '@posvault/sdk/preflight';
+import { fetchGovernanceAnalytics } from '@posvault/sdk/governance-analytics';
+import { fetchExecutionQueue } from '@posvault/sdk/execution-queue';
+import { getActiveProfile, sdkOptions } from './networks.js';
+import { accountAddress, getActiveAccount } from './accounts.js';
+import { memoText, replacementFees, walletPostConditions } from './utils/mempool.js';
 
 // ==========================================
 // Configuration
 // ==========================================
 
-// Use mainnet by default for production deployment
-const IS_MAINNET = true;
-const NETWORK = IS_MAINNET ? STACKS_MAINNET : STACKS_TESTNET;
+// Network, API URL, deployer and contract names come from the active
+// profile (see networks.js), which reads them from sdk/src/deployments.json
 
-// Contract deployer address
-export const CONTRACT_DEPLOYER = 'SP2KYZRNME33Y39GP3RKC90DQJ45EF1N0NZNVRE09';
+/**
+ * Contract names deployed on a profile's network
+ * @param {object} [profile] - Network profile (defaults to the active one)
+ * @returns {{ VAULT_CORE: string, GOVERNANCE_TOKEN: string, PROPOSAL_VOTING: string }}
+ */
+export function getContracts(profile = getActiveProfile()) {
+    const { vaultCore, governanceToken, proposalVoting } = profile.contracts;
+    return {
+        VAULT_CORE: vaultCore.name,
+        GOVERNANCE_TOKEN: governanceToken.name,
+        PROPOSAL_VOTING: proposalVoting.name,
+    };
+}
 
-// Contract names
-export const CONTRACTS = {
-    VAULT_CORE: 'vault-core-v4',
-    GOVERNANCE_TOKEN: 'governance-token',
-    PROPOSAL_VOTING: 'proposal-voting',
-};
+/**
+ * Principal that deployed the contracts on a profile's network
+ * @param {object} [profile] - Network profile (defaults to the active one)
+ */
+export function getContractDeployer(profile = getActiveProfile()) {
+    if (!profile.deployer) {
+        throw new Error(`No contract deployer configured for ${profile.label}; set ?deployer=`);
+    }
+    return profile.deployer;
+}
 
 // ==========================================
 // Wallet Connection (@stacks/connect)
@@ -50,9 +74,7 @@ export function connectWallet(onFinish, onCancel) {
         onFinish: (payload) => {
             const { userSession } = payload;
             const userData = userSession.loadUserData();
-            const stxAddress = IS_MAINNET
-                ? userData.profile.stxAddress.mainnet
-                : userData.profile.stxAddress.testnet;
+            const stxAddress = getWalletAddress(userData);
 
             onFinish({
                 address: stxAddress,
@@ -66,6 +88,15 @@ export function connectWallet(onFinish, onCancel) {
     });
 }
 
+/**
+ * Pick the wallet address matching the active profile's chain
+ * @param {object} userData - Result of userSession.loadUserData()
+ * @param {object} [profile]
+ */
+export function getWalletAddress(userData, profile = getActiveProfile()) {
+    return userData?.profile?.stxAddress?.[profile.addressChain] ?? null;
+}
+
 /**
  * Disconnect wallet
  * @param {object} userSession
@@ -89,13 +120,15 @@ export function disconnectWallet(userSession) {
  */
 export async function callReadOnly(contractName, functionName, functionArgs = [], senderAddress) {
     try {
+        const profile = getActiveProfile();
+        const deployer = getContractDeployer(profile);
         const result = await fetchCallReadOnlyFunction({
-            contractAddress: CONTRACT_DEPLOYER,
+            contractAddress: deployer,
             contractName,
             functionName,
             functionArgs,
-            network: NETWORK,
-            senderAddress: senderAddress || CONTRACT_DEPLOYER,
+            network: profile.network,
+            senderAddress: senderAddress || deployer,
         });
         return cvToJSON(result);
     } catch (error) {
@@ -108,7 +141,7 @@ export async function callReadOnly(contractName, functionName, functionArgs = []
  * Get vault information
  */
 export async function getVaultInfo(senderAddress) {
-    return callReadOnly(CONTRACTS.VAULT_CORE, 'get-vault-info', [], senderAddress);
+    return callReadOnly(getContracts().VAULT_CORE, 'get-vault-info', [], senderAddress);
 }
 
 /**
@@ -116,7 +149,7 @@ export async function getVaultInfo(senderAddress) {
  */
 export async function getUserDeposit(userAddress) {
     return callReadOnly(
-        CONTRACTS.VAULT_CORE,
+        getContracts().VAULT_CORE,
         'get-deposit',
         [principalCV(userAddress)],
         userAddress
@@ -128,7 +161,7 @@ export async function getUserDeposit(userAddress) {
  */
 export async function getUserStats(userAddress) {
     return callReadOnly(
-        CONTRACTS.VAULT_CORE,
+        getContracts().VAULT_CORE,
         'get-user-stats',
         [principalCV(userAddress)],
         userAddress
@@ -140,7 +173,7 @@ export async function getUserStats(userAddress) {
  */
 export async function getPendingRewards(userAddress) {
     return callReadOnly(
-        CONTRACTS.VAULT_CORE,
+        getContracts().VAULT_CORE,
         'get-pending-rewards',
         [principalCV(userAddress)],
         userAddress
@@ -152,7 +185,7 @@ export async function getPendingRewards(userAddress) {
  */
 export async function getTokenBalance(userAddress) {
     return callReadOnly(
-        CONTRACTS.GOVERNANCE_TOKEN,
+        getContracts().GOVERNANCE_TOKEN,
         'get-balance',
         [principalCV(userAddress)],
         userAddress
@@ -163,7 +196,7 @@ export async function getTokenBalance(userAddress) {
  * Get total token supply
  */
 export async function getTotalSupply(senderAddress) {
-    return callReadOnly(CONTRACTS.GOVERNANCE_TOKEN, 'get-total-supply', [], senderAddress);
+    return callReadOnly(getContracts().GOVERNANCE_TOKEN, 'get-total-supply', [], senderAddress);
 }
 
 /**
@@ -171,18 +204,61 @@ export async function getTotalSupply(senderAddress) {
  */
 export async function getProposal(proposalId, senderAddress) {
     return callReadOnly(
-        CONTRACTS.PROPOSAL_VOTING,
+        getContracts().PROPOSAL_VOTING,
         'get-proposal',
         [uintCV(proposalId)],
         senderAddress
     );
 }
 
+/**
+ * Get proposal result (live tally, execution and voting-ended flags)
+ */
+export async function getProposalResult(proposalId, senderAddress) {
+    return callReadOnly(
+        getContracts().PROPOSAL_VOTING,
+        'get-proposal-result',
+        [uintCV(proposalId)],
+        senderAddress
+    );
+}
+
 /**
  * Get proposal count
  */
 export async function getProposalCount(senderAddress) {
-    return callReadOnly(CONTRACTS.PROPOSAL_VOTING, 'get-proposal-count', [], senderAddress);
+    return callReadOnly(getContracts().PROPOSAL_VOTING, 'get-proposal-count', [], senderAddress);
+}
+
+/**
+ * One page of a contract's events, newest first
+ * @param {string} contractId - `<deployer>.<name>`
+ * @param {object} [options]
+ * @param {number} [options.limit] - Page size (API max 50)
+ * @param {number} [options.offset]
+ * @param {object} [options.profile] - Network profile (defaults to the active one)
+ * @returns {Promise<object[]>} Hiro `smart_contract_log` / asset events
+ */
+export async function getContractEvents(contractId, { limit = 50, offset = 0, profile = getActiveProfile() } = {}) {
+    const res = await fetch(
+        `${profile.apiUrl}/extended/v1/contract/${contractId}/events?limit=${limit}&offset=${offset}`
+    );
+    if (!res.ok) throw new Error(`Contract events request failed (${res.status})`);
+    const { results } = await res.json();
+    return results;
+}
+
+/**
+ * Most recent Stacks blocks, newest first
+ * @param {number} [limit]
+ * @returns {Promise<Array<{ height: number, block_time: number }>>}
+ */
+export async function getRecentBlocks(limit = 30) {
+    const profile = getActiveProfile();
+    const res = await fetch(`${profile.apiUrl}/extended/v2/blocks?limit=${limit}`);
+    if (!res.ok) throw new Error(`Block list request failed (${res.status})`);
+    const { results } = await res.json();
+    return results;
 }
 
 // ==========================================
@@ -206,14 +282,17 @@ export function executeContractCall({
     onFinish,
     onCancel,
 }) {
+    const profile = getActiveProfile();
     openContractCall({
-        contractAddress: CONTRACT_DEPLOYER,
+        contractAddress: getContractDeployer(profile),
         contractName,
         functionName,
         functionArgs,
         postConditions,
         postConditionMode: PostConditionMode.Deny,
-        network: NETWORK,
+        network: profile.network,
+        // Ask the wallet to sign with the account selected in the header
+        stxAddress: accountAddress(getActiveAccount(), profile) ?? undefined,
         onFinish: (data) => {
             console.log('Transaction submitted:', data);
             if (onFinish) onFinish(data);
@@ -244,7 +323,7 @@ export function depositSTX(amountInSTX, senderAddress, onFinish, onCancel) {
     ];
 
     executeContractCall({
-        contractName: CONTRACTS.VAULT_CORE,
+        contractName: getContracts().VAULT_CORE,
         functionName: 'deposit',
         functionArgs: [uintCV(amountMicro)],
         postConditions,
@@ -254,43 +333,143 @@ export function depositSTX(amountInSTX, senderAddress, onFinish, onCancel) {
 }
 
 /**
- * Withdraw STX from the vault
+ * Withdraw STX from the vault.
+ * Reads the deposit first so the vault must send back exactly that amount;
+ * the POS-GOV mint cannot be post-conditioned (see sdk/src/post-conditions.ts).
+ * @param {string} senderAddress - User's STX address
+ * @param {Function} onFinish
+ * @param {Function} onCancel
+ * @returns {Promise<object>} Payout plan: stxAmount and rewards { min, max }
  */
-export function withdrawSTX(onFinish, onCancel) {
+export async function withdrawSTX(senderAddress, onFinish, onCancel) {
+    const plan = await planWithdraw(senderAddress, sdkOptions());
     executeContractCall({
-        contractName: CONTRACTS.VAULT_CORE,
+        contractName: getContracts().VAULT_CORE,
         functionName: 'withdraw',
         functionArgs: [],
-        postConditions: [],
+        postConditions: plan.postConditions,
         onFinish,
         onCancel,
     });
+    return plan;
 }
 
 /**
- * Claim POS-GOV rewards
+ * Claim POS-GOV rewards.
+ * Runs in Deny mode with no post-conditions, so no asset can leave the
+ * wallet; rejects when nothing is pending yet.
+ * @param {string} senderAddress - User's STX address
+ * @param {Function} onFinish
+ * @param {Function} onCancel
+ * @returns {Promise<object>} Payout plan: rewards { min, max }
  */
-export function claimRewards(onFinish, onCancel) {
+export async function claimRewards(senderAddress, onFinish, onCancel) {
+    const plan = await planClaimRewards(senderAddress, sdkOptions());
     executeContractCall({
-        contractName: CONTRACTS.VAULT_CORE,
+        contractName: getContracts().VAULT_CORE,
         functionName: 'claim-rewards',
         functionArgs: [],
-        postConditions: [],
+        postConditions: plan.postConditions,
         onFinish,
         onCancel,
     });
+    return plan;
+}
+
+// ==========================================
+// Governance Reports
+// ==========================================
+
+/**
+ * Turnout, outcomes and voting-power concentration across every proposal
+ * (see sdk/src/governance-analytics.ts). Reads each proposal and pages
+ * through all proposal-voting events, so it is not cheap.
+ * @param {string} [senderAddress] - Defaults to the deployer
+ * @returns {Promise<object>} GovernanceAnalytics, amounts as bigint micro POS-GOV
+ */
+export function loadGovernanceAnalytics(senderAddress) {
+    const profile = getActiveProfile();
+    return fetchGovernanceAnalytics(senderAddress || getContractDeployer(profile), sdkOptions(profile));
+}
+
+/**
+ * Proposals whose voting has closed but which nobody has executed yet,
+ * with the quorum and pass/fail verdict execution would record
+ * (see sdk/src/execution-queue.ts)
+ * @param {string} [senderAddress] - Defaults to the deployer
+ * @returns {Promise<{ currentBlock: bigint, totalSupply: bigint, proposals: object[] }>}
+ */
+export function loadExecutionQueue(senderAddress) {
+    const profile = getActiveProfile();
+    return fetchExecutionQueue(senderAddress || getContractDeployer(profile), sdkOptions(profile));
+}
+
+// ==========================================
+// Governance Pre-flight
+// ==========================================
+
+// Each check makes the reads the contract will make and resolves with
+// `{ ok, code, reason, ... }` (see sdk/src/preflight.ts), so the UI can
+// disable an action with the reason it would fail for.
+
+/**
+ * Would a vote succeed? Also reports the weight it would record.
+ * @param {number} proposalId
+ * @param {string} voterAddress
+ * @returns {Promise<object>} `{ ok, code, reason, weight, existingVote, votingActive }`
+ */
+export function checkVote(proposalId, voterAddress) {
+    return preflightVote(voterAddress, proposalId, sdkOptions());
+}
+
+/**
+ * Would creating this proposal succeed?
+ * @param {string} proposerAddress
+ * @param {string} proposalType - general | reward-rate | pause
+ * @param {number} value
+ * @returns {Promise<object>} `{ ok, code, reason, balance, minTokens, activeProposalId }`
+ */
+export function checkCreateProposal(proposerAddress, proposalType, value) {
+    return preflightCreateProposal(proposerAddress, proposalType, value, sdkOptions());
+}
+
+/**
+ * Would executing a proposal succeed now?
+ * @param {number} proposalId
+ * @param {string} senderAddress
+ * @returns {Promise<object>} `{ ok, code, reason, votesFor, votesAgainst, quorumNeeded, passed }`
+ */
+export function checkExecuteProposal(proposalId, senderAddress) {
+    return preflightExecute(proposalId, senderAddress, sdkOptions());
+}
+
+function assertCheck(check) {
+    if (!check.ok) throw new Error(check.reason);
+    return check;
 }
 
 // ==========================================
 // Governance Operations
 // ==========================================
 
+// Each operation re-runs its pre-flight check and rejects with the
+// contract's reason instead of opening the wallet for a doomed call.
+
 /**
  * Create a proposal
+ * @param {string} title
+ * @param {string} description
+ * @param {string} proposalType - general | reward-rate | pause
+ * @param {number} value
+ * @param {string} senderAddress - Proposer's STX address
+ * @param {Function} onFinish
+ * @param {Function} onCancel
+ * @returns {Promise<object>} The passing pre-flight check
  */
-export function createProposal(title, description, proposalType, value, onFinish, onCancel) {
+export async function createProposal(title, description, proposalType, value, senderAddress, onFinish, onCancel) {
+    const check = assertCheck(await checkCreateProposal(senderAddress, proposalType, value));
     executeContractCall({
-        contractName: CONTRACTS.PROPOSAL_VOTING,
+        contractName: getContracts().PROPOSAL_VOTING,
         functionName: 'create-proposal',
         functionArgs: [
             stringUtf8CV(title),
@@ -302,34 +481,200 @@ export function createProposal(title, description, proposalType, value, onFinish
         onFinish,
         onCancel,
     });
+    return check;
 }
 
 /**
- * Vote on a proposal
+ * Vote on a proposal with the sender's full POS-GOV balance
+ * @param {number} proposalId
+ * @param {boolean} support
+ * @param {string} senderAddress - Voter's STX address
+ * @param {Function} onFinish
+ * @param {Function} onCancel
+ * @returns {Promise<object>} The passing pre-flight check (`weight` is the vote's weight)
  */
-export function voteOnProposal(proposalId, support, onFinish, onCancel) {
+export async function voteOnProposal(proposalId, support, senderAddress, onFinish, onCancel) {
+    const check = assertCheck(await checkVote(proposalId, senderAddress));
     executeContractCall({
-        contractName: CONTRACTS.PROPOSAL_VOTING,
+        contractName: getContracts().PROPOSAL_VOTING,
         functionName: 'vote',
         functionArgs: [uintCV(proposalId), boolCV(support)],
         postConditions: [],
         onFinish,
         onCancel,
     });
+    return check;
 }
 
 /**
- * Execute a proposal
+ * Execute a proposal whose voting has ended and which met quorum
+ * @param {number} proposalId
+ * @param {string} senderAddress
+ * @param {Function} onFinish
+ * @param {Function} onCancel
+ * @returns {Promise<object>} The passing pre-flight check
  */
-export function executeProposal(proposalId, onFinish, onCancel) {
+export async function executeProposal(proposalId, senderAddress, onFinish, onCancel) {
+    const check = assertCheck(await checkExecuteProposal(proposalId, senderAddress));
     executeContractCall({
-        contractName: CONTRACTS.PROPOSAL_VOTING,
+        contractName: getContracts().PROPOSAL_VOTING,
         functionName: 'execute-proposal',
         functionArgs: [uintCV(proposalId)],
         postConditions: [],
         onFinish,
         onCancel,
     });
+    return check;
+}
+
+// ==========================================
+// Pending Transactions (mempool)
+// ==========================================
+
+// A pending transaction is replaced by another with the same nonce and a
+// higher fee (see utils/mempool.js). The wallet signs the replacement.
+
+/**
+ * An address's transactions still in the mempool, and its nonce state
+ * @param {string} address
+ * @param {object} [profile] - Network profile (defaults to the active one)
+ * @returns {Promise<{ transactions: object[], nonces: object|null }>}
+ */
+export async function getMempoolState(address, profile = getActiveProfile()) {
+    const [mempoolRes, noncesRes] = await Promise.all([
+        fetch(`${profile.apiUrl}/extended/v1/address/${address}/mempool?limit=50`),
+        fetch(`${profile.apiUrl}/extended/v1/address/${address}/nonces`),
+    ]);
+    if (!mempoolRes.ok) throw new Error(`Mempool request failed (${mempoolRes.status})`);
+    const { results } = await mempoolRes.json();
+    // Nonces only sharpen stuck detection; the list is still useful without
+    const nonces = noncesRes.ok ? await noncesRes.json() : null;
+    return { transactions: results, nonces };
+}
+
+/**
+ * A single transaction, confirmed or in the mempool
+ * @param {string} txId
+ * @param {object} [profile] - Network profile (defaults to the active one)
+ */
+export async function getTransaction(txId, profile = getActiveProfile()) {
+    const res = await fetch(`${profile.apiUrl}/extended/v1/tx/${txId}`);
+    if (!res.ok) throw new Error(`Transaction request failed (${res.status})`);
+    return res.json();
+}
+
+// Replacements re-send what the original did: the same call or transfer
+function replacementPayload(tx) {
+    if (tx.tx_type === 'contract_call') {
+        const { contract_id: contractId, function_name: functionName, function_args: args = [] } = tx.contract_call;
+        const [contractAddress, contractName] = contractId.split('.');
+        return createContractCallPayload(contractAddress, contractName, functionName, args.map((a) => hexToCV(a.hex)));
+    }
+    if (tx.tx_type === 'token_transfer') {
+        const { recipient_address: recipient, amount, memo } = tx.token_transfer;
+        return createTokenTransferPayload(recipient, amount, memoText(memo));
+    }
+    throw new Error('Only contract calls and STX transfers can be sped up');
+}
+
+// Cancelling uses up the nonce with a 1 µSTX transfer. It goes to the
+// profile's cancelRecipient (the burn address by default), not back to
+// the sender: nodes reject transfers to oneself (TransferRecipientIsSender)
+const CANCEL_AMOUNT = 1;
+
+function cancelRecipient(tx, profile = getActiveProfile()) {
+    if (profile.cancelRecipient === tx.sender_address) {
+        throw new Error('The cancel recipient must differ from the sender; set VITE_CANCEL_RECIPIENT');
+    }
+    return profile.cancelRecipient;
+}
+
+/**
+ * Fee choices for speeding up or cancelling a pending transaction, from
+ * the node's fee estimate for the replacement and at least a bump over
+ * the original fee.
+ * @param {object} tx - Mempool transaction from the API
+ * @param {'speed-up'|'cancel'} action
+ * @returns {Promise<Array<{ label: string, fee: number }>>}
+ */
+export async function estimateReplacementFees(tx, action) {
+    const profile = getActiveProfile();
+    const payload = action === 'cancel'
+        ? createTokenTransferPayload(cancelRecipient(tx, profile), CANCEL_AMOUNT)
+        : replacementPayload(tx);
+
+    let estimations = [];
+    try {
+        const res = await fetch(`${profile.apiUrl}/v2/fees/transaction`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ transaction_payload: serializePayload(payload) }),
+        });
+        // No estimate (e.g. an idle devnet) leaves only the bump over the original
+        if (res.ok) ({ estimations = [] } = await res.json());
+    } catch {
+        // Same: fall back to the bump
+    }
+    return replacementFees(estimations, tx.fee_rate);
+}
+
+function replacementOptions(tx, fee, onFinish, onCancel) {
+    return {
+        network: getActiveProfile().network,
+        stxAddress: tx.sender_address,
+        nonce: tx.nonce,
+        fee,
+        onFinish,
+        onCancel,
+    };
+}
+
+/**
+ * Re-send a pending contract call or STX transfer with the same nonce and
+ * a higher fee, under the same post-conditions
+ * @param {object} tx - Mempool transaction from the API
+ * @param {number} fee - microSTX, from estimateReplacementFees
+ * @param {Function} onFinish
+ * @param {Function} onCancel
+ */
+export function speedUpTransaction(tx, fee, onFinish, onCancel) {
+    const options = replacementOptions(tx, fee, onFinish, onCancel);
+    if (tx.tx_type === 'token_transfer') {
+        const { recipient_address: recipient, amount, memo } = tx.token_transfer;
+        openSTXTransfer({ ...options, recipient, amount, memo: memoText(memo) });
+        return;
+    }
+    if (tx.tx_type !== 'contract_call') {
+        throw new Error('Only contract calls and STX transfers can be sped up');
+    }
+
+    const [contractAddress, contractName] = tx.contract_call.contract_id.split('.');
+    openContractCall({
+        ...options,
+        contractAddress,
+        contractName,
+        functionName: tx.contract_call.function_name,
+        functionArgs: (tx.contract_call.function_args ?? []).map((a) => hexToCV(a.hex)),
+        postConditions: walletPostConditions(tx),
+        postConditionMode: tx.post_condition_mode === 'allow' ? PostConditionMode.Allow : PostConditionMode.Deny,
+    });
+}
+
+/**
+ * Replace a pending transaction with a same-nonce 1 µSTX transfer to the
+ * profile's cancel recipient, so the original can never confirm
+ * @param {object} tx - Mempool transaction from the API
+ * @param {number} fee - microSTX, from estimateReplacementFees
+ * @param {Function} onFinish
+ * @param {Function} onCancel
+ */
+export function cancelTransaction(tx, fee, onFinish, onCancel) {
+    openSTXTransfer({
+        ...replacementOptions(tx, fee, onFinish, onCancel),
+        recipient: cancelRecipient(tx),
+        amount: CANCEL_AMOUNT,
+        memo: `cancel nonce ${tx.nonce}`,
+    });
 }
 
 // ==========================================
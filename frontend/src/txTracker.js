@@ -0,0 +1,264 @@
+/**
+ * POSVault — Transaction tracker
+ *
+ * Follows submitted txids until they confirm or abort by polling the
+ * Hiro `/extended/v1/tx/{txid}` endpoint with exponential backoff.
+ * Tracked transactions are persisted to localStorage so polling resumes
+ * after a page reload.
+ *
+ * Each entry records which data the transaction touches (`affects`), so
+ * listeners registered with `onTransactionSettled` can refresh only the
+ * vault, account or proposal reads that changed.
+ */
+
+import { getErrorMessage } from '@posvault/sdk/errors';
+import { getActiveProfile } from './networks.js';
+
+// ==========================================
+// Configuration
+// ==========================================
+
+const STORAGE_KEY = 'posvault.trackedTransactions';
+
+const INITIAL_DELAY_MS = 3_000;
+const MAX_DELAY_MS = 30_000;
+const BACKOFF_FACTOR = 1.5;
+
+// A txid the API still has not seen after this long was never broadcast
+const NOT_FOUND_TIMEOUT_MS = 30 * 60_000;
+
+// Settled entries are forgotten after a day
+const SETTLED_TTL_MS = 24 * 60 * 60_000;
+
+/**
+ * What each kind of transaction changes once it confirms.
+ * `proposal` means the single proposal named by `entry.proposalId`.
+ */
+const AFFECTS = {
+    deposit: ['vault', 'account'],
+    withdraw: ['vault', 'account'],
+    'claim-rewards': ['vault', 'account'],
+    'create-proposal': ['proposals', 'account'],
+    vote: ['proposal'],
+    // Executed reward-rate / pause proposals change vault state
+    'execute-proposal': ['proposal', 'vault'],
+    // Replacing a pending transaction with a self-transfer (see stacks.js)
+    cancel: ['account'],
+};
+
+// ==========================================
+// Store
+// ==========================================
+
+let entries = loadEntries();
+const listeners = new Set();
+const settledListeners = new Set();
+const timers = new Map();
+
+function loadEntries() {
+    if (typeof localStorage === 'undefined') return [];
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+        const cutoff = Date.now() - SETTLED_TTL_MS;
+        return Array.isArray(stored)
+            ? stored.filter((e) => e.status === 'pending' || e.updatedAt > cutoff)
+            : [];
+    } catch {
+        return [];
+    }
+}
+
+function commit(next) {
+    entries = next;
+    if (typeof localStorage !== 'undefined') {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+        } catch {
+            // Storage full or disabled: tracking still works for this session
+        }
+    }
+    listeners.forEach((listener) => listener(entries));
+}
+
+function update(txId, patch) {
+    commit(entries.map((e) => (e.txId === txId ? { ...e, ...patch, updatedAt: Date.now() } : e)));
+    return entries.find((e) => e.txId === txId);
+}
+
+/**
+ * Snapshot of every tracked transaction, newest first
+ */
+export function getTrackedTransactions() {
+    return entries;
+}
+
+/**
+ * Subscribe to any change in the tracked list.
+ * @param {Function} listener - Called with the new list
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToTransactions(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Subscribe to transactions reaching a final state.
+ * @param {Function} listener - Called with the settled entry
+ * @returns {Function} unsubscribe
+ */
+export function onTransactionSettled(listener) {
+    settledListeners.add(listener);
+    return () => settledListeners.delete(listener);
+}
+
+// ==========================================
+// Tracking
+// ==========================================
+
+/**
+ * Start following a submitted transaction.
+ * @param {object} tx
+ * @param {string} tx.txId
+ * @param {string} tx.kind - deposit | withdraw | claim-rewards | create-proposal | vote | execute-proposal | cancel
+ * @param {string} tx.label - Short description shown in the toast
+ * @param {number} [tx.proposalId] - For vote / execute-proposal
+ */
+export function trackTransaction({ txId, kind, label, proposalId }) {
+    if (!txId || entries.some((e) => e.txId === txId)) return;
+
+    const profile = getActiveProfile();
+    const now = Date.now();
+    const entry = {
+        txId,
+        kind,
+        label,
+        proposalId: proposalId ?? null,
+        affects: AFFECTS[kind] ?? [],
+        apiUrl: profile.apiUrl,
+        network: profile.baseId,
+        status: 'pending',
+        apiStatus: null,
+        blockHeight: null,
+        nonce: null,
+        fee: null,
+        receiptTime: null,
+        error: null,
+        submittedAt: now,
+        updatedAt: now,
+        attempts: 0,
+    };
+
+    commit([entry, ...entries]);
+    schedule(entry, INITIAL_DELAY_MS);
+}
+
+/**
+ * Stop showing a transaction. Pending ones stop being polled.
+ * @param {string} txId
+ */
+export function dismissTransaction(txId) {
+    clearTimeout(timers.get(txId));
+    timers.delete(txId);
+    commit(entries.filter((e) => e.txId !== txId));
+}
+
+function schedule(entry, delay) {
+    clearTimeout(timers.get(entry.txId));
+    timers.set(entry.txId, setTimeout(() => poll(entry.txId), delay));
+}
+
+function nextDelay(attempts) {
+    return Math.min(INITIAL_DELAY_MS * BACKOFF_FACTOR ** attempts, MAX_DELAY_MS);
+}
+
+async function poll(txId) {
+    timers.delete(txId);
+    const entry = entries.find((e) => e.txId === txId);
+    if (!entry || entry.status !== 'pending') return;
+
+    const attempts = entry.attempts + 1;
+    let patch;
+    try {
+        const res = await fetch(`${entry.apiUrl}/extended/v1/tx/${normalizeTxId(txId)}`);
+        if (res.status === 404) {
+            patch = Date.now() - entry.submittedAt > NOT_FOUND_TIMEOUT_MS
+                ? { status: 'dropped', error: { code: null, message: 'Transaction was never seen by the network' } }
+                : {};
+        } else if (!res.ok) {
+            patch = {};
+        } else {
+            patch = interpretTx(await res.json());
+        }
+    } catch {
+        // Network hiccup: keep pending and back off
+        patch = {};
+    }
+
+    // Dismissed while the request was in flight
+    if (!entries.some((e) => e.txId === txId)) return;
+
+    const next = update(txId, { ...patch, attempts });
+    if (next.status === 'pending') {
+        schedule(next, nextDelay(attempts));
+    } else {
+        settledListeners.forEach((listener) => listener(next));
+    }
+}
+
+/**
+ * Map a Hiro transaction record onto tracker state.
+ * @param {object} tx - `/extended/v1/tx/{txid}` response
+ */
+export function interpretTx(tx) {
+    const apiStatus = tx.tx_status;
+    const base = { apiStatus, blockHeight: tx.block_height ?? null };
+
+    if (apiStatus === 'success') {
+        return { ...base, status: 'confirmed', error: null };
+    }
+    if (apiStatus === 'abort_by_response') {
+        return { ...base, status: 'aborted', error: decodeTxError(tx.tx_result?.repr) };
+    }
+    if (apiStatus === 'abort_by_post_condition') {
+        return {
+            ...base,
+            status: 'aborted',
+            error: { code: null, message: 'Aborted by a post-condition: the transfer amounts did not match' },
+        };
+    }
+    if (apiStatus === 'dropped_replace_by_fee') {
+        return { ...base, status: 'dropped', error: { code: null, message: 'Replaced by a transaction with a higher fee' } };
+    }
+    if (typeof apiStatus === 'string' && apiStatus.startsWith('dropped')) {
+        return { ...base, status: 'dropped', error: { code: null, message: `Dropped from mempool (${apiStatus})` } };
+    }
+    // What a speed-up or cancel needs, and how long it has waited
+    return {
+        ...base,
+        status: 'pending',
+        nonce: tx.nonce ?? null,
+        fee: tx.fee_rate ?? null,
+        receiptTime: tx.receipt_time ?? null,
+    };
+}
+
+/**
+ * Decode an `(err uNNN)` result into a code and human message.
+ * @param {string} [repr] - Clarity repr from `tx_result.repr`
+ */
+export function decodeTxError(repr) {
+    const match = /^\(err u(\d+)\)$/.exec(repr ?? '');
+    if (!match) return { code: null, message: repr ? `Transaction failed: ${repr}` : 'Transaction failed' };
+    const code = Number(match[1]);
+    return { code, message: getErrorMessage(code) };
+}
+
+function normalizeTxId(txId) {
+    return txId.startsWith('0x') ? txId : `0x${txId}`;
+}
+
+// Resume polling transactions that were pending when the page unloaded
+entries
+    .filter((e) => e.status === 'pending')
+    .forEach((e) => schedule(e, INITIAL_DELAY_MS));
@@ -0,0 +1,17 @@
+/**
+ * Save text as a file through a temporary object URL.
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} [type] - MIME type
+ */
+export function downloadText(filename, content, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Let the download start before the URL goes away
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,124 @@
+/**
+ * Helpers for transactions still in the mempool: how long they have
+ * waited, whether they look stuck, and what it takes to replace them.
+ *
+ * A pending transaction is replaced by broadcasting another from the same
+ * account with the same nonce and a higher fee. Re-sending the same call
+ * speeds it up; a 1 µSTX transfer cancels it. The transfer goes to the
+ * profile's cancel recipient (the burn address by default): nodes reject
+ * transfers to the sender itself.
+ */
+
+import { hexToCV } from '@stacks/transactions';
+
+// Blocks come every few seconds to minutes; this long unconfirmed is stuck
+export const STUCK_AFTER_SECONDS = 20 * 60;
+
+// Nodes only accept a replacement that pays more than the original; the
+// margin keeps a replacement from being outbid by the very fee it replaces
+export const MIN_FEE_BUMP = 1.25;
+
+/** Seconds a mempool tx has waited (0 when the API gave no receipt time) */
+export function mempoolAge(tx, now = Date.now()) {
+  return tx.receipt_time ? Math.max(0, Math.floor(now / 1000) - tx.receipt_time) : 0;
+}
+
+/**
+ * Whether a pending transaction looks stuck, and why.
+ *
+ * @param {object} tx  Mempool transaction (needs `nonce`, `receipt_time`)
+ * @param {object|null} [nonces]  `/extended/v1/address/{addr}/nonces` response
+ * @param {number} [now]  ms
+ * @returns {{ stuck: boolean, reason: string|null }}
+ */
+export function pendingState(tx, nonces, now = Date.now()) {
+  const missing = (nonces?.detected_missing_nonces ?? []).filter((n) => n < tx.nonce);
+  if (missing.length > 0) {
+    return {
+      stuck: true,
+      reason: `Waiting on missing nonce${missing.length > 1 ? 's' : ''} ${missing.sort((a, b) => a - b).join(', ')}`,
+    };
+  }
+  if (mempoolAge(tx, now) >= STUCK_AFTER_SECONDS) {
+    return { stuck: true, reason: 'Unconfirmed for a long time; the fee may be too low' };
+  }
+  return { stuck: false, reason: null };
+}
+
+/**
+ * "12m", "3h 5m": short duration for time in mempool.
+ * @param {number} seconds
+ */
+export function formatWait(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+const COMPARATORS = {
+  sent_equal_to: 'eq',
+  sent_greater_than: 'gt',
+  sent_greater_than_or_equal_to: 'gte',
+  sent_less_than: 'lt',
+  sent_less_than_or_equal_to: 'lte',
+  sent: 'sent',
+  not_sent: 'not-sent',
+};
+
+function principalOf(pc, tx) {
+  const { principal } = pc;
+  if (principal.type_id === 'principal_origin') return tx.sender_address;
+  if (principal.type_id === 'principal_contract') return `${principal.address}.${principal.contract_name}`;
+  return principal.address;
+}
+
+/**
+ * The post-conditions of an API transaction, in the form the wallet takes,
+ * so a replacement is held to the same guarantees as the original.
+ *
+ * @param {object} tx  Transaction with `post_conditions` as the API returns them
+ * @returns {Array<object>} `@stacks/transactions` PostCondition objects
+ */
+export function walletPostConditions(tx) {
+  return (tx.post_conditions ?? []).map((pc) => {
+    const address = principalOf(pc, tx);
+    const condition = COMPARATORS[pc.condition_code];
+    if (!condition) throw new Error(`Unsupported post-condition: ${pc.condition_code}`);
+    const asset = pc.asset && `${pc.asset.contract_address}.${pc.asset.contract_name}::${pc.asset.asset_name}`;
+
+    if (pc.type === 'stx') return { type: 'stx-postcondition', address, condition, amount: pc.amount };
+    if (pc.type === 'fungible') return { type: 'ft-postcondition', address, condition, asset, amount: pc.amount };
+    return { type: 'nft-postcondition', address, condition, asset, assetId: hexToCV(pc.asset_value.hex) };
+  });
+}
+
+/**
+ * Text of a token-transfer memo as the API returns it (hex, zero-padded).
+ * @param {string} [hex]
+ */
+export function memoText(hex) {
+  if (!hex || hex === '0x') return '';
+  const bytes = hex.replace(/^0x/, '').match(/../g).map((b) => parseInt(b, 16));
+  return new TextDecoder().decode(new Uint8Array(bytes)).replace(/\0+$/, '');
+}
+
+/**
+ * Fee choices for replacing a transaction: the endpoint's low / medium /
+ * high estimates, each raised to at least `MIN_FEE_BUMP` × the original
+ * fee and kept distinct.
+ *
+ * @param {Array<{ fee: number }>} estimations  `/v2/fees/transaction` estimations
+ * @param {number|string} originalFee  microSTX
+ * @returns {Array<{ label: string, fee: number }>}
+ */
+export function replacementFees(estimations, originalFee) {
+  const floor = Math.ceil(Number(originalFee) * MIN_FEE_BUMP);
+  const tiers = [];
+  ['Low', 'Medium', 'High'].forEach((label, i) => {
+    const estimate = estimations?.[i]?.fee ?? 0;
+    const previous = tiers[tiers.length - 1]?.fee ?? 0;
+    tiers.push({ label, fee: Math.max(estimate, floor, previous + 1) });
+  });
+  return tiers;
+}
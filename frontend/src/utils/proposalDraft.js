@@ -0,0 +1,100 @@
+import { REWARD_CYCLE_LENGTH } from '@posvault/sdk/constants';
+import { calculateAPY } from '@posvault/sdk/calculations';
+import { validateProposalAction } from '@posvault/sdk/preflight';
+
+/**
+ * Proposal types `create-proposal` accepts, and what each one's value means.
+ * See proposal-voting `is-valid-proposal`.
+ */
+export const PROPOSAL_TYPES = [
+  { id: 'general', label: 'General', hint: 'Signalling only; nothing changes on-chain' },
+  { id: 'pause', label: 'Pause / Unpause', hint: 'Toggles the vault pause switch when executed' },
+  { id: 'reward-rate', label: 'Reward Rate', hint: 'Sets the reward rate per 144-block cycle' },
+];
+
+// create-proposal: (title (string-utf8 100)) (description (string-utf8 500))
+export const TITLE_MAX_LENGTH = 100;
+export const DESCRIPTION_MAX_LENGTH = 500;
+
+/**
+ * Length of a string as Clarity counts `string-utf8`: Unicode scalar
+ * values, not bytes and not JS UTF-16 code units (so "🚀" is 1, not 2).
+ * @param {string} text
+ */
+export function clarityUtf8Length(text) {
+  return [...String(text ?? '')].length;
+}
+
+/**
+ * Parse a percentage per cycle into basis points without floating-point
+ * error. Basis points are whole numbers, so at most two decimals.
+ * @param {string} text  e.g. "2.5"
+ * @returns {bigint|null}  null for empty or unrepresentable input
+ */
+export function parsePercentToBps(text) {
+  const match = /^\s*(\d*)(?:\.(\d{0,2}))?\s*$/.exec(String(text ?? ''));
+  if (!match || (!match[1] && !match[2])) return null;
+  return BigInt(match[1] || '0') * 100n + BigInt((match[2] || '').padEnd(2, '0'));
+}
+
+/**
+ * Check a draft against the contract's limits and turn it into
+ * `create-proposal` arguments.
+ *
+ * @param {{ title: string, description: string, type: string, percent: string }} draft
+ *   `percent` is only read for reward-rate proposals
+ * @returns {{ ok: boolean, errors: object, value: bigint }}  `errors` by field
+ */
+export function validateDraft(draft) {
+  const errors = {};
+
+  const titleLength = clarityUtf8Length(draft.title.trim());
+  if (titleLength === 0) errors.title = 'Enter a title';
+  else if (titleLength > TITLE_MAX_LENGTH) errors.title = `Title is ${titleLength}/${TITLE_MAX_LENGTH} characters`;
+
+  const descriptionLength = clarityUtf8Length(draft.description);
+  if (descriptionLength > DESCRIPTION_MAX_LENGTH) {
+    errors.description = `Description is ${descriptionLength}/${DESCRIPTION_MAX_LENGTH} characters`;
+  }
+
+  let value = 0n;
+  if (draft.type === 'reward-rate') {
+    const bps = parsePercentToBps(draft.percent);
+    if (bps === null) errors.value = 'Enter a rate in percent, up to two decimals (0.01% = 1 bps)';
+    else value = bps;
+  }
+  if (!errors.value && validateProposalAction(draft.type, value) !== null) {
+    errors.value = draft.type === 'reward-rate'
+      ? 'The reward rate must be above 0%'
+      : `Unsupported proposal type "${draft.type}"`;
+  }
+
+  return { ok: Object.keys(errors).length === 0, errors, value };
+}
+
+/**
+ * What a reward-rate change would do to APY and POS-GOV emissions at the
+ * vault's current size. Emissions are per full cycle, in micro POS-GOV,
+ * matching vault-core's `amount * rate / 10000` per cycle.
+ *
+ * @param {{ rewardRate: number, totalStxLocked: number }} vaultInfo
+ * @param {bigint} newRate  Basis points per cycle
+ * @param {number|null} secondsPerBlock  Recent average, null when unknown
+ */
+export function previewRewardRate(vaultInfo, newRate, secondsPerBlock) {
+  const locked = BigInt(vaultInfo.totalStxLocked);
+  const currentRate = BigInt(vaultInfo.rewardRate);
+  const cyclesPerDay = secondsPerBlock ? 86_400 / (secondsPerBlock * REWARD_CYCLE_LENGTH) : null;
+
+  const side = (rate) => {
+    const perCycle = (locked * rate) / 10000n;
+    return {
+      rate: Number(rate),
+      apy: calculateAPY(rate),
+      perCycle: Number(perCycle),
+      perDay: cyclesPerDay === null ? null : Number(perCycle) * cyclesPerDay,
+    };
+  };
+
+  return { current: side(currentRate), next: side(newRate) };
+}
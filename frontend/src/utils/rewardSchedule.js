@@ -0,0 +1,122 @@
+/**
+ * Reward cycle timing for a deposit, mirroring vault-core's
+ * `calculate-pending-rewards`: rewards accrue per completed 144-block
+ * cycle counted from the deposit's `last-claim-block`.
+ */
+
+import { REWARD_CYCLE_LENGTH } from '@posvault/sdk/constants';
+import { blocksUntilNextCycle, estimateRewards } from '@posvault/sdk/calculations';
+import { isExecuted } from '../proposalIndex.js';
+
+export const DEFAULT_PROJECTION_CYCLES = [1, 7, 30];
+
+/**
+ * Countdown and projection for one deposit at the current block.
+ *
+ * @param {{ amount: number, lastClaimBlock: number }} deposit  From the vault store
+ * @param {{ rewardRate: number, currentBlock: number }} vaultInfo  From the vault store
+ * @param {number[]} [horizons]  Future cycle counts to project
+ * @returns {{
+ *   currentBlock: number,
+ *   blocksUntilNextCycle: number,
+ *   nextCycleBlock: number,
+ *   pendingRewards: bigint,
+ *   projections: Array<{ cycles: number, block: number, rewards: bigint }>,
+ *   firstClaimableBlock: number|null,
+ * }}
+ */
+export function buildRewardSchedule(deposit, vaultInfo, horizons = DEFAULT_PROJECTION_CYCLES) {
+  const amount = BigInt(deposit.amount);
+  const rate = BigInt(vaultInfo.rewardRate);
+  const lastClaim = BigInt(deposit.lastClaimBlock);
+  const current = BigInt(vaultInfo.currentBlock);
+  const cycle = BigInt(REWARD_CYCLE_LENGTH);
+
+  const untilNext = blocksUntilNextCycle(lastClaim, current);
+  const nextCycleBlock = current + untilNext;
+  const rewardsAt = (block) => estimateRewards(amount, rate, block - lastClaim);
+
+  return {
+    currentBlock: Number(current),
+    blocksUntilNextCycle: Number(untilNext),
+    nextCycleBlock: Number(nextCycleBlock),
+    pendingRewards: rewardsAt(current),
+    projections: horizons.map((cycles) => {
+      const block = nextCycleBlock + BigInt(cycles - 1) * cycle;
+      return { cycles, block: Number(block), rewards: rewardsAt(block) };
+    }),
+    firstClaimableBlock: firstClaimableBlock(amount, rate, lastClaim, current),
+  };
+}
+
+/**
+ * First block at which `claim-rewards` would mint something, or null when
+ * the reward rate is zero. Small deposits can need several cycles before
+ * integer division yields a non-zero reward.
+ */
+function firstClaimableBlock(amount, rate, lastClaim, current) {
+  const perCycleNumerator = amount * rate;
+  if (perCycleNumerator <= 0n) return null;
+
+  // Smallest cycle count k with amount * rate * k >= 10000
+  const cycles = (10000n + perCycleNumerator - 1n) / perCycleNumerator;
+  const block = lastClaim + cycles * BigInt(REWARD_CYCLE_LENGTH);
+  return Number(block > current ? block : current);
+}
+
+/**
+ * Rough wall-clock duration for a number of blocks.
+ * @param {number} blocks
+ * @param {number|null} secondsPerBlock  Recent average, null when unknown
+ * @returns {string}  e.g. "~3h 20m", or '' when the block time is unknown
+ */
+export function formatBlockDuration(blocks, secondsPerBlock) {
+  if (!secondsPerBlock || blocks <= 0) return '';
+  const minutes = Math.round((blocks * secondsPerBlock) / 60);
+  if (minutes < 1) return '<1m';
+  if (minutes < 60) return `~${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `~${hours}h ${minutes % 60}m`;
+  return `~${Math.round(hours / 24)}d`;
+}
+
+/**
+ * Parse a decimal STX string into micro-STX without floating-point error.
+ * @param {string} text  e.g. "12.5"
+ * @returns {bigint}  0n for empty or invalid input
+ */
+export function parseStxToMicro(text) {
+  const match = /^\s*(\d*)(?:\.(\d{0,6})\d*)?\s*$/.exec(String(text ?? ''));
+  if (!match || (!match[1] && !match[2])) return 0n;
+  return BigInt(match[1] || '0') * 1_000_000n + BigInt((match[2] || '').padEnd(6, '0'));
+}
+
+/**
+ * Blocks from now until a calendar date at the given block time.
+ * @param {Date} date
+ * @param {number|null} secondsPerBlock
+ * @returns {number|null}  null when the block time is unknown
+ */
+export function blocksUntilDate(date, secondsPerBlock) {
+  if (!secondsPerBlock) return null;
+  const seconds = (date.getTime() - Date.now()) / 1000;
+  return Math.max(0, Math.floor(seconds / secondsPerBlock));
+}
+
+/**
+ * Reward-rate proposals that could still change the rate, as rate changes
+ * taking effect at the first block they can be executed.
+ *
+ * @param {object[]} proposals  From the proposal index (cvToJSON fields)
+ * @returns {Array<{ id: number, title: string, rate: bigint, block: bigint }>}
+ */
+export function pendingRateChanges(proposals = []) {
+  return proposals
+    .filter((p) => p['proposal-type']?.value === 'reward-rate' && !isExecuted(p))
+    .map((p) => ({
+      id: p.id,
+      title: p.title?.value ?? `Proposal #${p.id}`,
+      rate: BigInt(p.value?.value ?? 0),
+      block: BigInt(p['end-block']?.value ?? 0) + 1n,
+    }));
+}
@@ -0,0 +1,27 @@
+/**
+ * Human-readable POSVault actions for transaction rows, decoded from the
+ * call's arguments, result and events by the SDK (`tx-decoder`).
+ */
+
+import { decodeContractCall } from '@posvault/sdk/tx-decoder';
+import { buildProfile, getActiveProfile, sdkOptions } from '../networks.js';
+
+/**
+ * Decode a raw Hiro transaction that calls a POSVault contract of the
+ * given network. Returns null for anything else, including networks with
+ * no known deployer.
+ *
+ * @param {object} tx  Raw transaction object from the API.
+ * @param {object|'mainnet'|'testnet'|'devnet'} [network]  A network profile or
+ *   profile id. Defaults to the active profile.
+ * @returns {import('@posvault/sdk/tx-decoder').DecodedContractCall|null}
+ */
+export function decodePOSVaultTx(tx, network = getActiveProfile()) {
+  if (tx?.tx_type !== 'contract_call') return null;
+  const profile = typeof network === 'string' ? buildProfile({ network }) : network;
+  try {
+    return decodeContractCall(tx, sdkOptions(profile));
+  } catch {
+    return null;
+  }
+}
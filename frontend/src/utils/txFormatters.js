@@ -3,6 +3,8 @@
  * display-friendly shape.
  */
 
+import { buildProfile, explorerTxUrl, getActiveProfile } from '../networks.js';
+
 /**
  * Truncate a tx_id for display: "0xabc...xyz"
  * @param {string} txId
@@ -78,9 +80,10 @@ export function formatMicroStx(microStx) {
 /**
  * Build the explorer URL for a given tx_id.
  * @param {string} txId
- * @param {'mainnet'|'testnet'} network
+ * @param {object|'mainnet'|'testnet'|'devnet'} [network]  A network profile or
+ *   profile id. Defaults to the active profile.
  */
-export function explorerUrl(txId, network = 'mainnet') {
-  const base = 'https://explorer.hiro.so';
-  return `${base}/txid/${txId}?chain=${network}`;
+export function explorerUrl(txId, network = getActiveProfile()) {
+  const profile = typeof network === 'string' ? buildProfile({ network }) : network;
+  return explorerTxUrl(txId, profile);
 }
@@ -0,0 +1,193 @@
+/**
+ * Server-side transaction history queries.
+ *
+ * A history view is one or more *sources* (Hiro list endpoints), each
+ * paged by offset and merged newest first. Each source also carries an
+ * `accept` predicate that re-checks what the server was asked for, so an
+ * API that ignores a filter parameter can't leak unrelated transactions,
+ * and that applies filters the API has no parameter for (tx status).
+ *
+ * Offsets shift when new transactions arrive at the head of a list; the
+ * pager drops anything it has already returned, so paging never repeats
+ * a row (and never skips one, as shifts only push older rows later).
+ */
+
+export const TX_PAGE_SIZE = 20;
+
+// Most list pages fetched for one `nextTxPage` call before returning what
+// was found; keeps a rare status filter from walking the whole history
+const MAX_FETCHES_PER_PAGE = 10;
+
+/**
+ * Does a tx have the given status filter value?
+ * @param {object} tx
+ * @param {'all'|'success'|'pending'|'failed'} status
+ */
+export function matchesStatus(tx, status) {
+  if (status === 'all') return true;
+  if (status === 'success') return tx.tx_status === 'success';
+  if (status === 'pending') return tx.tx_status === 'pending';
+  // Aborted or dropped, as txFormatters `statusClass` groups them
+  return tx.tx_status !== 'success' && tx.tx_status !== 'pending';
+}
+
+function involves(tx, address) {
+  return tx.sender_address === address || tx.token_transfer?.recipient_address === address;
+}
+
+function source(path, params, accept) {
+  return { path, params, accept };
+}
+
+/**
+ * The sources that answer a history query.
+ *
+ * @param {object} query
+ * @param {string} query.address
+ * @param {'all'|'contract_call'|'token_transfer'|'smart_contract'} query.type
+ * @param {'all'|'success'|'pending'|'failed'} query.status
+ * @param {'all'|'posvault'} query.scope
+ * @param {string[]} [query.contracts] - POSVault contract ids for `posvault` scope
+ * @returns {Array<{ path: string, params: object, accept: Function }>}
+ */
+export function buildTxSources({ address, type, status, scope, contracts = [] }) {
+  const posvault = scope === 'posvault';
+  const contractSet = new Set(contracts);
+  const accept = (tx) =>
+    matchesStatus(tx, status)
+    && (type === 'all' || tx.tx_type === type)
+    && (!posvault || (tx.tx_type === 'contract_call' && contractSet.has(tx.contract_call?.contract_id)));
+
+  // Pending transactions live in the mempool, not the address history
+  if (status === 'pending') {
+    return [source(`/extended/v1/address/${address}/mempool`, {}, accept)];
+  }
+
+  // POSVault calls the address made, one server-filtered list per contract
+  if (posvault) {
+    if (type !== 'all' && type !== 'contract_call') return [];
+    return contracts.map((contractId) => source(
+      '/extended/v1/tx',
+      { type: 'contract_call', from_address: address, contract_id: contractId },
+      (tx) => tx.sender_address === address && accept(tx),
+    ));
+  }
+
+  if (type === 'token_transfer') {
+    return [
+      source('/extended/v1/tx', { type, from_address: address }, (tx) => tx.sender_address === address && accept(tx)),
+      source('/extended/v1/tx', { type, to_address: address }, (tx) => tx.token_transfer?.recipient_address === address && accept(tx)),
+    ];
+  }
+  if (type !== 'all') {
+    // Contract calls and deployments always have the address as sender
+    return [source('/extended/v1/tx', { type, from_address: address }, (tx) => tx.sender_address === address && accept(tx))];
+  }
+
+  // No server-side status filter exists: page the full history instead
+  return [source(`/extended/v1/address/${address}/transactions`, {}, (tx) => involves(tx, address) && accept(tx))];
+}
+
+/**
+ * Fresh paging state over a set of sources.
+ * @param {Array} sources - From `buildTxSources`
+ */
+export function createTxPager(sources) {
+  return {
+    sources: sources.map((s) => ({ ...s, offset: 0, buffer: [], done: false, total: null })),
+    seen: new Set(),
+  };
+}
+
+// Newest first: pending (no block yet) by arrival, then by block and index
+function newer(a, b) {
+  const aPending = a.block_height == null;
+  const bPending = b.block_height == null;
+  if (aPending !== bPending) return aPending;
+  if (aPending) return (a.receipt_time ?? 0) >= (b.receipt_time ?? 0);
+  if (a.block_height !== b.block_height) return a.block_height > b.block_height;
+  return (a.tx_index ?? 0) >= (b.tx_index ?? 0);
+}
+
+async function fill(src, apiBaseUrl, signal) {
+  const url = new URL(src.path, apiBaseUrl);
+  for (const [key, value] of Object.entries(src.params)) url.searchParams.set(key, value);
+  url.searchParams.set('limit', String(TX_PAGE_SIZE));
+  url.searchParams.set('offset', String(src.offset));
+
+  const res = await fetch(url.toString(), { signal });
+  if (!res.ok) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+  const data = await res.json();
+  const results = data.results ?? [];
+
+  src.offset += results.length;
+  src.total = data.total ?? null;
+  src.done = results.length < TX_PAGE_SIZE || (src.total !== null && src.offset >= src.total);
+  src.buffer.push(...results.filter(src.accept));
+}
+
+/**
+ * The next page of matching transactions, merged newest first across
+ * the pager's sources. Mutates the pager.
+ *
+ * @param {object} pager - From `createTxPager`
+ * @param {string} apiBaseUrl
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{ items: object[], hasMore: boolean }>}
+ */
+export async function nextTxPage(pager, apiBaseUrl, signal) {
+  const items = [];
+  let fetches = 0;
+
+  while (items.length < TX_PAGE_SIZE) {
+    // Every live source needs a head before the newest one can be picked
+    for (const src of pager.sources) {
+      while (src.buffer.length === 0 && !src.done) {
+        if (fetches >= MAX_FETCHES_PER_PAGE) return { items, hasMore: true };
+        try {
+          await fill(src, apiBaseUrl, signal);
+        } catch (err) {
+          // Rows already taken off the buffers would be lost; return them
+          // and let the next page surface the error
+          if (items.length === 0 || err.name === 'AbortError') throw err;
+          return { items, hasMore: true };
+        }
+        fetches += 1;
+      }
+    }
+
+    let best = null;
+    for (const src of pager.sources) {
+      if (src.buffer.length > 0 && (!best || newer(src.buffer[0], best.buffer[0]))) best = src;
+    }
+    if (!best) break;
+
+    const tx = best.buffer.shift();
+    if (pager.seen.has(tx.tx_id)) continue;
+    pager.seen.add(tx.tx_id);
+    items.push(tx);
+  }
+
+  return { items, hasMore: pager.sources.some((s) => s.buffer.length > 0 || !s.done) };
+}
+
+/**
+ * Every transaction the address appears in, newest first, paging until
+ * the API runs out. Pending transactions are not included; incoming
+ * transfers and calls made by others that moved the address's assets are.
+ *
+ * @param {string} address
+ * @param {string} apiBaseUrl
+ * @param {{ signal?: AbortSignal, onProgress?: (count: number) => void }} [options]
+ * @returns {Promise<object[]>}
+ */
+export async function fetchFullTxHistory(address, apiBaseUrl, { signal, onProgress } = {}) {
+  const pager = createTxPager([source(`/extended/v1/address/${address}/transactions`, {}, () => true)]);
+  const all = [];
+  for (;;) {
+    const { items, hasMore } = await nextTxPage(pager, apiBaseUrl, signal);
+    all.push(...items);
+    onProgress?.(all.length);
+    if (!hasMore) return all;
+  }
+}
@@ -1,16 +1,101 @@
+import { buildTxExport as buildSdkTxExport } from '@posvault/sdk/tx-export';
+import { buildProfile, getActiveProfile, sdkOptions } from '../networks.js';
+import { decodePOSVaultTx } from './txDecoder.js';
+
+const DAY = 86_400;
+const WEEK = 7 * DAY;
+
+/**
+ * @typedef {object} FunctionStats
+ * @property {string} name  POSVault function, e.g. "deposit"
+ * @property {number} count
+ * @property {number} pending
+ * @property {number} failed
+ * @property {number} failureRate  Failed share of settled calls, 0–1
+ *
+ * @typedef {object} ActivityBucket
+ * @property {number} start  Unix seconds, UTC day or Monday-week start
+ * @property {number} count
+ * @property {number} failed
+ * @property {number} fees  microSTX
+ *
+ * @typedef {object} TxStats
+ * @property {number} total
+ * @property {number} confirmed
+ * @property {number} pending
+ * @property {number} failed
+ * @property {number} contractCalls
+ * @property {number} transfers
+ * @property {number} totalFees  microSTX
+ * @property {{ average: number, median: number, max: number }} fees  microSTX per transaction
+ * @property {FunctionStats[]} functions  POSVault calls by function, most used first
+ * @property {bigint} stxDeposited  microSTX, confirmed deposits
+ * @property {bigint} stxWithdrawn  microSTX, confirmed withdrawals
+ * @property {bigint} posGovClaimed  POS-GOV micro-units of rewards, from claims and withdrawals
+ * @property {{ daily: ActivityBucket[], weekly: ActivityBucket[] }} activity
+ *   Consecutive buckets (empty ones included) ending at the newest transaction
+ */
+
+// Seconds a tx happened at: its block's burn time, or mempool arrival
+function txTime(tx) {
+  return tx.burn_block_time || tx.receipt_time || 0;
+}
+
+function median(sorted) {
+  if (sorted.length === 0) return 0;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function weekStart(seconds) {
+  const day = Math.floor(seconds / DAY) * DAY;
+  // 1970-01-01 was a Thursday; shift so weeks start on Monday
+  const weekday = (Math.floor(day / DAY) + 3) % 7;
+  return day - weekday * DAY;
+}
+
+function bucketize(transactions, startOf, size, limit) {
+  const timed = transactions.filter((tx) => txTime(tx) > 0);
+  if (timed.length === 0) return [];
+
+  const last = startOf(Math.max(...timed.map(txTime)));
+  const first = Math.max(startOf(Math.min(...timed.map(txTime))), last - (limit - 1) * size);
+  const buckets = [];
+  for (let start = first; start <= last; start += size) buckets.push({ start, count: 0, failed: 0, fees: 0 });
+
+  for (const tx of timed) {
+    const bucket = buckets[(startOf(txTime(tx)) - first) / size];
+    if (!bucket) continue;
+    bucket.count++;
+    if (tx.tx_status !== 'success' && tx.tx_status !== 'pending') bucket.failed++;
+    bucket.fees += Number(tx.fee_rate ?? 0);
+  }
+  return buckets;
+}
+
 /**
  * Compute aggregate stats from a list of raw transactions.
  *
  * @param {Array<object>} transactions  Raw API transaction objects
- * @returns {{ total: number, confirmed: number, pending: number, failed: number, contractCalls: number, transfers: number, totalFees: number }}
+ * @param {object} [options]
+ * @param {object|string} [options.network]  Network profile or id whose
+ *   POSVault contracts are broken down by function (defaults to active)
+ * @param {number} [options.days]   Daily buckets to keep. Default 30
+ * @param {number} [options.weeks]  Weekly buckets to keep. Default 26
+ * @returns {TxStats}
  */
-export function computeTxStats(transactions) {
+export function computeTxStats(transactions, { network, days = 30, weeks = 26 } = {}) {
   let confirmed = 0;
   let pending = 0;
   let failed = 0;
   let contractCalls = 0;
   let transfers = 0;
   let totalFees = 0;
+  let stxDeposited = 0n;
+  let stxWithdrawn = 0n;
+  let posGovClaimed = 0n;
+  const feeList = [];
+  const functions = new Map();
 
   for (const tx of transactions) {
     // Status counters
@@ -23,9 +108,28 @@ export function computeTxStats(transactions) {
     if (tx.tx_type === 'token_transfer') transfers++;
 
     // Accumulate fees
-    if (tx.fee_rate) totalFees += Number(tx.fee_rate);
+    if (tx.fee_rate) {
+      totalFees += Number(tx.fee_rate);
+      feeList.push(Number(tx.fee_rate));
+    }
+
+    // POSVault calls by function, and the value they moved
+    const call = decodePOSVaultTx(tx, network);
+    if (!call) continue;
+    const fn = functions.get(call.functionName) ?? { name: call.functionName, count: 0, pending: 0, failed: 0 };
+    fn.count++;
+    if (call.status === 'pending') fn.pending++;
+    if (call.status === 'failed') fn.failed++;
+    functions.set(call.functionName, fn);
+
+    if (call.status !== 'success') continue;
+    if (call.functionName === 'deposit') stxDeposited += call.stx ?? 0n;
+    if (call.functionName === 'withdraw') stxWithdrawn += call.stx ?? 0n;
+    if (call.functionName === 'withdraw' || call.functionName === 'claim-rewards') posGovClaimed += call.tokens ?? 0n;
   }
 
+  feeList.sort((a, b) => a - b);
+
   return {
     total: transactions.length,
     confirmed,
@@ -34,5 +138,49 @@ export function computeTxStats(transactions) {
     contractCalls,
     transfers,
     totalFees,
+    fees: {
+      average: feeList.length ? totalFees / feeList.length : 0,
+      median: median(feeList),
+      max: feeList.length ? feeList[feeList.length - 1] : 0,
+    },
+    functions: [...functions.values()]
+      .map((fn) => {
+        const settled = fn.count - fn.pending;
+        return { ...fn, failureRate: settled ? fn.failed / settled : 0 };
+      })
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+    stxDeposited,
+    stxWithdrawn,
+    posGovClaimed,
+    activity: {
+      daily: bucketize(transactions, (t) => Math.floor(t / DAY) * DAY, DAY, days),
+      weekly: bucketize(transactions, weekStart, WEEK, weeks),
+    },
   };
 }
+
+// ==========================================
+// History export
+// ==========================================
+
+// Classification and the export formats live in the SDK (`tx-export`)
+export {
+  txExportToCoinTrackerCsv,
+  txExportToCsv,
+  txExportToJson,
+  txExportToKoinlyCsv,
+} from '@posvault/sdk/tx-export';
+
+/**
+ * Export records for a transaction list, oldest first, with POSVault
+ * calls decoded against the given network.
+ *
+ * @param {Array<object>} transactions  Raw API transaction objects
+ * @param {string} address
+ * @param {object|string} [network]  Network profile or id (defaults to active)
+ * @returns {import('@posvault/sdk/tx-export').TxExportRecord[]}
+ */
+export function buildTxExport(transactions, address, network = getActiveProfile()) {
+  const profile = typeof network === 'string' ? buildProfile({ network }) : network;
+  return buildSdkTxExport(transactions, address, sdkOptions(profile));
+}
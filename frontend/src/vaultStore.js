@@ -0,0 +1,281 @@
+/**
+ * POSVault — Vault data store
+ *
+ * Single source for vault, token and account reads. Each field is cached
+ * per deployment and address, and carries its own `{ data, loading, error }`
+ * so one failing read does not blank the rest of the page.
+ *
+ * - Concurrent requests for the same field share one in-flight read
+ * - Stale-while-revalidate: cached data stays visible while it refreshes
+ * - Watched fields are polled, and polling pauses while the tab is hidden
+ *
+ * Components subscribe through `hooks/useVaultData.js`.
+ */
+
+import {
+    getVaultInfo,
+    getUserDeposit,
+    getUserStats,
+    getPendingRewards,
+    getTokenBalance,
+    getTotalSupply,
+    getProposalCount,
+    getRecentBlocks,
+} from './stacks.js';
+import { getActiveProfile } from './networks.js';
+
+// ==========================================
+// Configuration
+// ==========================================
+
+const POLL_INTERVAL_MS = 30_000;
+
+// Cached data younger than this is served without a new read
+const STALE_AFTER_MS = 10_000;
+
+/**
+ * Every field the store knows how to read.
+ * `vault` fields are the same for everyone; `account` fields need an address.
+ */
+const FIELDS = {
+    vaultInfo: { scope: 'vault', read: getVaultInfo, parse: parseVaultInfo },
+    totalSupply: { scope: 'vault', read: getTotalSupply, parse: parseOkUint },
+    proposalCount: { scope: 'vault', read: getProposalCount, parse: parseOkUint },
+    blockTime: { scope: 'vault', read: () => getRecentBlocks(), parse: parseBlockTime },
+    deposit: { scope: 'account', read: getUserDeposit, parse: parseDeposit },
+    stats: { scope: 'account', read: getUserStats, parse: parseUserStats },
+    pendingRewards: { scope: 'account', read: getPendingRewards, parse: parseOkUint },
+    tokenBalance: { scope: 'account', read: getTokenBalance, parse: parseOkUint },
+};
+
+export const VAULT_FIELDS = Object.keys(FIELDS).filter((f) => FIELDS[f].scope === 'vault');
+export const ACCOUNT_FIELDS = Object.keys(FIELDS).filter((f) => FIELDS[f].scope === 'account');
+
+const IDLE = Object.freeze({ data: null, loading: false, error: null, updatedAt: 0 });
+
+// ==========================================
+// Parsers (cvToJSON → plain values)
+// ==========================================
+
+function tupleFields(json) {
+    // (ok (tuple ...)) and (some (tuple ...)) both nest the fields two deep
+    return json?.value?.value ?? null;
+}
+
+function uint(field) {
+    return Number(field?.value ?? 0);
+}
+
+function parseOkUint(json) {
+    return Number(json?.value?.value ?? 0);
+}
+
+function parseVaultInfo(json) {
+    const v = tupleFields(json);
+    if (!v) return null;
+    return {
+        totalStxLocked: uint(v['total-stx-locked']),
+        totalDepositors: uint(v['total-depositors']),
+        rewardRate: uint(v['reward-rate']),
+        isPaused: v['is-paused']?.value === true,
+        currentBlock: uint(v['current-block']),
+    };
+}
+
+function parseDeposit(json) {
+    const v = tupleFields(json);
+    if (!v) return null;
+    return {
+        amount: uint(v.amount),
+        depositBlock: uint(v['deposit-block']),
+        lastClaimBlock: uint(v['last-claim-block']),
+        totalRewardsClaimed: uint(v['total-rewards-claimed']),
+    };
+}
+
+function parseUserStats(json) {
+    // get-user-stats returns a bare tuple with zeroed defaults
+    const v = json?.value;
+    if (!v) return null;
+    return {
+        totalDeposited: uint(v['total-deposited']),
+        totalWithdrawn: uint(v['total-withdrawn']),
+        totalRewards: uint(v['total-rewards']),
+        depositCount: uint(v['deposit-count']),
+    };
+}
+
+// Average seconds per block over the recent blocks; null when unknown
+function parseBlockTime(blocks) {
+    if (!Array.isArray(blocks) || blocks.length < 2) return null;
+    const newest = blocks[0];
+    const oldest = blocks[blocks.length - 1];
+    const blocksSpanned = newest.height - oldest.height;
+    if (blocksSpanned <= 0) return null;
+    return (newest.block_time - oldest.block_time) / blocksSpanned;
+}
+
+// ==========================================
+// Store
+// ==========================================
+
+const entries = new Map();
+const inflight = new Map();
+const watchers = new Map();
+const listeners = new Set();
+
+function deploymentKey(profile) {
+    return `${profile.apiUrl}|${profile.deployer}`;
+}
+
+/**
+ * Cache key for one field; vault fields ignore the address
+ * @param {string} field - Key of FIELDS
+ * @param {string|null} address
+ * @param {object} [profile] - Network profile (defaults to the active one)
+ */
+export function fieldKey(field, address, profile = getActiveProfile()) {
+    const owner = FIELDS[field].scope === 'account' ? address : '*';
+    return `${deploymentKey(profile)}|${field}|${owner}`;
+}
+
+/**
+ * Current state of one field: `{ data, loading, error, updatedAt }`.
+ * The object is replaced on every change, so it is safe as a React snapshot.
+ */
+export function getFieldState(key) {
+    return entries.get(key) ?? IDLE;
+}
+
+/**
+ * Subscribe to any change in the store.
+ * @param {Function} listener
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToVaultData(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+function setEntry(key, patch) {
+    entries.set(key, { ...getFieldState(key), ...patch });
+    listeners.forEach((listener) => listener());
+}
+
+// ==========================================
+// Reads
+// ==========================================
+
+/**
+ * Read one field, sharing any read already in flight.
+ * Fresh cached data is returned as-is unless `force` is set.
+ *
+ * @param {string} field - Key of FIELDS
+ * @param {string|null} address - Wallet address (sender for vault fields)
+ * @param {object} [options]
+ * @param {boolean} [options.force] - Re-read even if the cache is fresh
+ * @returns {Promise<*>} The parsed value
+ */
+export function loadField(field, address, { force = false } = {}) {
+    const { scope, read, parse } = FIELDS[field];
+    if (scope === 'account' && !address) return Promise.resolve(null);
+
+    const key = fieldKey(field, address);
+    const pending = inflight.get(key);
+    if (pending) return pending;
+
+    const current = getFieldState(key);
+    if (!force && current.updatedAt && Date.now() - current.updatedAt < STALE_AFTER_MS) {
+        return Promise.resolve(current.data);
+    }
+
+    setEntry(key, { loading: true });
+    // Read-only calls default their sender to the deployer when omitted
+    const request = read(address ?? undefined)
+        .then((json) => {
+            const data = parse(json);
+            setEntry(key, { data, loading: false, error: null, updatedAt: Date.now() });
+            return data;
+        })
+        .catch((error) => {
+            // Keep the last good value; only the error is new
+            setEntry(key, { loading: false, error: error.message });
+            throw error;
+        })
+        .finally(() => inflight.delete(key));
+
+    inflight.set(key, request);
+    return request;
+}
+
+/**
+ * Force a re-read of cached fields.
+ * @param {'vault'|'account'} [scope] - Limit to one scope (default: all)
+ * @param {string} [address] - Limit account fields to one address
+ */
+export function invalidateVaultData(scope, address) {
+    const targets = [...watchers.keys()].map((key) => watchers.get(key).target);
+    for (const { field, address: owner } of targets) {
+        if (scope && FIELDS[field].scope !== scope) continue;
+        if (address && FIELDS[field].scope === 'account' && owner !== address) continue;
+        loadField(field, owner, { force: true }).catch(() => {});
+    }
+}
+
+// ==========================================
+// Polling
+// ==========================================
+
+let pollTimer = null;
+
+function isHidden() {
+    return typeof document !== 'undefined' && document.visibilityState === 'hidden';
+}
+
+function pollWatched() {
+    if (isHidden()) return;
+    for (const { target } of watchers.values()) {
+        loadField(target.field, target.address).catch(() => {});
+    }
+}
+
+function updatePolling() {
+    const shouldPoll = watchers.size > 0 && !isHidden();
+    if (shouldPoll && !pollTimer) {
+        pollTimer = setInterval(pollWatched, POLL_INTERVAL_MS);
+    } else if (!shouldPoll && pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+}
+
+/**
+ * Keep a field fresh while something is showing it.
+ * The first watcher triggers a read if the cache is stale.
+ *
+ * @param {string} field - Key of FIELDS
+ * @param {string|null} address
+ * @returns {Function} unwatch
+ */
+export function watchField(field, address) {
+    const key = fieldKey(field, address);
+    const watcher = watchers.get(key) ?? { count: 0, target: { field, address } };
+    watcher.count += 1;
+    watchers.set(key, watcher);
+    updatePolling();
+    loadField(field, address).catch(() => {});
+
+    return () => {
+        watcher.count -= 1;
+        if (watcher.count === 0) watchers.delete(key);
+        updatePolling();
+    };
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('visibilitychange', () => {
+        updatePolling();
+        // Catch up on anything that went stale while the tab was hidden
+        pollWatched();
+    });
+}
@@ -1,6 +1,10 @@
+import { fileURLToPath } from 'node:url';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// SDK modules are consumed from source: `@posvault/sdk/multicall` → sdk/src/multicall.ts
+const SDK_SRC = fileURLToPath(new URL('../sdk/src', import.meta.url));
+
 export default defineConfig({
     plugins: [react()],
     define: {
@@ -8,9 +12,12 @@ export default defineConfig({
         global: 'globalThis',
     },
     resolve: {
-        alias: {
-            buffer: 'buffer',
-        },
+        alias: [
+            { find: 'buffer', replacement: 'buffer' },
+            { find: /^@posvault\/sdk\/(.+)$/, replacement: `${SDK_SRC}/$1.ts` },
+        ],
+        // SDK sources must share the app's copy of @stacks/transactions
+        dedupe: ['@stacks/transactions'],
     },
     build: {
         target: 'es2022',
@@ -28,5 +35,9 @@ export default defineConfig({
     server: {
         port: 3000,
         open: true,
+        fs: {
+            // Shared SDK sources and deployments.json live in ../sdk/src
+            allow: ['..'],
+        },
     },
 });
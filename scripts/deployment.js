@@ -0,0 +1,28 @@
+// Shared deployment manifest loader for the scripts/ tooling.
+// Contract identifiers live in sdk/src/deployments.json, keyed by network.
+
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+
+const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const MANIFEST_PATH = path.join(SCRIPT_DIR, '..', 'sdk', 'src', 'deployments.json');
+
+export const DEPLOYMENTS = JSON.parse(readFileSync(MANIFEST_PATH, 'utf8'));
+
+/**
+ * Resolve one network's deployment. Defaults to POSVAULT_NETWORK, then mainnet.
+ * Returns { network, deployer, apiUrl, contracts } where contracts maps
+ * vaultCore / governanceToken / proposalVoting to { name, version, deployHeight }.
+ */
+export function loadDeployment(network = process.env.POSVAULT_NETWORK || 'mainnet') {
+  const deployment = DEPLOYMENTS[network];
+  if (!deployment) {
+    throw new Error(`Unknown network "${network}". Expected one of: ${Object.keys(DEPLOYMENTS).join(', ')}`);
+  }
+  if (!deployment.deployer) {
+    throw new Error(`No POSVault deployer recorded for ${network} in ${MANIFEST_PATH}`);
+  }
+  return { network, ...deployment };
+}
@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import { pathToFileURL } from 'node:url';
+import { getAddressFromPrivateKey } from '@stacks/transactions';
+import { loadDeployment } from './deployment.js';
+
+const DEFAULT_ENV_FILE = path.join(process.cwd(), '.env');
+const DEFAULT_DELAY_MS = 1500;
+
+function printHelp() {
+  console.log(`POSVault proposal execution keeper
+
+Finds proposals whose voting has ended but which were never executed, and
+calls execute-proposal on those that met quorum. Anyone may execute; the
+keeper only pays the fee. Uses the built SDK: run \`npm run build:sdk\` first.
+
+Usage:
+  node scripts/execute-proposals.js [options]
+
+Selection options:
+  --id <n[,n...]>       Only consider these proposal ids
+  --network <name>      mainnet | testnet | devnet. Default: POSVAULT_NETWORK or mainnet
+
+Execution options:
+  --delay-ms <ms>       Delay between tx submissions. Default: ${DEFAULT_DELAY_MS}
+  --fee <ustx>          Optional fee override per tx in microSTX
+  --dry-run             List the queue without broadcasting (no key needed)
+  --yes                 Required for live broadcasts
+
+Env options:
+  --env-file <path>     Env file path. Default: ${DEFAULT_ENV_FILE}
+
+Expected .env keys:
+  KEEPER_PRIVATE_KEY=<hex>                  # pays the execution fees
+
+Examples:
+  node scripts/execute-proposals.js --dry-run
+  node scripts/execute-proposals.js --id 7 --yes
+`);
+}
+
+function parseArgs(argv) {
+  const args = [...argv];
+  const options = {};
+
+  for (let i = 0; i < args.length; i += 1) {
+    const token = args[i];
+    if (!token.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${token}`);
+    }
+
+    const [rawKey, inlineValue] = token.slice(2).split('=');
+    if (inlineValue !== undefined) {
+      options[rawKey] = inlineValue;
+      continue;
+    }
+
+    const next = args[i + 1];
+    if (!next || next.startsWith('--')) {
+      options[rawKey] = true;
+      continue;
+    }
+
+    options[rawKey] = next;
+    i += 1;
+  }
+
+  return options;
+}
+
+function parsePositiveInt(value, flagName) {
+  if (value === undefined) return undefined;
+  const parsed = Number.parseInt(String(value), 10);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new Error(`Expected ${flagName} to be a positive integer`);
+  }
+  return parsed;
+}
+
+function parseIds(value) {
+  if (value === undefined) return undefined;
+  return new Set(String(value).split(',').map((id) => parsePositiveInt(id.trim(), '--id')));
+}
+
+function parseFee(value) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error('Expected --fee to be an unsigned integer in microSTX');
+  }
+  return Number(value);
+}
+
+function parseEnv(text) {
+  const env = {};
+  const lines = text.split(/\r?\n/);
+
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const eq = line.indexOf('=');
+    if (eq === -1) continue;
+    const key = line.slice(0, eq).trim();
+    let value = line.slice(eq + 1).trim();
+    if (
+      (value.startsWith('"') && value.endsWith('"')) ||
+      (value.startsWith("'") && value.endsWith("'"))
+    ) {
+      value = value.slice(1, -1);
+    }
+    env[key] = value;
+  }
+
+  return env;
+}
+
+async function loadEnvFile(filePath, { optional }) {
+  try {
+    return parseEnv(await readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (optional && error.code === 'ENOENT') return {};
+    throw error;
+  }
+}
+
+async function loadSdk() {
+  try {
+    return await import('../sdk/dist/index.js');
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND') {
+      throw new Error('SDK build not found. Run `npm run build:sdk` first');
+    }
+    throw error;
+  }
+}
+
+function ensureWriteConfirmed(options, network) {
+  if (!options.yes) {
+    throw new Error(`Refusing to send ${network} transactions without --yes`);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function formatExplorerLink(txid, network) {
+  return `https://explorer.hiro.so/txid/${txid}?chain=${network}`;
+}
+
+function formatUnits(micro) {
+  return (Number(micro) / 1e6).toFixed(6);
+}
+
+function describeProposal(p) {
+  const verdict = !p.quorumMet
+    ? 'quorum not met'
+    : p.passes ? 'will pass' : 'will be rejected';
+  const action = p.proposalType === 'reward-rate'
+    ? `reward-rate ${p.value} bps`
+    : p.proposalType;
+  return `#${p.id} "${p.title}" [${action}] ended ${p.blocksSinceEnd} blocks ago: `
+    + `${formatUnits(p.votesFor)} for / ${formatUnits(p.votesAgainst)} against, `
+    + `quorum ${formatUnits(p.quorumNeeded)} → ${verdict}`;
+}
+
+/**
+ * Run the keeper. `sdk` stands in for the built SDK, so tests can run the
+ * keeper against the sources.
+ */
+export async function main(argv = process.argv.slice(2), sdk = null) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    printHelp();
+    return;
+  }
+
+  const deployment = loadDeployment(options.network ? String(options.network) : undefined);
+  const { network, deployer } = deployment;
+  const ids = parseIds(options.id);
+  const delayMs = parsePositiveInt(options['delay-ms'] ?? DEFAULT_DELAY_MS, '--delay-ms') ?? DEFAULT_DELAY_MS;
+  const fee = parseFee(options.fee);
+  const envFile = String(options['env-file'] ?? DEFAULT_ENV_FILE);
+  const dryRun = Boolean(options['dry-run']);
+
+  if (!dryRun) {
+    ensureWriteConfirmed(options, network);
+  }
+
+  const env = await loadEnvFile(envFile, { optional: dryRun });
+  const privateKey = env.KEEPER_PRIVATE_KEY;
+  if (!privateKey && !dryRun) {
+    throw new Error('Missing KEEPER_PRIVATE_KEY in env file');
+  }
+  const keeperAddress = privateKey ? getAddressFromPrivateKey(privateKey, network) : null;
+
+  const { fetchExecutionQueue, executeProposal } = sdk ?? await loadSdk();
+  const sdkConfig = { network, deployer, apiUrl: deployment.apiUrl };
+
+  console.log(`Network: ${network}`);
+  console.log(`Voting contract: ${deployer}.${deployment.contracts.proposalVoting.name}`);
+  console.log(`Keeper: ${keeperAddress ?? '(none, dry-run)'}`);
+  if (dryRun) {
+    console.log('Mode: dry-run (no broadcasts)');
+  }
+
+  const queue = await fetchExecutionQueue(keeperAddress ?? deployer, sdkConfig);
+  const candidates = queue.proposals.filter((p) => !ids || ids.has(p.id));
+  console.log(`Current block: ${queue.currentBlock}`);
+  console.log(`Ended, unexecuted proposals: ${candidates.length}`);
+
+  const executable = [];
+  for (const p of candidates) {
+    console.log(`  ${describeProposal(p)}`);
+    if (p.executable) executable.push(p);
+  }
+
+  if (executable.length === 0) {
+    console.log('\nexecute-proposals summary: nothing to execute');
+    return;
+  }
+
+  const results = [];
+  for (let i = 0; i < executable.length; i += 1) {
+    const proposal = executable[i];
+    console.log(`proposal ${proposal.id}: execute-proposal`);
+
+    if (dryRun) {
+      results.push({ ok: true, proposal, txid: 'dry-run' });
+    } else {
+      let result;
+      try {
+        // Re-checked against the chain first; throws with the contract's reason
+        result = await executeProposal(proposal.id, { ...sdkConfig, senderKey: privateKey, fee });
+      } catch (error) {
+        result = { ok: false, error: error.message };
+      }
+
+      if (result.ok) {
+        console.log(`  txid: ${result.txid}`);
+        console.log(`  explorer: ${formatExplorerLink(result.txid, network)}`);
+      } else {
+        console.log(`  error: ${result.error}`);
+      }
+      results.push({ ...result, proposal });
+    }
+
+    if (i < executable.length - 1 && delayMs > 0 && !dryRun) {
+      await sleep(delayMs);
+    }
+  }
+
+  const successes = results.filter(item => item.ok).length;
+  const failures = results.length - successes;
+  console.log(`\nexecute-proposals summary: ${successes} succeeded, ${failures} failed`);
+}
+
+// Only when run as a script, not when imported
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error(error && error.stack ? error.stack : error.message);
+    process.exitCode = 1;
+  });
+}
@@ -23,6 +23,7 @@ import {
   someCV,
   uintCV,
 } from '@stacks/transactions';
+import { loadDeployment } from './deployment.js';
 
 const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
 const DEFAULT_WALLET_FILE = path.join(SCRIPT_DIR, 'wallets-set-2.json');
@@ -32,9 +33,10 @@ const DEFAULT_MAX_DERIVATION_INDEX = 50;
 const CURL_STATUS_MARKER = '__POSVAULT_STATUS__';
 
 const NETWORK = 'mainnet';
-const API_BASE_URL = 'https://api.hiro.so';
-const DEPLOYER = 'SP2KYZRNME33Y39GP3RKC90DQJ45EF1N0NZNVRE09';
-const GOVERNANCE_TOKEN_CONTRACT = 'governance-token';
+const DEPLOYMENT = loadDeployment(NETWORK);
+const API_BASE_URL = DEPLOYMENT.apiUrl;
+const DEPLOYER = DEPLOYMENT.deployer;
+const GOVERNANCE_TOKEN_CONTRACT = DEPLOYMENT.contracts.governanceToken.name;
 
 const execFile = promisify(execFileCallback);
 
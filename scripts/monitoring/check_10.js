@@ -1,9 +1,10 @@
 #!/usr/bin/env node
 // Vault monitoring and alerting scripts — Check 10
 
-const API_BASE = 'https://api.hiro.so';
-const DEPLOYER = 'SP2KYZRNME33Y39GP3RKC90DQJ45EF1N0NZNVRE09';
-const VAULT = 'vault-core-v4';
+import { loadDeployment } from '../deployment.js';
+
+const { apiUrl: API_BASE, deployer: DEPLOYER, contracts } = loadDeployment();
+const VAULT = contracts.vaultCore.name;
 
 async function readContract(fn, args = []) {
   const url = `${API_BASE}/v2/contracts/call-read/${DEPLOYER}/${VAULT}/${fn}`;
@@ -0,0 +1,69 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { boolCV, responseOkCV, someCV, tupleCV, uintCV } from '@stacks/transactions';
+import { claimRewards, withdrawSTX } from '../browser.js';
+import { ConfigurationError } from '../errors.js';
+import { fakeCallRead } from './fake-call-read.js';
+
+const connect = vi.hoisted(() => ({
+  openContractCall: vi.fn(async (_options: any) => undefined),
+  signedIn: null as string | null,
+}));
+
+vi.mock('@stacks/connect', () => ({
+  openContractCall: connect.openContractCall,
+  getUserSession: () => ({
+    isUserSignedIn: () => connect.signedIn !== null,
+    loadUserData: () => ({ profile: { stxAddress: { mainnet: connect.signedIn, testnet: connect.signedIn } } }),
+  }),
+}));
+
+const DEPOSITOR = 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE';
+const DEVNET_DEPLOYER = 'ST1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRTPGZGM';
+const DEVNET_DEPOSITOR = 'ST1SJ3DTE5DN7X54YDH5D64R3BCB6A2AG2ZQ8YPD5';
+
+const fetch = fakeCallRead({
+  'get-deposit': someCV(tupleCV({
+    amount: uintCV(5_000_000),
+    'deposit-block': uintCV(700),
+    'last-claim-block': uintCV(700),
+    'total-rewards-claimed': uintCV(0),
+  })),
+  'get-pending-rewards': responseOkCV(uintCV(250_000)),
+  'get-vault-info': responseOkCV(tupleCV({
+    'total-stx-locked': uintCV(5_000_000),
+    'total-depositors': uintCV(1),
+    'reward-rate': uintCV(500),
+    'is-paused': boolCV(false),
+    'current-block': uintCV(1_000),
+  })),
+});
+
+describe('browser payout calls', () => {
+  beforeEach(() => {
+    connect.openContractCall.mockClear();
+    connect.signedIn = null;
+    fetch.mockClear();
+  });
+
+  it('opens the wallet on the node the plan was read from', async () => {
+    const opts = { network: 'devnet' as const, deployer: DEVNET_DEPLOYER, apiUrl: 'http://node.local:3999', fetch };
+    const plan = await withdrawSTX({}, { ...opts, senderAddress: DEVNET_DEPOSITOR });
+
+    expect(plan.stxAmount).toBe(5_000_000n);
+    expect(String(fetch.mock.calls[0]?.[0])).toMatch(/^http:\/\/node\.local:3999\//);
+    const [call] = connect.openContractCall.mock.calls[0]!;
+    expect(call).toMatchObject({ contractAddress: DEVNET_DEPLOYER, functionName: 'withdraw' });
+    expect(call.network.client.baseUrl).toBe('http://node.local:3999');
+    expect(call.network.chainId).toBe(0x80000000);
+  });
+
+  it('reads the sender from the signed-in wallet', async () => {
+    await expect(claimRewards({}, { fetch })).rejects.toBeInstanceOf(ConfigurationError);
+
+    connect.signedIn = DEPOSITOR;
+    await claimRewards({}, { fetch });
+    const [, init] = fetch.mock.calls.find(([url]) => url.endsWith('/get-deposit'))!;
+    expect(JSON.parse(String(init?.body)).sender).toBe(DEPOSITOR);
+    expect(connect.openContractCall).toHaveBeenCalledOnce();
+  });
+});
@@ -0,0 +1,198 @@
+import { describe, it, expect, vi, afterAll } from 'vitest';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  boolCV,
+  principalCV,
+  responseOkCV,
+  someCV,
+  tupleCV,
+  uintCV,
+} from '@stacks/transactions';
+import {
+  createFileStore,
+  createLocalStorageStore,
+  createMemoryStore,
+  createResponseCache,
+  type CacheEntry,
+} from '../cache.js';
+import { getProposalCount, getTokenBalance } from '../read-only.js';
+import { multicall } from '../multicall.js';
+import { fakeCallRead } from './fake-call-read.js';
+
+const USER = 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE';
+
+function entry(value: unknown): CacheEntry {
+  return { value, storedAt: 0, block: null, expiresAt: null };
+}
+
+function proposalJson(executed: boolean) {
+  return { type: '(optional (tuple))', value: { type: '(tuple)', value: { executed: { type: 'bool', value: executed } } } };
+}
+
+function vaultInfoJson(block: number) {
+  return { type: '(response)', success: true, value: { type: '(tuple)', value: { 'current-block': { type: 'uint', value: String(block) } } } };
+}
+
+describe('createResponseCache', () => {
+  it('reads through once and counts hits and misses', async () => {
+    const cache = createResponseCache();
+    const fetch = vi.fn(async () => 'v');
+
+    expect(await cache.load('k', 'get-balance', fetch)).toBe('v');
+    expect(await cache.load('k', 'get-balance', fetch)).toBe('v');
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(cache.stats()).toMatchObject({ hits: 1, misses: 1, deduped: 0, hitRate: 0.5 });
+  });
+
+  it('shares one request between concurrent identical reads', async () => {
+    const cache = createResponseCache();
+    let resolve!: (v: string) => void;
+    const fetch = vi.fn(() => new Promise<string>((r) => { resolve = r; }));
+
+    const reads = [cache.load('k', 'get-balance', fetch), cache.load('k', 'get-balance', fetch)];
+    await Promise.resolve();
+    await Promise.resolve();
+    resolve('v');
+    expect(await Promise.all(reads)).toEqual(['v', 'v']);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(cache.stats().deduped).toBe(1);
+  });
+
+  it('never stores failed reads', async () => {
+    const cache = createResponseCache();
+    await expect(cache.load('k', 'get-balance', async () => { throw new Error('503'); })).rejects.toThrow('503');
+    expect(await cache.load('k', 'get-balance', async () => 'ok')).toBe('ok');
+  });
+
+  it('drops block-scoped entries once a newer block is seen', async () => {
+    const cache = createResponseCache();
+    cache.noteBlock(100);
+    await cache.load('bal', 'get-balance', async () => 'at-100');
+
+    cache.noteBlock(100);
+    expect(await cache.load('bal', 'get-balance', async () => 'again')).toBe('at-100');
+
+    // get-vault-info reports the tip, which counts as seeing the block
+    await cache.load('info', 'get-vault-info', async () => vaultInfoJson(101));
+    expect(cache.stats().block).toBe(101);
+    expect(await cache.load('bal', 'get-balance', async () => 'at-101')).toBe('at-101');
+  });
+
+  it('expires block-scoped and TTL entries with time', async () => {
+    let now = 0;
+    const cache = createResponseCache({ now: () => now, blockTtlMs: 1_000, policies: { 'get-balance': { ttlMs: 5_000 } } });
+    await cache.load('rate', 'get-reward-rate', async () => 1);
+    await cache.load('bal', 'get-balance', async () => 1);
+
+    now = 2_000;
+    expect(await cache.load('rate', 'get-reward-rate', async () => 2)).toBe(2);
+    expect(await cache.load('bal', 'get-balance', async () => 2)).toBe(1);
+    now = 6_000;
+    expect(await cache.load('bal', 'get-balance', async () => 3)).toBe(3);
+  });
+
+  it('keeps constants and executed proposals forever', async () => {
+    let now = 0;
+    const cache = createResponseCache({ now: () => now, blockTtlMs: 1 });
+    await cache.load('period', 'get-voting-period', async () => 144);
+    await cache.load('p1', 'get-proposal', async () => proposalJson(true));
+    await cache.load('p2', 'get-proposal', async () => proposalJson(false));
+
+    now = 1e12;
+    cache.noteBlock(999_999);
+    expect(await cache.load('period', 'get-voting-period', async () => 0)).toBe(144);
+    expect(await cache.load('p1', 'get-proposal', async () => null)).toEqual(proposalJson(true));
+    expect(await cache.load('p2', 'get-proposal', async () => 'refetched')).toBe('refetched');
+  });
+
+  it('refetches the token URI on a new block, since the owner can change it', async () => {
+    const cache = createResponseCache();
+    cache.noteBlock(100);
+    await cache.load('uri', 'get-token-uri', async () => 'ipfs://old');
+    expect(await cache.load('uri', 'get-token-uri', async () => 'unused')).toBe('ipfs://old');
+
+    cache.noteBlock(101);
+    expect(await cache.load('uri', 'get-token-uri', async () => 'ipfs://new')).toBe('ipfs://new');
+  });
+
+  it("skips functions whose policy is 'none'", async () => {
+    const cache = createResponseCache({ policies: { 'get-balance': 'none' } });
+    const fetch = vi.fn(async () => 1);
+    await cache.load('k', 'get-balance', fetch);
+    await cache.load('k', 'get-balance', fetch);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('cache stores', () => {
+  it('evicts the least recently used entry from the memory store', () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+    store.set('a', entry(1));
+    store.set('b', entry(2));
+    store.get('a');
+    store.set('c', entry(3));
+    expect(store.get('b')).toBeUndefined();
+    expect(store.get('a')).toEqual(entry(1));
+    expect(store.get('c')).toEqual(entry(3));
+  });
+
+  it('keeps entries in any Storage under a prefix', () => {
+    const items = new Map<string, string>();
+    const storage = {
+      get length() { return items.size; },
+      key: (i: number) => [...items.keys()][i] ?? null,
+      getItem: (k: string) => items.get(k) ?? null,
+      setItem: (k: string, v: string) => void items.set(k, v),
+      removeItem: (k: string) => void items.delete(k),
+      clear: () => items.clear(),
+    } as Storage;
+    items.set('other', 'x');
+
+    const store = createLocalStorageStore({ storage, prefix: 'c:' });
+    store.set('k', entry({ a: 1 }));
+    expect(items.has('c:k')).toBe(true);
+    expect(store.get('k')).toEqual(entry({ a: 1 }));
+    store.clear();
+    expect([...items.keys()]).toEqual(['other']);
+  });
+
+  const dir = mkdtemp(join(tmpdir(), 'posvault-cache-'));
+  afterAll(async () => rm(await dir, { recursive: true, force: true }));
+
+  it('persists entries to a JSON file across store instances', async () => {
+    const path = join(await dir, 'cache.json');
+    const store = createFileStore(path);
+    await store.set('k', entry('v'));
+    await store.set('j', entry('w'));
+    await store.delete('j');
+
+    expect(Object.keys(JSON.parse(await readFile(path, 'utf8')))).toEqual(['k']);
+    expect(await createFileStore(path).get('k')).toEqual(entry('v'));
+  });
+});
+
+describe('caching read-only calls', () => {
+  const fetch = fakeCallRead({
+    'get-balance': responseOkCV(uintCV(7)),
+    'get-proposal-count': responseOkCV(uintCV(3)),
+    'get-proposal': someCV(tupleCV({ executed: boolCV(true) })),
+  });
+
+  it('serves callReadOnly and multicall from the same cache', async () => {
+    const cache = createResponseCache();
+    const opts = { fetch, cache };
+
+    expect(await getTokenBalance(USER, opts)).toBe(7n);
+    const [result] = await multicall(
+      [{ contract: 'governanceToken', functionName: 'get-balance', args: [principalCV(USER)], sender: USER }],
+      opts,
+    );
+    expect(result!.result.value.value).toBe('7');
+    expect(await Promise.all([getProposalCount(USER, opts), getProposalCount(USER, opts)])).toEqual([3n, 3n]);
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(cache.stats()).toMatchObject({ hits: 1, misses: 2, deduped: 1 });
+  });
+});
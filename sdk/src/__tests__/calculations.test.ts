@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { estimateRewards, blocksUntilNextCycle, simulateRewards } from '../calculations.js';
+
+describe('estimateRewards', () => {
+  it('counts only completed 144-block cycles', () => {
+    expect(estimateRewards(1_000_000n, 100n, 143n)).toBe(0n);
+    expect(estimateRewards(1_000_000n, 100n, 288n)).toBe(20_000n);
+  });
+
+  it('rounds like vault-core (multiply before dividing)', () => {
+    // 150 * 1 * 100 / 10000 = 1, while 100 * (150 * 1 / 10000) would be 0
+    expect(estimateRewards(150n, 1n, 144n * 100n)).toBe(1n);
+  });
+});
+
+describe('blocksUntilNextCycle', () => {
+  it('counts from the anchor block', () => {
+    expect(blocksUntilNextCycle(100n, 100n)).toBe(144n);
+    expect(blocksUntilNextCycle(100n, 200n)).toBe(44n);
+    expect(blocksUntilNextCycle(100n, 244n)).toBe(144n);
+  });
+});
+
+describe('simulateRewards', () => {
+  const base = { depositAmount: 1_000_000n, rewardRate: 100n, startBlock: 1_000n };
+
+  it('holding pays every completed cycle at the end', () => {
+    const sim = simulateRewards({ ...base, endBlock: 1_000n + 144n * 10n });
+    expect(sim.claims).toEqual([]);
+    expect(sim.total).toBe(100_000n);
+    expect(sim.series[sim.series.length - 1]?.pending).toBe(100_000n);
+  });
+
+  it('late claims forfeit the blocks past each cycle boundary', () => {
+    const sim = simulateRewards({
+      ...base,
+      endBlock: 1_000n + 144n * 10n,
+      claimEveryCycles: 1,
+      claimDelayBlocks: 72n,
+    });
+    // Claims land every 216 blocks: 6 claims, then one cycle still pending
+    expect(sim.claims).toHaveLength(6);
+    expect(sim.total).toBe(70_000n);
+  });
+
+  it('pays unclaimed cycles at the rate in force when claiming', () => {
+    const rateChanges = [{ block: 1_000n + 144n * 5n, rate: 200n }];
+    const hold = simulateRewards({ ...base, endBlock: 1_000n + 144n * 10n, rateChanges });
+    const claimEach = simulateRewards({
+      ...base,
+      endBlock: 1_000n + 144n * 10n,
+      claimEveryCycles: 1,
+      rateChanges,
+    });
+    expect(hold.total).toBe(200_000n);
+    // Cycles 1-4 are claimed at 100 bp, cycles 5-10 at 200 bp
+    expect(claimEach.total).toBe(4n * 10_000n + 6n * 20_000n);
+  });
+
+  it('keeps the series within the sample budget', () => {
+    const sim = simulateRewards({ ...base, endBlock: 1_000n + 144n * 1_000n, samples: 50 });
+    expect(sim.series.length).toBeLessThanOrEqual(52);
+    expect(sim.series[0]?.block).toBe(1_000n);
+  });
+});
@@ -102,6 +102,27 @@ describe('clarity-parsers', () => {
     });
   });
 
+  it('accepts the sized string types cvToJSON produces', () => {
+    const cv = {
+      type: '(tuple ...)',
+      value: {
+        proposer: { type: 'principal', value: 'SP2KYZ' },
+        title: { type: '(string-utf8 100)', value: 'Sized' },
+        description: { type: '(string-utf8 500)', value: '' },
+        'proposal-type': { type: '(string-ascii 20)', value: 'pause' },
+        value: { type: 'uint', value: '0' },
+        'start-block': { type: 'uint', value: '1' },
+        'end-block': { type: 'uint', value: '2' },
+        'votes-for': { type: 'uint', value: '0' },
+        'votes-against': { type: 'uint', value: '0' },
+        'total-voters': { type: 'uint', value: '0' },
+        executed: { type: 'bool', value: false },
+        passed: { type: 'bool', value: false },
+      },
+    };
+    expect(parseProposal(cv)).toMatchObject({ title: 'Sized', proposalType: 'pause' });
+  });
+
   describe('parseVoteRecord', () => {
     it('parses a vote record tuple', () => {
       const cv = {
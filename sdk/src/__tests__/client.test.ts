@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PostConditionMode,
+  boolCV,
+  noneCV,
+  someCV,
+  responseOkCV,
+  tupleCV,
+  uintCV,
+} from '@stacks/transactions';
+import { POSVaultClient } from '../client.js';
+import { ConfigurationError } from '../errors.js';
+import { fakeCallRead } from './fake-call-read.js';
+import { fakeNode } from './fake-node.js';
+
+const USER = 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE';
+const DEPLOYER = 'SP2KYZRNME33Y39GP3RKC90DQJ45EF1N0NZNVRE09';
+
+const vaultInfo = responseOkCV(tupleCV({
+  'total-stx-locked': uintCV(5_000_000),
+  'total-depositors': uintCV(3),
+  'reward-rate': uintCV(100),
+  'is-paused': boolCV(false),
+  'current-block': uintCV(180_000),
+}));
+
+describe('POSVaultClient', () => {
+  it('resolves the deployment once and reads through the given fetch and API', async () => {
+    const fetch = fakeCallRead({ 'get-vault-info': vaultInfo, 'get-balance': responseOkCV(uintCV(7_500_000)) });
+    const client = new POSVaultClient({ apiUrl: 'https://stacks.example', fetch });
+
+    expect(client.config.deployer).toBe(DEPLOYER);
+    expect(await client.vault.getInfo()).toEqual({
+      totalStxLocked: 5_000_000n,
+      totalDepositors: 3n,
+      rewardRate: 100n,
+      isPaused: false,
+      currentBlock: 180_000n,
+    });
+    expect(await client.token.getBalance(USER)).toBe(7_500_000n);
+
+    const [url, init] = fetch.mock.calls[0] as unknown as [string, RequestInit];
+    expect(url).toBe(`https://stacks.example/v2/contracts/call-read/${DEPLOYER}/vault-core-v4/get-vault-info`);
+    expect(JSON.parse(init.body as string).sender).toBe(DEPLOYER);
+  });
+
+  it('uses the configured contract names', async () => {
+    const fetch = fakeCallRead({ 'get-reward-rate': responseOkCV(uintCV(250)) });
+    const client = new POSVaultClient({ fetch, contractNames: { vaultCore: 'vault-core-v5' } });
+
+    expect(await client.vault.getRewardRate()).toBe(250n);
+    expect(fetch.mock.calls[0]![0]).toContain('/vault-core-v5/get-reward-rate');
+  });
+
+  it('retries rate-limited and failing reads with the retry policy', async () => {
+    let failures = 2;
+    const fetch = fakeCallRead({
+      'get-proposal-count': () => (failures-- > 0
+        ? new Response('busy', { status: 503, statusText: 'Service Unavailable' })
+        : responseOkCV(uintCV(12))),
+    });
+    const client = new POSVaultClient({ fetch, retry: { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 1 } });
+
+    expect(await client.governance.getProposalCount()).toBe(12n);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('serves repeated reads from the cache', async () => {
+    const fetch = fakeCallRead({ 'get-total-supply': responseOkCV(uintCV(10_000)) });
+    const client = new POSVaultClient({ fetch, cache: new Map() });
+
+    expect(await client.token.getTotalSupply()).toBe(10_000n);
+    expect(await client.token.getTotalSupply()).toBe(10_000n);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('signs and broadcasts writes through the configured node and contracts', async () => {
+    const node = fakeNode({
+      'get-deposit': someCV(tupleCV({
+        amount: uintCV(5_000_000),
+        'deposit-block': uintCV(179_000),
+        'last-claim-block': uintCV(179_000),
+        'total-rewards-claimed': uintCV(0),
+      })),
+      'get-pending-rewards': responseOkCV(uintCV(40_000)),
+      'get-vault-info': vaultInfo,
+      'get-balance': responseOkCV(uintCV(7_500_000)),
+      'is-voting-active': responseOkCV(boolCV(true)),
+      'get-vote-record': noneCV(),
+    });
+    const client = new POSVaultClient({
+      apiUrl: 'https://stacks.example',
+      fetch: node.fetch,
+      contractNames: { vaultCore: 'vault-core-v5' },
+      senderKey: '753b7cc01a1a2e86221266a154af739463fce51219d97e4f856cd7200c3bd2a601',
+    });
+
+    expect((await client.vault.claimRewards()).ok).toBe(true);
+    expect((await client.governance.vote(2, false, { fee: 900 })).ok).toBe(true);
+
+    expect(node.broadcasts).toEqual([
+      expect.objectContaining({
+        contractId: `${DEPLOYER}.vault-core-v5`,
+        functionName: 'claim-rewards',
+        postConditionMode: PostConditionMode.Deny,
+        fee: 2_000n,
+      }),
+      expect.objectContaining({
+        contractId: `${DEPLOYER}.proposal-voting`,
+        functionName: 'vote',
+        args: [uintCV(2), boolCV(false)],
+        fee: 900n,
+      }),
+    ]);
+    expect(node.fetch.mock.calls.every(([url]) => url.startsWith('https://stacks.example/'))).toBe(true);
+  });
+
+  it('refuses writes without a signing key', async () => {
+    const client = new POSVaultClient({ fetch: fakeCallRead({}) });
+    await expect(client.governance.vote(1, true)).rejects.toBeInstanceOf(ConfigurationError);
+  });
+
+  it('requires a deployer where the manifest has none', () => {
+    expect(() => new POSVaultClient({ network: 'testnet' })).toThrow(ConfigurationError);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { DEPLOYMENTS, NETWORKS, getContractDeployment, isNetworkName } from '../deployments.js';
+import { resolveConfig, getContractId } from '../config.js';
+import { DEPLOYER, CONTRACT_NAMES } from '../constants.js';
+import { ConfigurationError } from '../errors.js';
+
+describe('deployment manifest', () => {
+  it('lists every supported network', () => {
+    expect(NETWORKS).toEqual(['mainnet', 'testnet', 'devnet']);
+    expect(isNetworkName('devnet')).toBe(true);
+    expect(isNetworkName('regtest')).toBe(false);
+  });
+
+  it('records name, version and deploy height for each contract', () => {
+    for (const network of NETWORKS) {
+      for (const key of ['vaultCore', 'governanceToken', 'proposalVoting'] as const) {
+        const entry = getContractDeployment(network, key);
+        expect(typeof entry.name).toBe('string');
+        expect(Number.isInteger(entry.version)).toBe(true);
+        expect(entry.deployHeight === null || Number.isInteger(entry.deployHeight)).toBe(true);
+      }
+    }
+  });
+
+  it('backs the mainnet constants', () => {
+    expect(DEPLOYER).toBe(DEPLOYMENTS.mainnet.deployer);
+    expect(CONTRACT_NAMES.vaultCore).toBe(DEPLOYMENTS.mainnet.contracts.vaultCore.name);
+  });
+});
+
+describe('resolveConfig', () => {
+  it('defaults to the mainnet deployment', () => {
+    const config = resolveConfig();
+    expect(config.network).toBe('mainnet');
+    expect(config.apiBaseUrl).toBe(DEPLOYMENTS.mainnet.apiUrl);
+    expect(getContractId(config, 'vaultCore')).toBe(
+      `${DEPLOYMENTS.mainnet.deployer}.${DEPLOYMENTS.mainnet.contracts.vaultCore.name}`,
+    );
+  });
+
+  it('resolves devnet from the manifest', () => {
+    const config = resolveConfig({ network: 'devnet' });
+    expect(config.deployer).toBe(DEPLOYMENTS.devnet.deployer);
+    expect(config.apiBaseUrl).toBe('http://localhost:3999');
+  });
+
+  it('lets callers override individual contract names', () => {
+    const config = resolveConfig({ contractNames: { vaultCore: 'vault-core-v5' } });
+    expect(config.contractNames.vaultCore).toBe('vault-core-v5');
+    expect(config.contractNames.proposalVoting).toBe(CONTRACT_NAMES.proposalVoting);
+  });
+
+  it('throws ConfigurationError when a network has no deployer', () => {
+    expect(() => resolveConfig({ network: 'testnet' })).toThrow(ConfigurationError);
+    expect(resolveConfig({ network: 'testnet', deployer: 'ST000' }).deployer).toBe('ST000');
+  });
+});
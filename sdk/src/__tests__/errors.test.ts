@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { ERROR_CODES, ERROR_MESSAGES, decodeContractError, getErrorMessage } from '../errors.js';
+
+describe('contract error codes', () => {
+  it('covers every governance-token, vault-core and proposal-voting error', () => {
+    const codes = [100, 101, 102, 200, 202, 203, 205, 206, 207, ...Array.from({ length: 10 }, (_, i) => 300 + i)];
+    for (const code of codes) {
+      expect(ERROR_CODES[code]).toMatch(/^ERR-/);
+      expect(ERROR_MESSAGES[code]).toBeTruthy();
+    }
+  });
+
+  it('decodes known and unknown codes', () => {
+    expect(decodeContractError(207)).toBe('ERR-VAULT-PAUSED');
+    expect(decodeContractError(302)).toBe('ERR-ALREADY-VOTED');
+    expect(decodeContractError(999)).toBe('UNKNOWN-ERROR-999');
+  });
+
+  it('returns human-readable messages', () => {
+    expect(getErrorMessage(307)).toBe('Proposal did not reach quorum');
+    expect(getErrorMessage(999)).toBe('Contract error u999');
+  });
+});
@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { readdir, readFile } from 'node:fs/promises';
+
+// Vitest hands every module a `require`, so a stray one only breaks the
+// published ESM build; check the sources instead
+describe('ESM sources', () => {
+  it('never call require()', async () => {
+    const src = new URL('../', import.meta.url);
+    const offenders: string[] = [];
+    for (const file of await readdir(src)) {
+      if (!file.endsWith('.ts')) continue;
+      const text = await readFile(new URL(file, src), 'utf8');
+      if (/\brequire\(/.test(text)) offenders.push(file);
+    }
+    expect(offenders).toEqual([]);
+  });
+});
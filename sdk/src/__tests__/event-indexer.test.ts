@@ -0,0 +1,147 @@
+import { describe, it, expect, vi } from 'vitest';
+import recorded from './fixtures/vault-events.json' with { type: 'json' };
+import { createEventIndexer, createMemoryEventStore } from '../event-indexer.js';
+
+const ALICE = 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7';
+const BOB = 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE';
+
+type RecordedTx = (typeof recorded.transactions)[keyof typeof recorded.transactions];
+const txId = (short: string) => `0x${short.padEnd(64, '0')}`;
+
+// Replays the recorded API responses as of `tip`; orphaned transactions
+// drop out of the events listing and report canonical: false
+function replayApi(tip: number) {
+  const api = { tip, orphaned: new Set<string>() };
+  const transactions = recorded.transactions as Record<string, RecordedTx>;
+  const visible = (id: string) => transactions[id]!.block_height <= api.tip && !api.orphaned.has(id);
+
+  const fetch = vi.fn(async (url: string) => {
+    const { pathname, searchParams } = new URL(url);
+    if (pathname === '/extended') return Response.json({ chain_tip: { block_height: api.tip } });
+
+    const tx = pathname.match(/^\/extended\/v1\/tx\/(.+)$/);
+    if (tx) return Response.json({ ...transactions[tx[1]!], canonical: !api.orphaned.has(tx[1]!) });
+
+    const events = pathname.match(/^\/extended\/v1\/contract\/([^/]+)\/events$/);
+    if (events) {
+      const all = (recorded.events as Record<string, { tx_id: string }[]>)[events[1]!] ?? [];
+      const offset = Number(searchParams.get('offset'));
+      const results = all.filter((e) => visible(e.tx_id)).slice(offset, offset + Number(searchParams.get('limit')));
+      return Response.json({ results });
+    }
+    return new Response('not found', { status: 404 });
+  });
+  return { api, fetch };
+}
+
+describe('createEventIndexer', () => {
+  it('backfills typed events from the start blocks and answers queries', async () => {
+    const { fetch } = replayApi(recorded.chain_tip);
+    const indexer = createEventIndexer({ fetch });
+
+    expect(await indexer.sync()).toEqual({ cursor: 181_100, events: 10 });
+
+    expect((await indexer.depositsBy(ALICE)).map((e) => [e.blockHeight, e.data.amount])).toEqual([
+      [180_001, 12_500_000n],
+      [181_030, 2_000_000n],
+    ]);
+    expect((await indexer.votesOn(1)).map((e) => [e.data.voter, e.data.support, e.data.weight])).toEqual([
+      [ALICE, true, 1_000_000n],
+      [BOB, false, 400_000n],
+    ]);
+    expect(await indexer.rewardsMintedPerDay()).toEqual([
+      { day: '2025-10-10', rewards: 250_000n },
+      { day: '2025-10-11', rewards: 120_000n },
+    ]);
+    expect((await indexer.query({ proposalId: 1 })).map((e) => e.name)).toEqual([
+      'proposal-created',
+      'vote-cast',
+      'vote-cast',
+      'proposal-executed',
+    ]);
+  });
+
+  it('skips blocks before the start block', async () => {
+    const { fetch } = replayApi(recorded.chain_tip);
+    const indexer = createEventIndexer({ fetch, startBlocks: { vaultCore: 180_100, proposalVoting: 181_000 } });
+    await indexer.sync();
+
+    expect((await indexer.query()).map((e) => e.name)).toEqual([
+      'claim-rewards',
+      'deposit',
+      'withdraw',
+      'proposal-executed',
+      'deposit',
+    ]);
+  });
+
+  it('indexes new blocks incrementally and drops events orphaned by a reorg', async () => {
+    const { api, fetch } = replayApi(180_200);
+    const store = createMemoryEventStore();
+    const indexer = createEventIndexer({ fetch, store });
+
+    await indexer.sync();
+    expect(store.cursor('vaultCore')).toBe(180_200);
+    expect((await indexer.depositsBy(BOB)).map((e) => e.txId)).toEqual([txId('e2'), txId('eb')]);
+
+    // The block holding 0xeb is orphaned, and the chain moves on
+    api.orphaned.add(txId('eb'));
+    api.tip = recorded.chain_tip;
+    fetch.mockClear();
+    const result = await indexer.sync();
+
+    expect(result.cursor).toBe(181_100);
+    expect((await indexer.depositsBy(BOB)).map((e) => e.txId)).toEqual([txId('e2')]);
+    expect((await indexer.query()).length).toBe(9);
+    // Only the re-read window and newer blocks are fetched again
+    const lookups = fetch.mock.calls.map(([url]) => String(url)).filter((url) => url.includes('/extended/v1/tx/'));
+    expect(lookups.every((url) => !url.includes(txId('e1')))).toBe(true);
+  });
+
+  it('commits the backfill in batches, so an interrupted one resumes', async () => {
+    const { fetch } = replayApi(recorded.chain_tip);
+    const store = createMemoryEventStore();
+    const commit = vi.spyOn(store, 'commit');
+    const retry = { maxAttempts: 1 };
+    const indexer = createEventIndexer({ fetch, store, retry, contracts: ['vaultCore'], batchSize: 2 });
+
+    // The newest transaction can't be looked up
+    const replay = fetch.getMockImplementation()!;
+    fetch.mockImplementation(async (url: string) =>
+      String(url).endsWith(`/tx/${txId('e9')}`) ? new Response('unavailable', { status: 503 }) : replay(url));
+    await expect(indexer.sync()).rejects.toThrow();
+
+    expect(commit.mock.calls.map(([, from, , cursor]) => [from, cursor])).toEqual([
+      [0, 180_001],
+      [180_002, 180_149],
+      [180_150, 180_299],
+    ]);
+    expect(store.cursor('vaultCore')).toBe(180_299);
+    expect((await indexer.query()).every((e) => e.blockHeight <= 180_299)).toBe(true);
+
+    fetch.mockImplementation(replay);
+    await indexer.sync();
+    const clean = createEventIndexer({ fetch, contracts: ['vaultCore'] });
+    await clean.sync();
+    expect(await indexer.query()).toEqual(await clean.query());
+  });
+
+  it('keeps block lookups below the re-read window across syncs', async () => {
+    const { fetch } = replayApi(recorded.chain_tip);
+    const indexer = createEventIndexer({ fetch });
+    await indexer.sync();
+
+    fetch.mockClear();
+    await indexer.sync();
+    expect(fetch.mock.calls.filter(([url]) => String(url).includes('/extended/v1/tx/'))).toHaveLength(0);
+  });
+
+  it('shares one pass between concurrent syncs', async () => {
+    const { fetch } = replayApi(recorded.chain_tip);
+    const indexer = createEventIndexer({ fetch });
+    const [a, b] = await Promise.all([indexer.sync(), indexer.sync()]);
+
+    expect(a).toBe(b);
+    expect(fetch.mock.calls.filter(([url]) => String(url).endsWith('/extended'))).toHaveLength(1);
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  boolCV,
+  deserializeCV,
+  noneCV,
+  principalCV,
+  responseOkCV,
+  someCV,
+  stringAsciiCV,
+  stringUtf8CV,
+  tupleCV,
+  uintCV,
+  type ClarityValue,
+  type UIntCV,
+} from '@stacks/transactions';
+import { buildExecutionQueue, fetchExecutionQueue } from '../execution-queue.js';
+import * as sdk from '../index.js';
+import type { AnalyticsProposal } from '../governance-analytics.js';
+import { fakeCallRead } from './fake-call-read.js';
+import { fakeNode } from './fake-node.js';
+
+const PROPOSER = 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7';
+
+function proposal(id: number, endBlock: bigint, overrides: Partial<AnalyticsProposal> = {}): AnalyticsProposal {
+  return {
+    id,
+    proposer: PROPOSER,
+    title: `Proposal ${id}`,
+    proposalType: 'general',
+    value: 0n,
+    startBlock: endBlock - 1008n,
+    endBlock,
+    votesFor: 0n,
+    votesAgainst: 0n,
+    totalVoters: 0n,
+    executed: false,
+    passed: false,
+    ...overrides,
+  };
+}
+
+describe('buildExecutionQueue', () => {
+  // Supply 1,000 → quorum 100
+  const queue = buildExecutionQueue(
+    [
+      proposal(4, 2000n, { votesFor: 60n, votesAgainst: 40n }),
+      proposal(1, 1000n, { votesFor: 500n, executed: true, passed: true }),
+      proposal(2, 1200n, { votesFor: 30n, votesAgainst: 20n }),
+      proposal(3, 1500n, { votesFor: 40n, votesAgainst: 90n }),
+      proposal(5, 3000n, { votesFor: 900n }),
+    ],
+    1000n,
+    2500n,
+  );
+
+  it('lists ended, unexecuted proposals oldest first', () => {
+    expect(queue.map((p) => p.id)).toEqual([2, 3, 4]);
+    expect(queue[0]?.blocksSinceEnd).toBe(1300n);
+  });
+
+  it('pre-computes quorum and the outcome execution would record', () => {
+    expect(queue.map((p) => [p.id, p.quorumMet, p.passes, p.executable])).toEqual([
+      [2, false, true, false],
+      [3, true, false, true],
+      [4, true, true, true],
+    ]);
+    expect(queue[0]?.quorumNeeded).toBe(100n);
+  });
+
+  it('treats the end block itself as still open', () => {
+    expect(buildExecutionQueue([proposal(1, 2000n, { votesFor: 500n })], 1000n, 2000n)).toEqual([]);
+  });
+});
+
+describe('fetchExecutionQueue', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('reads proposals, supply and the chain tip', async () => {
+    const responses: Record<string, (args: string[]) => ClarityValue> = {
+      'get-proposal-count': () => responseOkCV(uintCV(1)),
+      'get-total-supply': () => responseOkCV(uintCV(1000)),
+      'get-vault-info': () => responseOkCV(tupleCV({
+        'total-stx-locked': uintCV(0),
+        'total-depositors': uintCV(0),
+        'reward-rate': uintCV(500),
+        'is-paused': boolCV(false),
+        'current-block': uintCV(5000),
+      })),
+      'get-proposal': (args) => someCV(tupleCV({
+        proposer: principalCV(PROPOSER),
+        title: stringUtf8CV(`Proposal ${(deserializeCV(args[0]!) as UIntCV).value}`),
+        description: stringUtf8CV(''),
+        'proposal-type': stringAsciiCV('reward-rate'),
+        value: uintCV(750),
+        'start-block': uintCV(1000),
+        'end-block': uintCV(2008),
+        'votes-for': uintCV(150),
+        'votes-against': uintCV(10),
+        'total-voters': uintCV(3),
+        executed: boolCV(false),
+        passed: boolCV(false),
+      })),
+    };
+    vi.stubGlobal('fetch', fakeCallRead(responses));
+
+    const queue = await fetchExecutionQueue(PROPOSER);
+
+    expect(queue.currentBlock).toBe(5000n);
+    expect(queue.proposals).toEqual([
+      expect.objectContaining({ id: 1, title: 'Proposal 1', proposalType: 'reward-rate', value: 750n, executable: true, passes: true }),
+    ]);
+  });
+
+  it('fails instead of leaving out a proposal whose read failed', async () => {
+    vi.stubGlobal('fetch', fakeCallRead({
+      'get-proposal-count': responseOkCV(uintCV(2)),
+      'get-total-supply': responseOkCV(uintCV(1000)),
+      'get-vault-info': responseOkCV(tupleCV({ 'current-block': uintCV(5000) })),
+      'get-proposal': ([id]) => ((deserializeCV(id!) as UIntCV).value === 2n
+        ? new Response('unavailable', { status: 503 })
+        : noneCV()),
+    }));
+
+    await expect(fetchExecutionQueue(PROPOSER)).rejects.toThrow(/get-proposal failed for #2/);
+  });
+});
+
+describe('execute-proposals keeper', () => {
+  // Imported by URL: the keeper is a plain JS script outside the SDK
+  const KEEPER = new URL('../../../scripts/execute-proposals.js', import.meta.url).href;
+  const KEEPER_KEY = '753b7cc01a1a2e86221266a154af739463fce51219d97e4f856cd7200c3bd2a601';
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('broadcasts execute-proposal for each executable proposal', async () => {
+    const node = fakeNode({
+      'get-proposal-count': responseOkCV(uintCV(1)),
+      'get-total-supply': responseOkCV(uintCV(1000)),
+      'get-vault-info': responseOkCV(tupleCV({ 'current-block': uintCV(5000) })),
+      'get-proposal': someCV(tupleCV({
+        proposer: principalCV(PROPOSER),
+        title: stringUtf8CV('Pause'),
+        description: stringUtf8CV(''),
+        'proposal-type': stringAsciiCV('pause'),
+        value: uintCV(0),
+        'start-block': uintCV(1000),
+        'end-block': uintCV(2008),
+        'votes-for': uintCV(150),
+        'votes-against': uintCV(10),
+        'total-voters': uintCV(3),
+        executed: boolCV(false),
+        passed: boolCV(false),
+      })),
+      'get-proposal-result': responseOkCV(tupleCV({
+        passed: boolCV(true),
+        'votes-for': uintCV(150),
+        'votes-against': uintCV(10),
+        'total-voters': uintCV(3),
+        executed: boolCV(false),
+        'voting-ended': boolCV(true),
+      })),
+    });
+    vi.stubGlobal('fetch', node.fetch);
+    const log = vi.spyOn(console, 'log').mockImplementation(() => undefined);
+    const dir = await mkdtemp(join(tmpdir(), 'posvault-keeper-'));
+    const envFile = join(dir, '.env');
+    await writeFile(envFile, `KEEPER_PRIVATE_KEY=${KEEPER_KEY}\n`);
+
+    try {
+      const keeper = await import(KEEPER);
+      await keeper.main(['--network', 'mainnet', '--env-file', envFile, '--yes'], sdk);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+
+    expect(node.broadcasts).toEqual([
+      expect.objectContaining({ functionName: 'execute-proposal', args: [uintCV(1)] }),
+    ]);
+    const output = log.mock.calls.map((args) => args.join(' ')).join('\n');
+    expect(output).toMatch(/txid: [0-9a-f]{64}/);
+    expect(output).toContain('execute-proposals summary: 1 succeeded, 0 failed');
+  });
+});
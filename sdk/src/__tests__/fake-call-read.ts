@@ -0,0 +1,24 @@
+import { vi } from 'vitest';
+import { serializeCV, type ClarityValue } from '@stacks/transactions';
+
+/** A read's answer: a value to serialize, or a whole response (e.g. an HTTP error) */
+export type ReadAnswer = ClarityValue | Response;
+
+/** Answers by function name; a function gets the call's hex-encoded arguments */
+export type ReadAnswers = Record<string, ReadAnswer | ((args: string[]) => ReadAnswer)>;
+
+/**
+ * Fake Hiro call-read endpoint, as a `fetch` mock; the function name is the
+ * last path segment. Pass a getter to swap answers between tests.
+ */
+export function fakeCallRead(answers: ReadAnswers | (() => ReadAnswers)) {
+  return vi.fn(async (url: string, init?: RequestInit) => {
+    const fn = url.split('/').pop()!;
+    const answer = (typeof answers === 'function' ? answers() : answers)[fn];
+    if (answer === undefined) throw new Error(`No fake answer for ${fn}`);
+
+    const args: string[] = init?.body ? JSON.parse(String(init.body)).arguments : [];
+    const value = typeof answer === 'function' ? answer(args) : answer;
+    return value instanceof Response ? value : Response.json({ okay: true, result: `0x${serializeCV(value)}` });
+  });
+}
@@ -0,0 +1,59 @@
+import { vi } from 'vitest';
+import {
+  PayloadType,
+  addressToString,
+  deserializeTransaction,
+  wireToPostCondition,
+  type ClarityValue,
+  type PostCondition,
+  type PostConditionMode,
+} from '@stacks/transactions';
+import { fakeCallRead, type ReadAnswers } from './fake-call-read.js';
+
+/** A broadcast contract call, decoded */
+export interface BroadcastCall {
+  contractId: string;
+  functionName: string;
+  args: ClarityValue[];
+  postConditionMode: PostConditionMode;
+  postConditions: PostCondition[];
+  nonce: bigint;
+  fee: bigint;
+}
+
+/**
+ * Fake Stacks node for write paths, as a `fetch` mock: call-read answers as
+ * in `fakeCallRead`, a fixed nonce and fee estimate, and every broadcast
+ * transaction decoded into `broadcasts`.
+ */
+export function fakeNode(answers: ReadAnswers | (() => ReadAnswers) = {}) {
+  const callRead = fakeCallRead(answers);
+  const broadcasts: BroadcastCall[] = [];
+
+  const fetch = vi.fn(async (url: string, init?: RequestInit) => {
+    const { pathname } = new URL(url);
+    if (pathname.startsWith('/v2/contracts/call-read/')) return callRead(url, init);
+    if (pathname.endsWith('/nonces')) return Response.json({ possible_next_nonce: 7 });
+    if (pathname === '/v2/fees/transaction') {
+      return Response.json({ estimations: [{ fee: 1_000 }, { fee: 2_000 }, { fee: 3_000 }] });
+    }
+    if (pathname === '/v2/transactions') {
+      const transaction = deserializeTransaction(JSON.parse(String(init?.body)).tx);
+      const { payload, auth } = transaction;
+      if (payload.payloadType !== PayloadType.ContractCall) throw new Error('Expected a contract call');
+      broadcasts.push({
+        contractId: `${addressToString(payload.contractAddress)}.${payload.contractName.content}`,
+        functionName: payload.functionName.content,
+        args: payload.functionArgs,
+        postConditionMode: transaction.postConditionMode,
+        postConditions: transaction.postConditions.values.map((pc) => wireToPostCondition(pc as any)),
+        nonce: auth.spendingCondition.nonce,
+        fee: auth.spendingCondition.fee,
+      });
+      return new Response(JSON.stringify(transaction.txid()));
+    }
+    throw new Error(`Unexpected request to ${url}`);
+  });
+
+  return { fetch, broadcasts };
+}
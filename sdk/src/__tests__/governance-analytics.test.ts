@@ -0,0 +1,171 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  boolCV,
+  principalCV,
+  serializeCV,
+  stringAsciiCV,
+  tupleCV,
+  uintCV,
+  type ClarityValue,
+} from '@stacks/transactions';
+import {
+  computeGovernanceAnalytics,
+  giniCoefficient,
+  governanceAnalyticsToCsv,
+  governanceAnalyticsToJson,
+  nakamotoCoefficient,
+  type AnalyticsProposal,
+} from '../governance-analytics.js';
+import { decodePrintEvent, fetchGovernanceEvents, type VoteCastEvent } from '../contract-events.js';
+
+const ALICE = 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7';
+const BOB = 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE';
+
+function proposal(id: number, overrides: Partial<AnalyticsProposal> = {}): AnalyticsProposal {
+  return {
+    id,
+    proposer: ALICE,
+    title: `Proposal ${id}`,
+    proposalType: 'general',
+    value: 0n,
+    startBlock: BigInt(id * 2000),
+    endBlock: BigInt(id * 2000 + 1008),
+    votesFor: 0n,
+    votesAgainst: 0n,
+    totalVoters: 0n,
+    executed: false,
+    passed: false,
+    ...overrides,
+  };
+}
+
+function vote(proposalId: number, voter: string, support: boolean, weight: bigint): VoteCastEvent {
+  return { proposalId, voter, support, weight, txId: `0x${proposalId}${voter.slice(-4)}` };
+}
+
+function logEvent(cv: ClarityValue, index = 0) {
+  return {
+    event_index: index,
+    event_type: 'smart_contract_log',
+    tx_id: `0xtx${index}`,
+    contract_log: { contract_id: 'SP000.proposal-voting', topic: 'print', value: { hex: `0x${serializeCV(cv)}`, repr: '' } },
+  };
+}
+
+describe('giniCoefficient / nakamotoCoefficient', () => {
+  it('is 0 for equal weights and approaches 1 when one holder dominates', () => {
+    expect(giniCoefficient([5n, 5n, 5n, 5n])).toBeCloseTo(0, 6);
+    expect(giniCoefficient([0n, 0n, 0n, 100n])).toBe(0);
+    expect(giniCoefficient([1n, 1n, 1n, 997n])).toBeCloseTo(0.747, 3);
+  });
+
+  it('counts the fewest holders with more than half the weight', () => {
+    expect(nakamotoCoefficient([10n, 10n, 10n, 10n])).toBe(3);
+    expect(nakamotoCoefficient([60n, 20n, 20n])).toBe(1);
+    expect(nakamotoCoefficient([])).toBe(0);
+  });
+});
+
+describe('computeGovernanceAnalytics', () => {
+  // Supply 1,000 → quorum 100
+  const analytics = computeGovernanceAnalytics({
+    proposals: [
+      proposal(3, { votesFor: 10n, totalVoters: 1n }),
+      proposal(1, { votesFor: 300n, votesAgainst: 100n, totalVoters: 2n, executed: true, passed: true }),
+      proposal(2, { votesFor: 50n, totalVoters: 1n }),
+      proposal(4, { votesFor: 80n, votesAgainst: 40n, totalVoters: 2n }),
+    ],
+    votes: [
+      vote(4, ALICE, true, 80n),
+      vote(4, BOB, false, 40n),
+      vote(1, ALICE, true, 300n),
+      vote(1, BOB, false, 100n),
+      vote(2, ALICE, true, 50n),
+    ],
+    executions: [{ proposalId: 1, passed: true, votesFor: 300n, votesAgainst: 100n, txId: '0xexec1' }],
+    totalSupply: 1000n,
+    currentBlock: 9500n,
+  });
+
+  it('classifies proposals and measures turnout against supply', () => {
+    expect(analytics.proposals.map((p) => [p.id, p.status, p.turnoutPct])).toEqual([
+      [1, 'passed', 40],
+      [2, 'failed-quorum', 5],
+      [3, 'failed-quorum', 1],
+      [4, 'awaiting-execution', 12],
+    ]);
+    expect(analytics.proposals[0]?.executionTxId).toBe('0xexec1');
+    expect(analytics.summary).toMatchObject({ passed: 1, rejected: 0, failedQuorum: 2, awaitingExecution: 1 });
+    expect(analytics.summary.averageTurnoutPct).toBeCloseTo(14.5);
+    expect(analytics.participation.map((p) => p.averageTurnoutPct)).toEqual([40, 22.5, 46 / 3, 14.5]);
+  });
+
+  it('ranks voters by the weight of their latest vote', () => {
+    expect(analytics.topVoters.map((v) => [v.voter, v.weight, v.votes])).toEqual([
+      [ALICE, 80n, 3],
+      [BOB, 40n, 2],
+    ]);
+    expect(analytics.concentration).toMatchObject({ voters: 2, nakamoto: 1, totalWeight: 120n });
+  });
+
+  it('exports CSV rows and bigint-safe JSON', () => {
+    const csv = governanceAnalyticsToCsv({
+      ...analytics,
+      proposals: [{ ...analytics.proposals[0]!, title: 'Raise, "slightly"' }],
+    });
+    const [header, row] = csv.trim().split('\r\n');
+    expect(header).toMatch(/^id,title,type,proposer,/);
+    expect(row).toMatch(/^1,"Raise, ""slightly""",general,/);
+
+    const json = JSON.parse(governanceAnalyticsToJson(analytics));
+    expect(json.totalSupply).toBe('1000');
+    expect(json.proposals[0].votesFor).toBe('300');
+  });
+});
+
+describe('governance events', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('decodes print tuples and skips other events', () => {
+    const event = decodePrintEvent(logEvent(tupleCV({ event: stringAsciiCV('vote-cast'), weight: uintCV(5) })));
+    expect(event).toMatchObject({ name: 'vote-cast', data: { weight: 5n } });
+    expect(decodePrintEvent(logEvent(uintCV(1)))).toBeNull();
+    expect(decodePrintEvent({ event_index: 0, event_type: 'stx_asset', tx_id: '0x' })).toBeNull();
+  });
+
+  it('pages through the events API and splits votes from executions', async () => {
+    const voteCast = tupleCV({
+      event: stringAsciiCV('vote-cast'),
+      'proposal-id': uintCV(2),
+      voter: principalCV(BOB),
+      support: boolCV(false),
+      weight: uintCV(700),
+    });
+    const executed = tupleCV({
+      event: stringAsciiCV('proposal-executed'),
+      'proposal-id': uintCV(1),
+      passed: boolCV(true),
+      'votes-for': uintCV(900),
+      'votes-against': uintCV(0),
+    });
+    const pages = [
+      Array.from({ length: 50 }, (_, i) => logEvent(voteCast, i)),
+      [logEvent(executed, 50)],
+    ];
+    const fetchMock = vi.fn(async (url: string) => {
+      const offset = Number(new URL(url).searchParams.get('offset'));
+      return Response.json({ results: pages[offset / 50] ?? [] });
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { votes, executions } = await fetchGovernanceEvents({ network: 'devnet', apiUrl: 'http://node.local:3999' });
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(String(fetchMock.mock.calls[0]?.[0])).toMatch(/^http:\/\/node\.local:3999\/extended\/v1\/contract\/.+\.proposal-voting\/events\?limit=50&offset=0$/);
+    expect(votes).toHaveLength(50);
+    expect(votes[0]).toMatchObject({ proposalId: 2, voter: BOB, support: false, weight: 700n });
+    expect(executions).toEqual([{ proposalId: 1, passed: true, votesFor: 900n, votesAgainst: 0n, txId: '0xtx50' }]);
+  });
+});
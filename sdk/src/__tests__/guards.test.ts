@@ -187,8 +187,11 @@ describe('domain type guards', () => {
     it('returns true for valid partial config', () => {
       expect(isPOSVaultConfig({ network: 'testnet' })).toBe(true);
     });
+    it('accepts every network in the deployment manifest', () => {
+      expect(isPOSVaultConfig({ network: 'devnet' })).toBe(true);
+    });
     it('returns false for invalid network', () => {
-      expect(isPOSVaultConfig({ network: 'devnet' })).toBe(false);
+      expect(isPOSVaultConfig({ network: 'regtest' })).toBe(false);
     });
     it('returns false for non-object', () => {
       expect(isPOSVaultConfig('config')).toBe(false);
@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  deserializeCV,
+  noneCV,
+  someCV,
+  stringUtf8CV,
+  tupleCV,
+  uintCV,
+  type ClarityValue,
+  type UIntCV,
+} from '@stacks/transactions';
+import { fetchProposalsById, fetchAllProposals } from '../multicall.js';
+import { fakeCallRead } from './fake-call-read.js';
+
+// Proposal 2 does not exist, proposal 3 errors
+function proposalRead([arg]: string[]): ClarityValue | Response {
+  const id = Number((deserializeCV(arg!) as UIntCV).value);
+  if (id === 3) return new Response('rate limited', { status: 429 });
+  return id === 2
+    ? noneCV()
+    : someCV(tupleCV({ title: stringUtf8CV(`Proposal ${id}`), 'votes-for': uintCV(10) }));
+}
+
+describe('fetchProposalsById', () => {
+  const fetchMock = fakeCallRead({ 'get-proposal': proposalRead });
+
+  beforeEach(() => {
+    fetchMock.mockClear();
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('separates found, missing and failed ids', async () => {
+    const batch = await fetchProposalsById('SP000', [4, 3, 2, 1]);
+
+    expect(batch.proposals.map((p) => p.id)).toEqual([4, 1]);
+    expect(batch.proposals[0]?.title.value).toBe('Proposal 4');
+    expect(batch.missing).toEqual([2]);
+    expect(batch.failures.map((f) => f.id)).toEqual([3]);
+  });
+
+  it('sends requests to the configured API URL', async () => {
+    await fetchProposalsById('SP000', [1], { network: 'devnet', apiUrl: 'http://node.local:3999' });
+    expect(String(fetchMock.mock.calls[0]?.[0])).toMatch(/^http:\/\/node\.local:3999\/v2\/contracts\/call-read\//);
+  });
+
+  it('keeps ids aligned when earlier proposals are missing', async () => {
+    const proposals = await fetchAllProposals('SP000', 4);
+    expect(proposals.map((p) => [p.id, p.title.value])).toEqual([
+      [1, 'Proposal 1'],
+      [4, 'Proposal 4'],
+    ]);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  PostConditionMode,
+  noneCV,
+  responseOkCV,
+  someCV,
+  tupleCV,
+  uintCV,
+  boolCV,
+  type ClarityValue,
+} from '@stacks/transactions';
+import { estimateRewardBounds, planWithdraw, planClaimRewards } from '../post-conditions.js';
+import { DEPLOYER, CONTRACT_NAMES } from '../constants.js';
+import { fakeCallRead } from './fake-call-read.js';
+
+const DEPOSITOR = 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE';
+
+let depositCV: ClarityValue;
+let pending: bigint;
+
+// The three vault-core reads
+function vaultReads() {
+  return {
+    'get-deposit': depositCV,
+    'get-pending-rewards': responseOkCV(uintCV(pending)),
+    'get-vault-info': responseOkCV(tupleCV({
+      'total-stx-locked': uintCV(5_000_000n),
+      'total-depositors': uintCV(1),
+      'reward-rate': uintCV(500),
+      'is-paused': boolCV(false),
+      'current-block': uintCV(1_000),
+    })),
+  };
+}
+
+describe('estimateRewardBounds', () => {
+  const snapshot = {
+    amount: 1_000_000n,
+    lastClaimBlock: 0n,
+    pendingRewards: 0n,
+    rewardRate: 500n,
+    currentBlock: 100n,
+  };
+
+  it('covers the next cycle boundary', () => {
+    // 100 blocks: no full cycle yet; 244 blocks: one cycle
+    expect(estimateRewardBounds(snapshot)).toEqual({ min: 0n, max: 50_000n });
+  });
+
+  it('never projects below the pending amount', () => {
+    const bounds = estimateRewardBounds({ ...snapshot, pendingRewards: 50_000n }, 0);
+    expect(bounds).toEqual({ min: 50_000n, max: 50_000n });
+  });
+});
+
+describe('payout plans', () => {
+  const fetchMock = fakeCallRead(vaultReads);
+
+  beforeEach(() => {
+    fetchMock.mockClear();
+    vi.stubGlobal('fetch', fetchMock);
+    depositCV = someCV(tupleCV({
+      amount: uintCV(5_000_000n),
+      'deposit-block': uintCV(700),
+      'last-claim-block': uintCV(700),
+      'total-rewards-claimed': uintCV(0),
+    }));
+    pending = 250_000n;
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('requires the vault to send back exactly the deposit', async () => {
+    const plan = await planWithdraw(DEPOSITOR);
+
+    expect(plan.postConditionMode).toBe(PostConditionMode.Deny);
+    expect(plan.stxAmount).toBe(5_000_000n);
+    expect(plan.postConditions).toEqual([
+      {
+        type: 'stx-postcondition',
+        address: `${DEPLOYER}.${CONTRACT_NAMES.vaultCore}`,
+        condition: 'eq',
+        amount: '5000000',
+      },
+    ]);
+    // 300 blocks elapsed now (2 cycles); up to 444 by confirmation (3 cycles)
+    expect(plan.rewards).toEqual({ min: 250_000n, max: 750_000n });
+  });
+
+  it('rejects withdrawals without a deposit', async () => {
+    depositCV = noneCV();
+    await expect(planWithdraw(DEPOSITOR)).rejects.toMatchObject({ code: 206 });
+  });
+
+  it('claims in Deny mode with no outgoing assets', async () => {
+    const plan = await planClaimRewards(DEPOSITOR);
+    expect(plan.postConditions).toEqual([]);
+    expect(plan.postConditionMode).toBe(PostConditionMode.Deny);
+    expect(plan.rewards.min).toBe(250_000n);
+  });
+
+  it('refuses to claim before any reward has accrued', async () => {
+    pending = 0n;
+    await expect(planClaimRewards(DEPOSITOR)).rejects.toThrow('No rewards to claim yet');
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  boolCV,
+  noneCV,
+  responseErrorCV,
+  responseOkCV,
+  someCV,
+  tupleCV,
+  uintCV,
+  type ClarityValue,
+} from '@stacks/transactions';
+import {
+  assertPreflight,
+  preflightCreateProposal,
+  preflightExecute,
+  preflightVote,
+  validateProposalAction,
+} from '../preflight.js';
+import { POSVaultError } from '../errors.js';
+import { fakeCallRead } from './fake-call-read.js';
+
+const VOTER = 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE';
+
+let reads: Record<string, ClarityValue>;
+
+function proposalResult(fields: { for?: number; against?: number; ended?: boolean; executed?: boolean }) {
+  const votesFor = fields.for ?? 0;
+  const votesAgainst = fields.against ?? 0;
+  return responseOkCV(tupleCV({
+    passed: boolCV(votesFor > votesAgainst),
+    'votes-for': uintCV(votesFor),
+    'votes-against': uintCV(votesAgainst),
+    'total-voters': uintCV(2),
+    executed: boolCV(fields.executed ?? false),
+    'voting-ended': boolCV(fields.ended ?? true),
+  }));
+}
+
+describe('validateProposalAction', () => {
+  it('mirrors is-valid-proposal', () => {
+    expect(validateProposalAction('general', 0)).toBeNull();
+    expect(validateProposalAction('general', 5)).toBe(308);
+    expect(validateProposalAction('pause', 0)).toBeNull();
+    expect(validateProposalAction('reward-rate', 0)).toBe(308);
+    expect(validateProposalAction('reward-rate', 250)).toBeNull();
+    expect(validateProposalAction('mint', 1)).toBe(308);
+  });
+});
+
+describe('governance pre-flight', () => {
+  const fetchMock = fakeCallRead(() => reads);
+
+  beforeEach(() => {
+    fetchMock.mockClear();
+    vi.stubGlobal('fetch', fetchMock);
+    reads = {
+      'get-balance': responseOkCV(uintCV(7_500_000)),
+      'is-voting-active': responseOkCV(boolCV(true)),
+      'get-vote-record': noneCV(),
+      'get-user-active-proposal': noneCV(),
+      'get-proposal-result': proposalResult({ for: 600, against: 500 }),
+      'get-total-supply': responseOkCV(uintCV(10_000)),
+    };
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('reports the weight a vote would record', async () => {
+    const check = await preflightVote(VOTER, 1);
+    expect(check).toMatchObject({ ok: true, code: null, weight: 7_500_000n, existingVote: null });
+  });
+
+  it('rejects a second vote with the recorded side', async () => {
+    reads['get-vote-record'] = someCV(tupleCV({ amount: uintCV(3_000_000), support: boolCV(false) }));
+    const check = await preflightVote(VOTER, 1);
+    expect(check.code).toBe(302);
+    expect(check.existingVote).toEqual({ support: false, amount: 3_000_000n });
+  });
+
+  it('checks balance before the voting window, like the contract', async () => {
+    reads['get-balance'] = responseOkCV(uintCV(0));
+    reads['is-voting-active'] = responseOkCV(boolCV(false));
+    // The window is still reported, so callers can tell voting ended without holding POS-GOV
+    expect(await preflightVote(VOTER, 1)).toMatchObject({ code: 306, votingActive: false });
+
+    reads['get-balance'] = responseOkCV(uintCV(1));
+    expect((await preflightVote(VOTER, 1)).code).toBe(303);
+  });
+
+  it('passes through proposal-not-found', async () => {
+    reads['is-voting-active'] = responseErrorCV(uintCV(301));
+    const check = await preflightVote(VOTER, 99);
+    expect(check).toMatchObject({ ok: false, code: 301, reason: 'Proposal not found', votingActive: null });
+  });
+
+  it('requires MIN-PROPOSAL-TOKENS, a valid action and no open proposal', async () => {
+    reads['get-balance'] = responseOkCV(uintCV(999_999));
+    expect((await preflightCreateProposal(VOTER, 'general', 0)).code).toBe(306);
+
+    reads['get-balance'] = responseOkCV(uintCV(1_000_000));
+    expect((await preflightCreateProposal(VOTER, 'reward-rate', 0)).code).toBe(308);
+
+    reads['get-user-active-proposal'] = someCV(uintCV(4));
+    const check = await preflightCreateProposal(VOTER, 'general', 0);
+    expect(check).toMatchObject({ ok: false, code: 309, activeProposalId: 4 });
+
+    reads['get-user-active-proposal'] = noneCV();
+    expect((await preflightCreateProposal(VOTER, 'pause', 0)).ok).toBe(true);
+  });
+
+  it('computes quorum as 10% of total supply', async () => {
+    const check = await preflightExecute(1, VOTER);
+    expect(check).toMatchObject({ ok: true, quorumNeeded: 1_000n, passed: true });
+
+    reads['get-proposal-result'] = proposalResult({ for: 500, against: 499 });
+    expect((await preflightExecute(1, VOTER)).code).toBe(307);
+  });
+
+  it('refuses to execute while voting is open or after execution', async () => {
+    reads['get-proposal-result'] = proposalResult({ for: 5_000, ended: false });
+    expect((await preflightExecute(1, VOTER)).code).toBe(304);
+
+    reads['get-proposal-result'] = proposalResult({ for: 5_000, executed: true });
+    expect((await preflightExecute(1, VOTER)).code).toBe(305);
+  });
+
+  it('assertPreflight throws with the contract error code', async () => {
+    reads['get-vote-record'] = someCV(tupleCV({ amount: uintCV(1), support: boolCV(true) }));
+    const check = await preflightVote(VOTER, 1);
+    expect(() => assertPreflight(check)).toThrowError(POSVaultError);
+    try {
+      assertPreflight(check);
+    } catch (error) {
+      expect((error as POSVaultError).code).toBe(302);
+    }
+  });
+});
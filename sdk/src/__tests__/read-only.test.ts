@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import {
+  boolCV,
+  noneCV,
+  principalCV,
+  responseErrorCV,
+  responseOkCV,
+  someCV,
+  stringAsciiCV,
+  stringUtf8CV,
+  tupleCV,
+  uintCV,
+  type ClarityValue,
+} from '@stacks/transactions';
+import {
+  getDeposit,
+  getPendingRewards,
+  getProposal,
+  getProposalResult,
+  getUserActiveProposal,
+  getUserStats,
+  getVaultInfo,
+  getVoteRecord,
+} from '../read-only.js';
+import { ContractCallError } from '../errors.js';
+import { fakeCallRead } from './fake-call-read.js';
+
+const USER = 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE';
+
+function answering(reads: Record<string, ClarityValue>) {
+  return { fetch: fakeCallRead(reads) };
+}
+
+const proposal = tupleCV({
+  proposer: principalCV(USER),
+  title: stringUtf8CV('Raise the reward rate'),
+  description: stringUtf8CV('To 2.5%'),
+  'proposal-type': stringAsciiCV('reward-rate'),
+  value: uintCV(250),
+  'start-block': uintCV(100),
+  'end-block': uintCV(244),
+  'votes-for': uintCV(10),
+  'votes-against': uintCV(2),
+  'total-voters': uintCV(3),
+  executed: boolCV(false),
+  passed: boolCV(false),
+});
+
+describe('typed read-only helpers', () => {
+  it('unwraps (ok tuple) into the typed shape', async () => {
+    const opts = answering({
+      'get-vault-info': responseOkCV(tupleCV({
+        'total-stx-locked': uintCV(5_000_000),
+        'total-depositors': uintCV(3),
+        'reward-rate': uintCV(100),
+        'is-paused': boolCV(true),
+        'current-block': uintCV(500),
+      })),
+      'get-pending-rewards': responseOkCV(uintCV(42)),
+    });
+    expect(await getVaultInfo(USER, opts)).toEqual({
+      totalStxLocked: 5_000_000n,
+      totalDepositors: 3n,
+      rewardRate: 100n,
+      isPaused: true,
+      currentBlock: 500n,
+    });
+    expect(await getPendingRewards(USER, opts)).toBe(42n);
+  });
+
+  it('reads map entries as the record or null', async () => {
+    const deposit = tupleCV({
+      amount: uintCV(1_000_000),
+      'deposit-block': uintCV(100),
+      'last-claim-block': uintCV(120),
+      'total-rewards-claimed': uintCV(7),
+    });
+    expect(await getDeposit(USER, answering({ 'get-deposit': someCV(deposit) }))).toEqual({
+      amount: 1_000_000n,
+      depositBlock: 100n,
+      lastClaimBlock: 120n,
+      totalRewardsClaimed: 7n,
+    });
+    expect(await getDeposit(USER, answering({ 'get-deposit': noneCV() }))).toBeNull();
+    expect(await getVoteRecord(1, USER, answering({ 'get-vote-record': noneCV() }))).toBeNull();
+  });
+
+  it('parses proposals, including sized string types', async () => {
+    const result = await getProposal(1, USER, answering({ 'get-proposal': someCV(proposal) }));
+    expect(result).toMatchObject({
+      proposer: USER,
+      title: 'Raise the reward rate',
+      proposalType: 'reward-rate',
+      value: 250n,
+      votesFor: 10n,
+      executed: false,
+    });
+  });
+
+  it('reads plain tuples and optional uints', async () => {
+    const stats = await getUserStats(USER, answering({
+      'get-user-stats': tupleCV({
+        'total-deposited': uintCV(2),
+        'total-withdrawn': uintCV(1),
+        'total-rewards': uintCV(0),
+        'deposit-count': uintCV(1),
+      }),
+    }));
+    expect(stats.depositCount).toBe(1n);
+    expect(await getUserActiveProposal(USER, answering({ 'get-user-active-proposal': someCV(uintCV(4)) }))).toBe(4n);
+    expect(await getUserActiveProposal(USER, answering({ 'get-user-active-proposal': noneCV() }))).toBeNull();
+  });
+
+  it('throws ContractCallError with the contract error code for (err uN)', async () => {
+    const read = getProposalResult(9, USER, answering({ 'get-proposal-result': responseErrorCV(uintCV(301)) }));
+    await expect(read).rejects.toBeInstanceOf(ContractCallError);
+    await expect(read).rejects.toMatchObject({
+      code: 301,
+      functionName: 'get-proposal-result',
+      contractName: 'proposal-voting',
+      message: 'proposal-voting.get-proposal-result: Proposal not found',
+    });
+  });
+
+  it('throws ContractCallError for malformed responses', async () => {
+    const missingField = getVaultInfo(USER, answering({ 'get-vault-info': responseOkCV(tupleCV({ 'reward-rate': uintCV(1) })) }));
+    await expect(missingField).rejects.toBeInstanceOf(ContractCallError);
+    await expect(missingField).rejects.toThrow(/vault-core-v4\.get-vault-info: Malformed response/);
+
+    const wrongType = getPendingRewards(USER, answering({ 'get-pending-rewards': responseOkCV(boolCV(true)) }));
+    await expect(wrongType).rejects.toBeInstanceOf(ContractCallError);
+
+    const unexpectedNone = getVaultInfo(USER, answering({ 'get-vault-info': noneCV() }));
+    await expect(unexpectedNone).rejects.toThrow(/expected a value, got none/);
+  });
+});
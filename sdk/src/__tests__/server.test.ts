@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest';
+import {
+  Pc,
+  PostConditionMode,
+  boolCV,
+  cvToHex,
+  getAddressFromPrivateKey,
+  noneCV,
+  principalCV,
+  responseOkCV,
+  someCV,
+  stringAsciiCV,
+  stringUtf8CV,
+  tupleCV,
+  uintCV,
+} from '@stacks/transactions';
+import { claimRewards, createProposal, deposit, executeProposal, transferToken, vote, withdraw } from '../server.js';
+import { CONTRACT_NAMES, DEPLOYER } from '../constants.js';
+import { POSVaultError } from '../errors.js';
+import { fakeNode } from './fake-node.js';
+
+const SENDER_KEY = '753b7cc01a1a2e86221266a154af739463fce51219d97e4f856cd7200c3bd2a601';
+const SENDER = getAddressFromPrivateKey(SENDER_KEY, 'mainnet');
+const RECIPIENT = 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7';
+
+describe('server writes', () => {
+  it('signs a deposit from the key and limits it to the amount', async () => {
+    const node = fakeNode();
+    const result = await deposit(2_000_000n, { senderKey: SENDER_KEY, fetch: node.fetch });
+
+    expect(result).toEqual({ ok: true, txid: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    expect(node.broadcasts).toEqual([expect.objectContaining({
+      contractId: `${DEPLOYER}.vault-core-v4`,
+      functionName: 'deposit',
+      args: [uintCV(2_000_000)],
+      postConditions: [Pc.principal(SENDER).willSendEq(2_000_000).ustx()],
+      nonce: 7n,
+      fee: 2_000n,
+    })]);
+  });
+
+  it('transfers POS-GOV from the key holder', async () => {
+    const node = fakeNode();
+    await transferToken(5n, RECIPIENT, null, { senderKey: SENDER_KEY, fee: 500, fetch: node.fetch });
+
+    expect(node.broadcasts[0]).toMatchObject({
+      functionName: 'transfer',
+      args: [uintCV(5), principalCV(SENDER), principalCV(RECIPIENT), noneCV()],
+      fee: 500n,
+    });
+  });
+});
+
+describe('server payout writes', () => {
+  // Only the key holder has a deposit
+  const reads = {
+    'get-deposit': ([who]: string[]) => (who === cvToHex(principalCV(SENDER))
+      ? someCV(tupleCV({
+        amount: uintCV(5_000_000),
+        'deposit-block': uintCV(700),
+        'last-claim-block': uintCV(700),
+        'total-rewards-claimed': uintCV(0),
+      }))
+      : noneCV()),
+    'get-pending-rewards': responseOkCV(uintCV(250_000)),
+    'get-vault-info': responseOkCV(tupleCV({
+      'total-stx-locked': uintCV(5_000_000),
+      'total-depositors': uintCV(1),
+      'reward-rate': uintCV(500),
+      'is-paused': boolCV(false),
+      'current-block': uintCV(1_000),
+    })),
+  };
+
+  it('withdraws the key holder\'s deposit under its payout plan', async () => {
+    const node = fakeNode(reads);
+    const result = await withdraw({ senderKey: SENDER_KEY, fetch: node.fetch });
+
+    expect(result).toMatchObject({ ok: true, plan: { stxAmount: 5_000_000n } });
+    expect(node.broadcasts).toEqual([expect.objectContaining({
+      contractId: `${DEPLOYER}.${CONTRACT_NAMES.vaultCore}`,
+      functionName: 'withdraw',
+      args: [],
+      postConditionMode: PostConditionMode.Deny,
+      postConditions: [Pc.principal(`${DEPLOYER}.${CONTRACT_NAMES.vaultCore}`).willSendEq(5_000_000).ustx()],
+    })]);
+  });
+
+  it('claims rewards in Deny mode', async () => {
+    const node = fakeNode(reads);
+    const result = await claimRewards({ senderKey: SENDER_KEY, fetch: node.fetch });
+
+    expect(result).toMatchObject({ ok: true, plan: { rewards: { min: 250_000n } } });
+    expect(node.broadcasts).toEqual([expect.objectContaining({
+      functionName: 'claim-rewards',
+      postConditionMode: PostConditionMode.Deny,
+      postConditions: [],
+    })]);
+  });
+});
+
+describe('server governance writes', () => {
+  const reads = {
+    'get-balance': responseOkCV(uintCV(2_000_000)),
+    'is-voting-active': responseOkCV(boolCV(true)),
+    'get-vote-record': noneCV(),
+    'get-user-active-proposal': noneCV(),
+    'get-proposal-result': responseOkCV(tupleCV({
+      passed: boolCV(true),
+      'votes-for': uintCV(600),
+      'votes-against': uintCV(500),
+      'total-voters': uintCV(2),
+      executed: boolCV(false),
+      'voting-ended': boolCV(true),
+    })),
+    'get-total-supply': responseOkCV(uintCV(10_000)),
+  };
+
+  it('broadcasts votes, proposals and executions that pass pre-flight', async () => {
+    const node = fakeNode(reads);
+    const opts = { senderKey: SENDER_KEY, fetch: node.fetch };
+
+    expect((await vote(3, true, opts)).ok).toBe(true);
+    expect((await createProposal('Pause', 'Until the audit', 'pause', 0, opts)).ok).toBe(true);
+    expect((await executeProposal(3, opts)).ok).toBe(true);
+
+    expect(node.broadcasts.map((call) => [call.contractId, call.functionName, call.args])).toEqual([
+      [`${DEPLOYER}.proposal-voting`, 'vote', [uintCV(3), boolCV(true)]],
+      [`${DEPLOYER}.proposal-voting`, 'create-proposal',
+        [stringUtf8CV('Pause'), stringUtf8CV('Until the audit'), stringAsciiCV('pause'), uintCV(0)]],
+      [`${DEPLOYER}.proposal-voting`, 'execute-proposal', [uintCV(3)]],
+    ]);
+    // Pre-flight reads are made as the key holder
+    const [, init] = node.fetch.mock.calls.find(([url]) => url.endsWith('/get-vote-record'))!;
+    expect(JSON.parse(String(init?.body)).sender).toBe(SENDER);
+  });
+
+  it('refuses to broadcast what pre-flight predicts would abort', async () => {
+    const voted = someCV(tupleCV({ amount: uintCV(2_000_000), support: boolCV(true) }));
+    const node = fakeNode({ ...reads, 'get-vote-record': voted });
+
+    const refused = vote(3, false, { senderKey: SENDER_KEY, fetch: node.fetch });
+    await expect(refused).rejects.toBeInstanceOf(POSVaultError);
+    expect(node.broadcasts).toEqual([]);
+  });
+});
@@ -0,0 +1,238 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  boolCV,
+  principalCV,
+  serializeCV,
+  stringAsciiCV,
+  tupleCV,
+  uintCV,
+  type ClarityValue,
+} from '@stacks/transactions';
+import { subscribe, type WebSocketLike } from '../subscription.js';
+import type { VaultEvent } from '../events.js';
+
+const DEPLOYER = 'SP2KYZRNME33Y39GP3RKC90DQJ45EF1N0NZNVRE09';
+const ALICE = 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7';
+const BOB = 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE';
+
+interface FakeTx {
+  txId: string;
+  contract: 'vault-core-v4' | 'proposal-voting';
+  block: number;
+  prints: ClarityValue[];
+  canonical?: boolean;
+}
+
+const print = (event: string, fields: Record<string, ClarityValue>) =>
+  tupleCV({ event: stringAsciiCV(event), ...fields });
+const deposit = (who: string, amount: number, block: number) =>
+  print('deposit', { depositor: principalCV(who), amount: uintCV(amount), block: uintCV(block) });
+const vote = (proposalId: number, voter: string, support: boolean) =>
+  print('vote-cast', { 'proposal-id': uintCV(proposalId), voter: principalCV(voter), support: boolCV(support), weight: uintCV(10) });
+
+// Fake Hiro API over a mutable list of mined transactions
+function fakeChain(tip: number, txs: FakeTx[] = []) {
+  const chain = { tip, txs };
+  const fetch = vi.fn(async (url: string) => {
+    const { pathname, searchParams } = new URL(url);
+    if (pathname === '/extended') return Response.json({ chain_tip: { block_height: chain.tip } });
+
+    const tx = pathname.match(/^\/extended\/v1\/tx\/(.+)$/);
+    if (tx) {
+      const found = chain.txs.find((t) => t.txId === tx[1])!;
+      return Response.json({
+        block_height: found.block,
+        block_time: 1_700_000_000 + found.block * 600,
+        tx_index: 0,
+        canonical: found.canonical ?? true,
+        tx_status: 'success',
+      });
+    }
+
+    const events = pathname.match(/^\/extended\/v1\/contract\/[^.]+\.([^/]+)\/events$/);
+    if (events) {
+      const results = chain.txs
+        .filter((t) => t.contract === events[1])
+        .sort((a, b) => b.block - a.block)
+        .flatMap((t) => t.prints.map((cv, i) => ({
+          event_index: i,
+          event_type: 'smart_contract_log',
+          tx_id: t.txId,
+          contract_log: { contract_id: `${DEPLOYER}.${t.contract}`, topic: 'print', value: { hex: `0x${serializeCV(cv)}`, repr: '' } },
+        })));
+      const offset = Number(searchParams.get('offset'));
+      return Response.json({ results: results.slice(offset, offset + Number(searchParams.get('limit'))) });
+    }
+    return new Response('not found', { status: 404 });
+  });
+  return { chain, fetch };
+}
+
+describe('subscribe', () => {
+  it('delivers typed events from the start block in chain order, filtered by name and address', async () => {
+    const { fetch } = fakeChain(105, [
+      { txId: '0xa0', contract: 'vault-core-v4', block: 90, prints: [deposit(ALICE, 1, 90)] },
+      { txId: '0xa1', contract: 'vault-core-v4', block: 101, prints: [deposit(ALICE, 5_000_000, 101)] },
+      { txId: '0xb1', contract: 'vault-core-v4', block: 102, prints: [deposit(BOB, 7, 102)] },
+      { txId: '0xa2', contract: 'vault-core-v4', block: 103, prints: [print('set-reward-rate', { 'new-rate': uintCV(5) })] },
+      { txId: '0xa3', contract: 'vault-core-v4', block: 104, prints: [print('claim-rewards', { depositor: principalCV(ALICE), rewards: uintCV(42) })] },
+      { txId: '0xa4', contract: 'proposal-voting', block: 104, prints: [vote(1, ALICE, true)] },
+    ]);
+    const sub = subscribe({ fetch, webSocket: false, fromBlock: 100, events: ['deposit', 'claim-rewards'], address: ALICE });
+    const deposits: bigint[] = [];
+    sub.on('deposit', (event) => deposits.push(event.data.amount));
+
+    const received: VaultEvent[] = [];
+    for await (const event of sub) {
+      received.push(event);
+      if (received.length === 2) break;
+    }
+
+    expect(received.map((e) => [e.name, e.blockHeight])).toEqual([['deposit', 101], ['claim-rewards', 104]]);
+    expect(received[1]).toMatchObject({ contract: 'vaultCore', txId: '0xa3', blockTime: 1_700_062_400, data: { depositor: ALICE, rewards: 42n } });
+    expect(deposits).toEqual([5_000_000n]);
+    expect(sub.cursor).toBe(105);
+    // Only vault-core is read for vault events
+    expect(fetch.mock.calls.some(([url]) => String(url).includes('proposal-voting'))).toBe(false);
+  });
+
+  it('delivers each event once across polls and reorgs, skipping orphaned transactions', async () => {
+    const { chain, fetch } = fakeChain(100);
+    const sub = subscribe({ fetch, webSocket: false, pollIntervalMs: 5 });
+    const received: string[] = [];
+    sub.on('event', (event) => received.push(`${event.txId}@${event.blockHeight}`));
+    await sub.ready;
+    expect(sub.cursor).toBe(100);
+
+    const moved: FakeTx = { txId: '0x01', contract: 'proposal-voting', block: 101, prints: [vote(3, BOB, false)] };
+    chain.txs.push(moved);
+    chain.tip = 101;
+    await vi.waitFor(() => expect(received).toEqual(['0x01@101']));
+
+    // A reorg re-mines 0x01 one block later and orphans 0x02
+    moved.block = 102;
+    chain.txs.push({ txId: '0x02', contract: 'proposal-voting', block: 102, prints: [vote(3, ALICE, true)], canonical: false });
+    chain.txs.push({ txId: '0x03', contract: 'vault-core-v4', block: 102, prints: [deposit(ALICE, 9, 102)] });
+    chain.tip = 102;
+    await vi.waitFor(() => expect(sub.cursor).toBe(102));
+    sub.close();
+
+    expect(received).toEqual(['0x01@101', '0x03@102']);
+  });
+
+  it('removes once listeners by the original function', async () => {
+    const { fetch } = fakeChain(105, [
+      { txId: '0xc1', contract: 'vault-core-v4', block: 101, prints: [deposit(ALICE, 1, 101)] },
+      { txId: '0xc2', contract: 'vault-core-v4', block: 102, prints: [deposit(BOB, 2, 102)] },
+    ]);
+    const sub = subscribe({ fetch, webSocket: false, fromBlock: 100, events: ['deposit'] });
+    const removed = vi.fn();
+    const kept = vi.fn();
+    sub.once('deposit', removed).off('deposit', removed).once('deposit', kept);
+    await sub.ready;
+    sub.close();
+
+    expect(removed).not.toHaveBeenCalled();
+    expect(kept).toHaveBeenCalledOnce();
+    expect(kept.mock.calls[0]?.[0]).toMatchObject({ txId: '0xc1' });
+  });
+
+  it('looks up transactions in the re-read window again on every sync', async () => {
+    const { chain, fetch } = fakeChain(100, [
+      { txId: '0x30', contract: 'vault-core-v4', block: 90, prints: [deposit(BOB, 1, 90)] },
+      { txId: '0x31', contract: 'vault-core-v4', block: 99, prints: [deposit(BOB, 2, 99)] },
+    ]);
+    const sub = subscribe({ fetch, webSocket: false, fromBlock: 80, pollIntervalMs: 5 });
+    await sub.ready;
+
+    const lookups = (txId: string) => fetch.mock.calls.filter(([url]) => String(url).endsWith(`/tx/${txId}`)).length;
+    fetch.mockClear();
+    chain.tip = 101;
+    await vi.waitFor(() => expect(sub.cursor).toBe(101));
+    sub.close();
+
+    // 0x31 could have been reorged; 0x30 is below the window
+    expect(lookups('0x31')).toBeGreaterThan(0);
+    expect(lookups('0x30')).toBe(0);
+  });
+
+  it('resumes from the cursor of an earlier subscription', async () => {
+    const { chain, fetch } = fakeChain(110, [
+      { txId: '0x10', contract: 'vault-core-v4', block: 108, prints: [deposit(BOB, 1, 108)] },
+    ]);
+    const first = subscribe({ fetch, webSocket: false, fromBlock: 100 });
+    const seen: string[] = [];
+    first.on('event', (event) => seen.push(event.txId));
+    await first.ready;
+    first.close();
+
+    chain.txs.push({ txId: '0x11', contract: 'vault-core-v4', block: 111, prints: [deposit(BOB, 2, 111)] });
+    chain.tip = 112;
+    const second = subscribe({ fetch, webSocket: false, fromBlock: first.cursor! + 1 });
+    second.on('event', (event) => seen.push(event.txId));
+    await second.ready;
+    second.close();
+
+    expect(seen).toEqual(['0x10', '0x11']);
+  });
+
+  it('syncs on WebSocket notifications and polls while disconnected', async () => {
+    const sockets: FakeSocket[] = [];
+    class FakeSocket implements WebSocketLike {
+      sent: any[] = [];
+      onopen: WebSocketLike['onopen'] = null;
+      onmessage: WebSocketLike['onmessage'] = null;
+      onclose: WebSocketLike['onclose'] = null;
+      onerror: WebSocketLike['onerror'] = null;
+      constructor(readonly url: string) {
+        sockets.push(this);
+      }
+      send(data: string) {
+        this.sent.push(JSON.parse(data));
+      }
+      close() {}
+    }
+
+    const { chain, fetch } = fakeChain(200);
+    const sub = subscribe({ fetch, webSocket: FakeSocket, apiUrl: 'https://stacks.example', pollIntervalMs: 5 });
+    const transports: string[] = [];
+    const received: string[] = [];
+    sub.on('transport', (t) => transports.push(t)).on('event', (event) => received.push(event.txId));
+    await sub.ready;
+
+    const socket = sockets[0]!;
+    expect(socket.url).toBe('wss://stacks.example/extended/v1/ws');
+    socket.onopen!({});
+    expect(socket.sent.map((m) => m.params)).toEqual([
+      { event: 'address_tx_update', address: `${DEPLOYER}.vault-core-v4` },
+      { event: 'address_tx_update', address: `${DEPLOYER}.proposal-voting` },
+    ]);
+    expect(sub.transport).toBe('websocket');
+
+    chain.txs.push({ txId: '0x20', contract: 'vault-core-v4', block: 201, prints: [deposit(ALICE, 3, 201)] });
+    chain.tip = 201;
+    socket.onmessage!({ data: JSON.stringify({ jsonrpc: '2.0', method: 'address_tx_update', params: { tx_status: 'success' } }) });
+    await vi.waitFor(() => expect(received).toEqual(['0x20']));
+
+    socket.onclose!({});
+    chain.txs.push({ txId: '0x21', contract: 'vault-core-v4', block: 202, prints: [deposit(ALICE, 4, 202)] });
+    chain.tip = 202;
+    await vi.waitFor(() => expect(received).toEqual(['0x20', '0x21']));
+    sub.close();
+
+    expect(transports).toEqual(['websocket', 'polling']);
+  });
+
+  it('reports failed syncs and keeps going', async () => {
+    const { fetch: api } = fakeChain(50);
+    let failures = 1;
+    const fetch = vi.fn(async (url: string) => (failures-- > 0 ? new Response('bad', { status: 400 }) : api(url)));
+    const sub = subscribe({ fetch, webSocket: false, pollIntervalMs: 5 });
+    const errors: Error[] = [];
+    sub.on('error', (err) => errors.push(err));
+
+    await vi.waitFor(() => expect(sub.cursor).toBe(50));
+    sub.close();
+    expect(errors[0]?.message).toContain('(400)');
+  });
+});
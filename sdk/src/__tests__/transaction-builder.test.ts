@@ -47,8 +47,8 @@ class TestTransactionBuilder {
     const errors: string[] = [];
     if (this.steps.length === 0) errors.push('No steps defined');
     for (let i = 0; i < this.steps.length; i++) {
-      if (!this.steps[i].functionName) errors.push(`Step ${i}: missing function name`);
-      if (!this.steps[i].contract) errors.push(`Step ${i}: missing contract key`);
+      if (!this.steps[i]!.functionName) errors.push(`Step ${i}: missing function name`);
+      if (!this.steps[i]!.contract) errors.push(`Step ${i}: missing contract key`);
     }
     return errors;
   }
@@ -79,7 +79,7 @@ describe('TransactionBuilder', () => {
     const builder = new TestTransactionBuilder();
     builder.addStep({ contract: 'vaultCore', functionName: 'deposit', args: [] });
     expect(builder.getSteps()).toHaveLength(1);
-    expect(builder.getSteps()[0].functionName).toBe('deposit');
+    expect(builder.getSteps()[0]!.functionName).toBe('deposit');
   });
 
   it('chains multiple steps', () => {
@@ -98,7 +98,7 @@ describe('TransactionBuilder', () => {
       .addStep({ contract: 'vaultCore', functionName: 'withdraw', args: [] });
     builder.removeStep(0);
     expect(builder.getSteps()).toHaveLength(1);
-    expect(builder.getSteps()[0].functionName).toBe('withdraw');
+    expect(builder.getSteps()[0]!.functionName).toBe('withdraw');
   });
 
   it('throws on invalid removeStep index', () => {
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { decodeContractCall, formatMicroAmount, type HiroTransaction } from '../tx-decoder.js';
+import recorded from './fixtures/contract-calls.json' with { type: 'json' };
+
+const fixtures = recorded as unknown as Record<string, HiroTransaction>;
+
+function decode(name: string) {
+  return decodeContractCall(fixtures[name]!);
+}
+
+describe('formatMicroAmount', () => {
+  it('drops trailing zeros and groups thousands', () => {
+    expect(formatMicroAmount(12_500_000n)).toBe('12.5');
+    expect(formatMicroAmount(1_200_000_000n)).toBe('1,200');
+    expect(formatMicroAmount(1n)).toBe('0.000001');
+  });
+});
+
+describe('decodeContractCall', () => {
+  it('decodes vault deposits, withdrawals and claims', () => {
+    expect(decode('deposit')).toMatchObject({ contract: 'vaultCore', stx: 12_500_000n, summary: 'Deposited 12.5 STX' });
+    expect(decode('withdrawWithEvents')).toMatchObject({
+      stx: 12_500_000n,
+      tokens: 3_100_000n,
+      summary: 'Withdrew 12.5 STX + 3.1 POS-GOV',
+    });
+    expect(decode('claimFromList')?.summary).toBe('Claimed 3.1 POS-GOV');
+  });
+
+  it('falls back to the call result when list endpoints omit events', () => {
+    expect(decode('withdrawFromList')).toMatchObject({ stx: 40_000_000n, tokens: 0n, summary: 'Withdrew 40 STX' });
+  });
+
+  it('recognises earlier vault-core versions of the deployment', () => {
+    expect(decode('claimLegacyVault')).toMatchObject({ contract: 'vaultCore', summary: 'Claimed 0.25 POS-GOV' });
+  });
+
+  it('decodes governance calls', () => {
+    expect(decode('voteWithEvents')).toMatchObject({
+      contract: 'proposalVoting',
+      proposalId: 7,
+      support: true,
+      tokens: 1_200_000_000n,
+      summary: 'Voted FOR proposal #7 with 1,200 POS-GOV',
+    });
+    expect(decode('createProposal')).toMatchObject({ proposalId: 8, summary: 'Created proposal #8 "Raise rewards to 7.5%"' });
+    expect(decode('executeRejected')).toMatchObject({ passed: false, summary: 'Executed proposal #6 (rejected)' });
+    expect(decode('tokenTransfer')).toMatchObject({
+      contract: 'governanceToken',
+      recipient: 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7',
+      summary: 'Transferred 5 POS-GOV to SP2J6Z...9EJ7',
+    });
+  });
+
+  it('describes pending calls by their arguments', () => {
+    expect(decode('votePending')).toMatchObject({ status: 'pending', error: null, summary: 'Vote AGAINST proposal #9' });
+  });
+
+  it('maps the contract error of aborted calls', () => {
+    expect(decode('depositRejected')).toMatchObject({
+      status: 'failed',
+      errorCode: 205,
+      error: 'You already have an active deposit',
+      summary: 'Deposit 5 STX',
+    });
+    expect(decode('voteTooLate')).toMatchObject({ errorCode: 303, error: 'Voting on this proposal has ended' });
+  });
+
+  it('does not trust the result of a post-condition abort', () => {
+    expect(decode('withdrawPostCondition')).toMatchObject({
+      status: 'failed',
+      stx: null,
+      errorCode: null,
+      error: 'A post-condition check failed, so nothing was transferred',
+      summary: 'Withdraw deposit',
+    });
+  });
+
+  it('ignores other deployers and non-call transactions', () => {
+    expect(decode('foreignContract')).toBeNull();
+    expect(decode('stxTransfer')).toBeNull();
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildTxExport,
+  classifyTx,
+  txExportToCoinTrackerCsv,
+  txExportToCsv,
+  txExportToJson,
+  txExportToKoinlyCsv,
+  type ExportableTransaction,
+} from '../tx-export.js';
+import recorded from './fixtures/contract-calls.json' with { type: 'json' };
+
+const fixtures = recorded as unknown as Record<string, ExportableTransaction>;
+const SENDER = 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE';
+const RECIPIENT = 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7';
+
+function classify(name: string, address = SENDER) {
+  return classifyTx(fixtures[name]!, address);
+}
+
+describe('classifyTx', () => {
+  it('books vault deposits, withdrawals and claims with their fee', () => {
+    expect(classify('deposit')).toMatchObject({ kind: 'deposit', stxOut: 12_500_000n, fee: 3_000n });
+    expect(classify('withdrawWithEvents')).toMatchObject({
+      kind: 'withdraw',
+      stxIn: 12_500_000n,
+      posGovIn: 3_100_000n,
+      rewards: 3_100_000n,
+    });
+    expect(classify('claimFromList')).toMatchObject({ kind: 'claim', posGovIn: 3_100_000n, rewards: 3_100_000n });
+  });
+
+  it('books failed calls as fee-only, with the reason', () => {
+    const record = classify('depositRejected');
+    expect(record).toMatchObject({ kind: 'fee', stxOut: 0n, fee: 3_000n });
+    expect(record?.description).toMatch(/\(failed: .+\)$/);
+  });
+
+  it('books transfers from either side', () => {
+    expect(classify('tokenTransfer')).toMatchObject({ kind: 'transfer', posGovOut: 5_000_000n, fee: 3_000n });
+    expect(classify('tokenTransfer', RECIPIENT)).toMatchObject({ kind: 'transfer', posGovIn: 5_000_000n, fee: 0n });
+    expect(classify('stxTransfer')).toMatchObject({ kind: 'transfer', stxOut: 1_000_000n, fee: 180n });
+    expect(classify('stxTransfer', RECIPIENT)).toMatchObject({
+      kind: 'transfer',
+      stxIn: 1_000_000n,
+      fee: 0n,
+      description: `STX transfer from ${SENDER}`,
+    });
+  });
+
+  it('treats votes, other governance calls and other contracts as costs', () => {
+    expect(classify('voteWithEvents')?.kind).toBe('vote');
+    expect(classify('createProposal')?.kind).toBe('fee');
+    expect(classify('foreignContract')).toMatchObject({
+      kind: 'fee',
+      stxOut: 0n,
+      description: `${RECIPIENT}.vault-core-v4::deposit`,
+    });
+  });
+
+  it('skips pending transactions', () => {
+    expect(classify('votePending')).toBeNull();
+  });
+});
+
+describe('buildTxExport', () => {
+  it('keeps what cost or moved something for the address, oldest first', () => {
+    const txs = Object.values(fixtures).reverse();
+    const mine = buildTxExport(txs, SENDER);
+    expect(mine).toHaveLength(Object.keys(fixtures).length - 1);
+    expect(mine.map((r) => r.blockHeight)).toEqual([...mine.map((r) => r.blockHeight)].sort((a, b) => a - b));
+
+    // The recipient paid no fees and only received the two transfers;
+    // the sender's vault calls don't touch its balances
+    expect(buildTxExport(txs, RECIPIENT).map((r) => r.txId)).toEqual([
+      fixtures.tokenTransfer!.tx_id,
+      fixtures.stxTransfer!.tx_id,
+    ]);
+  });
+});
+
+describe('export formats', () => {
+  const records = buildTxExport(
+    [fixtures.deposit!, fixtures.withdrawWithEvents!, fixtures.depositRejected!],
+    SENDER,
+  );
+
+  it('writes amounts in whole units', () => {
+    const [header, deposit] = txExportToCsv(records).split('\r\n');
+    expect(header).toBe(
+      'txid,block_height,burn_block_time,date_utc,type,status,stx_in,stx_out,pos_gov_in,pos_gov_out,pos_gov_rewards,fee_stx,description',
+    );
+    expect(deposit).toContain(',deposit,success,0,12.5,0,0,0,0.003,Deposited 12.5 STX');
+
+    const json = JSON.parse(txExportToJson(records, { address: SENDER, network: 'mainnet' }));
+    expect(json).toMatchObject({ address: SENDER, network: 'mainnet' });
+    expect(json.transactions[1]).toMatchObject({ kind: 'withdraw', stxIn: '12.5', rewards: '3.1', fee: '0.003' });
+  });
+
+  it('splits withdrawal rewards into their own Koinly leg and books failures as costs', () => {
+    const rows = txExportToKoinlyCsv(records).trim().split('\r\n').slice(1);
+    expect(rows).toHaveLength(4);
+    expect(rows[0]).toMatch(/^2025-10-09 \d\d:\d\d:\d\d UTC,12\.5,STX,,,0\.003,STX,,,,/);
+    expect(rows[1]).toMatch(/,,,12\.5,STX,0\.003,STX,,,,/);
+    expect(rows[2]).toMatch(/,,,3\.1,POS-GOV,,,,,reward,/);
+    expect(rows[3]).toMatch(/,0\.003,STX,,,,,,,cost,/);
+  });
+
+  it('tags rewards as staked for CoinTracker', () => {
+    const rows = txExportToCoinTrackerCsv(records).trim().split('\r\n').slice(1);
+    expect(rows).toHaveLength(4);
+    expect(rows[2]).toMatch(/^\d\d\/\d\d\/2025 [\d:]+,3\.1,POS-GOV,,,,,staked$/);
+    expect(rows[3]).toMatch(/,,,,,0\.003,STX,$/);
+  });
+});
@@ -8,25 +8,22 @@ import {
   stringAsciiCV,
   type ClarityValue,
 } from '@stacks/transactions';
-import { DEPLOYER, CONTRACT_NAMES } from './constants.js';
-import type { ContractNames } from './types.js';
+import { networkFrom } from '@stacks/network';
+import { resolveConfig } from './config.js';
+import { ConfigurationError } from './errors.js';
+import { planWithdraw, planClaimRewards, type PayoutPlan, type PayoutPlanOptions } from './post-conditions.js';
+import type { POSVaultConfig } from './types.js';
 
 export interface ContractCallCallbacks {
   onFinish?: (data: { txId: string; stacksTransaction: any }) => void;
   onCancel?: (error?: Error) => void;
 }
 
-export interface BrowserOptions {
-  deployer?: string;
-  contractNames?: Partial<ContractNames>;
-  network?: 'mainnet' | 'testnet';
-}
+export type BrowserOptions = POSVaultConfig;
 
-function resolveConfig(opts?: BrowserOptions) {
-  const deployer = opts?.deployer ?? DEPLOYER;
-  const names = { ...CONTRACT_NAMES, ...opts?.contractNames };
-  const network = opts?.network ?? 'mainnet';
-  return { deployer, names, network };
+export interface WalletSenderOptions {
+  /** Address that signs the call; defaults to the wallet signed in by `connectWallet` */
+  senderAddress?: string;
 }
 
 async function executeContractCall(
@@ -36,18 +33,20 @@ async function executeContractCall(
   postConditions: any[],
   callbacks: ContractCallCallbacks,
   opts?: BrowserOptions,
+  postConditionMode?: PostConditionMode,
 ) {
   const { openContractCall } = await import('@stacks/connect');
-  const { deployer, network } = resolveConfig(opts);
+  const { deployer, network, apiBaseUrl } = resolveConfig(opts);
 
   await openContractCall({
     contractAddress: deployer,
     contractName,
     functionName,
     functionArgs,
-    network,
-    postConditionMode:
-      postConditions.length > 0 ? PostConditionMode.Deny : PostConditionMode.Allow,
+    // The node the payout plans were read from, not the network's default
+    network: { ...networkFrom(network), client: { baseUrl: apiBaseUrl } },
+    postConditionMode: postConditionMode
+      ?? (postConditions.length > 0 ? PostConditionMode.Deny : PostConditionMode.Allow),
     postConditions,
     onFinish: callbacks.onFinish as any,
     onCancel: callbacks.onCancel,
@@ -70,6 +69,20 @@ export async function disconnectWallet(userSession: any) {
   userSession.signUserOut();
 }
 
+// The payout plans read the caller's deposit, so the caller must be known
+async function resolveSender(opts?: BrowserOptions & WalletSenderOptions): Promise<string> {
+  if (opts?.senderAddress) return opts.senderAddress;
+  const { getUserSession } = await import('@stacks/connect');
+  const session = getUserSession();
+  if (session.isUserSignedIn()) {
+    // Wallets only hold mainnet and testnet addresses; devnet uses testnet ones
+    const chain = resolveConfig(opts).network === 'mainnet' ? 'mainnet' : 'testnet';
+    const address = session.loadUserData()?.profile?.stxAddress?.[chain];
+    if (address) return address;
+  }
+  throw new ConfigurationError('No sender address: pass opts.senderAddress or connect a wallet first');
+}
+
 // ---------------------------------------------------------------------------
 // Vault
 // ---------------------------------------------------------------------------
@@ -80,7 +93,7 @@ export async function depositSTX(
   callbacks: ContractCallCallbacks,
   opts?: BrowserOptions,
 ) {
-  const { names } = resolveConfig(opts);
+  const { contractNames: names } = resolveConfig(opts);
   const amountMicro = Math.round(amountSTX * 1_000_000);
   const postConditions = [
     Pc.principal(senderAddress).willSendEq(amountMicro).ustx(),
@@ -95,14 +108,49 @@ export async function depositSTX(
   );
 }
 
-export async function withdrawSTX(callbacks: ContractCallCallbacks, opts?: BrowserOptions) {
-  const { names } = resolveConfig(opts);
-  return executeContractCall(names.vaultCore, 'withdraw', [], [], callbacks, opts);
+/**
+ * Withdraw the full deposit. Reads the sender's deposit first so the
+ * wallet shows the exact STX the vault returns; resolves with the payout
+ * plan.
+ */
+export async function withdrawSTX(
+  callbacks: ContractCallCallbacks,
+  opts?: BrowserOptions & WalletSenderOptions & PayoutPlanOptions,
+): Promise<PayoutPlan> {
+  const { contractNames: names } = resolveConfig(opts);
+  const plan = await planWithdraw(await resolveSender(opts), opts);
+  await executeContractCall(
+    names.vaultCore,
+    'withdraw',
+    [],
+    plan.postConditions,
+    callbacks,
+    opts,
+    plan.postConditionMode,
+  );
+  return plan;
 }
 
-export async function claimRewards(callbacks: ContractCallCallbacks, opts?: BrowserOptions) {
-  const { names } = resolveConfig(opts);
-  return executeContractCall(names.vaultCore, 'claim-rewards', [], [], callbacks, opts);
+/**
+ * Claim pending POS-GOV. Runs in Deny mode with no post-conditions so no
+ * asset can leave the caller; resolves with the expected reward range.
+ */
+export async function claimRewards(
+  callbacks: ContractCallCallbacks,
+  opts?: BrowserOptions & WalletSenderOptions & PayoutPlanOptions,
+): Promise<PayoutPlan> {
+  const { contractNames: names } = resolveConfig(opts);
+  const plan = await planClaimRewards(await resolveSender(opts), opts);
+  await executeContractCall(
+    names.vaultCore,
+    'claim-rewards',
+    [],
+    plan.postConditions,
+    callbacks,
+    opts,
+    plan.postConditionMode,
+  );
+  return plan;
 }
 
 // ---------------------------------------------------------------------------
@@ -117,7 +165,7 @@ export async function createProposal(
   callbacks: ContractCallCallbacks,
   opts?: BrowserOptions,
 ) {
-  const { names } = resolveConfig(opts);
+  const { contractNames: names } = resolveConfig(opts);
   return executeContractCall(
     names.proposalVoting,
     'create-proposal',
@@ -134,7 +182,7 @@ export async function voteOnProposal(
   callbacks: ContractCallCallbacks,
   opts?: BrowserOptions,
 ) {
-  const { names } = resolveConfig(opts);
+  const { contractNames: names } = resolveConfig(opts);
   return executeContractCall(
     names.proposalVoting,
     'vote',
@@ -150,7 +198,7 @@ export async function executeProposal(
   callbacks: ContractCallCallbacks,
   opts?: BrowserOptions,
 ) {
-  const { names } = resolveConfig(opts);
+  const { contractNames: names } = resolveConfig(opts);
   return executeContractCall(
     names.proposalVoting,
     'execute-proposal',
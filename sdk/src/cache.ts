@@ -0,0 +1,379 @@
+import type { ReadOnlyCache } from './read-only.js';
+
+// ---------------------------------------------------------------------------
+// Read-only response cache
+//
+// `createResponseCache()` plugs into the `cache` option of `callReadOnly`,
+// `multicall` and `POSVaultClient`. Responses are kept in a pluggable
+// store (in-memory LRU, localStorage, IndexedDB or a JSON file) under a
+// policy chosen per function:
+//   - 'immutable': never expires (constants, executed proposals, cast votes)
+//   - 'block': valid until a newer block is seen (and at most
+//     `blockTtlMs`, in case nothing reports new blocks)
+//   - { ttlMs }: valid for a fixed time
+//   - 'none': not cached
+// Concurrent identical reads share one request, and failed reads are never
+// stored. Keys include network and deployer, so one store can serve
+// several deployments.
+// ---------------------------------------------------------------------------
+
+/** A stored response with what decides its freshness */
+export interface CacheEntry {
+  value: unknown;
+  storedAt: number;
+  /** Block height the entry is valid for; null when not block-scoped */
+  block: number | null;
+  /** Epoch ms after which the entry is stale; null for never */
+  expiresAt: number | null;
+}
+
+/** Where entries live. Sync and async implementations are both fine. */
+export interface CacheStore {
+  get(key: string): CacheEntry | undefined | Promise<CacheEntry | undefined>;
+  set(key: string, entry: CacheEntry): void | Promise<void>;
+  delete(key: string): void | Promise<void>;
+  clear(): void | Promise<void>;
+}
+
+export type CachePolicy = 'immutable' | 'block' | 'none' | { ttlMs: number };
+
+/** A fixed policy, or one chosen from the response (cvToJSON output) */
+export type CachePolicyRule = CachePolicy | ((result: any) => CachePolicy);
+
+export interface ResponseCacheOptions {
+  /** Defaults to an in-memory LRU of 500 entries */
+  store?: CacheStore;
+  /** Per-function rules, merged over DEFAULT_CACHE_POLICIES */
+  policies?: Record<string, CachePolicyRule>;
+  /** Rule for functions with no entry (default 'block') */
+  defaultPolicy?: CachePolicyRule;
+  /** Longest a block-scoped entry lives without a newer block being seen (default 30s) */
+  blockTtlMs?: number;
+  now?: () => number;
+}
+
+export interface CacheStats {
+  hits: number;
+  misses: number;
+  /** Reads that joined an identical request already in flight */
+  deduped: number;
+  /** hits / (hits + misses), 0 before any read */
+  hitRate: number;
+  /** Highest block height seen */
+  block: number | null;
+}
+
+export interface ResponseCache extends ReadOnlyCache {
+  load(key: string, functionName: string, fetch: () => Promise<unknown>): Promise<unknown>;
+  /** Record a block height; block-scoped entries from earlier blocks go stale */
+  noteBlock(height: number | bigint): void;
+  invalidate(key: string): Promise<void>;
+  clear(): Promise<void>;
+  stats(): CacheStats;
+  resetStats(): void;
+}
+
+const isSome = (result: any) => result?.value !== null && result?.value !== undefined;
+
+// Executed proposals are final: execute-proposal can only run once
+const proposalPolicy = (result: any): CachePolicy => {
+  const fields = result?.value?.value;
+  return fields?.executed?.value === true ? 'immutable' : 'block';
+};
+
+/**
+ * Policies for the POSVault read-only functions. Contract constants and
+ * values that are final once written are immutable; the rest follows the
+ * chain. The token URI is not a constant: the owner can `set-token-uri`.
+ */
+export const DEFAULT_CACHE_POLICIES: Record<string, CachePolicyRule> = {
+  'get-voting-period': 'immutable',
+  'get-min-proposal-tokens': 'immutable',
+  'get-name': 'immutable',
+  'get-symbol': 'immutable',
+  'get-decimals': 'immutable',
+  'get-token-uri': 'block',
+  'get-proposal': proposalPolicy,
+  'get-proposal-result': proposalPolicy,
+  // A vote can be cast once and never changes; "not voted" can
+  'get-vote-record': (result) => (isSome(result) ? 'immutable' : 'block'),
+};
+
+const DEFAULT_BLOCK_TTL_MS = 30_000;
+
+// get-vault-info carries the chain tip; reads of it double as block signals
+function blockOf(result: any): number | null {
+  const fields = result?.value?.value ?? result?.value;
+  const height = fields?.['current-block']?.value;
+  return height !== undefined ? Number(height) : null;
+}
+
+export function createResponseCache(options: ResponseCacheOptions = {}): ResponseCache {
+  const store = options.store ?? createMemoryStore();
+  const policies = { ...DEFAULT_CACHE_POLICIES, ...options.policies };
+  const defaultPolicy = options.defaultPolicy ?? 'block';
+  const blockTtlMs = options.blockTtlMs ?? DEFAULT_BLOCK_TTL_MS;
+  const now = options.now ?? Date.now;
+  const inflight = new Map<string, Promise<unknown>>();
+  let block: number | null = null;
+  let hits = 0;
+  let misses = 0;
+  let deduped = 0;
+
+  function policyFor(functionName: string, result: unknown): CachePolicy {
+    const rule = policies[functionName] ?? defaultPolicy;
+    return typeof rule === 'function' ? rule(result) : rule;
+  }
+
+  function fresh(entry: CacheEntry): boolean {
+    if (entry.expiresAt !== null && entry.expiresAt <= now()) return false;
+    return entry.block === null || block === null || entry.block >= block;
+  }
+
+  function entryFor(policy: CachePolicy, value: unknown): CacheEntry | null {
+    const storedAt = now();
+    if (policy === 'none') return null;
+    if (policy === 'immutable') return { value, storedAt, block: null, expiresAt: null };
+    if (policy === 'block') return { value, storedAt, block, expiresAt: storedAt + blockTtlMs };
+    return { value, storedAt, block: null, expiresAt: storedAt + policy.ttlMs };
+  }
+
+  async function lookup(key: string): Promise<unknown> {
+    const entry = await store.get(key);
+    if (entry && fresh(entry)) return entry.value;
+    if (entry) await store.delete(key);
+    return undefined;
+  }
+
+  async function save(key: string, functionName: string, value: unknown) {
+    const seen = blockOf(value);
+    if (seen !== null) cache.noteBlock(seen);
+    const entry = entryFor(policyFor(functionName, value), value);
+    if (entry) await store.set(key, entry);
+  }
+
+  const cache: ResponseCache = {
+    async load(key, functionName, fetch) {
+      const cached = await lookup(key);
+      if (cached !== undefined) {
+        hits += 1;
+        return cached;
+      }
+      const pending = inflight.get(key);
+      if (pending) {
+        deduped += 1;
+        return pending;
+      }
+
+      misses += 1;
+      const request = (async () => {
+        try {
+          const value = await fetch();
+          await save(key, functionName, value);
+          return value;
+        } finally {
+          inflight.delete(key);
+        }
+      })();
+      inflight.set(key, request);
+      return request;
+    },
+
+    async get(key) {
+      return lookup(key);
+    },
+
+    // Plain get/set callers have no function name; the default policy applies
+    async set(key, value) {
+      const entry = entryFor(typeof defaultPolicy === 'function' ? defaultPolicy(value) : defaultPolicy, value);
+      if (entry) await store.set(key, entry);
+    },
+
+    noteBlock(height) {
+      const next = Number(height);
+      if (block === null || next > block) block = next;
+    },
+
+    async invalidate(key) {
+      await store.delete(key);
+    },
+
+    async clear() {
+      await store.clear();
+    },
+
+    stats() {
+      const reads = hits + misses;
+      return { hits, misses, deduped, hitRate: reads ? hits / reads : 0, block };
+    },
+
+    resetStats() {
+      hits = 0;
+      misses = 0;
+      deduped = 0;
+    },
+  };
+  return cache;
+}
+
+// ---------------------------------------------------------------------------
+// Stores
+// ---------------------------------------------------------------------------
+
+/** In-memory store that evicts the least recently used entry past `maxEntries` */
+export function createMemoryStore({ maxEntries = 500 }: { maxEntries?: number } = {}): CacheStore {
+  const entries = new Map<string, CacheEntry>();
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (entry) {
+        // Map keeps insertion order; re-inserting marks it most recent
+        entries.delete(key);
+        entries.set(key, entry);
+      }
+      return entry;
+    },
+    set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value as string);
+      }
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    clear() {
+      entries.clear();
+    },
+  };
+}
+
+/**
+ * Store in `localStorage` (or any Storage), one item per entry under
+ * `prefix`. Entries that no longer fit are skipped.
+ */
+export function createLocalStorageStore(
+  { prefix = 'posvault.cache:', storage = globalThis.localStorage }: { prefix?: string; storage?: Storage } = {},
+): CacheStore {
+  return {
+    get(key) {
+      const raw = storage.getItem(prefix + key);
+      if (raw === null) return undefined;
+      try {
+        return JSON.parse(raw) as CacheEntry;
+      } catch {
+        return undefined;
+      }
+    },
+    set(key, entry) {
+      try {
+        storage.setItem(prefix + key, JSON.stringify(entry));
+      } catch {
+        // Quota exceeded: the read still succeeds, uncached
+      }
+    },
+    delete(key) {
+      storage.removeItem(prefix + key);
+    },
+    clear() {
+      const keys: string[] = [];
+      for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (key?.startsWith(prefix)) keys.push(key);
+      }
+      keys.forEach((key) => storage.removeItem(key));
+    },
+  };
+}
+
+function request<T>(req: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** Store in an IndexedDB object store (browsers and workers) */
+export function createIndexedDBStore(
+  { dbName = 'posvault-cache', storeName = 'responses' }: { dbName?: string; storeName?: string } = {},
+): CacheStore {
+  let db: Promise<IDBDatabase> | null = null;
+  const open = () => {
+    db ??= new Promise((resolve, reject) => {
+      const req = indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return db;
+  };
+  const objects = async (mode: IDBTransactionMode) =>
+    (await open()).transaction(storeName, mode).objectStore(storeName);
+
+  return {
+    async get(key) {
+      return request<CacheEntry | undefined>((await objects('readonly')).get(key));
+    },
+    async set(key, entry) {
+      await request((await objects('readwrite')).put(entry, key));
+    },
+    async delete(key) {
+      await request((await objects('readwrite')).delete(key));
+    },
+    async clear() {
+      await request((await objects('readwrite')).clear());
+    },
+  };
+}
+
+/**
+ * Store in a JSON file (Node). The file is read once and rewritten after
+ * each change; writes are serialized so the last one wins.
+ */
+export function createFileStore(path: string): CacheStore {
+  let entries: Promise<Map<string, CacheEntry>> | null = null;
+  let writing: Promise<void> = Promise.resolve();
+
+  const load = () => {
+    entries ??= (async () => {
+      const { readFile } = await import('node:fs/promises');
+      try {
+        return new Map(Object.entries(JSON.parse(await readFile(path, 'utf8')) as Record<string, CacheEntry>));
+      } catch {
+        // Missing or unreadable file: start empty
+        return new Map<string, CacheEntry>();
+      }
+    })();
+    return entries;
+  };
+
+  const persist = async (map: Map<string, CacheEntry>) => {
+    const snapshot = JSON.stringify(Object.fromEntries(map));
+    writing = writing.catch(() => undefined).then(async () => {
+      const { writeFile } = await import('node:fs/promises');
+      await writeFile(path, snapshot);
+    });
+    await writing;
+  };
+
+  return {
+    async get(key) {
+      return (await load()).get(key);
+    },
+    async set(key, entry) {
+      const map = await load();
+      map.set(key, entry);
+      await persist(map);
+    },
+    async delete(key) {
+      const map = await load();
+      if (map.delete(key)) await persist(map);
+    },
+    async clear() {
+      const map = await load();
+      map.clear();
+      await persist(map);
+    },
+  };
+}
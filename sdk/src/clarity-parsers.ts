@@ -12,28 +12,33 @@ import type {
 // Clarity JSON → Domain type parsers
 // ---------------------------------------------------------------------------
 // The Hiro API / cvToJSON returns plain objects with { type, value } shapes.
-// These parsers convert that into our typed interfaces.
+// These parsers convert that into our typed interfaces, and throw a
+// TypeError for anything else (read-only.ts reports it as a
+// ContractCallError). cvToJSON string types carry their size, e.g.
+// "(string-ascii 20)".
 
-function extractClarityUint(cv: any): bigint {
+export function extractClarityUint(cv: any): bigint {
   if (cv?.type === 'uint' || cv?.type === 'int') return BigInt(cv.value);
   if (typeof cv === 'bigint') return cv;
   if (typeof cv === 'number' || typeof cv === 'string') return BigInt(cv);
   throw new TypeError(`Cannot convert Clarity value to bigint: ${JSON.stringify(cv)}`);
 }
 
-function extractClarityBool(cv: any): boolean {
+export function extractClarityBool(cv: any): boolean {
   if (cv?.type === 'bool') return cv.value;
   if (typeof cv === 'boolean') return cv;
   throw new TypeError(`Cannot convert Clarity value to boolean: ${JSON.stringify(cv)}`);
 }
 
-function extractClarityString(cv: any): string {
-  if (cv?.type === 'string-ascii' || cv?.type === 'string-utf8') return cv.value;
+const STRING_TYPE = /^\(?string-(ascii|utf8)\b/;
+
+export function extractClarityString(cv: any): string {
+  if (typeof cv?.type === 'string' && STRING_TYPE.test(cv.type)) return cv.value;
   if (typeof cv === 'string') return cv;
   throw new TypeError(`Cannot convert Clarity value to string: ${JSON.stringify(cv)}`);
 }
 
-function extractClarityPrincipal(cv: any): string {
+export function extractClarityPrincipal(cv: any): string {
   if (cv?.type === 'principal') return cv.value;
   if (typeof cv === 'string') return cv;
   throw new TypeError(`Cannot convert Clarity value to principal: ${JSON.stringify(cv)}`);
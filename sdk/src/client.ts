@@ -0,0 +1,203 @@
+import { resolveConfig, type ResolvedConfig } from './config.js';
+import { ConfigurationError } from './errors.js';
+import { runHealthCheck } from './health-check.js';
+import type { HealthCheckOptions, HealthReport } from './health-types.js';
+import type { MulticallOptions } from './multicall.js';
+import {
+  preflightCreateProposal,
+  preflightExecute,
+  preflightVote,
+  type CreateProposalPreflight,
+  type ExecutePreflight,
+  type ProposalType,
+  type VotePreflight,
+} from './preflight.js';
+import * as reads from './read-only.js';
+import type { ReadOnlyCache, ReadOnlyOptions } from './read-only.js';
+import type { RetryOptions } from './retry.js';
+import * as writes from './server.js';
+import type { ServerCallOptions } from './server.js';
+import type {
+  DepositRecord,
+  POSVaultConfig,
+  Proposal,
+  ProposalResult,
+  UserStats,
+  VaultInfo,
+  VoteRecord,
+} from './types.js';
+
+// ---------------------------------------------------------------------------
+// POSVaultClient
+//
+// The standalone functions take their deployment config on every call.
+// A client resolves it once (network, deployer, contract names, API URL,
+// fetch, retry policy, cache) and exposes the same reads and writes grouped
+// by contract. Writes are signed with a private key, as in `server.ts`;
+// wallet signing stays with the `browser.ts` functions.
+// ---------------------------------------------------------------------------
+
+export interface POSVaultClientOptions extends POSVaultConfig {
+  /** Retry policy for read-only calls */
+  retry?: RetryOptions;
+  /** Store for read-only results, e.g. `createResponseCache()` (see `ReadOnlyCache`) */
+  cache?: ReadOnlyCache;
+  /** Sender for reads that have no natural one (defaults to the deployer) */
+  readSender?: string;
+  /** Key that signs writes; each write can also pass its own */
+  senderKey?: string;
+  /** Fixed fee in microSTX for writes (estimated when omitted) */
+  fee?: number;
+}
+
+/** Per-call overrides for writes */
+export interface WriteOptions {
+  senderKey?: string;
+  fee?: number;
+}
+
+export type WriteResult = Awaited<ReturnType<typeof writes.deposit>>;
+
+export interface VaultNamespace {
+  getInfo(): Promise<VaultInfo>;
+  getDeposit(depositor: string): Promise<DepositRecord | null>;
+  getUserStats(user: string): Promise<UserStats>;
+  getPendingRewards(depositor: string): Promise<bigint>;
+  getRewardRate(): Promise<bigint>;
+  isPaused(): Promise<boolean>;
+  deposit(amountMicroSTX: number | bigint, write?: WriteOptions): Promise<WriteResult>;
+  withdraw(write?: WriteOptions): ReturnType<typeof writes.withdraw>;
+  claimRewards(write?: WriteOptions): ReturnType<typeof writes.claimRewards>;
+}
+
+export interface TokenNamespace {
+  getBalance(account: string): Promise<bigint>;
+  getTotalSupply(): Promise<bigint>;
+  getTotalMinted(): Promise<bigint>;
+  isMinter(account: string): Promise<boolean>;
+  getMintingStatus(): Promise<boolean>;
+  transfer(amount: number | bigint, recipient: string, memo?: string | null, write?: WriteOptions): Promise<WriteResult>;
+}
+
+export interface GovernanceNamespace {
+  getProposal(proposalId: number): Promise<Proposal | null>;
+  getProposalCount(): Promise<bigint>;
+  getProposalResult(proposalId: number): Promise<ProposalResult>;
+  getVoteRecord(proposalId: number, voter: string): Promise<VoteRecord | null>;
+  isVotingActive(proposalId: number): Promise<boolean>;
+  getUserActiveProposal(user: string): Promise<bigint | null>;
+  preflightVote(voter: string, proposalId: number): Promise<VotePreflight>;
+  preflightCreateProposal(proposer: string, proposalType: ProposalType, value: number | bigint): Promise<CreateProposalPreflight>;
+  preflightExecute(proposalId: number, sender: string): Promise<ExecutePreflight>;
+  createProposal(
+    title: string,
+    description: string,
+    proposalType: ProposalType,
+    value: number,
+    write?: WriteOptions,
+  ): Promise<WriteResult>;
+  vote(proposalId: number, support: boolean, write?: WriteOptions): Promise<WriteResult>;
+  executeProposal(proposalId: number, write?: WriteOptions): Promise<WriteResult>;
+}
+
+export interface HealthNamespace {
+  check(options?: HealthCheckOptions): Promise<HealthReport>;
+}
+
+/**
+ * POSVault SDK bound to one deployment.
+ *
+ * @example
+ * ```ts
+ * const client = new POSVaultClient({ network: 'mainnet', retry: { maxAttempts: 3 } });
+ * const deposit = await client.vault.getDeposit('SP...');
+ * const balance = await client.token.getBalance('SP...');
+ * ```
+ *
+ * Throws ConfigurationError when the network has no known deployer and
+ * none was supplied.
+ */
+export class POSVaultClient {
+  readonly config: ResolvedConfig;
+  readonly vault: VaultNamespace;
+  readonly token: TokenNamespace;
+  readonly governance: GovernanceNamespace;
+  readonly health: HealthNamespace;
+
+  private readonly options: POSVaultClientOptions;
+
+  constructor(options: POSVaultClientOptions = {}) {
+    this.config = resolveConfig(options);
+    this.options = options;
+
+    const read = this.readOptions();
+    const multi = this.multicallOptions();
+    const sender = options.readSender ?? this.config.deployer;
+
+    this.vault = {
+      getInfo: () => reads.getVaultInfo(sender, read),
+      getDeposit: (depositor) => reads.getDeposit(depositor, read),
+      getUserStats: (user) => reads.getUserStats(user, read),
+      getPendingRewards: (depositor) => reads.getPendingRewards(depositor, read),
+      getRewardRate: () => reads.getRewardRate(sender, read),
+      isPaused: () => reads.isPaused(sender, read),
+      deposit: async (amount, write) => writes.deposit(amount, this.writeOptions(write)),
+      withdraw: async (write) => writes.withdraw(this.writeOptions(write)),
+      claimRewards: async (write) => writes.claimRewards(this.writeOptions(write)),
+    };
+
+    this.token = {
+      getBalance: (account) => reads.getTokenBalance(account, read),
+      getTotalSupply: () => reads.getTotalSupply(sender, read),
+      getTotalMinted: () => reads.getTotalMinted(sender, read),
+      isMinter: (account) => reads.isMinter(account, sender, read),
+      getMintingStatus: () => reads.getMintingStatus(sender, read),
+      transfer: async (amount, recipient, memo = null, write) =>
+        writes.transferToken(amount, recipient, memo, this.writeOptions(write)),
+    };
+
+    this.governance = {
+      getProposal: (proposalId) => reads.getProposal(proposalId, sender, read),
+      getProposalCount: () => reads.getProposalCount(sender, read),
+      getProposalResult: (proposalId) => reads.getProposalResult(proposalId, sender, read),
+      getVoteRecord: (proposalId, voter) => reads.getVoteRecord(proposalId, voter, read),
+      isVotingActive: (proposalId) => reads.isVotingActive(proposalId, sender, read),
+      getUserActiveProposal: (user) => reads.getUserActiveProposal(user, read),
+      preflightVote: (voter, proposalId) => preflightVote(voter, proposalId, multi),
+      preflightCreateProposal: (proposer, proposalType, value) =>
+        preflightCreateProposal(proposer, proposalType, value, multi),
+      preflightExecute: (proposalId, executor) => preflightExecute(proposalId, executor, multi),
+      createProposal: async (title, description, proposalType, value, write) =>
+        writes.createProposal(title, description, proposalType, value, this.writeOptions(write)),
+      vote: async (proposalId, support, write) => writes.vote(proposalId, support, this.writeOptions(write)),
+      executeProposal: async (proposalId, write) => writes.executeProposal(proposalId, this.writeOptions(write)),
+    };
+
+    this.health = {
+      check: (healthOptions) => runHealthCheck(this.deployment(), healthOptions),
+    };
+  }
+
+  /** The resolved deployment, in the form the standalone functions take */
+  private deployment(): POSVaultConfig {
+    const { deployer, network, contractNames, apiBaseUrl, fetch } = this.config;
+    return { deployer, network, contractNames, apiUrl: apiBaseUrl, fetch };
+  }
+
+  private readOptions(): ReadOnlyOptions {
+    return { ...this.deployment(), retry: this.options.retry, cache: this.options.cache };
+  }
+
+  private multicallOptions(): MulticallOptions {
+    const attempts = this.options.retry?.maxAttempts;
+    return { ...this.deployment(), retries: attempts ? attempts - 1 : undefined, cache: this.options.cache };
+  }
+
+  private writeOptions(write?: WriteOptions): ServerCallOptions & MulticallOptions {
+    const senderKey = write?.senderKey ?? this.options.senderKey;
+    if (!senderKey) {
+      throw new ConfigurationError('Writes need a senderKey: pass it to the client or to the call');
+    }
+    return { ...this.multicallOptions(), senderKey, fee: write?.fee ?? this.options.fee };
+  }
+}
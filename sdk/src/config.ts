@@ -1,26 +1,47 @@
-import type { POSVaultConfig, ContractNames } from './types.js';
-import { DEPLOYER, CONTRACT_NAMES } from './constants.js';
+import type { POSVaultConfig, ContractNames, NetworkName } from './types.js';
+import { getDeployment, getDeploymentContractNames } from './deployments.js';
+import { ConfigurationError } from './errors.js';
 
 export interface ResolvedConfig {
   deployer: string;
-  network: 'mainnet' | 'testnet';
+  network: NetworkName;
   contractNames: ContractNames;
   apiBaseUrl: string;
+  fetch?: POSVaultConfig['fetch'];
 }
 
+/**
+ * Fill in a partial config from the deployment manifest for its network.
+ * Throws ConfigurationError when the network has no known deployer and
+ * none was supplied.
+ */
 export function resolveConfig(config?: POSVaultConfig): ResolvedConfig {
   const network = config?.network ?? 'mainnet';
-  const deployer = config?.deployer ?? DEPLOYER;
+  const deployment = getDeployment(network);
+  const deployer = config?.deployer ?? deployment.deployer;
+  if (!deployer) {
+    throw new ConfigurationError(
+      `No POSVault deployer known for ${network}. Pass { deployer } or add it to deployments.json`,
+    );
+  }
+  const defaults = getDeploymentContractNames(network);
   const contractNames: ContractNames = {
-    vaultCore: config?.contractNames?.vaultCore ?? CONTRACT_NAMES.vaultCore,
-    governanceToken: config?.contractNames?.governanceToken ?? CONTRACT_NAMES.governanceToken,
-    proposalVoting: config?.contractNames?.proposalVoting ?? CONTRACT_NAMES.proposalVoting,
+    vaultCore: config?.contractNames?.vaultCore ?? defaults.vaultCore,
+    governanceToken: config?.contractNames?.governanceToken ?? defaults.governanceToken,
+    proposalVoting: config?.contractNames?.proposalVoting ?? defaults.proposalVoting,
   };
-  const apiBaseUrl = network === 'mainnet'
-    ? 'https://api.hiro.so'
-    : 'https://api.testnet.hiro.so';
 
-  return { deployer, network, contractNames, apiBaseUrl };
+  const apiBaseUrl = config?.apiUrl ?? deployment.apiUrl;
+
+  return { deployer, network, contractNames, apiBaseUrl, fetch: config?.fetch };
+}
+
+/**
+ * The `client` argument @stacks/transactions calls take, so they reach the
+ * configured API with the configured fetch
+ */
+export function getApiClient(config: ResolvedConfig): { baseUrl: string; fetch?: ResolvedConfig['fetch'] } {
+  return config.fetch ? { baseUrl: config.apiBaseUrl, fetch: config.fetch } : { baseUrl: config.apiBaseUrl };
 }
 
 export function getContractId(config: ResolvedConfig, contractKey: keyof ContractNames): string {
@@ -1,13 +1,16 @@
-export const DEPLOYER = 'SP2KYZRNME33Y39GP3RKC90DQJ45EF1N0NZNVRE09';
+import { DEPLOYMENTS, getDeploymentContractNames } from './deployments.js';
 
-export const CONTRACT_NAMES = {
-  vaultCore: 'vault-core-v4',
-  governanceToken: 'governance-token',
-  proposalVoting: 'proposal-voting',
-} as const;
+// Mainnet defaults, read from deployments.json
+export const DEPLOYER = DEPLOYMENTS.mainnet.deployer as string;
+
+export const CONTRACT_NAMES = Object.freeze(getDeploymentContractNames('mainnet'));
 
 export const REWARD_CYCLE_LENGTH = 144;
 export const VOTING_PERIOD = 1008;
+// POS-GOV (micro units) a proposer must hold
+export const MIN_PROPOSAL_TOKENS = 1_000_000;
+// Votes (for + against) needed to execute, as a percentage of POS-GOV supply
+export const QUORUM_PERCENTAGE = 10;
 export const TOKEN_DECIMALS = 6;
 export const TOKEN_SYMBOL = 'POS-GOV';
 export const MAX_SUPPLY = 100_000_000_000_000; // 100M with 6 decimals
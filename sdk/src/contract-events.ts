@@ -0,0 +1,261 @@
+import { cvToJSON, hexToCV } from '@stacks/transactions';
+import { resolveConfig, getContractId } from './config.js';
+import { NetworkError } from './errors.js';
+import { withRetry, type RetryOptions } from './retry.js';
+import type { ContractNames, POSVaultConfig } from './types.js';
+
+// ---------------------------------------------------------------------------
+// Contract print events (Hiro `/extended/v1/contract/{id}/events`)
+//
+// The contracts `print` a tuple with an `event` name for every state
+// change. The API returns them newest first, 50 per page at most, as
+// hex-serialized Clarity values; this module pages through them and
+// decodes the tuples into plain objects (uints as bigint).
+// ---------------------------------------------------------------------------
+
+export const EVENTS_PAGE_LIMIT = 50;
+
+/** One raw event as returned by the Hiro API */
+export interface HiroContractEvent {
+  event_index: number;
+  event_type: string;
+  tx_id: string;
+  contract_log?: {
+    contract_id: string;
+    topic: string;
+    value: { hex: string; repr: string };
+  };
+}
+
+export interface PrintEvent<T = Record<string, unknown>> {
+  txId: string;
+  eventIndex: number;
+  /** The tuple's `event` field, e.g. "vote-cast" */
+  name: string;
+  data: T;
+}
+
+export interface VoteCastEvent {
+  proposalId: number;
+  voter: string;
+  support: boolean;
+  weight: bigint;
+  txId: string;
+}
+
+export interface ProposalExecutedEvent {
+  proposalId: number;
+  passed: boolean;
+  votesFor: bigint;
+  votesAgainst: bigint;
+  txId: string;
+}
+
+export interface ContractEventsOptions extends POSVaultConfig {
+  retry?: RetryOptions;
+}
+
+export interface FetchPrintEventsOptions extends ContractEventsOptions {
+  /** Stop paging once this returns true for an event (it is not included) */
+  until?: (event: PrintEvent) => boolean;
+  /** Upper bound on pages read, as a guard against runaway paging */
+  maxPages?: number;
+}
+
+/**
+ * Plain JS value for a cvToJSON node: uints → bigint, tuples → objects,
+ * responses → `{ success, value }`
+ */
+function plain(node: any): unknown {
+  if (node === null || typeof node !== 'object') return node;
+  const type = String(node.type ?? '');
+  if (type === 'uint' || type === 'int') return BigInt(node.value);
+  if (type.startsWith('(tuple')) {
+    return Object.fromEntries(Object.entries(node.value).map(([k, v]) => [k, plain(v)]));
+  }
+  if (type.startsWith('(list')) return (node.value as any[]).map(plain);
+  if (type.startsWith('(optional')) return node.value === null ? null : plain(node.value);
+  if (type.startsWith('(response')) return { success: node.success === true, value: plain(node.value) };
+  return node.value;
+}
+
+/** Plain JS value of a hex-serialized Clarity value, as for print tuples */
+export function decodeClarityHex(hex: string): unknown {
+  return plain(cvToJSON(hexToCV(hex)));
+}
+
+/**
+ * Decode a print event whose value is a tuple with an `event` name.
+ * Returns null for asset events and prints of any other shape.
+ */
+export function decodePrintEvent(event: HiroContractEvent): PrintEvent | null {
+  const hex = event?.contract_log?.value?.hex;
+  if (event?.event_type !== 'smart_contract_log' || !hex) return null;
+
+  let data: unknown;
+  try {
+    data = decodeClarityHex(hex);
+  } catch {
+    return null;
+  }
+  if (!data || typeof data !== 'object' || typeof (data as any).event !== 'string') return null;
+
+  return {
+    txId: event.tx_id,
+    eventIndex: event.event_index,
+    name: (data as any).event,
+    data: data as Record<string, unknown>,
+  };
+}
+
+/** A `vote-cast` print from proposal-voting, or null */
+export function toVoteCast(event: PrintEvent | null): VoteCastEvent | null {
+  if (event?.name !== 'vote-cast') return null;
+  const d = event.data as any;
+  return {
+    proposalId: Number(d['proposal-id']),
+    voter: String(d.voter),
+    support: d.support === true,
+    weight: BigInt(d.weight),
+    txId: event.txId,
+  };
+}
+
+/** A `proposal-executed` print from proposal-voting, or null */
+export function toProposalExecuted(event: PrintEvent | null): ProposalExecutedEvent | null {
+  if (event?.name !== 'proposal-executed') return null;
+  const d = event.data as any;
+  return {
+    proposalId: Number(d['proposal-id']),
+    passed: d.passed === true,
+    votesFor: BigInt(d['votes-for']),
+    votesAgainst: BigInt(d['votes-against']),
+    txId: event.txId,
+  };
+}
+
+/**
+ * One page of a contract's events, newest first.
+ */
+export async function fetchContractEvents(
+  contract: keyof ContractNames,
+  page: { limit?: number; offset?: number } = {},
+  opts?: ContractEventsOptions,
+): Promise<HiroContractEvent[]> {
+  const config = resolveConfig(opts);
+  const contractId = getContractId(config, contract);
+  const limit = Math.min(page.limit ?? EVENTS_PAGE_LIMIT, EVENTS_PAGE_LIMIT);
+  const url = `${config.apiBaseUrl}/extended/v1/contract/${contractId}/events?limit=${limit}&offset=${page.offset ?? 0}`;
+
+  return withRetry(async () => {
+    const response = await (config.fetch ?? fetch)(url);
+    if (!response.ok) {
+      throw new NetworkError(`Contract events request for ${contractId} failed (${response.status})`, response.status);
+    }
+    const body = (await response.json()) as { results?: HiroContractEvent[] };
+    return body.results ?? [];
+  }, opts?.retry);
+}
+
+/**
+ * Every decodable print event of a contract, newest first. Events that
+ * shift pages while paging (new blocks arriving) are de-duplicated.
+ */
+export async function fetchPrintEvents(
+  contract: keyof ContractNames,
+  opts?: FetchPrintEventsOptions,
+): Promise<PrintEvent[]> {
+  const seen = new Set<string>();
+  const events: PrintEvent[] = [];
+  const maxPages = opts?.maxPages ?? Infinity;
+
+  for (let page = 0; page < maxPages; page++) {
+    const raw = await fetchContractEvents(
+      contract,
+      { limit: EVENTS_PAGE_LIMIT, offset: page * EVENTS_PAGE_LIMIT },
+      opts,
+    );
+
+    for (const item of raw) {
+      const event = decodePrintEvent(item);
+      if (!event) continue;
+      if (opts?.until?.(event)) return events;
+      const key = `${event.txId}:${event.eventIndex}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      events.push(event);
+    }
+
+    if (raw.length < EVENTS_PAGE_LIMIT) break;
+  }
+  return events;
+}
+
+/**
+ * All `vote-cast` and `proposal-executed` events of proposal-voting.
+ */
+export async function fetchGovernanceEvents(opts?: FetchPrintEventsOptions): Promise<{
+  votes: VoteCastEvent[];
+  executions: ProposalExecutedEvent[];
+}> {
+  const events = await fetchPrintEvents('proposalVoting', opts);
+  const votes: VoteCastEvent[] = [];
+  const executions: ProposalExecutedEvent[] = [];
+  for (const event of events) {
+    const vote = toVoteCast(event);
+    if (vote) votes.push(vote);
+    const execution = toProposalExecuted(event);
+    if (execution) executions.push(execution);
+  }
+  return { votes, executions };
+}
+
+/** Where and whether a transaction was mined */
+export interface TxBlockInfo {
+  blockHeight: number;
+  /** Unix seconds; null when the API reports none */
+  blockTime: number | null;
+  txIndex: number;
+  /** False once the block was orphaned by a reorg */
+  canonical: boolean;
+  success: boolean;
+}
+
+/**
+ * Block of a mined transaction (the events endpoint does not carry one).
+ */
+export async function fetchTxBlockInfo(txId: string, opts?: ContractEventsOptions): Promise<TxBlockInfo> {
+  const config = resolveConfig(opts);
+  const url = `${config.apiBaseUrl}/extended/v1/tx/${txId}`;
+
+  return withRetry(async () => {
+    const response = await (config.fetch ?? fetch)(url);
+    if (!response.ok) {
+      throw new NetworkError(`Transaction request for ${txId} failed (${response.status})`, response.status);
+    }
+    const tx = (await response.json()) as Record<string, any>;
+    return {
+      blockHeight: Number(tx.block_height ?? 0),
+      blockTime: tx.block_time ?? tx.burn_block_time ?? null,
+      txIndex: Number(tx.tx_index ?? 0),
+      canonical: tx.canonical !== false,
+      success: tx.tx_status === 'success',
+    };
+  }, opts?.retry);
+}
+
+/**
+ * Height of the newest block the API has indexed (`/extended` status).
+ * The node's own tip (`/v2/info`) can run ahead of the events endpoint.
+ */
+export async function fetchChainTip(opts?: ContractEventsOptions): Promise<number> {
+  const config = resolveConfig(opts);
+  return withRetry(async () => {
+    const response = await (config.fetch ?? fetch)(`${config.apiBaseUrl}/extended`);
+    if (!response.ok) {
+      throw new NetworkError(`API status request failed (${response.status})`, response.status);
+    }
+    const status = (await response.json()) as { chain_tip?: { block_height?: number } };
+    return Number(status.chain_tip?.block_height ?? 0);
+  }, opts?.retry);
+}
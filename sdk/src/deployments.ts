@@ -0,0 +1,58 @@
+import manifest from './deployments.json' with { type: 'json' };
+import { ConfigurationError } from './errors.js';
+import type { ContractNames, NetworkName } from './types.js';
+
+/**
+ * One contract entry in the deployment manifest.
+ * `deployHeight` is the block the contract was published at, or `null`
+ * when unknown (indexers then scan from genesis).
+ */
+export interface ContractDeployment {
+  name: string;
+  version: number;
+  deployHeight: number | null;
+}
+
+/** Everything needed to talk to POSVault on one network. */
+export interface NetworkDeployment {
+  deployer: string | null;
+  apiUrl: string;
+  contracts: Record<keyof ContractNames, ContractDeployment>;
+}
+
+/**
+ * The shared deployment manifest (`deployments.json`). The frontend,
+ * the SDK and the scripts/ tooling all resolve contract identifiers
+ * through this file, so moving to a new contract version is one edit.
+ */
+export const DEPLOYMENTS: Readonly<Record<NetworkName, NetworkDeployment>> = manifest;
+
+export const NETWORKS = Object.keys(DEPLOYMENTS) as NetworkName[];
+
+export function isNetworkName(value: unknown): value is NetworkName {
+  return typeof value === 'string' && Object.prototype.hasOwnProperty.call(DEPLOYMENTS, value);
+}
+
+export function getDeployment(network: NetworkName): NetworkDeployment {
+  const deployment = DEPLOYMENTS[network];
+  if (!deployment) {
+    throw new ConfigurationError(`Unknown network: ${network}. Use one of ${NETWORKS.join(', ')}`);
+  }
+  return deployment;
+}
+
+export function getContractDeployment(
+  network: NetworkName,
+  contractKey: keyof ContractNames,
+): ContractDeployment {
+  return getDeployment(network).contracts[contractKey];
+}
+
+export function getDeploymentContractNames(network: NetworkName): ContractNames {
+  const { contracts } = getDeployment(network);
+  return {
+    vaultCore: contracts.vaultCore.name,
+    governanceToken: contracts.governanceToken.name,
+    proposalVoting: contracts.proposalVoting.name,
+  };
+}
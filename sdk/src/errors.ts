@@ -31,15 +31,65 @@ export class ValidationError extends POSVaultError {
   }
 }
 
+export class ConfigurationError extends POSVaultError {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ConfigurationError';
+  }
+}
+
 export const ERROR_CODES: Record<number, string> = {
+  // governance-token
+  100: 'ERR-NOT-AUTHORIZED',
+  101: 'ERR-INSUFFICIENT-BALANCE',
+  102: 'ERR-INVALID-AMOUNT',
+  // vault-core
   200: 'ERR-NOT-AUTHORIZED',
   202: 'ERR-INSUFFICIENT-BALANCE',
   203: 'ERR-INVALID-AMOUNT',
   205: 'ERR-ALREADY-DEPOSITED',
   206: 'ERR-NO-DEPOSIT',
   207: 'ERR-VAULT-PAUSED',
+  // proposal-voting
+  300: 'ERR-NOT-AUTHORIZED',
+  301: 'ERR-PROPOSAL-NOT-FOUND',
+  302: 'ERR-ALREADY-VOTED',
+  303: 'ERR-VOTING-ENDED',
+  304: 'ERR-VOTING-NOT-ENDED',
+  305: 'ERR-PROPOSAL-EXECUTED',
+  306: 'ERR-INSUFFICIENT-TOKENS',
+  307: 'ERR-QUORUM-NOT-MET',
+  308: 'ERR-INVALID-PROPOSAL',
+  309: 'ERR-VOTING-ACTIVE',
+};
+
+export const ERROR_MESSAGES: Record<number, string> = {
+  100: 'Not authorized to manage the governance token',
+  101: 'Insufficient POS-GOV balance',
+  102: 'Token amount must be greater than zero',
+  200: 'Not authorized to perform this vault action',
+  202: 'Insufficient balance',
+  203: 'Amount must be greater than zero',
+  205: 'You already have an active deposit',
+  206: 'No active deposit found',
+  207: 'The vault is paused',
+  300: 'Not authorized to perform this governance action',
+  301: 'Proposal not found',
+  302: 'You have already voted on this proposal',
+  303: 'Voting on this proposal has ended',
+  304: 'Voting on this proposal has not ended yet',
+  305: 'Proposal has already been executed',
+  306: 'Not enough POS-GOV tokens',
+  307: 'Proposal did not reach quorum',
+  308: 'Invalid proposal type or value',
+  309: 'Voting is still active',
 };
 
 export function decodeContractError(errorCode: number): string {
   return ERROR_CODES[errorCode] ?? `UNKNOWN-ERROR-${errorCode}`;
 }
+
+/** Human-readable explanation of a POSVault contract error code */
+export function getErrorMessage(errorCode: number): string {
+  return ERROR_MESSAGES[errorCode] ?? `Contract error u${errorCode}`;
+}
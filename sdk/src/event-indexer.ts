@@ -0,0 +1,426 @@
+import { resolveConfig, type ResolvedConfig } from './config.js';
+import {
+  EVENTS_PAGE_LIMIT,
+  fetchChainTip,
+  fetchTxBlockInfo,
+  type ContractEventsOptions,
+  type TxBlockInfo,
+} from './contract-events.js';
+import { getContractDeployment } from './deployments.js';
+import {
+  compareVaultEvents,
+  fetchPrintEventsSince,
+  resolveVaultEvents,
+  vaultEventAccount,
+  vaultEventKey,
+  type TxBlockLookup,
+  type VaultEvent,
+  type VaultEventName,
+} from './events.js';
+import type { ContractNames } from './types.js';
+
+// ---------------------------------------------------------------------------
+// Historical event indexer
+//
+// `createEventIndexer()` backfills every POSVault print event from each
+// contract's deployment block (genesis when the manifest has no height)
+// into an `EventStore`, then keeps it current: each `sync()` re-reads the
+// contract from `reorgDepth` blocks below its cursor and replaces what the
+// store holds from there, so events of orphaned blocks are dropped and
+// re-mined ones move to their new block. Events are resolved and committed
+// in batches, oldest first, each advancing the cursor, so an interrupted
+// backfill resumes where it stopped. Stores: in memory, SQLite (any
+// better-sqlite3 / node:sqlite compatible handle) and IndexedDB.
+// ---------------------------------------------------------------------------
+
+/** Which stored events to return; all given conditions must match */
+export interface EventQuery<N extends VaultEventName = VaultEventName> {
+  names?: N[];
+  /** Depositor, proposer or voter */
+  account?: string;
+  proposalId?: number;
+  fromBlock?: number;
+  toBlock?: number;
+}
+
+/** Where indexed events live. Sync and async implementations are both fine. */
+export interface EventStore {
+  /**
+   * Replace a contract's events at or above `fromBlock` with `events`
+   * and record that the contract is indexed up to `cursor`.
+   */
+  commit(contract: keyof ContractNames, fromBlock: number, events: VaultEvent[], cursor: number): void | Promise<void>;
+  /** Last block indexed for a contract; null before its backfill */
+  cursor(contract: keyof ContractNames): number | null | Promise<number | null>;
+  /** Matching events in chain order */
+  query(query?: EventQuery): VaultEvent[] | Promise<VaultEvent[]>;
+}
+
+export interface EventIndexerOptions extends ContractEventsOptions {
+  /** Defaults to an in-memory store */
+  store?: EventStore;
+  /** Contracts to index (default: vault-core and proposal-voting) */
+  contracts?: (keyof ContractNames)[];
+  /** First block per contract (default: its deployment height, else genesis) */
+  startBlocks?: Partial<Record<keyof ContractNames, number>>;
+  /** Blocks below the cursor re-read on every sync (default 6) */
+  reorgDepth?: number;
+  /** Events resolved and committed at a time (default 50) */
+  batchSize?: number;
+}
+
+export interface IndexerSyncResult {
+  /** Lowest cursor across the indexed contracts */
+  cursor: number;
+  /** Events read and stored by this sync (including re-read ones) */
+  events: number;
+}
+
+export interface IndexerWatchOptions {
+  /** Sync interval in ms (default 30000) */
+  intervalMs?: number;
+  onSync?: (result: IndexerSyncResult) => void;
+  onError?: (error: Error) => void;
+}
+
+export interface DailyRewards {
+  /** UTC date, YYYY-MM-DD */
+  day: string;
+  /** POS-GOV minted by claims and withdrawals that day */
+  rewards: bigint;
+}
+
+export interface EventIndexer {
+  readonly store: EventStore;
+  /** Backfill on first call, then index new blocks */
+  sync(): Promise<IndexerSyncResult>;
+  /** Sync now and then every `intervalMs`; returns a function that stops it */
+  watch(options?: IndexerWatchOptions): () => void;
+  query<N extends VaultEventName = VaultEventName>(query?: EventQuery<N>): Promise<VaultEvent<N>[]>;
+  depositsBy(address: string): Promise<VaultEvent<'deposit'>[]>;
+  votesOn(proposalId: number): Promise<VaultEvent<'vote-cast'>[]>;
+  rewardsMintedPerDay(): Promise<DailyRewards[]>;
+}
+
+const DEFAULT_CONTRACTS: (keyof ContractNames)[] = ['vaultCore', 'proposalVoting'];
+const DEFAULT_REORG_DEPTH = 6;
+const DEFAULT_WATCH_INTERVAL_MS = 30_000;
+const MAX_CACHED_BLOCKS = 1_000;
+
+function proposalIdOf(event: VaultEvent): number | null {
+  return 'proposalId' in event.data ? event.data.proposalId : null;
+}
+
+/** Whether an event satisfies a query */
+export function matchesEventQuery(event: VaultEvent, query: EventQuery = {}): boolean {
+  if (query.names && !query.names.includes(event.name as never)) return false;
+  if (query.account !== undefined && vaultEventAccount(event) !== query.account) return false;
+  if (query.proposalId !== undefined && proposalIdOf(event) !== query.proposalId) return false;
+  if (query.fromBlock !== undefined && event.blockHeight < query.fromBlock) return false;
+  if (query.toBlock !== undefined && event.blockHeight > query.toBlock) return false;
+  return true;
+}
+
+// Manifest heights describe the manifest's contracts; a renamed contract
+// (another version) is scanned from genesis
+function deployHeight(config: ResolvedConfig, contract: keyof ContractNames): number {
+  try {
+    const deployment = getContractDeployment(config.network, contract);
+    return deployment.name === config.contractNames[contract] ? deployment.deployHeight ?? 0 : 0;
+  } catch {
+    return 0;
+  }
+}
+
+export function createEventIndexer(options: EventIndexerOptions = {}): EventIndexer {
+  const config = resolveConfig(options);
+  const store = options.store ?? createMemoryEventStore();
+  const contracts = options.contracts ?? DEFAULT_CONTRACTS;
+  const reorgDepth = options.reorgDepth ?? DEFAULT_REORG_DEPTH;
+  const batchSize = options.batchSize ?? EVENTS_PAGE_LIMIT;
+  // Block info of transactions too deep to be reorged, kept across syncs
+  const settled = new Map<string, TxBlockInfo>();
+  let running: Promise<IndexerSyncResult> | null = null;
+
+  async function syncOnce(): Promise<IndexerSyncResult> {
+    const tip = await fetchChainTip(options);
+    // Shallower info is only reused within this sync: a reorg may orphan it
+    const recent = new Map<string, TxBlockInfo>();
+    const blockOf: TxBlockLookup = async (txId) => {
+      const known = settled.get(txId) ?? recent.get(txId);
+      if (known) return known;
+      const info = await fetchTxBlockInfo(txId, options);
+      if (info.canonical) (info.blockHeight < tip - reorgDepth ? settled : recent).set(txId, info);
+      return info;
+    };
+    let lowest = Infinity;
+    let count = 0;
+
+    for (const contract of contracts) {
+      const start = options.startBlocks?.[contract] ?? deployHeight(config, contract);
+      const cursor = await store.cursor(contract);
+      const floor = cursor === null ? start : Math.max(start, cursor + 1 - reorgDepth);
+      const prints = await fetchPrintEventsSince(contract, floor, blockOf, options);
+
+      // Commit whole blocks only: the newest block of a batch may continue
+      // in the next one, so its events wait for the next commit
+      let from = floor;
+      let pending: VaultEvent[] = [];
+      for (let i = 0; i < prints.length; i += batchSize) {
+        pending.push(...(await resolveVaultEvents(contract, prints.slice(i, i + batchSize), floor, blockOf)));
+        const top = pending[pending.length - 1]?.blockHeight;
+        if (i + batchSize >= prints.length || top === undefined || top <= from) continue;
+        const done = pending.filter((e) => e.blockHeight < top);
+        pending = pending.filter((e) => e.blockHeight === top);
+        await store.commit(contract, from, done, top - 1);
+        from = top;
+        count += done.length;
+      }
+
+      const next = pending.reduce((max, e) => Math.max(max, e.blockHeight), Math.max(tip, cursor ?? 0));
+      await store.commit(contract, from, pending, next);
+      lowest = Math.min(lowest, next);
+      count += pending.length;
+    }
+
+    while (settled.size > MAX_CACHED_BLOCKS) settled.delete(settled.keys().next().value as string);
+    return { cursor: lowest === Infinity ? tip : lowest, events: count };
+  }
+
+  // Concurrent callers share one pass
+  function sync(): Promise<IndexerSyncResult> {
+    running ??= syncOnce().finally(() => {
+      running = null;
+    });
+    return running;
+  }
+
+  const query = async <N extends VaultEventName>(q?: EventQuery<N>) =>
+    (await store.query(q)) as VaultEvent<N>[];
+
+  return {
+    store,
+    sync,
+
+    watch({ intervalMs = DEFAULT_WATCH_INTERVAL_MS, onSync, onError }: IndexerWatchOptions = {}) {
+      const run = () => {
+        sync().then(onSync, (err) => onError?.(err instanceof Error ? err : new Error(String(err))));
+      };
+      run();
+      const timer = setInterval(run, intervalMs);
+      return () => clearInterval(timer);
+    },
+
+    query,
+
+    depositsBy(address) {
+      return query({ names: ['deposit'], account: address });
+    },
+
+    votesOn(proposalId) {
+      return query({ names: ['vote-cast'], proposalId });
+    },
+
+    async rewardsMintedPerDay() {
+      const days = new Map<string, bigint>();
+      for (const event of await query({ names: ['claim-rewards', 'withdraw'] })) {
+        if (event.blockTime === null || event.data.rewards === 0n) continue;
+        const day = new Date(event.blockTime * 1000).toISOString().slice(0, 10);
+        days.set(day, (days.get(day) ?? 0n) + event.data.rewards);
+      }
+      return [...days].sort(([a], [b]) => a.localeCompare(b)).map(([day, rewards]) => ({ day, rewards }));
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Stores
+// ---------------------------------------------------------------------------
+
+export function createMemoryEventStore(): EventStore {
+  let events: VaultEvent[] = [];
+  const cursors = new Map<keyof ContractNames, number>();
+  return {
+    commit(contract, fromBlock, incoming, cursor) {
+      const keys = new Set(incoming.map(vaultEventKey));
+      events = events
+        .filter((e) => !(e.contract === contract && e.blockHeight >= fromBlock) && !keys.has(vaultEventKey(e)))
+        .concat(incoming)
+        .sort(compareVaultEvents);
+      cursors.set(contract, cursor);
+    },
+    cursor(contract) {
+      return cursors.get(contract) ?? null;
+    },
+    query(query) {
+      return events.filter((e) => matchesEventQuery(e, query));
+    },
+  };
+}
+
+// SQLite has no bigint-safe JSON; these fields go through strings
+const BIGINT_FIELDS = new Set(['amount', 'block', 'rewards', 'endBlock', 'weight', 'votesFor', 'votesAgainst']);
+
+function encodeEvent(event: VaultEvent): string {
+  return JSON.stringify(event, (_, v) => (typeof v === 'bigint' ? v.toString() : v));
+}
+
+function decodeEvent(json: string): VaultEvent {
+  return JSON.parse(json, (key, v) => (BIGINT_FIELDS.has(key) && typeof v === 'string' ? BigInt(v) : v));
+}
+
+/** The parts of a SQLite handle the store uses (better-sqlite3, node:sqlite) */
+export interface SqliteDatabase {
+  exec(sql: string): unknown;
+  prepare(sql: string): {
+    run(...params: unknown[]): unknown;
+    all(...params: unknown[]): unknown[];
+    get(...params: unknown[]): unknown;
+  };
+}
+
+/**
+ * Store in a SQLite database, e.g. `new Database('posvault-events.db')`
+ * from better-sqlite3 or `new DatabaseSync(path)` from node:sqlite.
+ * Creates its tables on first use.
+ */
+export function createSqliteEventStore(db: SqliteDatabase, { table = 'vault_events' }: { table?: string } = {}): EventStore {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ${table} (
+      key TEXT PRIMARY KEY,
+      contract TEXT NOT NULL,
+      name TEXT NOT NULL,
+      block_height INTEGER NOT NULL,
+      tx_index INTEGER NOT NULL,
+      event_index INTEGER NOT NULL,
+      account TEXT,
+      proposal_id INTEGER,
+      record TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS ${table}_contract_block ON ${table} (contract, block_height);
+    CREATE INDEX IF NOT EXISTS ${table}_account ON ${table} (account);
+    CREATE INDEX IF NOT EXISTS ${table}_proposal ON ${table} (proposal_id);
+    CREATE TABLE IF NOT EXISTS ${table}_cursors (contract TEXT PRIMARY KEY, block_height INTEGER NOT NULL);
+  `);
+  const remove = db.prepare(`DELETE FROM ${table} WHERE contract = ? AND block_height >= ?`);
+  const insert = db.prepare(
+    `INSERT OR REPLACE INTO ${table} (key, contract, name, block_height, tx_index, event_index, account, proposal_id, record)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  );
+  const saveCursor = db.prepare(`INSERT OR REPLACE INTO ${table}_cursors (contract, block_height) VALUES (?, ?)`);
+  const readCursor = db.prepare(`SELECT block_height FROM ${table}_cursors WHERE contract = ?`);
+
+  return {
+    commit(contract, fromBlock, events, cursor) {
+      db.exec('BEGIN');
+      try {
+        remove.run(contract, fromBlock);
+        for (const e of events) {
+          insert.run(
+            vaultEventKey(e), e.contract, e.name, e.blockHeight, e.txIndex, e.eventIndex,
+            vaultEventAccount(e), proposalIdOf(e), encodeEvent(e),
+          );
+        }
+        saveCursor.run(contract, cursor);
+        db.exec('COMMIT');
+      } catch (err) {
+        db.exec('ROLLBACK');
+        throw err;
+      }
+    },
+    cursor(contract) {
+      const row = readCursor.get(contract) as { block_height: number } | undefined;
+      return row ? Number(row.block_height) : null;
+    },
+    query(query = {}) {
+      const where: string[] = [];
+      const params: unknown[] = [];
+      if (query.names) {
+        where.push(`name IN (${query.names.map(() => '?').join(', ') || 'NULL'})`);
+        params.push(...query.names);
+      }
+      if (query.account !== undefined) {
+        where.push('account = ?');
+        params.push(query.account);
+      }
+      if (query.proposalId !== undefined) {
+        where.push('proposal_id = ?');
+        params.push(query.proposalId);
+      }
+      if (query.fromBlock !== undefined) {
+        where.push('block_height >= ?');
+        params.push(query.fromBlock);
+      }
+      if (query.toBlock !== undefined) {
+        where.push('block_height <= ?');
+        params.push(query.toBlock);
+      }
+      const rows = db
+        .prepare(
+          `SELECT record FROM ${table}${where.length ? ` WHERE ${where.join(' AND ')}` : ''}
+           ORDER BY block_height, tx_index, event_index`,
+        )
+        .all(...params) as { record: string }[];
+      return rows.map((row) => decodeEvent(row.record));
+    },
+  };
+}
+
+function request<T>(req: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** Store in IndexedDB (browsers and workers) */
+export function createIndexedDBEventStore({ dbName = 'posvault-events' }: { dbName?: string } = {}): EventStore {
+  let db: Promise<IDBDatabase> | null = null;
+  const open = () => {
+    db ??= new Promise((resolve, reject) => {
+      const req = indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => {
+        const events = req.result.createObjectStore('events');
+        events.createIndex('contract_block', ['contract', 'blockHeight']);
+        req.result.createObjectStore('cursors');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return db;
+  };
+
+  return {
+    async commit(contract, fromBlock, events, cursor) {
+      const tx = (await open()).transaction(['events', 'cursors'], 'readwrite');
+      const done = new Promise<void>((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+      const store = tx.objectStore('events');
+      const stale = store.index('contract_block').openKeyCursor(IDBKeyRange.bound([contract, fromBlock], [contract, Infinity]));
+      stale.onsuccess = () => {
+        const cursorReq = stale.result;
+        if (cursorReq) {
+          store.delete(cursorReq.primaryKey);
+          cursorReq.continue();
+          return;
+        }
+        // Stored events are structured clones; bigints survive as they are
+        for (const e of events) store.put(e, vaultEventKey(e));
+        tx.objectStore('cursors').put(cursor, contract);
+      };
+      await done;
+    },
+    async cursor(contract) {
+      const tx = (await open()).transaction('cursors', 'readonly');
+      return (await request<number | undefined>(tx.objectStore('cursors').get(contract))) ?? null;
+    },
+    async query(query) {
+      const tx = (await open()).transaction('events', 'readonly');
+      const all = await request<VaultEvent[]>(tx.objectStore('events').getAll());
+      return all.filter((e) => matchesEventQuery(e, query)).sort(compareVaultEvents);
+    },
+  };
+}
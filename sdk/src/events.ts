@@ -1,36 +1,250 @@
-export type EventType =
-  | 'deposit'
-  | 'withdraw'
-  | 'claim-rewards'
-  | 'set-reward-rate'
-  | 'toggle-pause'
-  | 'add-admin'
-  | 'remove-admin'
-  | 'create-proposal'
-  | 'vote'
-  | 'execute-proposal';
-
-export interface VaultEvent {
-  type: EventType;
-  txid: string;
-  sender: string;
-  timestamp: number;
-  blockHeight?: number;
-  data?: Record<string, unknown>;
-}
-
-export function createEvent(type: EventType, txid: string, sender: string, data?: Record<string, unknown>): VaultEvent {
+import {
+  EVENTS_PAGE_LIMIT,
+  decodePrintEvent,
+  fetchContractEvents,
+  fetchTxBlockInfo,
+  type ContractEventsOptions,
+  type PrintEvent,
+  type TxBlockInfo,
+} from './contract-events.js';
+import type { ContractNames } from './types.js';
+
+// ---------------------------------------------------------------------------
+// Typed POSVault events
+//
+// The `print` tuples of vault-core and proposal-voting, decoded into typed
+// records with the block they were mined in. `fetchVaultEventsSince` scans
+// one contract back to a block height; the subscription manager is built
+// on it, and the indexer on its two steps (`fetchPrintEventsSince`, then
+// `resolveVaultEvents` in batches).
+// ---------------------------------------------------------------------------
+
+export interface VaultEventData {
+  deposit: { depositor: string; amount: bigint; block: bigint };
+  withdraw: { depositor: string; amount: bigint; rewards: bigint };
+  'claim-rewards': { depositor: string; rewards: bigint };
+  'proposal-created': { proposalId: number; proposer: string; title: string; proposalType: string; endBlock: bigint };
+  'vote-cast': { proposalId: number; voter: string; support: boolean; weight: bigint };
+  'proposal-executed': { proposalId: number; passed: boolean; votesFor: bigint; votesAgainst: bigint };
+}
+
+export type VaultEventName = keyof VaultEventData;
+
+/** The contract that prints each event */
+export const VAULT_EVENT_CONTRACTS: Record<VaultEventName, keyof ContractNames> = {
+  deposit: 'vaultCore',
+  withdraw: 'vaultCore',
+  'claim-rewards': 'vaultCore',
+  'proposal-created': 'proposalVoting',
+  'vote-cast': 'proposalVoting',
+  'proposal-executed': 'proposalVoting',
+};
+
+export const VAULT_EVENT_NAMES = Object.keys(VAULT_EVENT_CONTRACTS) as VaultEventName[];
+
+/** A decoded event; narrowing on `name` narrows `data` */
+export type VaultEvent<N extends VaultEventName = VaultEventName> = {
+  [K in N]: {
+    name: K;
+    contract: keyof ContractNames;
+    txId: string;
+    eventIndex: number;
+    blockHeight: number;
+    /** Block time in Unix seconds, when the API reports one */
+    blockTime: number | null;
+    /** Position of the transaction in its block, for ordering */
+    txIndex: number;
+    data: VaultEventData[K];
+  };
+}[N];
+
+/** Identity of an event; stable across reorgs that move its transaction */
+export function vaultEventKey(event: { txId: string; eventIndex: number }): string {
+  return `${event.txId}:${event.eventIndex}`;
+}
+
+function typedData(print: PrintEvent): VaultEventData[VaultEventName] | null {
+  const d = print.data as any;
+  switch (print.name) {
+    case 'deposit':
+      return { depositor: String(d.depositor), amount: BigInt(d.amount), block: BigInt(d.block) };
+    case 'withdraw':
+      return { depositor: String(d.depositor), amount: BigInt(d.amount), rewards: BigInt(d.rewards) };
+    case 'claim-rewards':
+      return { depositor: String(d.depositor), rewards: BigInt(d.rewards) };
+    case 'proposal-created':
+      return {
+        proposalId: Number(d.id),
+        proposer: String(d.proposer),
+        title: String(d.title),
+        proposalType: String(d.type),
+        endBlock: BigInt(d['end-block']),
+      };
+    case 'vote-cast':
+      return { proposalId: Number(d['proposal-id']), voter: String(d.voter), support: d.support === true, weight: BigInt(d.weight) };
+    case 'proposal-executed':
+      return {
+        proposalId: Number(d['proposal-id']),
+        passed: d.passed === true,
+        votesFor: BigInt(d['votes-for']),
+        votesAgainst: BigInt(d['votes-against']),
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Typed event for a decoded print and the block of its transaction.
+ * Returns null for other prints (admin events, token memos) and for
+ * tuples missing a field.
+ */
+export function toVaultEvent(
+  print: PrintEvent,
+  contract: keyof ContractNames,
+  block: Pick<TxBlockInfo, 'blockHeight' | 'blockTime' | 'txIndex'>,
+): VaultEvent | null {
+  let data: VaultEventData[VaultEventName] | null;
+  try {
+    data = typedData(print);
+  } catch {
+    return null;
+  }
+  if (!data) return null;
   return {
-    type,
-    txid,
-    sender,
-    timestamp: Date.now(),
+    name: print.name as VaultEventName,
+    contract,
+    txId: print.txId,
+    eventIndex: print.eventIndex,
+    blockHeight: block.blockHeight,
+    blockTime: block.blockTime,
+    txIndex: block.txIndex,
     data,
+  } as VaultEvent;
+}
+
+/** The account an event is about (depositor, proposer or voter); null for executions */
+export function vaultEventAccount(event: VaultEvent): string | null {
+  switch (event.name) {
+    case 'deposit':
+    case 'withdraw':
+    case 'claim-rewards':
+      return event.data.depositor;
+    case 'proposal-created':
+      return event.data.proposer;
+    case 'vote-cast':
+      return event.data.voter;
+    default:
+      return null;
+  }
+}
+
+/** Chain order: block, then position in block, then position in transaction */
+export function compareVaultEvents(a: VaultEvent, b: VaultEvent): number {
+  return a.blockHeight - b.blockHeight || a.txIndex - b.txIndex || a.eventIndex - b.eventIndex;
+}
+
+export interface FetchVaultEventsOptions extends ContractEventsOptions {
+  /** Block info by tx id, reused across scans to avoid repeat lookups */
+  blocks?: Map<string, TxBlockInfo>;
+}
+
+/** Block info for a transaction; the scans below call it once per event */
+export type TxBlockLookup = (txId: string) => Promise<TxBlockInfo>;
+
+/**
+ * Lookup memoized in `blocks`. Orphaned transactions may be mined again
+ * elsewhere, so only canonical info is kept.
+ */
+export function cachedTxBlockLookup(
+  blocks: Map<string, TxBlockInfo>,
+  opts?: ContractEventsOptions,
+): TxBlockLookup {
+  return async (txId) => {
+    let info = blocks.get(txId);
+    if (!info) {
+      info = await fetchTxBlockInfo(txId, opts);
+      if (info.canonical) blocks.set(txId, info);
+    }
+    return info;
   };
 }
 
+/**
+ * Decoded prints of one contract back to `fromBlock`, oldest first.
+ * Pages newest first and stops after the page whose oldest canonical
+ * event is below `fromBlock`, so only that event of each page is looked
+ * up here; the oldest prints returned can be below `fromBlock`.
+ */
+export async function fetchPrintEventsSince(
+  contract: keyof ContractNames,
+  fromBlock: number,
+  blockOf: TxBlockLookup,
+  opts?: ContractEventsOptions,
+): Promise<PrintEvent[]> {
+  const prints: PrintEvent[] = [];
+  for (let offset = 0; ; offset += EVENTS_PAGE_LIMIT) {
+    const raw = await fetchContractEvents(contract, { limit: EVENTS_PAGE_LIMIT, offset }, opts);
+    const page = raw.map(decodePrintEvent).filter((print): print is PrintEvent => print !== null);
+    prints.push(...page);
+    if (raw.length < EVENTS_PAGE_LIMIT) break;
+
+    let reached = false;
+    for (let i = page.length - 1; i >= 0; i -= 1) {
+      const info = await blockOf(page[i]!.txId);
+      if (!info.canonical) continue;
+      reached = info.blockHeight < fromBlock;
+      break;
+    }
+    if (reached) break;
+  }
+  return prints.reverse();
+}
+
+/**
+ * Typed events for consecutive prints of one contract (oldest first, as
+ * returned by `fetchPrintEventsSince`), oldest first. Prints of failed or
+ * non-canonical (orphaned) transactions, and those mined below
+ * `fromBlock`, are left out.
+ */
+export async function resolveVaultEvents(
+  contract: keyof ContractNames,
+  prints: PrintEvent[],
+  fromBlock: number,
+  blockOf: TxBlockLookup,
+): Promise<VaultEvent[]> {
+  const events: VaultEvent[] = [];
+  for (let i = prints.length - 1; i >= 0; i -= 1) {
+    const print = prints[i]!;
+    const info = await blockOf(print.txId);
+    if (!info.canonical) continue;
+    // Canonical prints are in block order, so every older one is below too
+    if (info.blockHeight < fromBlock) break;
+    if (!info.success) continue;
+    const event = toVaultEvent(print, contract, info);
+    if (event) events.push(event);
+  }
+  return events.sort(compareVaultEvents);
+}
+
+/**
+ * Typed events of one contract mined at or after `fromBlock`, oldest
+ * first; events of failed or non-canonical (orphaned) transactions are
+ * left out.
+ */
+export async function fetchVaultEventsSince(
+  contract: keyof ContractNames,
+  fromBlock: number,
+  opts?: FetchVaultEventsOptions,
+): Promise<VaultEvent[]> {
+  const blockOf = cachedTxBlockLookup(opts?.blocks ?? new Map(), opts);
+  const prints = await fetchPrintEventsSince(contract, fromBlock, blockOf, opts);
+  return resolveVaultEvents(contract, prints, fromBlock, blockOf);
+}
+
+/** One-line description of an event, for logs */
 export function formatEventLog(event: VaultEvent): string {
-  const time = new Date(event.timestamp).toISOString();
-  const dataStr = event.data ? ` | ${JSON.stringify(event.data)}` : '';
-  return `[${time}] ${event.type} by ${event.sender} (tx: ${event.txid.slice(0, 12)}...)${dataStr}`;
+  const time = event.blockTime !== null ? new Date(event.blockTime * 1000).toISOString() : `block ${event.blockHeight}`;
+  const data = JSON.stringify(event.data, (_, v) => (typeof v === 'bigint' ? v.toString() : v));
+  return `[${time}] ${event.name} (tx: ${event.txId.slice(0, 12)}...) | ${data}`;
 }
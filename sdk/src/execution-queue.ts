@@ -0,0 +1,87 @@
+import { QUORUM_PERCENTAGE } from './constants.js';
+import { fetchGovernanceState, type AnalyticsProposal } from './governance-analytics.js';
+import type { MulticallOptions } from './multicall.js';
+
+// ---------------------------------------------------------------------------
+// Execution queue
+//
+// A proposal whose voting window has closed does nothing until someone
+// calls `execute-proposal`; anyone may. The queue is every such proposal,
+// each with the verdict execution would record: whether quorum (against
+// today's supply) is met, and whether it would pass. Proposals short of
+// quorum are listed too, as execution of those aborts with ERR-QUORUM-NOT-MET
+// and would only waste the fee.
+// ---------------------------------------------------------------------------
+
+export interface QueuedProposal {
+  id: number;
+  title: string;
+  proposalType: string;
+  value: bigint;
+  endBlock: bigint;
+  /** Blocks since voting closed */
+  blocksSinceEnd: bigint;
+  votesFor: bigint;
+  votesAgainst: bigint;
+  quorumNeeded: bigint;
+  quorumMet: boolean;
+  /** Whether executing now records it as passed (for > against) */
+  passes: boolean;
+  /** Whether `execute-proposal` would succeed: quorum is met */
+  executable: boolean;
+}
+
+export interface ExecutionQueue {
+  currentBlock: bigint;
+  totalSupply: bigint;
+  /** Oldest first: they have waited longest */
+  proposals: QueuedProposal[];
+}
+
+/**
+ * Proposals past their end block and not yet executed, with the outcome
+ * execution would have. Pure: mirrors `execute-proposal`'s checks.
+ */
+export function buildExecutionQueue(
+  proposals: AnalyticsProposal[],
+  totalSupply: bigint,
+  currentBlock: bigint,
+): QueuedProposal[] {
+  const quorumNeeded = (totalSupply * BigInt(QUORUM_PERCENTAGE)) / 100n;
+
+  return proposals
+    .filter((p) => !p.executed && currentBlock > p.endBlock)
+    .sort((a, b) => a.id - b.id)
+    .map((p) => {
+      const quorumMet = p.votesFor + p.votesAgainst >= quorumNeeded;
+      return {
+        id: p.id,
+        title: p.title,
+        proposalType: p.proposalType,
+        value: p.value,
+        endBlock: p.endBlock,
+        blocksSinceEnd: currentBlock - p.endBlock,
+        votesFor: p.votesFor,
+        votesAgainst: p.votesAgainst,
+        quorumNeeded,
+        quorumMet,
+        passes: p.votesFor > p.votesAgainst,
+        executable: quorumMet,
+      };
+    });
+}
+
+/**
+ * Read every proposal and return the execution queue.
+ */
+export async function fetchExecutionQueue(
+  senderAddress: string,
+  opts?: MulticallOptions,
+): Promise<ExecutionQueue> {
+  const { proposals, totalSupply, currentBlock } = await fetchGovernanceState(senderAddress, opts);
+  return {
+    currentBlock,
+    totalSupply,
+    proposals: buildExecutionQueue(proposals, totalSupply, currentBlock),
+  };
+}
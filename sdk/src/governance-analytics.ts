@@ -0,0 +1,404 @@
+import { QUORUM_PERCENTAGE } from './constants.js';
+import { POSVaultError } from './errors.js';
+import { multicall, fetchProposalsById, type MulticallOptions } from './multicall.js';
+import {
+  fetchGovernanceEvents,
+  type ProposalExecutedEvent,
+  type VoteCastEvent,
+} from './contract-events.js';
+import type { RetryOptions } from './retry.js';
+
+// ---------------------------------------------------------------------------
+// Governance analytics
+//
+// DAO health figures built from two sources: `get-proposal` for every id
+// (authoritative tallies and outcomes) and the `vote-cast` /
+// `proposal-executed` prints (who voted, with what weight, and in which
+// tx a proposal was executed).
+//
+// Turnout is measured against the *current* POS-GOV supply, which is what
+// `execute-proposal` checks quorum against too. Supply only grows (rewards
+// are minted), so turnout of old proposals reads lower than it was on the
+// day; the quorum verdict is still the one the contract would give today.
+// ---------------------------------------------------------------------------
+
+export type ProposalStatus =
+  | 'active'
+  | 'awaiting-execution'
+  | 'passed'
+  | 'rejected'
+  | 'failed-quorum';
+
+/** The `get-proposal` fields analytics needs, plus the id */
+export interface AnalyticsProposal {
+  id: number;
+  proposer: string;
+  title: string;
+  proposalType: string;
+  value: bigint;
+  startBlock: bigint;
+  endBlock: bigint;
+  votesFor: bigint;
+  votesAgainst: bigint;
+  totalVoters: bigint;
+  executed: boolean;
+  passed: boolean;
+}
+
+/** Every proposal plus the figures their status depends on */
+export interface GovernanceState {
+  proposals: AnalyticsProposal[];
+  totalSupply: bigint;
+  currentBlock: bigint;
+}
+
+export interface ProposalStats {
+  id: number;
+  title: string;
+  proposalType: string;
+  proposer: string;
+  startBlock: bigint;
+  endBlock: bigint;
+  votesFor: bigint;
+  votesAgainst: bigint;
+  totalVotes: bigint;
+  voters: number;
+  /** Votes cast as a percentage of the POS-GOV supply */
+  turnoutPct: number;
+  quorumNeeded: bigint;
+  quorumMet: boolean;
+  status: ProposalStatus;
+  /** Tx that executed the proposal, when its event was indexed */
+  executionTxId: string | null;
+}
+
+export interface ParticipationPoint {
+  id: number;
+  startBlock: bigint;
+  turnoutPct: number;
+  /** Mean turnout of this and every earlier proposal */
+  averageTurnoutPct: number;
+}
+
+export interface VoterStats {
+  voter: string;
+  /** Weight of the voter's latest vote: their POS-GOV balance at the time */
+  weight: bigint;
+  /** Share of all voters' latest weights, 0-100 */
+  sharePct: number;
+  votes: number;
+  votesFor: number;
+  votesAgainst: number;
+}
+
+export interface VotingConcentration {
+  /** 0 = evenly spread, approaching 1 = held by one voter */
+  gini: number;
+  /** Fewest voters holding more than half of the voting power */
+  nakamoto: number;
+  voters: number;
+  totalWeight: bigint;
+}
+
+export interface GovernanceSummary {
+  proposals: number;
+  active: number;
+  awaitingExecution: number;
+  passed: number;
+  rejected: number;
+  failedQuorum: number;
+  /** Passed as a percentage of executed proposals */
+  passRatePct: number;
+  /** Mean turnout of proposals whose voting has ended */
+  averageTurnoutPct: number;
+  uniqueVoters: number;
+  votesCast: number;
+}
+
+export interface GovernanceAnalytics {
+  generatedAt: string;
+  currentBlock: bigint;
+  totalSupply: bigint;
+  quorumPercentage: number;
+  summary: GovernanceSummary;
+  proposals: ProposalStats[];
+  participation: ParticipationPoint[];
+  topVoters: VoterStats[];
+  concentration: VotingConcentration;
+}
+
+export interface GovernanceAnalyticsInput extends GovernanceState {
+  votes: VoteCastEvent[];
+  executions: ProposalExecutedEvent[];
+  /** How many voters `topVoters` keeps (default 10) */
+  topVoterLimit?: number;
+}
+
+export interface GovernanceAnalyticsOptions extends MulticallOptions {
+  retry?: RetryOptions;
+  topVoterLimit?: number;
+}
+
+function percentOf(part: bigint, whole: bigint): number {
+  if (whole <= 0n) return 0;
+  // Two decimals of precision without losing bigint range
+  return Number((part * 10_000n) / whole) / 100;
+}
+
+function mean(values: number[]): number {
+  return values.length === 0 ? 0 : values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/**
+ * Gini coefficient of a set of non-negative weights.
+ */
+export function giniCoefficient(weights: bigint[]): number {
+  const sorted = weights.filter((w) => w > 0n).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const n = sorted.length;
+  if (n < 2) return 0;
+  let total = 0n;
+  let ranked = 0n;
+  sorted.forEach((w, i) => {
+    total += w;
+    ranked += BigInt(i + 1) * w;
+  });
+  // G = 2·Σ(i·xᵢ) / (n·Σx) − (n+1)/n, with x sorted ascending and i from 1
+  return (2 * Number((ranked * 1_000_000n) / total)) / 1_000_000 / n - (n + 1) / n;
+}
+
+/**
+ * Nakamoto coefficient: the fewest holders whose combined weight exceeds
+ * half the total, i.e. who could carry any vote between them.
+ */
+export function nakamotoCoefficient(weights: bigint[]): number {
+  const sorted = weights.filter((w) => w > 0n).sort((a, b) => (a > b ? -1 : a < b ? 1 : 0));
+  const total = sorted.reduce((a, b) => a + b, 0n);
+  let held = 0n;
+  for (let i = 0; i < sorted.length; i++) {
+    held += sorted[i]!;
+    if (held * 2n > total) return i + 1;
+  }
+  return 0;
+}
+
+function statusOf(p: AnalyticsProposal, quorumMet: boolean, currentBlock: bigint): ProposalStatus {
+  if (p.executed) return p.passed ? 'passed' : 'rejected';
+  if (currentBlock <= p.endBlock) return 'active';
+  // execute-proposal aborts with ERR-QUORUM-NOT-MET, so these stay unexecuted
+  return quorumMet ? 'awaiting-execution' : 'failed-quorum';
+}
+
+/**
+ * Compute governance analytics from proposals and indexed events.
+ * Pure: no network access, so it can run over cached or replayed data.
+ */
+export function computeGovernanceAnalytics(input: GovernanceAnalyticsInput): GovernanceAnalytics {
+  const { totalSupply, currentBlock } = input;
+  const quorumNeeded = (totalSupply * BigInt(QUORUM_PERCENTAGE)) / 100n;
+  const executionTx = new Map(input.executions.map((e) => [e.proposalId, e.txId]));
+
+  const proposals: ProposalStats[] = [...input.proposals]
+    .sort((a, b) => a.id - b.id)
+    .map((p) => {
+      const totalVotes = p.votesFor + p.votesAgainst;
+      const quorumMet = totalVotes >= quorumNeeded;
+      return {
+        id: p.id,
+        title: p.title,
+        proposalType: p.proposalType,
+        proposer: p.proposer,
+        startBlock: p.startBlock,
+        endBlock: p.endBlock,
+        votesFor: p.votesFor,
+        votesAgainst: p.votesAgainst,
+        totalVotes,
+        voters: Number(p.totalVoters),
+        turnoutPct: percentOf(totalVotes, totalSupply),
+        quorumNeeded,
+        quorumMet,
+        status: statusOf(p, quorumMet, currentBlock),
+        executionTxId: executionTx.get(p.id) ?? null,
+      };
+    });
+
+  const participation: ParticipationPoint[] = [];
+  const seenTurnout: number[] = [];
+  for (const p of proposals) {
+    seenTurnout.push(p.turnoutPct);
+    participation.push({
+      id: p.id,
+      startBlock: p.startBlock,
+      turnoutPct: p.turnoutPct,
+      averageTurnoutPct: mean(seenTurnout),
+    });
+  }
+
+  // Latest vote per voter = highest proposal id; a vote's weight is the
+  // voter's whole POS-GOV balance at that moment
+  const voters = new Map<string, VoterStats & { latestProposal: number }>();
+  for (const v of input.votes) {
+    const stats = voters.get(v.voter)
+      ?? { voter: v.voter, weight: 0n, sharePct: 0, votes: 0, votesFor: 0, votesAgainst: 0, latestProposal: -1 };
+    stats.votes += 1;
+    if (v.support) stats.votesFor += 1;
+    else stats.votesAgainst += 1;
+    if (v.proposalId > stats.latestProposal) {
+      stats.latestProposal = v.proposalId;
+      stats.weight = v.weight;
+    }
+    voters.set(v.voter, stats);
+  }
+
+  const weights = [...voters.values()].map((v) => v.weight);
+  const totalWeight = weights.reduce((a, b) => a + b, 0n);
+  const topVoters = [...voters.values()]
+    .sort((a, b) => (a.weight > b.weight ? -1 : a.weight < b.weight ? 1 : b.votes - a.votes))
+    .slice(0, input.topVoterLimit ?? 10)
+    .map(({ latestProposal: _latest, ...v }) => ({ ...v, sharePct: percentOf(v.weight, totalWeight) }));
+
+  const count = (status: ProposalStatus) => proposals.filter((p) => p.status === status).length;
+  const passed = count('passed');
+  const rejected = count('rejected');
+
+  return {
+    generatedAt: new Date().toISOString(),
+    currentBlock,
+    totalSupply,
+    quorumPercentage: QUORUM_PERCENTAGE,
+    summary: {
+      proposals: proposals.length,
+      active: count('active'),
+      awaitingExecution: count('awaiting-execution'),
+      passed,
+      rejected,
+      failedQuorum: count('failed-quorum'),
+      passRatePct: passed + rejected === 0 ? 0 : (passed / (passed + rejected)) * 100,
+      averageTurnoutPct: mean(proposals.filter((p) => p.status !== 'active').map((p) => p.turnoutPct)),
+      uniqueVoters: voters.size,
+      votesCast: input.votes.length,
+    },
+    proposals,
+    participation,
+    topVoters,
+    concentration: {
+      gini: giniCoefficient(weights),
+      nakamoto: nakamotoCoefficient(weights),
+      voters: voters.size,
+      totalWeight,
+    },
+  };
+}
+
+/** An entry of `fetchProposalsById` (cvToJSON fields) as an AnalyticsProposal */
+export function toAnalyticsProposal(raw: { id: number } & Record<string, any>): AnalyticsProposal {
+  return {
+    id: raw.id,
+    proposer: String(raw.proposer?.value ?? ''),
+    title: String(raw.title?.value ?? ''),
+    proposalType: String(raw['proposal-type']?.value ?? ''),
+    value: BigInt(raw.value?.value ?? 0),
+    startBlock: BigInt(raw['start-block']?.value ?? 0),
+    endBlock: BigInt(raw['end-block']?.value ?? 0),
+    votesFor: BigInt(raw['votes-for']?.value ?? 0),
+    votesAgainst: BigInt(raw['votes-against']?.value ?? 0),
+    totalVoters: BigInt(raw['total-voters']?.value ?? 0),
+    executed: raw.executed?.value === true,
+    passed: raw.passed?.value === true,
+  };
+}
+
+/**
+ * Read every proposal, the POS-GOV supply and the chain tip.
+ */
+export async function fetchGovernanceState(
+  senderAddress: string,
+  opts?: MulticallOptions,
+): Promise<GovernanceState> {
+  const reads = await multicall(
+    [
+      { contract: 'proposalVoting', functionName: 'get-proposal-count', args: [], sender: senderAddress },
+      { contract: 'governanceToken', functionName: 'get-total-supply', args: [], sender: senderAddress },
+      { contract: 'vaultCore', functionName: 'get-vault-info', args: [], sender: senderAddress },
+    ],
+    opts,
+  );
+  const failed = reads.find((r) => r.error);
+  if (failed) {
+    throw new POSVaultError(`Governance read ${failed.request.functionName} failed: ${failed.error}`);
+  }
+  const [count, supply, vault] = reads;
+
+  // A proposal missing from the state would silently drop out of the
+  // analytics and the execution queue, so any failed read fails the call
+  const ids = Array.from({ length: Number(count?.result?.value?.value ?? 0) }, (_, i) => i + 1);
+  const { proposals, failures } = await fetchProposalsById(senderAddress, ids, opts);
+  if (failures.length > 0) {
+    const list = failures.map((f) => `#${f.id} (${f.error})`).join(', ');
+    throw new POSVaultError(`Governance read get-proposal failed for ${list}`);
+  }
+  return {
+    proposals: proposals.map(toAnalyticsProposal),
+    totalSupply: BigInt(supply?.result?.value?.value ?? 0),
+    currentBlock: BigInt(vault?.result?.value?.value?.['current-block']?.value ?? 0),
+  };
+}
+
+/**
+ * Read the governance state and events, and compute analytics over them.
+ */
+export async function fetchGovernanceAnalytics(
+  senderAddress: string,
+  opts?: GovernanceAnalyticsOptions,
+): Promise<GovernanceAnalytics> {
+  const [state, events] = await Promise.all([
+    fetchGovernanceState(senderAddress, opts),
+    fetchGovernanceEvents(opts),
+  ]);
+
+  return computeGovernanceAnalytics({
+    ...state,
+    votes: events.votes,
+    executions: events.executions,
+    topVoterLimit: opts?.topVoterLimit,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+const CSV_COLUMNS: Array<[string, (p: ProposalStats) => unknown]> = [
+  ['id', (p) => p.id],
+  ['title', (p) => p.title],
+  ['type', (p) => p.proposalType],
+  ['proposer', (p) => p.proposer],
+  ['start_block', (p) => p.startBlock],
+  ['end_block', (p) => p.endBlock],
+  ['votes_for', (p) => p.votesFor],
+  ['votes_against', (p) => p.votesAgainst],
+  ['voters', (p) => p.voters],
+  ['turnout_pct', (p) => p.turnoutPct.toFixed(2)],
+  ['quorum_needed', (p) => p.quorumNeeded],
+  ['quorum_met', (p) => p.quorumMet],
+  ['status', (p) => p.status],
+  ['execution_tx', (p) => p.executionTxId ?? ''],
+];
+
+function csvCell(value: unknown): string {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** One CSV row per proposal (micro POS-GOV amounts, RFC 4180 quoting) */
+export function governanceAnalyticsToCsv(analytics: GovernanceAnalytics): string {
+  const rows = [CSV_COLUMNS.map(([name]) => name).join(',')];
+  for (const p of analytics.proposals) {
+    rows.push(CSV_COLUMNS.map(([, get]) => csvCell(get(p))).join(','));
+  }
+  return `${rows.join('\r\n')}\r\n`;
+}
+
+/** The whole report as JSON, with bigints written as decimal strings */
+export function governanceAnalyticsToJson(analytics: GovernanceAnalytics, space = 2): string {
+  return JSON.stringify(analytics, (_key, value) => (typeof value === 'bigint' ? value.toString() : value), space);
+}
@@ -1,4 +1,5 @@
 import type { DepositRecord, UserStats, VaultInfo, Proposal, VoteRecord, ProposalResult, WithdrawResult, ContractNames, POSVaultConfig } from './types.js';
+import { isNetworkName } from './deployments.js';
 
 // ---------------------------------------------------------------------------
 // Primitive guards
@@ -102,7 +103,6 @@ export function isContractNames(value: unknown): value is ContractNames {
 export function isPOSVaultConfig(value: unknown): value is POSVaultConfig {
   if (!isNonNullObject(value)) return false;
   if (value.deployer !== undefined && typeof value.deployer !== 'string') return false;
-  if (value.network !== undefined && value.network !== 'mainnet' && value.network !== 'testnet')
-    return false;
+  if (value.network !== undefined && !isNetworkName(value.network)) return false;
   return true;
 }
@@ -2,6 +2,8 @@
  * Types for the SDK health check & diagnostics module.
  */
 
+import type { NetworkName } from './types.js';
+
 /** Overall health status */
 export type HealthStatus = 'healthy' | 'degraded' | 'unhealthy';
 
@@ -18,7 +20,7 @@ export interface CheckResult {
 export interface HealthReport {
   status: HealthStatus;
   timestamp: string;
-  network: 'mainnet' | 'testnet';
+  network: NetworkName;
   checks: CheckResult[];
   durationMs: number;
 }
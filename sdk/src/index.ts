@@ -1,8 +1,13 @@
 // Constants
-export { DEPLOYER, CONTRACT_NAMES, REWARD_CYCLE_LENGTH, VOTING_PERIOD, TOKEN_DECIMALS, TOKEN_SYMBOL, MAX_SUPPLY } from './constants.js';
+export { DEPLOYER, CONTRACT_NAMES, REWARD_CYCLE_LENGTH, VOTING_PERIOD, QUORUM_PERCENTAGE, MIN_PROPOSAL_TOKENS, TOKEN_DECIMALS, TOKEN_SYMBOL, MAX_SUPPLY } from './constants.js';
+
+// Deployment manifest
+export { DEPLOYMENTS, NETWORKS, isNetworkName, getDeployment, getContractDeployment, getDeploymentContractNames } from './deployments.js';
+export type { ContractDeployment, NetworkDeployment } from './deployments.js';
 
 // Types
 export type {
+  NetworkName,
   POSVaultConfig,
   ContractNames,
   DepositRecord,
@@ -37,7 +42,85 @@ export {
   isVotingActive,
   getUserActiveProposal,
 } from './read-only.js';
-export type { ReadOnlyOptions } from './read-only.js';
+export { readOnlyCacheKey, readThroughCache } from './read-only.js';
+export type { ReadOnlyOptions, ReadOnlyCache } from './read-only.js';
+
+// Response cache for read-only calls
+export {
+  DEFAULT_CACHE_POLICIES,
+  createResponseCache,
+  createMemoryStore,
+  createLocalStorageStore,
+  createIndexedDBStore,
+  createFileStore,
+} from './cache.js';
+export type {
+  CacheEntry,
+  CacheStore,
+  CachePolicy,
+  CachePolicyRule,
+  CacheStats,
+  ResponseCache,
+  ResponseCacheOptions,
+} from './cache.js';
+
+// Client bound to one deployment
+export { POSVaultClient } from './client.js';
+export type {
+  POSVaultClientOptions,
+  WriteOptions,
+  WriteResult,
+  VaultNamespace,
+  TokenNamespace,
+  GovernanceNamespace,
+  HealthNamespace,
+} from './client.js';
+
+// Batched read-only calls
+export { multicall, fetchUserDashboard, fetchProposalsById, fetchAllProposals, fetchGovernanceSummary, getMulticallStats } from './multicall.js';
+export type { MulticallRequest, MulticallResult, MulticallOptions, MulticallStats, ProposalBatch, ProposalFetchFailure } from './multicall.js';
+export { estimateRewardBounds, buildWithdrawPostConditions, readDepositSnapshot, planWithdraw, planClaimRewards } from './post-conditions.js';
+export type { RewardBounds, PayoutPlan, PayoutPlanOptions, DepositSnapshot } from './post-conditions.js';
+export { validateProposalAction, preflightVote, preflightCreateProposal, preflightExecute, assertPreflight } from './preflight.js';
+export type { ProposalType, PreflightResult, VotePreflight, CreateProposalPreflight, ExecutePreflight } from './preflight.js';
+export { EVENTS_PAGE_LIMIT, decodeClarityHex, decodePrintEvent, toVoteCast, toProposalExecuted, fetchContractEvents, fetchPrintEvents, fetchGovernanceEvents, fetchTxBlockInfo, fetchChainTip } from './contract-events.js';
+export type { HiroContractEvent, PrintEvent, VoteCastEvent, ProposalExecutedEvent, ContractEventsOptions, FetchPrintEventsOptions, TxBlockInfo } from './contract-events.js';
+export {
+  computeGovernanceAnalytics,
+  fetchGovernanceAnalytics,
+  fetchGovernanceState,
+  toAnalyticsProposal,
+  giniCoefficient,
+  nakamotoCoefficient,
+  governanceAnalyticsToCsv,
+  governanceAnalyticsToJson,
+} from './governance-analytics.js';
+export type {
+  ProposalStatus,
+  AnalyticsProposal,
+  GovernanceState,
+  ProposalStats,
+  ParticipationPoint,
+  VoterStats,
+  VotingConcentration,
+  GovernanceSummary,
+  GovernanceAnalytics,
+  GovernanceAnalyticsInput,
+  GovernanceAnalyticsOptions,
+} from './governance-analytics.js';
+export { buildExecutionQueue, fetchExecutionQueue } from './execution-queue.js';
+export type { QueuedProposal, ExecutionQueue } from './execution-queue.js';
+export { decodeContractCall, formatMicroAmount } from './tx-decoder.js';
+export type { HiroTransaction, DecodedContractCall, DecodedCallStatus } from './tx-decoder.js';
+export {
+  classifyTx,
+  buildTxExport,
+  txExportToCsv,
+  txExportToJson,
+  txExportToKoinlyCsv,
+  txExportToCoinTrackerCsv,
+} from './tx-export.js';
+export type { ExportableTransaction, TxExportKind, TxExportRecord } from './tx-export.js';
 
 // Server-side operations (private key signing)
 export {
@@ -72,7 +155,7 @@ export {
   voteOnProposal,
   executeProposal as executeProposalBrowser,
 } from './browser.js';
-export type { BrowserOptions, ContractCallCallbacks } from './browser.js';
+export type { BrowserOptions, ContractCallCallbacks, WalletSenderOptions } from './browser.js';
 
 // Utilities
 export { stxToMicro, microToStx, formatAddress, formatNumber, explorerUrl } from './utils.js';
@@ -83,30 +166,92 @@ export {
   ContractCallError,
   NetworkError,
   ConfigurationError,
-  InsufficientBalanceError,
+  ValidationError,
   ERROR_CODES,
+  ERROR_MESSAGES,
+  decodeContractError,
   getErrorMessage,
 } from './errors.js';
 
 // Validation
-export { validateAddress, validateAmount, validateProposalId, validateNetwork, validateConfig } from './validation.js';
+export {
+  validateAddress,
+  validateAmount,
+  validateProposalId,
+  validateRewardRate,
+  validateNetwork,
+  validatePrivateKey,
+} from './validation.js';
 
 // Configuration
-export { resolveConfig, getContractIdentifier, getVaultCoreId, getTokenId, getVotingId } from './config.js';
+export { resolveConfig, getApiClient, getContractId } from './config.js';
 
 // Calculations
-export { estimateRewards, calculateAPY, blocksUntilNextCycle, toTokenAmount, toMicroAmount } from './calculations.js';
+export { estimateRewards, calculateAPY, blocksUntilNextCycle, simulateRewards, toTokenAmount, toMicroAmount } from './calculations.js';
+export type { RateChange, RewardSimulationInput, RewardSimulationPoint, RewardSimulation } from './calculations.js';
 
 // Events
-export type { TransactionEvent, TransactionEventType, DepositEvent, WithdrawEvent, VoteEvent } from './events.js';
-export { createTransactionEvent, isDepositEvent, isWithdrawEvent, isVoteEvent } from './events.js';
+export type { VaultEvent, VaultEventName, VaultEventData, FetchVaultEventsOptions } from './events.js';
+export {
+  VAULT_EVENT_CONTRACTS,
+  VAULT_EVENT_NAMES,
+  toVaultEvent,
+  vaultEventKey,
+  vaultEventAccount,
+  compareVaultEvents,
+  fetchVaultEventsSince,
+  formatEventLog,
+} from './events.js';
+
+// Event subscriptions
+export { subscribe } from './subscription.js';
+export type {
+  EventSubscription,
+  SubscribeOptions,
+  SubscriptionEventMap,
+  SubscriptionTransport,
+  WebSocketLike,
+  WebSocketConstructor,
+} from './subscription.js';
+
+// Event indexer
+export {
+  createEventIndexer,
+  createMemoryEventStore,
+  createSqliteEventStore,
+  createIndexedDBEventStore,
+  matchesEventQuery,
+} from './event-indexer.js';
+export type {
+  EventIndexer,
+  EventIndexerOptions,
+  EventQuery,
+  EventStore,
+  IndexerSyncResult,
+  IndexerWatchOptions,
+  DailyRewards,
+  SqliteDatabase,
+} from './event-indexer.js';
 
 // Retry
 export type { RetryOptions } from './retry.js';
 export { withRetry } from './retry.js';
 
 // Parsers
-export { parseVaultInfo, parseDeposit, parseUserStats, parseProposal, parseProposalResult, parseVoteRecord } from './parsers.js';
+export {
+  parseVaultInfo,
+  parseDepositRecord,
+  parseDepositRecord as parseDeposit,
+  parseUserStats,
+  parseProposal,
+  parseProposalResult,
+  parseVoteRecord,
+  parseWithdrawResult,
+  extractClarityUint,
+  extractClarityBool,
+  extractClarityString,
+  extractClarityPrincipal,
+} from './clarity-parsers.js';
 
 // Version
 export { SDK_VERSION, SDK_NAME } from './version.js';
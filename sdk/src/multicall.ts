@@ -1,6 +1,7 @@
 import type { ClarityValue } from '@stacks/transactions';
 import type { ContractNames, POSVaultConfig } from './types.js';
-import { resolveConfig, getContractId } from './config.js';
+import { resolveConfig, getApiClient, getContractId } from './config.js';
+import { readOnlyCacheKey, readThroughCache, type ReadOnlyCache } from './read-only.js';
 
 export interface MulticallRequest {
   contract: keyof ContractNames;
@@ -23,30 +24,36 @@ export interface MulticallOptions extends POSVaultConfig {
   abortOnError?: boolean;
   timeoutMs?: number;
   retries?: number;
+  /** Shared with callReadOnly; see `createResponseCache` */
+  cache?: ReadOnlyCache;
 }
 
 async function executeOne(
   req: MulticallRequest,
   config: ReturnType<typeof resolveConfig>,
+  cache?: ReadOnlyCache,
 ): Promise<MulticallResult> {
   const start = Date.now();
   try {
     const { fetchCallReadOnlyFunction, cvToJSON } = await import('@stacks/transactions');
     const contractId = getContractId(config, req.contract);
     const [contractAddress, contractName] = contractId.split('.');
-
-    const result = await fetchCallReadOnlyFunction({
-      contractAddress,
-      contractName,
-      functionName: req.functionName,
-      functionArgs: req.args,
-      senderAddress: req.sender,
-      network: config.network,
-    });
+    const key = cache ? readOnlyCacheKey(config, contractName!, req.functionName, req.args, req.sender) : '';
+
+    const result = await readThroughCache(cache, key, req.functionName, async () =>
+      cvToJSON(await fetchCallReadOnlyFunction({
+        contractAddress,
+        contractName,
+        functionName: req.functionName,
+        functionArgs: req.args,
+        senderAddress: req.sender,
+        network: config.network,
+        client: getApiClient(config),
+      })));
 
     return {
       request: req,
-      result: cvToJSON(result),
+      result,
       error: null,
       durationMs: Date.now() - start,
       retryCount: 0,
@@ -67,6 +74,7 @@ async function executeWithRetry(
   config: ReturnType<typeof resolveConfig>,
   maxRetries: number,
   timeoutMs?: number,
+  cache?: ReadOnlyCache,
 ): Promise<MulticallResult> {
   let lastResult: MulticallResult | null = null;
 
@@ -83,7 +91,7 @@ async function executeWithRetry(
       : null;
 
     try {
-      lastResult = await executeOne(req, config);
+      lastResult = await executeOne(req, config, cache);
       if (timer) clearTimeout(timer);
 
       if (lastResult.error === null) {
@@ -126,7 +134,7 @@ export async function multicall(
   while (queue.length > 0) {
     const batch = queue.splice(0, concurrency);
     const batchResults = await Promise.all(
-      batch.map((req) => executeWithRetry(req, config, retries, timeoutMs)),
+      batch.map((req) => executeWithRetry(req, config, retries, timeoutMs, opts?.cache)),
     );
 
     for (const r of batchResults) {
@@ -181,27 +189,65 @@ export async function fetchUserDashboard(
 // Convenience: fetch all proposals
 // ---------------------------------------------------------------------------
 
-export async function fetchAllProposals(
+export interface ProposalFetchFailure {
+  id: number;
+  error: string;
+}
+
+export interface ProposalBatch {
+  /** Found proposals in request order, as `{ id, ...tupleFields }` (cvToJSON field shape) */
+  proposals: Array<{ id: number } & Record<string, any>>;
+  /** Ids the contract returned `none` for */
+  missing: number[];
+  /** Ids whose read failed after all retries */
+  failures: ProposalFetchFailure[];
+}
+
+/**
+ * Fetch an arbitrary set of proposals in parallel batches, keeping
+ * failed reads separate from proposals that do not exist.
+ */
+export async function fetchProposalsById(
   senderAddress: string,
-  proposalCount: number,
+  ids: number[],
   opts?: MulticallOptions,
-) {
+): Promise<ProposalBatch> {
   const { uintCV } = await import('@stacks/transactions');
 
-  const requests: MulticallRequest[] = [];
-  for (let i = 1; i <= proposalCount; i++) {
-    requests.push({
-      contract: 'proposalVoting',
-      functionName: 'get-proposal',
-      args: [uintCV(i)],
-      sender: senderAddress,
-    });
-  }
+  const requests: MulticallRequest[] = ids.map((id) => ({
+    contract: 'proposalVoting',
+    functionName: 'get-proposal',
+    args: [uintCV(id)],
+    sender: senderAddress,
+    label: String(id),
+  }));
 
   const results = await multicall(requests, opts);
-  return results
-    .filter((r) => r.result !== null)
-    .map((r, idx) => ({ id: idx + 1, ...r.result }));
+  const batch: ProposalBatch = { proposals: [], missing: [], failures: [] };
+
+  results.forEach((r) => {
+    const id = Number(r.request.label);
+    if (r.error !== null) {
+      batch.failures.push({ id, error: r.error });
+      return;
+    }
+    // get-proposal returns (optional (tuple ...))
+    const fields = r.result?.value?.value;
+    if (fields) batch.proposals.push({ id, ...fields });
+    else batch.missing.push(id);
+  });
+
+  return batch;
+}
+
+export async function fetchAllProposals(
+  senderAddress: string,
+  proposalCount: number,
+  opts?: MulticallOptions,
+) {
+  const ids = Array.from({ length: proposalCount }, (_, i) => i + 1);
+  const { proposals } = await fetchProposalsById(senderAddress, ids, opts);
+  return proposals;
 }
 
 // ---------------------------------------------------------------------------
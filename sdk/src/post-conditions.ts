@@ -0,0 +1,141 @@
+import { Pc, PostConditionMode, principalCV, type PostCondition } from '@stacks/transactions';
+import { REWARD_CYCLE_LENGTH } from './constants.js';
+import { resolveConfig, getContractId } from './config.js';
+import { estimateRewards } from './calculations.js';
+import { POSVaultError, ValidationError } from './errors.js';
+import { multicall, type MulticallOptions } from './multicall.js';
+
+// ---------------------------------------------------------------------------
+// Post-conditions for vault payouts
+//
+// `withdraw` sends the depositor's STX back from the vault contract and
+// both `withdraw` and `claim-rewards` mint POS-GOV. Stacks post-conditions
+// only cover assets a principal *sends*; a mint has no sender and cannot
+// be bounded on-chain. The calls therefore run in Deny mode with:
+//   - withdraw: the vault sends exactly the deposited amount of STX
+//   - claim-rewards: no post-conditions, so no asset may leave any principal
+// and the expected reward range is returned for callers to display.
+// ---------------------------------------------------------------------------
+
+export interface RewardBounds {
+  /** Rewards pending at the block the reads were made */
+  min: bigint;
+  /** Rewards if the tx confirms up to `marginBlocks` later */
+  max: bigint;
+}
+
+export interface PayoutPlan {
+  postConditions: PostCondition[];
+  postConditionMode: PostConditionMode;
+  /** STX the vault returns (0 for claim-rewards) */
+  stxAmount: bigint;
+  rewards: RewardBounds;
+}
+
+export interface PayoutPlanOptions extends MulticallOptions {
+  /**
+   * Blocks the transaction may wait between read and confirmation.
+   * Rewards accrue per completed cycle, so one cycle covers any single
+   * boundary crossing. Defaults to REWARD_CYCLE_LENGTH.
+   */
+  marginBlocks?: number;
+}
+
+export interface DepositSnapshot {
+  amount: bigint;
+  lastClaimBlock: bigint;
+  pendingRewards: bigint;
+  rewardRate: bigint;
+  currentBlock: bigint;
+}
+
+/**
+ * Reward range for a payout that confirms between `currentBlock` and
+ * `currentBlock + marginBlocks`. Mirrors vault-core `calculate-pending-rewards`.
+ */
+export function estimateRewardBounds(
+  snapshot: DepositSnapshot,
+  marginBlocks: number = REWARD_CYCLE_LENGTH,
+): RewardBounds {
+  const latest = snapshot.currentBlock + BigInt(marginBlocks) - snapshot.lastClaimBlock;
+  const projected = estimateRewards(snapshot.amount, snapshot.rewardRate, latest);
+  const min = snapshot.pendingRewards;
+  return { min, max: projected > min ? projected : min };
+}
+
+/** The vault contract sends exactly `depositAmount` micro-STX */
+export function buildWithdrawPostConditions(
+  vaultContractId: string,
+  depositAmount: bigint,
+): PostCondition[] {
+  return [Pc.principal(vaultContractId).willSendEq(depositAmount).ustx()];
+}
+
+/**
+ * Read the depositor's position in one batch.
+ * Throws POSVaultError (ERR-NO-DEPOSIT) when there is nothing to withdraw.
+ */
+export async function readDepositSnapshot(
+  depositor: string,
+  opts?: MulticallOptions,
+): Promise<DepositSnapshot> {
+  const who = principalCV(depositor);
+  const [deposit, pending, info] = await multicall(
+    [
+      { contract: 'vaultCore', functionName: 'get-deposit', args: [who], sender: depositor },
+      { contract: 'vaultCore', functionName: 'get-pending-rewards', args: [who], sender: depositor },
+      { contract: 'vaultCore', functionName: 'get-vault-info', args: [], sender: depositor },
+    ],
+    opts,
+  );
+
+  const failed = [deposit, pending, info].find((r) => r?.error);
+  if (failed) {
+    throw new POSVaultError(`Could not read deposit for ${depositor}: ${failed.error}`);
+  }
+
+  const record = deposit?.result?.value?.value;
+  if (!record) throw new POSVaultError(`No active deposit for ${depositor}`, 206);
+  const vault = info?.result?.value?.value;
+
+  return {
+    amount: BigInt(record['amount'].value),
+    lastClaimBlock: BigInt(record['last-claim-block'].value),
+    pendingRewards: BigInt(pending?.result?.value?.value ?? 0),
+    rewardRate: BigInt(vault['reward-rate'].value),
+    currentBlock: BigInt(vault['current-block'].value),
+  };
+}
+
+/** Post-conditions and expected payout for `withdraw` */
+export async function planWithdraw(depositor: string, opts?: PayoutPlanOptions): Promise<PayoutPlan> {
+  const snapshot = await readDepositSnapshot(depositor, opts);
+  const vaultContractId = getContractId(resolveConfig(opts), 'vaultCore');
+
+  return {
+    postConditions: buildWithdrawPostConditions(vaultContractId, snapshot.amount),
+    postConditionMode: PostConditionMode.Deny,
+    stxAmount: snapshot.amount,
+    rewards: estimateRewardBounds(snapshot, opts?.marginBlocks),
+  };
+}
+
+/**
+ * Post-conditions and expected payout for `claim-rewards`.
+ * Throws ValidationError when nothing is pending yet, since the contract
+ * would abort with ERR-INVALID-AMOUNT unless a cycle completes first.
+ */
+export async function planClaimRewards(depositor: string, opts?: PayoutPlanOptions): Promise<PayoutPlan> {
+  const snapshot = await readDepositSnapshot(depositor, opts);
+  const rewards = estimateRewardBounds(snapshot, opts?.marginBlocks);
+  if (rewards.min === 0n) {
+    throw new ValidationError('No rewards to claim yet');
+  }
+
+  return {
+    postConditions: [],
+    postConditionMode: PostConditionMode.Deny,
+    stxAmount: 0n,
+    rewards,
+  };
+}
@@ -0,0 +1,202 @@
+import { principalCV, uintCV } from '@stacks/transactions';
+import { MIN_PROPOSAL_TOKENS, QUORUM_PERCENTAGE } from './constants.js';
+import { POSVaultError, getErrorMessage } from './errors.js';
+import { multicall, type MulticallOptions, type MulticallResult } from './multicall.js';
+
+// ---------------------------------------------------------------------------
+// Governance pre-flight checks
+//
+// `vote`, `create-proposal` and `execute-proposal` abort with an error code
+// only after the sender has paid the fee. These checks make the same reads
+// the contract will make, in the same order, so callers can disable the
+// action (or refuse to sign) with the reason the contract would give.
+// State can still change before the tx confirms; a passing check is a
+// prediction, not a guarantee.
+// ---------------------------------------------------------------------------
+
+export type ProposalType = 'general' | 'reward-rate' | 'pause';
+
+export interface PreflightResult {
+  ok: boolean;
+  /** Contract error code the call would abort with, or null */
+  code: number | null;
+  /** Human-readable reason, or null when ok */
+  reason: string | null;
+}
+
+export interface VotePreflight extends PreflightResult {
+  /** Weight the vote would record: the voter's POS-GOV balance */
+  weight: bigint;
+  /** The vote already on record, if any */
+  existingVote: { support: boolean; amount: bigint } | null;
+  /** `is-voting-active` for the proposal, or null when it doesn't exist */
+  votingActive: boolean | null;
+}
+
+export interface CreateProposalPreflight extends PreflightResult {
+  balance: bigint;
+  minTokens: bigint;
+  /** The proposer's proposal that is still open, if any */
+  activeProposalId: number | null;
+}
+
+export interface ExecutePreflight extends PreflightResult {
+  votesFor: bigint;
+  votesAgainst: bigint;
+  /** Votes needed against the current POS-GOV supply */
+  quorumNeeded: bigint;
+  /** Whether the proposal would pass if executed now */
+  passed: boolean;
+}
+
+function pass<T extends object>(details: T): T & PreflightResult {
+  return { ok: true, code: null, reason: null, ...details };
+}
+
+function fail<T extends object>(code: number, details: T): T & PreflightResult {
+  return { ok: false, code, reason: getErrorMessage(code), ...details };
+}
+
+function ensureRead(results: MulticallResult[]) {
+  const failed = results.find((r) => r?.error);
+  if (failed) {
+    throw new POSVaultError(`Pre-flight read ${failed.request.functionName} failed: ${failed.error}`);
+  }
+}
+
+// (err uN) from cvToJSON: { success: false, value: { value: 'N' } }
+function errCode(result: any): number | null {
+  return result?.success === false ? Number(result.value?.value) : null;
+}
+
+/**
+ * Mirror of proposal-voting `is-valid-proposal`: general and pause
+ * proposals carry value 0, reward-rate proposals a non-zero rate.
+ * Returns ERR-INVALID-PROPOSAL (308) or null.
+ */
+export function validateProposalAction(proposalType: string, value: number | bigint): number | null {
+  const v = BigInt(value);
+  if (proposalType === 'general' || proposalType === 'pause') return v === 0n ? null : 308;
+  if (proposalType === 'reward-rate') return v > 0n ? null : 308;
+  return 308;
+}
+
+/**
+ * Would `vote` succeed for this voter? Checks the POS-GOV balance
+ * (ERR-INSUFFICIENT-TOKENS), `is-voting-active` (ERR-PROPOSAL-NOT-FOUND,
+ * ERR-VOTING-ENDED) and `get-vote-record` (ERR-ALREADY-VOTED).
+ */
+export async function preflightVote(
+  voter: string,
+  proposalId: number,
+  opts?: MulticallOptions,
+): Promise<VotePreflight> {
+  const who = principalCV(voter);
+  const id = uintCV(proposalId);
+  const results = await multicall(
+    [
+      { contract: 'governanceToken', functionName: 'get-balance', args: [who], sender: voter },
+      { contract: 'proposalVoting', functionName: 'is-voting-active', args: [id], sender: voter },
+      { contract: 'proposalVoting', functionName: 'get-vote-record', args: [id, who], sender: voter },
+    ],
+    opts,
+  );
+  ensureRead(results);
+  const [balance, active, record] = results;
+
+  const weight = BigInt(balance?.result?.value?.value ?? 0);
+  const existing = record?.result?.value?.value;
+  const notFound = errCode(active?.result);
+  const details = {
+    weight,
+    existingVote: existing
+      ? { support: existing.support?.value === true, amount: BigInt(existing.amount?.value ?? 0) }
+      : null,
+    votingActive: notFound === null ? active?.result?.value?.value === true : null,
+  };
+
+  if (notFound !== null) return fail(notFound, details);
+  if (weight === 0n) return fail(306, details);
+  if (!details.votingActive) return fail(303, details);
+  if (details.existingVote) return fail(302, details);
+  return pass(details);
+}
+
+/**
+ * Would `create-proposal` succeed for this proposer? Checks the
+ * MIN-PROPOSAL-TOKENS balance, the type/value combination and
+ * `get-user-active-proposal` (ERR-VOTING-ACTIVE).
+ */
+export async function preflightCreateProposal(
+  proposer: string,
+  proposalType: string,
+  value: number | bigint,
+  opts?: MulticallOptions,
+): Promise<CreateProposalPreflight> {
+  const who = principalCV(proposer);
+  const results = await multicall(
+    [
+      { contract: 'governanceToken', functionName: 'get-balance', args: [who], sender: proposer },
+      { contract: 'proposalVoting', functionName: 'get-user-active-proposal', args: [who], sender: proposer },
+    ],
+    opts,
+  );
+  ensureRead(results);
+  const [balance, active] = results;
+
+  const activeId = active?.result?.value?.value;
+  const details = {
+    balance: BigInt(balance?.result?.value?.value ?? 0),
+    minTokens: BigInt(MIN_PROPOSAL_TOKENS),
+    activeProposalId: activeId === undefined ? null : Number(activeId),
+  };
+
+  if (details.balance < details.minTokens) return fail(306, details);
+  const invalid = validateProposalAction(proposalType, value);
+  if (invalid !== null) return fail(invalid, details);
+  if (details.activeProposalId !== null) return fail(309, details);
+  return pass(details);
+}
+
+/**
+ * Would `execute-proposal` succeed now? Checks `get-proposal-result`
+ * (ERR-PROPOSAL-NOT-FOUND, ERR-VOTING-NOT-ENDED, ERR-PROPOSAL-EXECUTED)
+ * and quorum against `get-total-supply` (ERR-QUORUM-NOT-MET).
+ */
+export async function preflightExecute(
+  proposalId: number,
+  sender: string,
+  opts?: MulticallOptions,
+): Promise<ExecutePreflight> {
+  const results = await multicall(
+    [
+      { contract: 'proposalVoting', functionName: 'get-proposal-result', args: [uintCV(proposalId)], sender },
+      { contract: 'governanceToken', functionName: 'get-total-supply', args: [], sender },
+    ],
+    opts,
+  );
+  ensureRead(results);
+  const [result, supply] = results;
+
+  const tally = result?.result?.value?.value;
+  const totalSupply = BigInt(supply?.result?.value?.value ?? 0);
+  const details = {
+    votesFor: BigInt(tally?.['votes-for']?.value ?? 0),
+    votesAgainst: BigInt(tally?.['votes-against']?.value ?? 0),
+    quorumNeeded: (totalSupply * BigInt(QUORUM_PERCENTAGE)) / 100n,
+    passed: tally?.passed?.value === true,
+  };
+
+  const notFound = errCode(result?.result);
+  if (notFound !== null) return fail(notFound, details);
+  if (tally['voting-ended']?.value !== true) return fail(304, details);
+  if (tally.executed?.value === true) return fail(305, details);
+  if (details.votesFor + details.votesAgainst < details.quorumNeeded) return fail(307, details);
+  return pass(details);
+}
+
+/** Throw a POSVaultError carrying the contract error code when a check failed */
+export function assertPreflight<T extends PreflightResult>(check: T): T {
+  if (!check.ok) throw new POSVaultError(check.reason ?? 'Pre-flight check failed', check.code ?? undefined);
+  return check;
+}
@@ -2,23 +2,87 @@ import {
   cvToJSON,
   fetchCallReadOnlyFunction,
   principalCV,
+  serializeCV,
   uintCV,
   type ClarityValue,
 } from '@stacks/transactions';
-import { DEPLOYER, CONTRACT_NAMES } from './constants.js';
-import type { ContractNames } from './types.js';
+import {
+  extractClarityBool,
+  extractClarityUint,
+  parseDepositRecord,
+  parseProposal,
+  parseProposalResult,
+  parseUserStats,
+  parseVaultInfo,
+  parseVoteRecord,
+} from './clarity-parsers.js';
+import { resolveConfig, getApiClient, type ResolvedConfig } from './config.js';
+import { ContractCallError, NetworkError, getErrorMessage } from './errors.js';
+import { withRetry, type RetryOptions } from './retry.js';
+import type {
+  ContractNames,
+  DepositRecord,
+  POSVaultConfig,
+  Proposal,
+  ProposalResult,
+  UserStats,
+  VaultInfo,
+  VoteRecord,
+} from './types.js';
 
-export interface ReadOnlyOptions {
-  deployer?: string;
-  contractNames?: Partial<ContractNames>;
-  network?: 'mainnet' | 'testnet';
+/**
+ * Store for read-only results. Anything with `get` / `set`, such as a Map,
+ * works; entries are kept until the store drops them. Caches that also
+ * implement `load` (see `createResponseCache`) handle the whole lookup:
+ * expiry, sharing in-flight requests and stats.
+ */
+export interface ReadOnlyCache {
+  get(key: string): unknown | Promise<unknown>;
+  set(key: string, value: unknown): unknown;
+  load?(key: string, functionName: string, fetch: () => Promise<unknown>): Promise<unknown>;
 }
 
-function resolveConfig(opts?: ReadOnlyOptions) {
-  const deployer = opts?.deployer ?? DEPLOYER;
-  const names = { ...CONTRACT_NAMES, ...opts?.contractNames };
-  const network = opts?.network ?? 'mainnet';
-  return { deployer, names, network };
+/**
+ * Read through `cache`: `load` when it has one, else `get`, then `set`
+ * once the fetch succeeds
+ */
+export async function readThroughCache<T>(
+  cache: ReadOnlyCache | undefined,
+  key: string,
+  functionName: string,
+  fetch: () => Promise<T>,
+): Promise<T> {
+  if (!cache) return fetch();
+  if (cache.load) return cache.load(key, functionName, fetch) as Promise<T>;
+  const cached = await cache.get(key);
+  if (cached !== undefined) return cached as T;
+  const value = await fetch();
+  await cache.set(key, value);
+  return value;
+}
+
+export interface ReadOnlyOptions extends POSVaultConfig {
+  /** Retry failed calls (rate limits, 5xx, dropped connections) */
+  retry?: RetryOptions;
+  cache?: ReadOnlyCache;
+}
+
+/** Cache key of a read-only call: network, contract, function, arguments and sender */
+export function readOnlyCacheKey(
+  config: ResolvedConfig,
+  contractName: string,
+  functionName: string,
+  functionArgs: ClarityValue[],
+  senderAddress: string,
+): string {
+  const args = functionArgs.map((arg) => serializeCV(arg)).join(',');
+  return `${config.network}:${config.deployer}.${contractName}::${functionName}(${args})@${senderAddress}`;
+}
+
+// @stacks/transactions reports HTTP failures as plain errors; retries key off the status
+function toNetworkError(err: unknown): unknown {
+  const status = err instanceof Error ? /Response (\d{3})/.exec(err.message) : null;
+  return status ? new NetworkError((err as Error).message, Number(status[1])) : err;
 }
 
 export async function callReadOnly(
@@ -28,241 +92,210 @@ export async function callReadOnly(
   senderAddress: string,
   opts?: ReadOnlyOptions,
 ) {
-  const { deployer, network } = resolveConfig(opts);
-  const result = await fetchCallReadOnlyFunction({
-    contractAddress: deployer,
-    contractName,
-    functionName,
-    functionArgs,
-    senderAddress,
-    network,
-  });
-  return cvToJSON(result);
+  const config = resolveConfig(opts);
+  const cache = opts?.cache;
+  const key = cache ? readOnlyCacheKey(config, contractName, functionName, functionArgs, senderAddress) : '';
+
+  const call = async () => {
+    try {
+      return await fetchCallReadOnlyFunction({
+        contractAddress: config.deployer,
+        contractName,
+        functionName,
+        functionArgs,
+        senderAddress,
+        network: config.network,
+        client: getApiClient(config),
+      });
+    } catch (err) {
+      throw toNetworkError(err);
+    }
+  };
+  return readThroughCache(cache, key, functionName, async () =>
+    cvToJSON(opts?.retry ? await withRetry(call, opts.retry) : await call()));
+}
+
+// ---------------------------------------------------------------------------
+// Typed reads
+//
+// Every helper below returns the parsed, bigint-based shape from
+// `types.ts`. `(ok …)` and `(some …)` are unwrapped and `none` becomes
+// null. An `(err uN)` result, or a response that does not parse, throws a
+// ContractCallError naming the contract and function (with the contract's
+// error code for the former).
+// ---------------------------------------------------------------------------
+
+type ClarityJson = { type?: string; value?: unknown; success?: boolean } | null | undefined;
+
+function unwrap(json: ClarityJson, contractName: string, functionName: string): unknown {
+  let current = json;
+  for (;;) {
+    if (current?.success === false) {
+      let code: number | undefined;
+      try {
+        code = Number(extractClarityUint(current.value));
+      } catch {
+        code = undefined;
+      }
+      const message = code !== undefined ? getErrorMessage(code) : `Call returned (err ${JSON.stringify(current.value)})`;
+      throw new ContractCallError(functionName, contractName, message, code);
+    }
+    if (current?.success === true || current?.type?.startsWith('(optional')) {
+      current = current.value as ClarityJson;
+      if (current === null) return null;
+      continue;
+    }
+    return current;
+  }
+}
+
+async function readOptional<T>(
+  contract: keyof ContractNames,
+  functionName: string,
+  functionArgs: ClarityValue[],
+  senderAddress: string,
+  opts: ReadOnlyOptions | undefined,
+  parse: (value: unknown) => T,
+): Promise<T | null> {
+  const contractName = resolveConfig(opts).contractNames[contract];
+  const json = await callReadOnly(contractName, functionName, functionArgs, senderAddress, opts);
+  const value = unwrap(json as ClarityJson, contractName, functionName);
+  if (value === null) return null;
+  try {
+    return parse(value);
+  } catch (err) {
+    throw new ContractCallError(functionName, contractName, `Malformed response: ${(err as Error).message}`);
+  }
+}
+
+async function readRequired<T>(
+  contract: keyof ContractNames,
+  functionName: string,
+  functionArgs: ClarityValue[],
+  senderAddress: string,
+  opts: ReadOnlyOptions | undefined,
+  parse: (value: unknown) => T,
+): Promise<T> {
+  const value = await readOptional(contract, functionName, functionArgs, senderAddress, opts, parse);
+  if (value === null) {
+    const contractName = resolveConfig(opts).contractNames[contract];
+    throw new ContractCallError(functionName, contractName, 'Malformed response: expected a value, got none');
+  }
+  return value;
 }
 
 // ---------------------------------------------------------------------------
 // Vault read-only helpers
 // ---------------------------------------------------------------------------
 
-export async function getVaultInfo(senderAddress: string, opts?: ReadOnlyOptions) {
-  const { names } = resolveConfig(opts);
-  const res = await callReadOnly(names.vaultCore, 'get-vault-info', [], senderAddress, opts);
-  const v = res.value?.value ?? res.value;
-  return {
-    totalStxLocked: BigInt(v['total-stx-locked'].value),
-    totalDepositors: BigInt(v['total-depositors'].value),
-    rewardRate: BigInt(v['reward-rate'].value),
-    isPaused: v['is-paused'].value,
-    currentBlock: BigInt(v['current-block'].value),
-  };
+export async function getVaultInfo(senderAddress: string, opts?: ReadOnlyOptions): Promise<VaultInfo> {
+  return readRequired('vaultCore', 'get-vault-info', [], senderAddress, opts, parseVaultInfo);
 }
 
-export async function getDeposit(depositor: string, opts?: ReadOnlyOptions) {
-  const { names } = resolveConfig(opts);
-  const res = await callReadOnly(
-    names.vaultCore,
-    'get-deposit',
-    [principalCV(depositor)],
-    depositor,
-    opts,
-  );
-  if (!res.value) return null;
-  const v = res.value;
-  return {
-    amount: BigInt(v.amount.value),
-    depositBlock: BigInt(v['deposit-block'].value),
-    lastClaimBlock: BigInt(v['last-claim-block'].value),
-    totalRewardsClaimed: BigInt(v['total-rewards-claimed'].value),
-  };
+/** The depositor's current deposit, or null when they have none */
+export async function getDeposit(depositor: string, opts?: ReadOnlyOptions): Promise<DepositRecord | null> {
+  return readOptional('vaultCore', 'get-deposit', [principalCV(depositor)], depositor, opts, parseDepositRecord);
 }
 
-export async function getUserStats(userAddress: string, opts?: ReadOnlyOptions) {
-  const { names } = resolveConfig(opts);
-  const res = await callReadOnly(
-    names.vaultCore,
-    'get-user-stats',
-    [principalCV(userAddress)],
-    userAddress,
-    opts,
-  );
-  const v = res.value ?? res;
-  return {
-    totalDeposited: BigInt(v['total-deposited'].value),
-    totalWithdrawn: BigInt(v['total-withdrawn'].value),
-    totalRewards: BigInt(v['total-rewards'].value),
-    depositCount: BigInt(v['deposit-count'].value),
-  };
+export async function getUserStats(userAddress: string, opts?: ReadOnlyOptions): Promise<UserStats> {
+  return readRequired('vaultCore', 'get-user-stats', [principalCV(userAddress)], userAddress, opts, parseUserStats);
 }
 
-export async function getPendingRewards(depositor: string, opts?: ReadOnlyOptions) {
-  const { names } = resolveConfig(opts);
-  const res = await callReadOnly(
-    names.vaultCore,
-    'get-pending-rewards',
-    [principalCV(depositor)],
-    depositor,
-    opts,
-  );
-  return BigInt(res.value?.value ?? res.value);
+export async function getPendingRewards(depositor: string, opts?: ReadOnlyOptions): Promise<bigint> {
+  return readRequired('vaultCore', 'get-pending-rewards', [principalCV(depositor)], depositor, opts, extractClarityUint);
 }
 
-export async function getRewardRate(senderAddress: string, opts?: ReadOnlyOptions) {
-  const { names } = resolveConfig(opts);
-  const res = await callReadOnly(names.vaultCore, 'get-reward-rate', [], senderAddress, opts);
-  return BigInt(res.value?.value ?? res.value);
+export async function getRewardRate(senderAddress: string, opts?: ReadOnlyOptions): Promise<bigint> {
+  return readRequired('vaultCore', 'get-reward-rate', [], senderAddress, opts, extractClarityUint);
 }
 
-export async function isPaused(senderAddress: string, opts?: ReadOnlyOptions) {
-  const { names } = resolveConfig(opts);
-  const res = await callReadOnly(names.vaultCore, 'is-paused', [], senderAddress, opts);
-  return Boolean(res.value?.value ?? res.value);
+export async function isPaused(senderAddress: string, opts?: ReadOnlyOptions): Promise<boolean> {
+  return readRequired('vaultCore', 'is-paused', [], senderAddress, opts, extractClarityBool);
 }
 
 // ---------------------------------------------------------------------------
 // Governance Token read-only helpers
 // ---------------------------------------------------------------------------
 
-export async function getTokenBalance(account: string, opts?: ReadOnlyOptions) {
-  const { names } = resolveConfig(opts);
-  const res = await callReadOnly(
-    names.governanceToken,
-    'get-balance',
-    [principalCV(account)],
-    account,
-    opts,
-  );
-  return BigInt(res.value?.value ?? res.value);
+export async function getTokenBalance(account: string, opts?: ReadOnlyOptions): Promise<bigint> {
+  return readRequired('governanceToken', 'get-balance', [principalCV(account)], account, opts, extractClarityUint);
 }
 
-export async function getTotalSupply(senderAddress: string, opts?: ReadOnlyOptions) {
-  const { names } = resolveConfig(opts);
-  const res = await callReadOnly(names.governanceToken, 'get-total-supply', [], senderAddress, opts);
-  return BigInt(res.value?.value ?? res.value);
+export async function getTotalSupply(senderAddress: string, opts?: ReadOnlyOptions): Promise<bigint> {
+  return readRequired('governanceToken', 'get-total-supply', [], senderAddress, opts, extractClarityUint);
 }
 
-export async function getTotalMinted(senderAddress: string, opts?: ReadOnlyOptions) {
-  const { names } = resolveConfig(opts);
-  const res = await callReadOnly(names.governanceToken, 'get-total-minted', [], senderAddress, opts);
-  return BigInt(res.value?.value ?? res.value);
+export async function getTotalMinted(senderAddress: string, opts?: ReadOnlyOptions): Promise<bigint> {
+  return readRequired('governanceToken', 'get-total-minted', [], senderAddress, opts, extractClarityUint);
 }
 
-export async function isMinter(account: string, senderAddress: string, opts?: ReadOnlyOptions) {
-  const { names } = resolveConfig(opts);
-  const res = await callReadOnly(
-    names.governanceToken,
-    'is-minter',
-    [principalCV(account)],
-    senderAddress,
-    opts,
-  );
-  return Boolean(res.value?.value ?? res.value);
+export async function isMinter(account: string, senderAddress: string, opts?: ReadOnlyOptions): Promise<boolean> {
+  return readRequired('governanceToken', 'is-minter', [principalCV(account)], senderAddress, opts, extractClarityBool);
 }
 
-export async function getMintingStatus(senderAddress: string, opts?: ReadOnlyOptions) {
-  const { names } = resolveConfig(opts);
-  const res = await callReadOnly(names.governanceToken, 'get-minting-status', [], senderAddress, opts);
-  return Boolean(res.value?.value ?? res.value);
+export async function getMintingStatus(senderAddress: string, opts?: ReadOnlyOptions): Promise<boolean> {
+  return readRequired('governanceToken', 'get-minting-status', [], senderAddress, opts, extractClarityBool);
 }
 
 // ---------------------------------------------------------------------------
 // Proposal Voting read-only helpers
 // ---------------------------------------------------------------------------
 
-export async function getProposal(proposalId: number, senderAddress: string, opts?: ReadOnlyOptions) {
-  const { names } = resolveConfig(opts);
-  const res = await callReadOnly(
-    names.proposalVoting,
-    'get-proposal',
-    [uintCV(proposalId)],
-    senderAddress,
-    opts,
-  );
-  if (!res.value) return null;
-  const v = res.value;
-  return {
-    proposer: String(v.proposer.value),
-    title: String(v.title.value),
-    description: String(v.description.value),
-    proposalType: String(v['proposal-type'].value),
-    value: BigInt(v.value.value),
-    startBlock: BigInt(v['start-block'].value),
-    endBlock: BigInt(v['end-block'].value),
-    votesFor: BigInt(v['votes-for'].value),
-    votesAgainst: BigInt(v['votes-against'].value),
-    totalVoters: BigInt(v['total-voters'].value),
-    executed: Boolean(v.executed.value),
-    passed: Boolean(v.passed.value),
-  };
+/** The proposal, or null when no proposal has this id */
+export async function getProposal(
+  proposalId: number,
+  senderAddress: string,
+  opts?: ReadOnlyOptions,
+): Promise<Proposal | null> {
+  return readOptional('proposalVoting', 'get-proposal', [uintCV(proposalId)], senderAddress, opts, parseProposal);
 }
 
-export async function getProposalCount(senderAddress: string, opts?: ReadOnlyOptions) {
-  const { names } = resolveConfig(opts);
-  const res = await callReadOnly(names.proposalVoting, 'get-proposal-count', [], senderAddress, opts);
-  return BigInt(res.value?.value ?? res.value);
+export async function getProposalCount(senderAddress: string, opts?: ReadOnlyOptions): Promise<bigint> {
+  return readRequired('proposalVoting', 'get-proposal-count', [], senderAddress, opts, extractClarityUint);
 }
 
-export async function getProposalResult(proposalId: number, senderAddress: string, opts?: ReadOnlyOptions) {
-  const { names } = resolveConfig(opts);
-  const res = await callReadOnly(
-    names.proposalVoting,
+/** Throws ContractCallError (code 301) when no proposal has this id */
+export async function getProposalResult(
+  proposalId: number,
+  senderAddress: string,
+  opts?: ReadOnlyOptions,
+): Promise<ProposalResult> {
+  return readRequired(
+    'proposalVoting',
     'get-proposal-result',
     [uintCV(proposalId)],
     senderAddress,
     opts,
+    parseProposalResult,
   );
-  const v = res.value?.value ?? res.value;
-  return {
-    passed: Boolean(v.passed.value),
-    votesFor: BigInt(v['votes-for'].value),
-    votesAgainst: BigInt(v['votes-against'].value),
-    totalVoters: BigInt(v['total-voters'].value),
-    executed: Boolean(v.executed.value),
-    votingEnded: Boolean(v['voting-ended'].value),
-  };
 }
 
+/** The voter's vote on the proposal, or null when they have not voted */
 export async function getVoteRecord(
   proposalId: number,
   voter: string,
   opts?: ReadOnlyOptions,
-) {
-  const { names } = resolveConfig(opts);
-  const res = await callReadOnly(
-    names.proposalVoting,
+): Promise<VoteRecord | null> {
+  return readOptional(
+    'proposalVoting',
     'get-vote-record',
     [uintCV(proposalId), principalCV(voter)],
     voter,
     opts,
+    parseVoteRecord,
   );
-  if (!res.value) return null;
-  const v = res.value;
-  return {
-    amount: BigInt(v.amount.value),
-    support: Boolean(v.support.value),
-  };
 }
 
-export async function isVotingActive(proposalId: number, senderAddress: string, opts?: ReadOnlyOptions) {
-  const { names } = resolveConfig(opts);
-  const res = await callReadOnly(
-    names.proposalVoting,
-    'is-voting-active',
-    [uintCV(proposalId)],
-    senderAddress,
-    opts,
-  );
-  return Boolean(res.value?.value ?? res.value);
+/** Throws ContractCallError (code 301) when no proposal has this id */
+export async function isVotingActive(
+  proposalId: number,
+  senderAddress: string,
+  opts?: ReadOnlyOptions,
+): Promise<boolean> {
+  return readRequired('proposalVoting', 'is-voting-active', [uintCV(proposalId)], senderAddress, opts, extractClarityBool);
 }
 
-export async function getUserActiveProposal(user: string, opts?: ReadOnlyOptions) {
-  const { names } = resolveConfig(opts);
-  const res = await callReadOnly(
-    names.proposalVoting,
-    'get-user-active-proposal',
-    [principalCV(user)],
-    user,
-    opts,
-  );
-  if (!res.value) return null;
-  return BigInt(res.value);
+/** Id of the user's proposal that is still open, or null */
+export async function getUserActiveProposal(user: string, opts?: ReadOnlyOptions): Promise<bigint | null> {
+  return readOptional('proposalVoting', 'get-user-active-proposal', [principalCV(user)], user, opts, extractClarityUint);
 }
@@ -1,29 +0,0 @@
-// SDK response caching layer — Module 10
-import { DEPLOYER, CONTRACT_NAMES } from './constants.js';
-
-export interface Config_15_10 {
-  deployer: string;
-  network: 'mainnet' | 'testnet';
-  enabled: boolean;
-}
-
-export const defaultConfig_15_10: Config_15_10 = {
-  deployer: DEPLOYER,
-  network: 'mainnet',
-  enabled: true,
-};
-
-export function setup_15_10(config?: Partial<Config_15_10>): Config_15_10 {
-  const merged = { ...defaultConfig_15_10, ...config };
-  if (!merged.deployer) throw new Error('Deployer required');
-  return merged;
-}
-
-export function getContractAddress_15_10(config: Config_15_10): string {
-  return `${config.deployer}.${CONTRACT_NAMES.vaultCore}`;
-}
-
-export async function execute_15_10(config: Config_15_10): Promise<{ success: boolean; data: string }> {
-  const addr = getContractAddress_15_10(config);
-  return { success: config.enabled, data: addr };
-}
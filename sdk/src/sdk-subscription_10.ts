@@ -1,29 +0,0 @@
-// SDK event subscription manager — Module 10
-import { DEPLOYER, CONTRACT_NAMES } from './constants.js';
-
-export interface Config_18_10 {
-  deployer: string;
-  network: 'mainnet' | 'testnet';
-  enabled: boolean;
-}
-
-export const defaultConfig_18_10: Config_18_10 = {
-  deployer: DEPLOYER,
-  network: 'mainnet',
-  enabled: true,
-};
-
-export function setup_18_10(config?: Partial<Config_18_10>): Config_18_10 {
-  const merged = { ...defaultConfig_18_10, ...config };
-  if (!merged.deployer) throw new Error('Deployer required');
-  return merged;
-}
-
-export function getContractAddress_18_10(config: Config_18_10): string {
-  return `${config.deployer}.${CONTRACT_NAMES.vaultCore}`;
-}
-
-export async function execute_18_10(config: Config_18_10): Promise<{ success: boolean; data: string }> {
-  const addr = getContractAddress_18_10(config);
-  return { success: config.enabled, data: addr };
-}
@@ -1,29 +0,0 @@
-// SDK event subscription manager — Module 4
-import { DEPLOYER, CONTRACT_NAMES } from './constants.js';
-
-export interface Config_18_4 {
-  deployer: string;
-  network: 'mainnet' | 'testnet';
-  enabled: boolean;
-}
-
-export const defaultConfig_18_4: Config_18_4 = {
-  deployer: DEPLOYER,
-  network: 'mainnet',
-  enabled: true,
-};
-
-export function setup_18_4(config?: Partial<Config_18_4>): Config_18_4 {
-  const merged = { ...defaultConfig_18_4, ...config };
-  if (!merged.deployer) throw new Error('Deployer required');
-  return merged;
-}
-
-export function getContractAddress_18_4(config: Config_18_4): string {
-  return `${config.deployer}.${CONTRACT_NAMES.vaultCore}`;
-}
-
-export async function execute_18_4(config: Config_18_4): Promise<{ success: boolean; data: string }> {
-  const addr = getContractAddress_18_4(config);
-  return { success: config.enabled, data: addr };
-}
@@ -3,38 +3,40 @@ import {
   Pc,
   PostConditionMode,
   broadcastTransaction,
+  getAddressFromPrivateKey,
   makeContractCall,
   makeSTXTokenTransfer,
   principalCV,
   uintCV,
   type ClarityValue,
 } from '@stacks/transactions';
-import { DEPLOYER, CONTRACT_NAMES } from './constants.js';
-import type { ContractNames } from './types.js';
-
-export interface ServerCallOptions {
+import { resolveConfig, getApiClient } from './config.js';
+import { planWithdraw, planClaimRewards, type PayoutPlanOptions } from './post-conditions.js';
+import {
+  assertPreflight,
+  preflightCreateProposal,
+  preflightExecute,
+  preflightVote,
+  type ProposalType,
+} from './preflight.js';
+import type { NetworkName, POSVaultConfig } from './types.js';
+
+export interface ServerCallOptions extends POSVaultConfig {
   senderKey: string;
-  deployer?: string;
-  contractNames?: Partial<ContractNames>;
-  network?: 'mainnet' | 'testnet';
   fee?: number;
 }
 
-function resolveConfig(opts: ServerCallOptions) {
-  const deployer = opts.deployer ?? DEPLOYER;
-  const names = { ...CONTRACT_NAMES, ...opts.contractNames };
-  const network = opts.network ?? 'mainnet';
-  return { deployer, names, network };
-}
-
 async function broadcastCall(
   contractName: string,
   functionName: string,
   functionArgs: ClarityValue[],
   postConditions: any[],
   opts: ServerCallOptions,
+  postConditionMode?: PostConditionMode,
 ) {
-  const { deployer, network } = resolveConfig(opts);
+  const config = resolveConfig(opts);
+  const { deployer, network } = config;
+  const client = getApiClient(config);
 
   const txOptions: any = {
     contractAddress: deployer,
@@ -44,9 +46,10 @@ async function broadcastCall(
     senderKey: opts.senderKey,
     network,
     anchorMode: AnchorMode.Any,
-    postConditionMode:
-      postConditions.length > 0 ? PostConditionMode.Deny : PostConditionMode.Allow,
+    postConditionMode: postConditionMode
+      ?? (postConditions.length > 0 ? PostConditionMode.Deny : PostConditionMode.Allow),
     postConditions,
+    client,
   };
 
   if (opts.fee !== undefined) {
@@ -54,7 +57,7 @@ async function broadcastCall(
   }
 
   const transaction = await makeContractCall(txOptions);
-  const result = await broadcastTransaction({ transaction, network });
+  const result = await broadcastTransaction({ transaction, network, client });
 
   if (result && typeof result === 'object' && 'txid' in result) {
     return { ok: true as const, txid: (result as any).txid as string };
@@ -71,9 +74,9 @@ async function broadcastCall(
 // ---------------------------------------------------------------------------
 
 export async function deposit(amountMicroSTX: number | bigint, opts: ServerCallOptions) {
-  const { deployer, names, network } = resolveConfig(opts);
+  const { contractNames: names } = resolveConfig(opts);
   const amount = Number(amountMicroSTX);
-  const senderAddress = getAddressFromKey(opts.senderKey);
+  const senderAddress = getAddressFromKey(opts.senderKey, opts.network);
 
   const postConditions = [
     Pc.principal(senderAddress).willSendEq(amount).ustx(),
@@ -82,38 +85,64 @@ export async function deposit(amountMicroSTX: number | bigint, opts: ServerCallO
   return broadcastCall(names.vaultCore, 'deposit', [uintCV(amount)], postConditions, opts);
 }
 
-export async function withdraw(opts: ServerCallOptions) {
-  const { names } = resolveConfig(opts);
-  return broadcastCall(names.vaultCore, 'withdraw', [], [], opts);
+/**
+ * Withdraw the full deposit; the vault must send back exactly the
+ * deposited STX. The result carries the expected payout plan.
+ */
+export async function withdraw(opts: ServerCallOptions & PayoutPlanOptions) {
+  const { contractNames: names } = resolveConfig(opts);
+  const plan = await planWithdraw(getAddressFromKey(opts.senderKey, opts.network), opts);
+  const result = await broadcastCall(
+    names.vaultCore,
+    'withdraw',
+    [],
+    plan.postConditions,
+    opts,
+    plan.postConditionMode,
+  );
+  return { ...result, plan };
 }
 
-export async function claimRewards(opts: ServerCallOptions) {
-  const { names } = resolveConfig(opts);
-  return broadcastCall(names.vaultCore, 'claim-rewards', [], [], opts);
+/**
+ * Claim pending POS-GOV in Deny mode (no asset may leave the sender).
+ * The result carries the expected reward range.
+ */
+export async function claimRewards(opts: ServerCallOptions & PayoutPlanOptions) {
+  const { contractNames: names } = resolveConfig(opts);
+  const plan = await planClaimRewards(getAddressFromKey(opts.senderKey, opts.network), opts);
+  const result = await broadcastCall(
+    names.vaultCore,
+    'claim-rewards',
+    [],
+    plan.postConditions,
+    opts,
+    plan.postConditionMode,
+  );
+  return { ...result, plan };
 }
 
 export async function setRewardRate(newRate: number, opts: ServerCallOptions) {
-  const { names } = resolveConfig(opts);
+  const { contractNames: names } = resolveConfig(opts);
   return broadcastCall(names.vaultCore, 'set-reward-rate', [uintCV(newRate)], [], opts);
 }
 
 export async function togglePause(opts: ServerCallOptions) {
-  const { names } = resolveConfig(opts);
+  const { contractNames: names } = resolveConfig(opts);
   return broadcastCall(names.vaultCore, 'toggle-pause', [], [], opts);
 }
 
 export async function addAdmin(admin: string, opts: ServerCallOptions) {
-  const { names } = resolveConfig(opts);
+  const { contractNames: names } = resolveConfig(opts);
   return broadcastCall(names.vaultCore, 'add-admin', [principalCV(admin)], [], opts);
 }
 
 export async function removeAdmin(admin: string, opts: ServerCallOptions) {
-  const { names } = resolveConfig(opts);
+  const { contractNames: names } = resolveConfig(opts);
   return broadcastCall(names.vaultCore, 'remove-admin', [principalCV(admin)], [], opts);
 }
 
 export async function emergencyWithdraw(opts: ServerCallOptions) {
-  const { names } = resolveConfig(opts);
+  const { contractNames: names } = resolveConfig(opts);
   return broadcastCall(names.vaultCore, 'emergency-withdraw', [], [], opts);
 }
 
@@ -127,8 +156,8 @@ export async function transferToken(
   memo: string | null,
   opts: ServerCallOptions,
 ) {
-  const { names } = resolveConfig(opts);
-  const senderAddress = getAddressFromKey(opts.senderKey);
+  const { contractNames: names } = resolveConfig(opts);
+  const senderAddress = getAddressFromKey(opts.senderKey, opts.network);
   const args: ClarityValue[] = [
     uintCV(Number(amount)),
     principalCV(senderAddress),
@@ -141,22 +170,22 @@ export async function transferToken(
 }
 
 export async function burnToken(amount: number | bigint, opts: ServerCallOptions) {
-  const { names } = resolveConfig(opts);
+  const { contractNames: names } = resolveConfig(opts);
   return broadcastCall(names.governanceToken, 'burn', [uintCV(Number(amount))], [], opts);
 }
 
 export async function addMinter(minter: string, opts: ServerCallOptions) {
-  const { names } = resolveConfig(opts);
+  const { contractNames: names } = resolveConfig(opts);
   return broadcastCall(names.governanceToken, 'add-minter', [principalCV(minter)], [], opts);
 }
 
 export async function removeMinter(minter: string, opts: ServerCallOptions) {
-  const { names } = resolveConfig(opts);
+  const { contractNames: names } = resolveConfig(opts);
   return broadcastCall(names.governanceToken, 'remove-minter', [principalCV(minter)], [], opts);
 }
 
 export async function toggleMinting(opts: ServerCallOptions) {
-  const { names } = resolveConfig(opts);
+  const { contractNames: names } = resolveConfig(opts);
   return broadcastCall(names.governanceToken, 'toggle-minting', [], [], opts);
 }
 
@@ -164,15 +193,21 @@ export async function toggleMinting(opts: ServerCallOptions) {
 // Proposal Voting write operations
 // ---------------------------------------------------------------------------
 
+/**
+ * Create a proposal. Refuses to broadcast (POSVaultError with the contract
+ * error code) when the pre-flight check predicts the call would abort.
+ */
 export async function createProposal(
   title: string,
   description: string,
-  proposalType: 'general' | 'reward-rate' | 'pause',
+  proposalType: ProposalType,
   value: number,
   opts: ServerCallOptions,
 ) {
   const { stringUtf8CV, stringAsciiCV } = await import('@stacks/transactions');
-  const { names } = resolveConfig(opts);
+  const { contractNames: names } = resolveConfig(opts);
+  const proposer = getAddressFromKey(opts.senderKey, opts.network);
+  assertPreflight(await preflightCreateProposal(proposer, proposalType, value, opts));
   return broadcastCall(
     names.proposalVoting,
     'create-proposal',
@@ -182,9 +217,12 @@ export async function createProposal(
   );
 }
 
+/** Vote with the sender's full POS-GOV balance, after a pre-flight check */
 export async function vote(proposalId: number, support: boolean, opts: ServerCallOptions) {
   const { boolCV } = await import('@stacks/transactions');
-  const { names } = resolveConfig(opts);
+  const { contractNames: names } = resolveConfig(opts);
+  const voter = getAddressFromKey(opts.senderKey, opts.network);
+  assertPreflight(await preflightVote(voter, proposalId, opts));
   return broadcastCall(
     names.proposalVoting,
     'vote',
@@ -194,8 +232,11 @@ export async function vote(proposalId: number, support: boolean, opts: ServerCal
   );
 }
 
+/** Execute an ended proposal that met quorum, after a pre-flight check */
 export async function executeProposal(proposalId: number, opts: ServerCallOptions) {
-  const { names } = resolveConfig(opts);
+  const { contractNames: names } = resolveConfig(opts);
+  const sender = getAddressFromKey(opts.senderKey, opts.network);
+  assertPreflight(await preflightExecute(proposalId, sender, opts));
   return broadcastCall(names.proposalVoting, 'execute-proposal', [uintCV(proposalId)], [], opts);
 }
 
@@ -208,7 +249,9 @@ export async function sendSTX(
   amountMicroSTX: number | bigint,
   opts: ServerCallOptions,
 ) {
-  const { network } = resolveConfig(opts);
+  const config = resolveConfig(opts);
+  const { network } = config;
+  const client = getApiClient(config);
 
   const txOptions: any = {
     recipient,
@@ -216,6 +259,7 @@ export async function sendSTX(
     senderKey: opts.senderKey,
     network,
     anchorMode: AnchorMode.Any,
+    client,
   };
 
   if (opts.fee !== undefined) {
@@ -223,7 +267,7 @@ export async function sendSTX(
   }
 
   const transaction = await makeSTXTokenTransfer(txOptions);
-  const result = await broadcastTransaction({ transaction, network });
+  const result = await broadcastTransaction({ transaction, network, client });
 
   if (result && typeof result === 'object' && 'txid' in result) {
     return { ok: true as const, txid: (result as any).txid as string };
@@ -239,7 +283,6 @@ export async function sendSTX(
 // Helpers
 // ---------------------------------------------------------------------------
 
-function getAddressFromKey(privateKey: string): string {
-  const { getAddressFromPrivateKey } = require('@stacks/transactions');
-  return getAddressFromPrivateKey(privateKey);
+function getAddressFromKey(privateKey: string, network: NetworkName = 'mainnet'): string {
+  return getAddressFromPrivateKey(privateKey, network);
 }
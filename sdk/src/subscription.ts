@@ -0,0 +1,362 @@
+import { getContractId, resolveConfig } from './config.js';
+import { fetchChainTip, type ContractEventsOptions, type TxBlockInfo } from './contract-events.js';
+import {
+  VAULT_EVENT_CONTRACTS,
+  VAULT_EVENT_NAMES,
+  compareVaultEvents,
+  fetchVaultEventsSince,
+  vaultEventAccount,
+  vaultEventKey,
+  type VaultEvent,
+  type VaultEventName,
+} from './events.js';
+import type { ContractNames } from './types.js';
+
+// ---------------------------------------------------------------------------
+// Event subscriptions
+//
+// `subscribe()` streams typed POSVault events as they are mined. Each sync
+// reads every watched contract back to just below the cursor (the last
+// block whose events were delivered) and delivers what is new, in chain
+// order. Syncs run when the Stacks API WebSocket reports a transaction on
+// a watched contract, or on a timer when no WebSocket is available or the
+// connection drops; reconnecting catches up from the cursor.
+//
+// Every sync re-reads `reorgDepth` blocks below the cursor, so transactions
+// re-mined into another block after a reorg are picked up; events are keyed
+// by tx id and event index, so none is delivered twice.
+// ---------------------------------------------------------------------------
+
+export type SubscriptionTransport = 'websocket' | 'polling';
+
+/** The parts of the WebSocket API the subscription uses */
+export interface WebSocketLike {
+  send(data: string): void;
+  close(): void;
+  onopen: ((ev: any) => void) | null;
+  onmessage: ((ev: { data: unknown }) => void) | null;
+  onclose: ((ev: any) => void) | null;
+  onerror: ((ev: any) => void) | null;
+}
+
+export type WebSocketConstructor = new (url: string) => WebSocketLike;
+
+export interface SubscribeOptions<N extends VaultEventName = VaultEventName> extends ContractEventsOptions {
+  /** Events to deliver (default: all) */
+  events?: N[];
+  /** Contracts to watch (default: those that print the requested events) */
+  contracts?: (keyof ContractNames)[];
+  /** Only events about this account (depositor, proposer or voter) */
+  address?: string;
+  /**
+   * First block to deliver events from. Pass `cursor + 1` of an earlier
+   * subscription to resume it; defaults to the block after the current tip.
+   */
+  fromBlock?: number;
+  /** Blocks below the cursor re-read on every sync (default 6) */
+  reorgDepth?: number;
+  /** Sync interval without a WebSocket, in ms (default 15000) */
+  pollIntervalMs?: number;
+  /** WebSocket implementation, or false to only poll (default: the global one) */
+  webSocket?: WebSocketConstructor | false;
+  /** Defaults to the API URL's `/extended/v1/ws` endpoint */
+  webSocketUrl?: string;
+  /** Longest wait between reconnect attempts, in ms (default 60000) */
+  maxReconnectDelayMs?: number;
+}
+
+/** Payloads by listener type: one per event name, plus `event` for all of them */
+export type SubscriptionEventMap<N extends VaultEventName> = { [K in N]: VaultEvent<K> } & {
+  event: VaultEvent<N>;
+  /** A failed sync; the subscription keeps going and retries */
+  error: Error;
+  transport: SubscriptionTransport;
+};
+
+export interface EventSubscription<N extends VaultEventName = VaultEventName> extends AsyncIterable<VaultEvent<N>> {
+  on<K extends keyof SubscriptionEventMap<N>>(type: K, listener: (payload: SubscriptionEventMap<N>[K]) => void): this;
+  once<K extends keyof SubscriptionEventMap<N>>(type: K, listener: (payload: SubscriptionEventMap<N>[K]) => void): this;
+  off<K extends keyof SubscriptionEventMap<N>>(type: K, listener: (payload: SubscriptionEventMap<N>[K]) => void): this;
+  /** Last block whose events were all delivered; null before the first sync */
+  readonly cursor: number | null;
+  readonly transport: SubscriptionTransport;
+  /** Settles after the first sync */
+  readonly ready: Promise<void>;
+  /** Stop syncing and end every iterator */
+  close(): void;
+}
+
+const DEFAULT_REORG_DEPTH = 6;
+const DEFAULT_POLL_INTERVAL_MS = 15_000;
+const DEFAULT_MAX_RECONNECT_DELAY_MS = 60_000;
+const MAX_CACHED_BLOCKS = 1_000;
+
+/**
+ * Stream POSVault events.
+ *
+ * @example
+ * ```ts
+ * const sub = subscribe({ events: ['deposit', 'withdraw'], address: 'SP...' });
+ * sub.on('deposit', (e) => console.log(e.data.amount));
+ *
+ * for await (const event of subscribe({ events: ['vote-cast'] })) {
+ *   console.log(event.data.proposalId, event.data.support);
+ * }
+ * ```
+ *
+ * Leaving a `for await` loop closes the subscription.
+ */
+export function subscribe<N extends VaultEventName = VaultEventName>(
+  options: SubscribeOptions<N> = {},
+): EventSubscription<N> {
+  const config = resolveConfig(options);
+  const names = new Set<VaultEventName>(options.events ?? VAULT_EVENT_NAMES);
+  const contracts = options.contracts ?? [...new Set([...names].map((name) => VAULT_EVENT_CONTRACTS[name]))];
+  const reorgDepth = options.reorgDepth ?? DEFAULT_REORG_DEPTH;
+  const pollIntervalMs = options.pollIntervalMs ?? DEFAULT_POLL_INTERVAL_MS;
+  const maxReconnectDelayMs = options.maxReconnectDelayMs ?? DEFAULT_MAX_RECONNECT_DELAY_MS;
+  const WebSocketImpl: WebSocketConstructor | undefined =
+    options.webSocket === false ? undefined : options.webSocket ?? (globalThis as any).WebSocket;
+  const webSocketUrl = options.webSocketUrl ?? `${config.apiBaseUrl.replace(/^http/, 'ws')}/extended/v1/ws`;
+
+  const listeners = new Map<string, Set<(payload: any) => void>>();
+  const readers = new Set<{ push(event: VaultEvent<N>): void; end(): void }>();
+  // Delivered event keys → block height, kept for the re-read window
+  const seen = new Map<string, number>();
+  const blocks = new Map<string, TxBlockInfo>();
+
+  let fromBlock = options.fromBlock ?? null;
+  let cursor: number | null = null;
+  let transport: SubscriptionTransport = 'polling';
+  let closed = false;
+  let timer: ReturnType<typeof setTimeout> | null = null;
+  let socket: WebSocketLike | null = null;
+  let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  let reconnectAttempt = 0;
+  let running: Promise<void> | null = null;
+  let again = false;
+
+  function emit(type: string, payload: unknown) {
+    for (const listener of [...(listeners.get(type) ?? [])]) {
+      try {
+        listener(payload);
+      } catch (err) {
+        // A throwing listener must not stall delivery to the others
+        if (type !== 'error') emit('error', err instanceof Error ? err : new Error(String(err)));
+      }
+    }
+  }
+
+  function deliver(event: VaultEvent<N>) {
+    emit(event.name, event);
+    emit('event', event);
+    readers.forEach((reader) => reader.push(event));
+  }
+
+  async function syncOnce() {
+    const tip = await fetchChainTip(options);
+    fromBlock ??= tip + 1;
+    const floor = Math.max(fromBlock, (cursor ?? fromBlock - 1) + 1 - reorgDepth);
+    // Cached blocks in the re-read window may have been reorged away
+    if (cursor !== null) {
+      for (const [txId, info] of blocks) {
+        if (info.blockHeight >= cursor - reorgDepth) blocks.delete(txId);
+      }
+    }
+
+    const found: VaultEvent[] = [];
+    for (const contract of contracts) {
+      found.push(...(await fetchVaultEventsSince(contract, floor, { ...options, blocks })));
+    }
+    found.sort(compareVaultEvents);
+
+    let height = Math.max(cursor ?? fromBlock - 1, tip);
+    for (const event of found) {
+      if (closed) return;
+      height = Math.max(height, event.blockHeight);
+      const key = vaultEventKey(event);
+      if (seen.has(key)) continue;
+      seen.set(key, event.blockHeight);
+      if (!names.has(event.name)) continue;
+      if (options.address && vaultEventAccount(event) !== options.address) continue;
+      deliver(event as VaultEvent<N>);
+    }
+    cursor = height;
+
+    for (const [key, block] of seen) {
+      if (block < cursor - reorgDepth) seen.delete(key);
+    }
+    while (blocks.size > MAX_CACHED_BLOCKS) blocks.delete(blocks.keys().next().value as string);
+  }
+
+  // One sync at a time; requests made meanwhile fold into one more pass
+  function sync(): Promise<void> {
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = (async () => {
+      let failed = false;
+      do {
+        again = false;
+        try {
+          await syncOnce();
+          failed = false;
+        } catch (err) {
+          failed = true;
+          emit('error', err instanceof Error ? err : new Error(String(err)));
+        }
+      } while (again && !closed);
+      running = null;
+      if (!closed && (transport === 'polling' || failed)) schedule(pollIntervalMs);
+    })();
+    return running;
+  }
+
+  function schedule(ms: number) {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      sync();
+    }, ms);
+  }
+
+  function setTransport(next: SubscriptionTransport) {
+    if (next === transport) return;
+    transport = next;
+    emit('transport', next);
+  }
+
+  function connect() {
+    reconnectTimer = null;
+    if (!WebSocketImpl || closed) return;
+    let ws: WebSocketLike;
+    try {
+      ws = new WebSocketImpl(webSocketUrl);
+    } catch {
+      disconnected();
+      return;
+    }
+    socket = ws;
+
+    ws.onopen = () => {
+      reconnectAttempt = 0;
+      contracts.forEach((contract, i) => {
+        ws.send(JSON.stringify({
+          jsonrpc: '2.0',
+          id: i + 1,
+          method: 'subscribe',
+          params: { event: 'address_tx_update', address: getContractId(config, contract) },
+        }));
+      });
+      setTransport('websocket');
+      if (timer) clearTimeout(timer);
+      timer = null;
+      // Catch up on whatever was mined while disconnected
+      sync();
+    };
+    ws.onmessage = (message) => {
+      let notification: any;
+      try {
+        notification = JSON.parse(String(message.data));
+      } catch {
+        return;
+      }
+      if (notification?.method === 'address_tx_update' && notification.params?.tx_status === 'success') sync();
+    };
+    // Browsers follow an error with close
+    ws.onerror = () => undefined;
+    ws.onclose = () => {
+      if (socket !== ws) return;
+      socket = null;
+      disconnected();
+    };
+  }
+
+  function disconnected() {
+    if (closed) return;
+    setTransport('polling');
+    sync();
+    const delay = Math.min(1_000 * 2 ** reconnectAttempt, maxReconnectDelayMs);
+    reconnectAttempt += 1;
+    reconnectTimer = setTimeout(connect, delay);
+  }
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    if (timer) clearTimeout(timer);
+    if (reconnectTimer) clearTimeout(reconnectTimer);
+    const ws = socket;
+    socket = null;
+    ws?.close();
+    readers.forEach((reader) => reader.end());
+    readers.clear();
+    listeners.clear();
+  }
+
+  const subscription: EventSubscription<N> = {
+    on(type, listener) {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type)!.add(listener);
+      return this;
+    },
+    once(type, listener) {
+      const wrapped = Object.assign((payload: any) => {
+        subscription.off(type, wrapped);
+        listener(payload);
+      }, { listener });
+      return this.on(type, wrapped);
+    },
+    off(type, listener) {
+      const registered = listeners.get(type);
+      if (!registered) return this;
+      // `once` registers a wrapper that keeps the original listener
+      for (const entry of registered) {
+        if (entry === listener || (entry as { listener?: unknown }).listener === listener) registered.delete(entry);
+      }
+      return this;
+    },
+    get cursor() {
+      return cursor;
+    },
+    get transport() {
+      return transport;
+    },
+    ready: sync(),
+    close,
+
+    [Symbol.asyncIterator](): AsyncIterator<VaultEvent<N>> {
+      const queue: VaultEvent<N>[] = [];
+      let wake: (() => void) | null = null;
+      const reader = {
+        push(event: VaultEvent<N>) {
+          queue.push(event);
+          wake?.();
+        },
+        end() {
+          wake?.();
+        },
+      };
+      readers.add(reader);
+
+      return {
+        async next() {
+          while (!queue.length && !closed) {
+            await new Promise<void>((resolve) => (wake = resolve));
+            wake = null;
+          }
+          const value = queue.shift();
+          return value ? { value, done: false } : { value: undefined, done: true };
+        },
+        async return() {
+          close();
+          return { value: undefined, done: true };
+        },
+      };
+    },
+  };
+
+  connect();
+  return subscription;
+}
@@ -1,4 +1,4 @@
-import type { ClarityValue } from '@stacks/transactions';
+import { boolCV, principalCV, stringAsciiCV, uintCV, type ClarityValue } from '@stacks/transactions';
 import type { ContractNames, POSVaultConfig } from './types.js';
 import { resolveConfig, getContractId } from './config.js';
 
@@ -114,7 +114,6 @@ export class TransactionBuilder {
 // ---------------------------------------------------------------------------
 
 export function buildDeposit(amountMicroSTX: bigint, config?: POSVaultConfig): TransactionPlan {
-  const { uintCV } = require('@stacks/transactions');
   const builder = new TransactionBuilder(config);
   return builder
     .describe(`Deposit ${amountMicroSTX} µSTX into POSVault`)
@@ -169,7 +168,6 @@ export function buildCreateProposal(
   value: bigint,
   config?: POSVaultConfig,
 ): TransactionPlan {
-  const { stringAsciiCV, uintCV } = require('@stacks/transactions');
   const builder = new TransactionBuilder(config);
   return builder
     .describe(`Create proposal: ${title}`)
@@ -191,7 +189,6 @@ export function buildVote(
   voteFor: boolean,
   config?: POSVaultConfig,
 ): TransactionPlan {
-  const { uintCV, boolCV } = require('@stacks/transactions');
   const builder = new TransactionBuilder(config);
   return builder
     .describe(`Vote ${voteFor ? 'FOR' : 'AGAINST'} proposal #${proposalId}`)
@@ -207,7 +204,6 @@ export function buildExecuteProposal(
   proposalId: bigint,
   config?: POSVaultConfig,
 ): TransactionPlan {
-  const { uintCV } = require('@stacks/transactions');
   const builder = new TransactionBuilder(config);
   return builder
     .describe(`Execute proposal #${proposalId}`)
@@ -227,7 +223,6 @@ export function buildSetRewardRate(
   rate: number,
   config?: POSVaultConfig,
 ): TransactionPlan {
-  const { uintCV } = require('@stacks/transactions');
   const builder = new TransactionBuilder(config);
   return builder
     .describe(`Set reward rate to ${rate} basis points`)
@@ -255,7 +250,6 @@ export function buildAddAdmin(
   adminAddress: string,
   config?: POSVaultConfig,
 ): TransactionPlan {
-  const { principalCV } = require('@stacks/transactions');
   const builder = new TransactionBuilder(config);
   return builder
     .describe(`Add admin: ${adminAddress}`)
@@ -277,7 +271,6 @@ export function buildDepositAndVote(
   voteFor: boolean,
   config?: POSVaultConfig,
 ): TransactionPlan {
-  const { uintCV, boolCV } = require('@stacks/transactions');
   const builder = new TransactionBuilder(config);
   return builder
     .describe(`Deposit ${amountMicroSTX} µSTX then vote on proposal #${proposalId}`)
@@ -0,0 +1,281 @@
+import { TOKEN_SYMBOL } from './constants.js';
+import { resolveConfig, type ResolvedConfig } from './config.js';
+import { decodeClarityHex, decodePrintEvent, type HiroContractEvent } from './contract-events.js';
+import { getErrorMessage } from './errors.js';
+import { formatBasisPoints, shortenAddress } from './formatting.js';
+import type { ContractNames, POSVaultConfig } from './types.js';
+
+// ---------------------------------------------------------------------------
+// Contract-call decoding
+//
+// Turns a Hiro transaction (`/extended/v1/tx/{id}` or any list endpoint)
+// that calls a POSVault contract into the action it performed. Amounts
+// come from the strongest evidence the transaction carries: its `print`
+// event, then the call's result, then asset events, then the arguments.
+// List endpoints omit events, so every source is optional. Pending and
+// failed calls are described by what they asked for, with the contract's
+// error mapped to a message for aborted ones.
+// ---------------------------------------------------------------------------
+
+/** A Hiro transaction, trimmed to the fields decoding reads */
+export interface HiroTransaction {
+  tx_id: string;
+  tx_type: string;
+  tx_status: string;
+  sender_address: string;
+  contract_call?: {
+    contract_id: string;
+    function_name: string;
+    function_args?: Array<{ hex: string; repr: string; name: string; type: string }>;
+  };
+  tx_result?: { hex: string; repr: string };
+  events?: Array<HiroContractEvent & {
+    asset?: {
+      asset_event_type: string;
+      asset_id?: string;
+      sender?: string;
+      recipient?: string;
+      amount?: string;
+    };
+  }>;
+}
+
+export type DecodedCallStatus = 'success' | 'pending' | 'failed';
+
+export interface DecodedContractCall {
+  contract: keyof ContractNames;
+  functionName: string;
+  status: DecodedCallStatus;
+  /** microSTX moved into or out of the vault */
+  stx: bigint | null;
+  /** POS-GOV (micro-units) minted, transferred or voted with */
+  tokens: bigint | null;
+  proposalId: number | null;
+  /** Vote direction */
+  support: boolean | null;
+  /** Whether an executed proposal passed */
+  passed: boolean | null;
+  /** Proposal title for create-proposal */
+  title: string | null;
+  /** Token transfer or mint recipient */
+  recipient: string | null;
+  /** Contract error code of an aborted call */
+  errorCode: number | null;
+  /** Why a failed call failed */
+  error: string | null;
+  /** One-line description, e.g. "Withdrew 12.5 STX + 3.1 POS-GOV" */
+  summary: string;
+}
+
+// Earlier vault-core versions share the deposit/withdraw/claim interface
+const VAULT_CORE_NAME = /^vault-core(-v\d+)?$/;
+
+function contractKey(contractId: string, config: ResolvedConfig): keyof ContractNames | null {
+  const [deployer, name] = contractId.split('.');
+  if (deployer !== config.deployer || !name) return null;
+  if (name === config.contractNames.governanceToken) return 'governanceToken';
+  if (name === config.contractNames.proposalVoting) return 'proposalVoting';
+  if (name === config.contractNames.vaultCore || VAULT_CORE_NAME.test(name)) return 'vaultCore';
+  return null;
+}
+
+function callStatus(txStatus: string): DecodedCallStatus {
+  if (txStatus === 'success') return 'success';
+  if (txStatus === 'pending') return 'pending';
+  return 'failed';
+}
+
+function tryDecode(hex: string | undefined): unknown {
+  if (!hex) return undefined;
+  try {
+    return decodeClarityHex(hex);
+  } catch {
+    return undefined;
+  }
+}
+
+function asBigInt(value: unknown): bigint | null {
+  return typeof value === 'bigint' ? value : null;
+}
+
+function asNumber(value: unknown): number | null {
+  return typeof value === 'bigint' ? Number(value) : null;
+}
+
+/**
+ * Amount in 6-decimal micro-units with trailing zeros dropped and
+ * thousands grouped: 12500000n → "12.5", 1200000000n → "1,200"
+ */
+export function formatMicroAmount(micro: bigint): string {
+  const negative = micro < 0n;
+  const abs = negative ? -micro : micro;
+  const whole = (abs / 1_000_000n).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  const fraction = (abs % 1_000_000n).toString().padStart(6, '0').replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+function stxText(micro: bigint): string {
+  return `${formatMicroAmount(micro)} STX`;
+}
+
+function tokenText(micro: bigint): string {
+  return `${formatMicroAmount(micro)} ${TOKEN_SYMBOL}`;
+}
+
+type Facts = Omit<DecodedContractCall, 'summary'>;
+
+function describe(f: Facts, args: Record<string, unknown>, print: Record<string, unknown> | null): string {
+  const done = f.status === 'success';
+  const proposal = f.proposalId !== null ? `proposal #${f.proposalId}` : 'proposal';
+
+  switch (f.functionName) {
+    case 'deposit':
+      return `${done ? 'Deposited' : 'Deposit'}${f.stx !== null ? ` ${stxText(f.stx)}` : ''}`;
+    case 'withdraw': {
+      if (!done || f.stx === null) return done ? 'Withdrew deposit' : 'Withdraw deposit';
+      const rewards = f.tokens ? ` + ${tokenText(f.tokens)}` : '';
+      return `Withdrew ${stxText(f.stx)}${rewards}`;
+    }
+    case 'claim-rewards':
+      if (!done || f.tokens === null) return done ? 'Claimed rewards' : 'Claim rewards';
+      return `Claimed ${tokenText(f.tokens)}`;
+    case 'emergency-withdraw':
+      return done && f.stx !== null ? `Emergency-withdrew ${stxText(f.stx)}` : 'Emergency withdraw';
+    case 'set-reward-rate': {
+      const rate = asBigInt(args['new-rate']);
+      return `${done ? 'Set' : 'Set the'} reward rate${rate !== null ? ` to ${formatBasisPoints(rate)}` : ''}`;
+    }
+    case 'toggle-pause':
+      if (done && typeof print?.paused === 'boolean') return print.paused ? 'Paused the vault' : 'Unpaused the vault';
+      return done ? 'Toggled vault pause' : 'Toggle vault pause';
+    case 'create-proposal': {
+      const title = f.title !== null ? ` "${f.title}"` : '';
+      return done ? `Created ${proposal}${title}` : `Create proposal${title}`;
+    }
+    case 'vote': {
+      const side = f.support === null ? '' : f.support ? ' FOR' : ' AGAINST';
+      const weight = done && f.tokens !== null ? ` with ${tokenText(f.tokens)}` : '';
+      return `${done ? 'Voted' : 'Vote'}${side} ${proposal}${weight}`;
+    }
+    case 'execute-proposal': {
+      if (!done) return `Execute ${proposal}`;
+      const outcome = f.passed === null ? '' : f.passed ? ' (passed)' : ' (rejected)';
+      return `Executed ${proposal}${outcome}`;
+    }
+    case 'transfer': {
+      const amount = f.tokens !== null ? ` ${tokenText(f.tokens)}` : '';
+      const to = f.recipient ? ` to ${shortenAddress(f.recipient)}` : '';
+      return `${done ? 'Transferred' : 'Transfer'}${amount}${to}`;
+    }
+    case 'mint':
+      return `${done ? 'Minted' : 'Mint'}${f.tokens !== null ? ` ${tokenText(f.tokens)}` : ''}`;
+    case 'burn':
+      return `${done ? 'Burned' : 'Burn'}${f.tokens !== null ? ` ${tokenText(f.tokens)}` : ''}`;
+    default:
+      return `${done ? 'Called' : 'Call'} ${f.functionName}`;
+  }
+}
+
+/**
+ * Decode a transaction's POSVault contract call. Returns null for other
+ * transaction types and for calls to contracts outside the deployment.
+ * Throws ConfigurationError when the network has no known deployer.
+ */
+export function decodeContractCall(tx: HiroTransaction, opts?: POSVaultConfig): DecodedContractCall | null {
+  const call = tx?.tx_type === 'contract_call' ? tx.contract_call : undefined;
+  if (!call) return null;
+  const contract = contractKey(call.contract_id, resolveConfig(opts));
+  if (!contract) return null;
+
+  const args: Record<string, unknown> = {};
+  for (const arg of call.function_args ?? []) args[arg.name] = tryDecode(arg.hex);
+
+  const status = callStatus(tx.tx_status);
+  const succeeded = status === 'success';
+  // Only a confirmed call's effects are real: a post-condition abort still
+  // carries the rolled-back call's `(ok ...)`
+  const result = tryDecode(tx.tx_result?.hex) as { success: boolean; value: unknown } | undefined;
+  const ok = succeeded && result?.success === true ? result.value : undefined;
+
+  let print: Record<string, unknown> | null = null;
+  let stxMoved: bigint | null = null;
+  let tokensMinted: bigint | null = null;
+  for (const event of succeeded ? tx.events ?? [] : []) {
+    if (event.contract_log?.contract_id === call.contract_id) {
+      print ??= decodePrintEvent({ ...event, tx_id: tx.tx_id })?.data ?? null;
+    }
+    const asset = event.asset;
+    if (!asset?.amount) continue;
+    if (event.event_type === 'stx_asset' && asset.asset_event_type === 'transfer') {
+      stxMoved = BigInt(asset.amount);
+    }
+    if (event.event_type === 'fungible_token_asset' && asset.asset_event_type === 'mint') {
+      tokensMinted = BigInt(asset.amount);
+    }
+  }
+
+  const facts: Facts = {
+    contract,
+    functionName: call.function_name,
+    status,
+    stx: null,
+    tokens: null,
+    proposalId: null,
+    support: null,
+    passed: null,
+    title: null,
+    recipient: null,
+    errorCode: null,
+    error: null,
+  };
+
+  switch (call.function_name) {
+    case 'deposit':
+      facts.stx = asBigInt(print?.amount) ?? asBigInt(args.amount);
+      break;
+    case 'withdraw': {
+      const returned = ok as Record<string, unknown> | undefined;
+      facts.stx = asBigInt(print?.amount) ?? asBigInt(returned?.['stx-returned']) ?? stxMoved;
+      facts.tokens = asBigInt(print?.rewards) ?? asBigInt(returned?.['rewards-earned']) ?? tokensMinted;
+      break;
+    }
+    case 'claim-rewards':
+      facts.tokens = asBigInt(print?.rewards) ?? asBigInt(ok) ?? tokensMinted;
+      break;
+    case 'emergency-withdraw':
+      facts.stx = asBigInt(print?.amount) ?? asBigInt(ok) ?? stxMoved;
+      break;
+    case 'create-proposal':
+      facts.title = typeof args.title === 'string' ? args.title : null;
+      facts.proposalId = asNumber(print?.id) ?? asNumber(ok);
+      break;
+    case 'vote':
+      facts.proposalId = asNumber(args['proposal-id']);
+      facts.support = typeof args.support === 'boolean' ? args.support : null;
+      facts.tokens = asBigInt(print?.weight);
+      break;
+    case 'execute-proposal':
+      facts.proposalId = asNumber(args['proposal-id']);
+      facts.passed = typeof print?.passed === 'boolean' ? print.passed : typeof ok === 'boolean' ? ok : null;
+      break;
+    case 'transfer':
+    case 'mint':
+      facts.tokens = asBigInt(args.amount);
+      facts.recipient = typeof args.recipient === 'string' ? args.recipient : null;
+      break;
+    case 'burn':
+      facts.tokens = asBigInt(args.amount);
+      break;
+  }
+
+  if (status === 'failed') {
+    if (tx.tx_status === 'abort_by_post_condition') {
+      facts.error = 'A post-condition check failed, so nothing was transferred';
+    } else {
+      facts.errorCode = result?.success === false ? asNumber(result.value) : null;
+      facts.error = facts.errorCode !== null ? getErrorMessage(facts.errorCode) : 'The contract call failed';
+    }
+  }
+
+  return { ...facts, summary: describe(facts, args, print) };
+}
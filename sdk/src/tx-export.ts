@@ -0,0 +1,296 @@
+import { TOKEN_SYMBOL } from './constants.js';
+import { decodeContractCall, type HiroTransaction } from './tx-decoder.js';
+import type { POSVaultConfig } from './types.js';
+
+// ---------------------------------------------------------------------------
+// Transaction history export
+//
+// Classifies an address's transactions into deposits, withdrawals, reward
+// claims, votes, transfers and fee-only spends, from that address's point
+// of view, and writes them as a plain CSV, JSON, or the import formats of
+// Koinly and CoinTracker. POSVault calls are read through `tx-decoder`.
+// ---------------------------------------------------------------------------
+
+/** A Hiro transaction with the fields the export reads */
+export interface ExportableTransaction extends HiroTransaction {
+  block_height?: number | null;
+  burn_block_time?: number;
+  fee_rate?: string;
+  sponsored?: boolean;
+  sponsor_address?: string;
+  token_transfer?: { recipient_address: string; amount: string };
+}
+
+/**
+ * `fee` covers anything that only cost a fee: failed transactions,
+ * governance calls other than votes, other contracts
+ */
+export type TxExportKind = 'deposit' | 'withdraw' | 'claim' | 'vote' | 'transfer' | 'fee';
+
+export interface TxExportRecord {
+  txId: string;
+  kind: TxExportKind;
+  /** Raw `tx_status` */
+  status: string;
+  blockHeight: number;
+  /** Unix seconds */
+  burnBlockTime: number;
+  /** microSTX received */
+  stxIn: bigint;
+  /** microSTX sent */
+  stxOut: bigint;
+  /** POS-GOV micro-units received (rewards included) */
+  posGovIn: bigint;
+  /** POS-GOV micro-units sent */
+  posGovOut: bigint;
+  /** The part of `posGovIn` that is vault rewards */
+  rewards: bigint;
+  /** microSTX fee paid by the address */
+  fee: bigint;
+  description: string;
+}
+
+function finish(record: TxExportRecord, error?: string | null): TxExportRecord {
+  if (record.status !== 'success') {
+    record.description = `${record.description} (failed${error ? `: ${error}` : ''})`;
+  }
+  return record;
+}
+
+/**
+ * Classify one confirmed or failed transaction from the address's point
+ * of view. Returns null for pending transactions, which have no block
+ * yet. Throws ConfigurationError when the network has no known deployer.
+ */
+export function classifyTx(
+  tx: ExportableTransaction,
+  address: string,
+  opts?: POSVaultConfig,
+): TxExportRecord | null {
+  if (tx.tx_status === 'pending' || tx.block_height == null) return null;
+
+  const payer = tx.sponsored ? tx.sponsor_address : tx.sender_address;
+  const record: TxExportRecord = {
+    txId: tx.tx_id,
+    kind: 'fee',
+    status: tx.tx_status,
+    blockHeight: tx.block_height,
+    burnBlockTime: tx.burn_block_time ?? 0,
+    stxIn: 0n,
+    stxOut: 0n,
+    posGovIn: 0n,
+    posGovOut: 0n,
+    rewards: 0n,
+    fee: payer === address ? BigInt(tx.fee_rate ?? 0) : 0n,
+    description: '',
+  };
+  const outgoing = tx.sender_address === address;
+
+  if (tx.tx_type === 'token_transfer' && tx.token_transfer) {
+    const { recipient_address: recipient, amount } = tx.token_transfer;
+    record.description = outgoing ? `STX transfer to ${recipient}` : `STX transfer from ${tx.sender_address}`;
+    if (tx.tx_status === 'success') {
+      record.kind = 'transfer';
+      if (outgoing) record.stxOut = BigInt(amount);
+      if (recipient === address) record.stxIn = BigInt(amount);
+    }
+    return finish(record);
+  }
+
+  const call = decodeContractCall(tx, opts);
+  if (!call) {
+    record.description = tx.contract_call
+      ? `${tx.contract_call.contract_id}::${tx.contract_call.function_name}`
+      : tx.tx_type;
+    return finish(record);
+  }
+
+  record.description = call.summary;
+  if (call.status !== 'success') return finish(record, call.error);
+  // Vault and governance calls only move the caller's assets
+  if (!outgoing && call.functionName !== 'transfer') return finish(record);
+
+  switch (call.functionName) {
+    case 'deposit':
+      record.kind = 'deposit';
+      record.stxOut = call.stx ?? 0n;
+      break;
+    case 'withdraw':
+      record.kind = 'withdraw';
+      record.stxIn = call.stx ?? 0n;
+      record.rewards = call.tokens ?? 0n;
+      record.posGovIn = record.rewards;
+      break;
+    case 'claim-rewards':
+      record.kind = 'claim';
+      record.rewards = call.tokens ?? 0n;
+      record.posGovIn = record.rewards;
+      break;
+    case 'vote':
+      record.kind = 'vote';
+      break;
+    case 'transfer':
+      if (outgoing || call.recipient === address) {
+        record.kind = 'transfer';
+        if (outgoing) record.posGovOut = call.tokens ?? 0n;
+        if (call.recipient === address) record.posGovIn = call.tokens ?? 0n;
+      }
+      break;
+    default:
+      break;
+  }
+  return finish(record);
+}
+
+/**
+ * Export records for a transaction list, oldest first. Transactions that
+ * neither moved the address's assets nor cost it a fee are left out.
+ */
+export function buildTxExport(
+  transactions: ExportableTransaction[],
+  address: string,
+  opts?: POSVaultConfig,
+): TxExportRecord[] {
+  return transactions
+    .map((tx) => classifyTx(tx, address, opts))
+    .filter((r): r is TxExportRecord => r !== null
+      && (r.fee > 0n || r.stxIn > 0n || r.stxOut > 0n || r.posGovIn > 0n || r.posGovOut > 0n))
+    .sort((a, b) => a.blockHeight - b.blockHeight || a.burnBlockTime - b.burnBlockTime);
+}
+
+// ---------------------------------------------------------------------------
+// Formats
+// ---------------------------------------------------------------------------
+
+// Micro-units (6 decimals) as a plain decimal string: 12500000n → "12.5"
+function units(micro: bigint): string {
+  const whole = micro / 1_000_000n;
+  const fraction = (micro % 1_000_000n).toString().padStart(6, '0').replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : String(whole);
+}
+
+function csvCell(value: unknown): string {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header: string[], rows: unknown[][]): string {
+  return `${[header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+function isoTime(seconds: number): string {
+  return new Date(seconds * 1000).toISOString();
+}
+
+function pad(n: number): string {
+  return String(n).padStart(2, '0');
+}
+
+/** One CSV row per transaction, amounts in STX and POS-GOV */
+export function txExportToCsv(records: TxExportRecord[]): string {
+  return toCsv(
+    ['txid', 'block_height', 'burn_block_time', 'date_utc', 'type', 'status', 'stx_in', 'stx_out',
+      'pos_gov_in', 'pos_gov_out', 'pos_gov_rewards', 'fee_stx', 'description'],
+    records.map((r) => [
+      r.txId, r.blockHeight, r.burnBlockTime, isoTime(r.burnBlockTime), r.kind, r.status,
+      units(r.stxIn), units(r.stxOut), units(r.posGovIn), units(r.posGovOut), units(r.rewards),
+      units(r.fee), r.description,
+    ]),
+  );
+}
+
+const AMOUNT_FIELDS = ['stxIn', 'stxOut', 'posGovIn', 'posGovOut', 'rewards', 'fee'] as const;
+
+/** The records as JSON, amounts as decimal strings in STX and POS-GOV */
+export function txExportToJson(records: TxExportRecord[], meta: { address: string; network: string }): string {
+  return JSON.stringify({
+    ...meta,
+    exportedAt: new Date().toISOString(),
+    transactions: records.map((r) => ({
+      ...r,
+      dateUtc: isoTime(r.burnBlockTime),
+      ...Object.fromEntries(AMOUNT_FIELDS.map((key) => [key, units(r[key])])),
+    })),
+  }, null, 2);
+}
+
+interface TaxLeg {
+  sent: [bigint, string] | null;
+  received: [bigint, string] | null;
+  fee: bigint;
+  label: '' | 'reward' | 'cost';
+}
+
+// Sent/received legs in the shape tax tools import: vault rewards become
+// their own `reward` leg; a transaction that moved nothing is a bare fee.
+// Deposits and withdrawals stay unlabelled sends and receives, so they can
+// be matched as transfers to and from the vault.
+function taxLegs(r: TxExportRecord): TaxLeg[] {
+  const legs: TaxLeg[] = [];
+  const sent: TaxLeg['sent'] = r.stxOut ? [r.stxOut, 'STX'] : r.posGovOut ? [r.posGovOut, TOKEN_SYMBOL] : null;
+  const principalIn = r.posGovIn - r.rewards;
+  const received: TaxLeg['received'] = r.stxIn ? [r.stxIn, 'STX'] : principalIn ? [principalIn, TOKEN_SYMBOL] : null;
+
+  if (sent || received) legs.push({ sent, received, fee: r.fee, label: '' });
+  if (r.rewards) legs.push({ sent: null, received: [r.rewards, TOKEN_SYMBOL], fee: legs.length ? 0n : r.fee, label: 'reward' });
+  if (!legs.length) legs.push({ sent: null, received: null, fee: r.fee, label: 'cost' });
+  return legs;
+}
+
+/**
+ * Koinly universal CSV. Fee-only transactions are written as a `cost`
+ * send of the fee, as Koinly expects.
+ */
+export function txExportToKoinlyCsv(records: TxExportRecord[]): string {
+  const rows: unknown[][] = [];
+  for (const r of records) {
+    const d = new Date(r.burnBlockTime * 1000);
+    const date = `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())} `
+      + `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())} UTC`;
+    for (const leg of taxLegs(r)) {
+      const costOnly = leg.label === 'cost';
+      const sent: TaxLeg['sent'] = costOnly ? [leg.fee, 'STX'] : leg.sent;
+      const fee = costOnly ? 0n : leg.fee;
+      rows.push([
+        date,
+        sent ? units(sent[0]) : '', sent?.[1] ?? '',
+        leg.received ? units(leg.received[0]) : '', leg.received?.[1] ?? '',
+        fee ? units(fee) : '', fee ? 'STX' : '',
+        '', '',
+        leg.label, r.description, r.txId,
+      ]);
+    }
+  }
+  return toCsv(
+    ['Date', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency', 'Fee Amount',
+      'Fee Currency', 'Net Worth Amount', 'Net Worth Currency', 'Label', 'Description', 'TxHash'],
+    rows,
+  );
+}
+
+/**
+ * CoinTracker CSV. Rewards are tagged `staked`; fee-only transactions
+ * carry just the fee.
+ */
+export function txExportToCoinTrackerCsv(records: TxExportRecord[]): string {
+  const rows: unknown[][] = [];
+  for (const r of records) {
+    const d = new Date(r.burnBlockTime * 1000);
+    const date = `${pad(d.getUTCMonth() + 1)}/${pad(d.getUTCDate())}/${d.getUTCFullYear()} `
+      + `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}`;
+    for (const leg of taxLegs(r)) {
+      rows.push([
+        date,
+        leg.received ? units(leg.received[0]) : '', leg.received?.[1] ?? '',
+        leg.sent ? units(leg.sent[0]) : '', leg.sent?.[1] ?? '',
+        leg.fee ? units(leg.fee) : '', leg.fee ? 'STX' : '',
+        leg.label === 'reward' ? 'staked' : '',
+      ]);
+    }
+  }
+  return toCsv(
+    ['Date', 'Received Quantity', 'Received Currency', 'Sent Quantity', 'Sent Currency', 'Fee Amount',
+      'Fee Currency', 'Tag'],
+    rows,
+  );
+}
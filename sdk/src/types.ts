@@ -1,7 +1,13 @@
+export type NetworkName = 'mainnet' | 'testnet' | 'devnet';
+
 export interface POSVaultConfig {
   deployer?: string;
-  network?: 'mainnet' | 'testnet';
+  network?: NetworkName;
+  /** Override the manifest API URL (e.g. a self-hosted Stacks API) */
+  apiUrl?: string;
   contractNames?: Partial<ContractNames>;
+  /** Fetch used for API calls (defaults to the global fetch) */
+  fetch?: (url: string, init?: RequestInit) => Promise<Response>;
 }
 
 export interface ContractNames {
@@ -1,5 +1,6 @@
 import { ValidationError } from './errors.js';
 import { DEPLOYER } from './constants.js';
+import { NETWORKS, isNetworkName } from './deployments.js';
 
 export function validateAddress(address: string): void {
   if (!address || typeof address !== 'string') {
@@ -37,8 +38,8 @@ export function validateRewardRate(rate: number): void {
 }
 
 export function validateNetwork(network: string): void {
-  if (network !== 'mainnet' && network !== 'testnet') {
-    throw new ValidationError(`Invalid network: ${network}. Use 'mainnet' or 'testnet'`);
+  if (!isNetworkName(network)) {
+    throw new ValidationError(`Invalid network: ${network}. Use one of ${NETWORKS.join(', ')}`);
   }
 }
 